@@ -0,0 +1,48 @@
+/**
+ * Kline Backfill CLI
+ * Stores years of exchange candles in the local kline store and
+ * re-fetches holes in what is already stored
+ *
+ * Usage: node backfill-klines.js [symbol] [timeframes] [years] [exchange]
+ * Example: node backfill-klines.js ETHUSDT 1h,4h,1d 4 coinbase
+ */
+
+import dotenv from 'dotenv';
+import { parseSymbol, DEFAULT_SYMBOL } from './src/binance.js';
+import { TIMEFRAME_MS } from './src/backtest/metrics.js';
+import { isKlineStoreEnabled, syncKlines, getStoredRange } from './src/kline-store.js';
+import { getExchange, DEFAULT_EXCHANGE } from './src/exchanges/index.js';
+
+dotenv.config();
+
+async function main() {
+  const [pair = DEFAULT_SYMBOL, timeframes = '1d,1w', years = '4', exchange = DEFAULT_EXCHANGE] = process.argv.slice(2);
+  const { symbol } = parseSymbol(pair);
+  getExchange(exchange);
+
+  if (!isKlineStoreEnabled()) {
+    throw new Error('DATABASE_URL is required to store klines');
+  }
+
+  const startTime = Date.now() - parseFloat(years) * 365 * 24 * 60 * 60 * 1000;
+
+  for (const timeframe of timeframes.split(',')) {
+    if (!TIMEFRAME_MS[timeframe]) {
+      throw new Error(`Unsupported timeframe: ${timeframe}`);
+    }
+
+    console.log(`Syncing ${exchange} ${symbol} ${timeframe} since ${new Date(startTime).toISOString().slice(0, 10)}...`);
+    const { saved } = await syncKlines(symbol, timeframe, { exchange, startTime, repairGaps: true });
+    const range = await getStoredRange(symbol, timeframe, exchange);
+
+    console.log(`✓ ${saved} candle(s) stored, ${range?.count || 0} total` +
+      (range ? ` (${new Date(range.first).toISOString().slice(0, 10)} → ${new Date(range.last).toISOString().slice(0, 10)})` : ''));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('\n✗ Backfill failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,74 @@
+/**
+ * Backtest CLI
+ * Replays a strategy over historical exchange klines
+ *
+ * Usage: node backtest.js <strategy> [timeframe] [days] [stopLossPercent] [symbol] [exchange]
+ * Example: node backtest.js koncorde 4h 365 0.02 ETHUSDT bybit
+ */
+
+import dotenv from 'dotenv';
+import { parseSymbol, DEFAULT_SYMBOL } from './src/binance.js';
+import { getKlineHistory } from './src/kline-store.js';
+import { getExchange, DEFAULT_EXCHANGE } from './src/exchanges/index.js';
+import { runBacktest, TIMEFRAME_MS, DEFAULT_WARMUP } from './src/backtest/backtest-engine.js';
+
+dotenv.config();
+
+async function main() {
+  const [strategy = 'trend_shield', timeframe = '1d', days = '730', stopLoss = '0.005', pair = DEFAULT_SYMBOL, exchange = DEFAULT_EXCHANGE] = process.argv.slice(2);
+  const { symbol } = parseSymbol(pair);
+  getExchange(exchange);
+
+  if (!TIMEFRAME_MS[timeframe]) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+
+  console.log(`=== BACKTEST: ${strategy} on ${exchange} ${symbol} (${timeframe}, last ${days} days) ===\n`);
+
+  // Fetch warmup candles before the requested period
+  const endTime = Date.now();
+  const startTime = endTime - (parseInt(days) * 24 * 60 * 60 * 1000) - (DEFAULT_WARMUP * TIMEFRAME_MS[timeframe]);
+
+  console.log('Fetching historical candles...');
+  const candles = await getKlineHistory(timeframe, startTime, endTime, symbol, exchange);
+  console.log(`✓ Fetched ${candles.length} candles\n`);
+
+  const result = await runBacktest({
+    strategy,
+    timeframe,
+    exchange,
+    symbol,
+    initial_balance: 10000,
+    stop_loss_percent: parseFloat(stopLoss)
+  }, candles);
+
+  const m = result.metrics;
+  console.log('=== RESULTS ===\n');
+  console.log(`Period:          ${new Date(result.startTimestamp).toISOString().slice(0, 10)} → ${new Date(result.endTimestamp).toISOString().slice(0, 10)}`);
+  console.log(`Final equity:    $${m.finalEquity.toFixed(2)} (${m.roiPercent >= 0 ? '+' : ''}${m.roiPercent.toFixed(2)}%)`);
+  console.log(`Buy & hold:      ${m.buyAndHoldRoiPercent >= 0 ? '+' : ''}${m.buyAndHoldRoiPercent.toFixed(2)}%`);
+  console.log(`Trades:          ${m.totalTrades} (${m.winningTrades}W / ${m.losingTrades}L, ${m.winRate.toFixed(1)}% win rate)`);
+  console.log(`Profit factor:   ${m.profitFactor.toFixed(2)}`);
+  console.log(`Max drawdown:    ${m.maxDrawdownPercent.toFixed(2)}%`);
+  console.log(`Sharpe ratio:    ${m.sharpeRatio.toFixed(2)}`);
+  console.log(`Exposure:        ${m.exposurePercent.toFixed(1)}%`);
+  console.log(`Fees paid:       $${m.totalFees.toFixed(2)} (+ $${m.totalSlippage.toFixed(2)} slippage)`);
+
+  if (result.trades.length > 0) {
+    console.log('\nLast trades:');
+    for (const trade of result.trades.slice(-10)) {
+      const date = new Date(trade.timestamp).toISOString().slice(0, 16).replace('T', ' ');
+      const pnl = trade.trade_type === 'sell'
+        ? ` P&L ${trade.profit_loss_percentage >= 0 ? '+' : ''}${trade.profit_loss_percentage.toFixed(2)}%`
+        : '';
+      console.log(`  ${date} ${trade.trade_type.toUpperCase().padEnd(4)} @ $${trade.price.toFixed(2)}${pnl}`);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('\n✗ Backtest failed:', error.message);
+    process.exit(1);
+  });
@@ -3,7 +3,7 @@
  * Tests all indicators against historical data and compares performance
  */
 
-import axios from 'axios';
+import { getExchange } from './src/exchanges/index.js';
 import {
   calculateHeikinAshiSignals,
   calculateTLSignals,
@@ -16,21 +16,10 @@ import {
 import { calculateConvergentSignal } from './src/strategies/convergent-signals.js';
 
 /**
- * Fetch historical candles from Binance
+ * Fetch historical candles from Binance (or recorded files with MARKET_DATA_SOURCE=file)
  */
 async function fetchCandles(symbol = 'BTCUSDT', interval = '1d', limit = 500) {
-  const response = await axios.get('https://api.binance.com/api/v3/klines', {
-    params: { symbol, interval, limit }
-  });
-
-  return response.data.map(k => ({
-    timestamp: k[0],
-    open: parseFloat(k[1]),
-    high: parseFloat(k[2]),
-    low: parseFloat(k[3]),
-    close: parseFloat(k[4]),
-    volume: parseFloat(k[5])
-  }));
+  return getExchange().getKlines(interval, limit, symbol);
 }
 
 /**
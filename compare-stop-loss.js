@@ -3,25 +3,14 @@
  * Tests Heikin Ashi strategy with various stop loss percentages
  */
 
-import axios from 'axios';
+import { getExchange } from './src/exchanges/index.js';
 import { calculateHeikinAshiSignals } from './src/heikin-ashi-strategy.js';
 
 /**
- * Fetch historical candles from Binance
+ * Fetch historical candles from Binance (or recorded files with MARKET_DATA_SOURCE=file)
  */
 async function fetchCandles(symbol = 'BTCUSDT', interval = '1h', limit = 1000) {
-  const response = await axios.get('https://api.binance.com/api/v3/klines', {
-    params: { symbol, interval, limit }
-  });
-
-  return response.data.map(k => ({
-    timestamp: k[0],
-    open: parseFloat(k[1]),
-    high: parseFloat(k[2]),
-    low: parseFloat(k[3]),
-    close: parseFloat(k[4]),
-    volume: parseFloat(k[5])
-  }));
+  return getExchange().getKlines(interval, limit, symbol);
 }
 
 /**
@@ -0,0 +1,135 @@
+/**
+ * Indicator Optimizer CLI
+ * Sweeps indicator parameters over historical exchange klines
+ *
+ * Usage: node optimize.js [timeframe] [days] [metric] [method] [strategy|all] [--symbol=PAIR] [--exchange=NAME] [--walk-forward]
+ * Example: node optimize.js 4h 365 sharpe random koncorde --symbol=ETHUSDT --exchange=bybit
+ *
+ * Metrics: roi, sharpe, max_drawdown, profit_factor
+ * Methods: grid, random
+ *
+ * Walk-forward options:
+ *   --walk-forward        Optimize on rolling in-sample windows, report out-of-sample
+ *   --in-sample=N         In-sample candles per window (default 250)
+ *   --out-of-sample=N     Out-of-sample candles per window (default 60)
+ *   --anchored            Expanding in-sample window instead of rolling
+ */
+
+import dotenv from 'dotenv';
+import { parseSymbol, DEFAULT_SYMBOL } from './src/binance.js';
+import { getKlineHistory } from './src/kline-store.js';
+import { getExchange, DEFAULT_EXCHANGE } from './src/exchanges/index.js';
+import { TIMEFRAME_MS, DEFAULT_WARMUP } from './src/backtest/backtest-engine.js';
+import {
+  OPTIMIZABLE_INDICATORS,
+  OPTIMIZATION_METRICS,
+  optimizeAllIndicators
+} from './src/backtest/optimizer.js';
+import { runWalkForward } from './src/backtest/walk-forward.js';
+
+dotenv.config();
+
+/**
+ * Print the top parameter sets of one indicator
+ */
+function printReport(report, timeframe) {
+  const metricKey = OPTIMIZATION_METRICS[report.metric].key;
+
+  console.log(`\n── ${report.strategy} (${timeframe}) — ${report.evaluated} combinations ──`);
+  console.log(`Defaults: ${report.baseline.metrics[metricKey].toFixed(2)} ${report.metric} (${report.baseline.metrics.totalTrades} trades)`);
+
+  report.results.forEach((result, index) => {
+    const value = Number.isFinite(result.score)
+      ? result.metrics[metricKey].toFixed(2)
+      : 'n/a';
+    const params = Object.entries(result.params)
+      .map(([key, val]) => `${key}=${val}`)
+      .join(', ');
+    console.log(`  ${index + 1}. ${value} ${report.metric} | ${result.metrics.totalTrades} trades | ${params}`);
+  });
+}
+
+/**
+ * Print a walk-forward report
+ */
+function printWalkForward(report, timeframe) {
+  const m = report.metrics;
+
+  console.log(`\n── ${report.strategy} walk-forward (${timeframe}) — ${report.windows.length} windows ──`);
+  for (const window of report.windows) {
+    const from = new Date(window.startTimestamp).toISOString().slice(0, 10);
+    const to = new Date(window.endTimestamp).toISOString().slice(0, 10);
+    console.log(`  ${from} → ${to} | IS ${window.inSampleMetrics.roiPercent.toFixed(2)}% | OOS ${window.outOfSampleMetrics.roiPercent.toFixed(2)}%${window.usedDefaults ? ' (defaults)' : ''}`);
+  }
+  console.log(`  Stitched OOS: ${m.roiPercent.toFixed(2)}% ROI, ${m.totalTrades} trades, ${m.maxDrawdownPercent.toFixed(2)}% max DD, Sharpe ${m.sharpeRatio.toFixed(2)}`);
+  console.log(`  Buy & hold:   ${m.buyAndHoldRoiPercent.toFixed(2)}%`);
+  console.log(`  Efficiency:   ${report.efficiency === null ? 'n/a' : report.efficiency.toFixed(2)} | profitable windows ${report.profitableWindows}/${report.windows.length} | ${report.distinctConfigs} distinct configs`);
+}
+
+/**
+ * Read a --name=value flag
+ */
+function getFlag(flags, name, defaultValue) {
+  const flag = flags.find(f => f.startsWith(`--${name}=`));
+  return flag ? parseInt(flag.split('=')[1]) : defaultValue;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flags = args.filter(a => a.startsWith('--'));
+  const [timeframe = '1d', days = '730', metric = 'roi', method = 'grid', strategy = 'all'] = args.filter(a => !a.startsWith('--'));
+  const walkForward = flags.includes('--walk-forward');
+  const symbolFlag = flags.find(f => f.startsWith('--symbol='));
+  const { symbol } = parseSymbol(symbolFlag ? symbolFlag.split('=')[1] : DEFAULT_SYMBOL);
+  const exchangeFlag = flags.find(f => f.startsWith('--exchange='));
+  const exchange = exchangeFlag ? exchangeFlag.split('=')[1] : DEFAULT_EXCHANGE;
+  getExchange(exchange);
+
+  if (!TIMEFRAME_MS[timeframe]) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+  if (!OPTIMIZATION_METRICS[metric]) {
+    throw new Error(`Unsupported metric: ${metric}`);
+  }
+
+  const strategies = strategy === 'all' ? Object.keys(OPTIMIZABLE_INDICATORS) : [strategy];
+
+  console.log(`=== OPTIMIZER: ${strategies.join(', ')} on ${exchange} ${symbol} (${timeframe}, last ${days} days, ${method} by ${metric}) ===\n`);
+
+  const endTime = Date.now();
+  const startTime = endTime - (parseInt(days) * 24 * 60 * 60 * 1000) - (DEFAULT_WARMUP * TIMEFRAME_MS[timeframe]);
+
+  console.log('Fetching historical candles...');
+  const candles = await getKlineHistory(timeframe, startTime, endTime, symbol, exchange);
+  console.log(`✓ Fetched ${candles.length} candles`);
+
+  if (walkForward) {
+    for (const name of strategies) {
+      const report = await runWalkForward(name, candles, {
+        inSampleSize: getFlag(flags, 'in-sample', 250),
+        outOfSampleSize: getFlag(flags, 'out-of-sample', 60),
+        anchored: flags.includes('--anchored'),
+        accountConfig: { timeframe, exchange, symbol, initial_balance: 10000 },
+        optimizer: { metric, method, iterations: 30 }
+      });
+      printWalkForward(report, timeframe);
+    }
+    return;
+  }
+
+  await optimizeAllIndicators(candles, {
+    strategies,
+    metric,
+    method,
+    iterations: 30,
+    accountConfig: { timeframe, exchange, symbol, initial_balance: 10000 },
+    onResult: report => printReport(report, timeframe)
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('\n✗ Optimization failed:', error.message);
+    process.exit(1);
+  });
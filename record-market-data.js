@@ -0,0 +1,57 @@
+/**
+ * Market Data Recorder CLI
+ * Saves exchange candles as JSON fixtures for MARKET_DATA_SOURCE=file
+ *
+ * Usage: node record-market-data.js [symbol] [timeframes] [days] [exchange]
+ * Example: node record-market-data.js BTCUSDT 1h,1d,1w 1000 binance
+ * Fixtures are written to MARKET_DATA_DIR (default ./fixtures)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseSymbol, DEFAULT_SYMBOL } from './src/binance.js';
+import { TIMEFRAME_MS } from './src/backtest/metrics.js';
+import { getExchange, isFileMarketData, DEFAULT_EXCHANGE } from './src/exchanges/index.js';
+import { getMarketDataDir } from './src/exchanges/file.js';
+
+dotenv.config();
+
+async function main() {
+  const [pair = DEFAULT_SYMBOL, timeframes = '1d,1w', days = '1000', exchange = DEFAULT_EXCHANGE] = process.argv.slice(2);
+  const { symbol } = parseSymbol(pair);
+
+  if (isFileMarketData()) {
+    throw new Error('Unset MARKET_DATA_SOURCE=file to record from an exchange');
+  }
+
+  const adapter = getExchange(exchange);
+  const dir = getMarketDataDir();
+  const now = Date.now();
+  const startTime = now - parseFloat(days) * TIMEFRAME_MS['1d'];
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const timeframe of timeframes.split(',')) {
+    if (!TIMEFRAME_MS[timeframe]) {
+      throw new Error(`Unsupported timeframe: ${timeframe}`);
+    }
+
+    console.log(`Recording ${exchange} ${symbol} ${timeframe} since ${new Date(startTime).toISOString().slice(0, 10)}...`);
+    const candles = await adapter.getHistoricalKlines(timeframe, startTime, now, symbol);
+
+    // Only closed candles, so replays don't depend on when they were recorded
+    const closed = candles.filter(c => c.timestamp + TIMEFRAME_MS[timeframe] <= now);
+    const file = path.join(dir, `${symbol}-${timeframe}.json`);
+    fs.writeFileSync(file, JSON.stringify(closed, null, 2) + '\n');
+
+    console.log(`✓ ${closed.length} candle(s) written to ${file}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('\n✗ Recording failed:', error.message);
+    process.exit(1);
+  });
@@ -4,9 +4,29 @@
  */
 
 import { initDatabase } from './database.js';
+import { DEFAULT_SYMBOL, parseSymbol } from './binance.js';
+import { getExchange, DEFAULT_EXCHANGE } from './exchanges/index.js';
+import {
+  ACCOUNT_TYPES,
+  DEFAULT_REBALANCE_THRESHOLD,
+  isPortfolioAccount,
+  normalizePortfolioAssets,
+  calculateAccountValue
+} from './portfolio.js';
+import { getPortfolioAssets, createPortfolioAssets } from './portfolio-manager.js';
+import { SIGNAL_CANDLE_MODES } from './signal-candles.js';
+import { validateMarginSettings, calculateBorrowInterest } from './margin.js';
+import { validatePositionSettings, parseTakeProfitTargets, aggregatePosition } from './position.js';
+import { validateSizingSettings } from './position-sizing.js';
+import { getStrategyAccountDefaults } from './strategy-factory.js';
+import { validateDcaSettings } from './strategies/dca-strategy.js';
+import { validateGridSettings } from './strategies/grid-strategy.js';
 
 const pool = initDatabase();
 
+// A sell closes a long and a buy closes a short
+const CLOSING_TRADE = `((trade_type = 'sell' AND side = 'long') OR (trade_type = 'buy' AND side = 'short'))`;
+
 /**
  * Get all active accounts
  */
@@ -66,10 +86,80 @@ export async function createAccount(data) {
     take_profit_percent = null,
     trailing_stop = false,
     trailing_stop_percent = null,
+    trailing_stop_atr_multiplier = null,
+    max_holding_hours = null,
     position_size_percent = 0.95,
     required_convergence = 2,
-    timeframe = '1d'
-  } = data;
+    timeframe = '1d',
+    symbol = DEFAULT_SYMBOL,
+    exchange = DEFAULT_EXCHANGE,
+    maker_fee_rate = 0.001,
+    taker_fee_rate = 0.001,
+    slippage_model = 'fixed',
+    slippage_bps = 2,
+    slippage_atr_fraction = 0.05,
+    account_type = 'single',
+    rebalance_threshold = DEFAULT_REBALANCE_THRESHOLD,
+    rebalance_interval_hours = null,
+    signal_candles = 'forming',
+    position_mode = 'long',
+    leverage = 1,
+    borrow_rate_daily = 0.0002,
+    maintenance_margin_rate = 0.005,
+    max_entries = 1,
+    take_profit_targets = null,
+    sizing_mode = 'percent',
+    risk_per_trade_percent = 0.01,
+    sizing_atr_multiplier = 2,
+    target_volatility = 0.5,
+    kelly_fraction = 0.5,
+    fixed_position_usd = null,
+    dca_interval = 'daily',
+    dca_score_weight = 0,
+    grid_lower_price = null,
+    grid_upper_price = null,
+    grid_levels = 10,
+    grid_atr_multiplier = 3,
+    assets = []
+  } = { ...getStrategyAccountDefaults(data.strategy), ...data };
+
+  if (!ACCOUNT_TYPES.includes(account_type)) {
+    throw new Error(`Invalid account_type: ${account_type}. Expected one of ${ACCOUNT_TYPES.join(', ')}`);
+  }
+
+  if (!SIGNAL_CANDLE_MODES.includes(signal_candles)) {
+    throw new Error(`Invalid signal_candles: ${signal_candles}. Expected one of ${SIGNAL_CANDLE_MODES.join(', ')}`);
+  }
+
+  validateMarginSettings({ position_mode, leverage, borrow_rate_daily, maintenance_margin_rate });
+  validatePositionSettings({ max_entries, take_profit_targets });
+  const targets = parseTakeProfitTargets(take_profit_targets);
+  validateSizingSettings({
+    sizing_mode,
+    risk_per_trade_percent,
+    sizing_atr_multiplier,
+    target_volatility,
+    kelly_fraction,
+    fixed_position_usd
+  });
+  if (account_type === 'portfolio' && position_mode !== 'long') {
+    throw new Error('Portfolio accounts can only hold long positions');
+  }
+  if (account_type === 'portfolio' && sizing_mode !== 'percent') {
+    throw new Error('Portfolio accounts are sized by their target weights');
+  }
+  if (strategy === 'dca') {
+    validateDcaSettings({ dca_interval, dca_score_weight, position_mode, timeframe, account_type });
+  }
+  if (strategy === 'grid') {
+    validateGridSettings({ grid_lower_price, grid_upper_price, grid_levels, grid_atr_multiplier, position_mode, account_type });
+  }
+
+  getExchange(exchange);
+  const { baseAsset, quoteAsset } = parseSymbol(symbol);
+  const portfolioAssets = account_type === 'portfolio'
+    ? normalizePortfolioAssets(assets)
+    : [];
 
   const client = await pool.connect();
   try {
@@ -78,8 +168,16 @@ export async function createAccount(data) {
         account_name, strategy, initial_balance, balance_usd, is_active,
         stop_loss_percent, take_profit_percent, trailing_stop,
         trailing_stop_percent, position_size_percent, required_convergence,
-        timeframe
-      ) VALUES ($1, $2, $3, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        timeframe, maker_fee_rate, taker_fee_rate, slippage_model,
+        slippage_bps, slippage_atr_fraction, trailing_stop_atr_multiplier,
+        max_holding_hours, symbol, base_asset, quote_asset, account_type,
+        rebalance_threshold, rebalance_interval_hours, exchange, signal_candles,
+        position_mode, leverage, borrow_rate_daily, maintenance_margin_rate,
+        max_entries, take_profit_targets, sizing_mode, risk_per_trade_percent,
+        sizing_atr_multiplier, target_volatility, kelly_fraction, fixed_position_usd,
+        dca_interval, dca_score_weight, grid_lower_price, grid_upper_price,
+        grid_levels, grid_atr_multiplier
+      ) VALUES ($1, $2, $3, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39, $40, $41, $42, $43, $44)
       RETURNING *
     `, [
       account_name,
@@ -92,10 +190,48 @@ export async function createAccount(data) {
       trailing_stop_percent,
       position_size_percent,
       required_convergence,
-      timeframe
+      timeframe,
+      maker_fee_rate,
+      taker_fee_rate,
+      slippage_model,
+      slippage_bps,
+      slippage_atr_fraction,
+      trailing_stop_atr_multiplier,
+      max_holding_hours,
+      `${baseAsset}${quoteAsset}`,
+      baseAsset,
+      quoteAsset,
+      account_type,
+      rebalance_threshold,
+      rebalance_interval_hours,
+      exchange,
+      signal_candles,
+      position_mode,
+      leverage,
+      borrow_rate_daily,
+      maintenance_margin_rate,
+      max_entries,
+      targets.length > 0 ? JSON.stringify(targets) : null,
+      sizing_mode,
+      risk_per_trade_percent,
+      sizing_atr_multiplier,
+      target_volatility,
+      kelly_fraction,
+      fixed_position_usd,
+      dca_interval,
+      dca_score_weight,
+      grid_lower_price,
+      grid_upper_price,
+      grid_levels,
+      grid_atr_multiplier
     ]);
 
-    return result.rows[0];
+    const account = result.rows[0];
+    if (portfolioAssets.length > 0) {
+      account.assets = await createPortfolioAssets(account.id, portfolioAssets);
+    }
+
+    return account;
   } finally {
     client.release();
   }
@@ -183,7 +319,7 @@ export async function getAccountBalance(accountId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      'SELECT balance_usd, balance_btc FROM trading_accounts WHERE id = $1',
+      'SELECT balance_usd, balance_base FROM trading_accounts WHERE id = $1',
       [accountId]
     );
     return result.rows[0] || null;
@@ -195,15 +331,15 @@ export async function getAccountBalance(accountId) {
 /**
  * Update account balance
  */
-export async function updateAccountBalance(accountId, balanceUsd, balanceBtc) {
+export async function updateAccountBalance(accountId, balanceUsd, balanceBase) {
   const client = await pool.connect();
   try {
     const result = await client.query(`
       UPDATE trading_accounts
-      SET balance_usd = $1, balance_btc = $2, updated_at = NOW()
+      SET balance_usd = $1, balance_base = $2, updated_at = NOW()
       WHERE id = $3
       RETURNING *
-    `, [balanceUsd, balanceBtc, accountId]);
+    `, [balanceUsd, balanceBase, accountId]);
 
     return result.rows[0];
   } finally {
@@ -248,6 +384,61 @@ export async function updateAccountMetrics(accountId, metrics) {
   }
 }
 
+/**
+ * Add trading fees to the account's running total
+ */
+export async function addAccountFees(accountId, feeUsd) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      UPDATE trading_accounts
+      SET total_fees_usd = COALESCE(total_fees_usd, 0) + $1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [feeUsd, accountId]);
+
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Persist a moved stop loss on an open position (its first entry)
+ * exitsCheckedAt marks the last candle replayed by the fill simulator
+ */
+export async function updatePositionStop(tradeId, stopLossPrice, highestPrice, exitsCheckedAt = null) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      UPDATE paper_trades
+      SET stop_loss_price = $1, highest_price = $2,
+        exits_checked_at = COALESCE($3, exits_checked_at)
+      WHERE id = $4
+      RETURNING *
+    `, [stopLossPrice, highestPrice, exitsCheckedAt, tradeId]);
+
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remember the last candle an account acted on in closed-candle mode
+ */
+export async function markSignalEvaluated(accountId, candleTime) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      'UPDATE trading_accounts SET last_signal_candle_at = $1 WHERE id = $2',
+      [new Date(candleTime), accountId]
+    );
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Get account trades
  */
@@ -267,10 +458,30 @@ export async function getAccountTrades(accountId, limit = 50) {
   }
 }
 
+/**
+ * Get all closing trades (long sells and short covers) of an account, oldest first
+ */
+export async function getAccountClosedTrades(accountId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT * FROM paper_trades
+      WHERE account_id = $1 AND ${CLOSING_TRADE}
+      ORDER BY created_at ASC
+    `, [accountId]);
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Save account snapshot (for historical tracking)
+ * @param {number} accountId
+ * @param {number|Object} prices - Price of the account symbol, or { [symbol]: price }
  */
-export async function saveAccountSnapshot(accountId, btcPrice) {
+export async function saveAccountSnapshot(accountId, prices) {
   const client = await pool.connect();
   try {
     // Get current balance
@@ -279,21 +490,28 @@ export async function saveAccountSnapshot(accountId, btcPrice) {
       throw new Error(`Account ${accountId} not found`);
     }
 
-    const totalValueUsd = account.balance_usd + (account.balance_btc * btcPrice);
-    const roiPercent = ((totalValueUsd - account.initial_balance) / account.initial_balance) * 100;
+    const symbol = account.symbol || DEFAULT_SYMBOL;
+    const pricesBySymbol = typeof prices === 'number' ? { [symbol]: prices } : prices;
+    const assets = isPortfolioAccount(account) ? await getPortfolioAssets(accountId) : [];
+
+    const price = isPortfolioAccount(account) ? null : pricesBySymbol[symbol];
+    const totalValueUsd = calculateAccountValue(account, pricesBySymbol, assets) -
+      await getAccruedInterest(account, price);
+    const initialBalance = parseFloat(account.initial_balance);
+    const roiPercent = ((totalValueUsd - initialBalance) / initialBalance) * 100;
 
     const result = await client.query(`
       INSERT INTO account_snapshots (
-        account_id, balance_usd, balance_btc, total_value_usd,
-        btc_price, roi_percent
+        account_id, balance_usd, balance_base, total_value_usd,
+        price, roi_percent
       ) VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `, [
       accountId,
       account.balance_usd,
-      account.balance_btc,
+      account.balance_base,
       totalValueUsd,
-      btcPrice,
+      price,
       roiPercent
     ]);
 
@@ -303,6 +521,17 @@ export async function saveAccountSnapshot(accountId, btcPrice) {
   }
 }
 
+/**
+ * Borrow interest accrued on an account's open short, 0 without one
+ * Shorts show as a negative balance_base, so longs need no lookup
+ */
+export async function getAccruedInterest(account, price) {
+  if (!((parseFloat(account.balance_base) || 0) < 0) || !price) return 0;
+
+  const position = await getAccountActivePosition(account.id, account);
+  return position ? calculateBorrowInterest(account, position, price) : 0;
+}
+
 /**
  * Get account snapshots (for charts)
  */
@@ -323,24 +552,64 @@ export async function getAccountSnapshots(accountId, limit = 100) {
 }
 
 /**
- * Get account active position
+ * Get account active position: the entries and exits of its latest
+ * position, aggregated (average entry, open quantity and cost), or null
+ * once that position is closed
+ * @param {number} accountId
+ * @param {Object} account - The account row, for take-profit targets and margin settings
  */
-export async function getAccountActivePosition(accountId) {
+export async function getAccountActivePosition(accountId, account = {}) {
   const client = await pool.connect();
   try {
     const result = await client.query(`
       SELECT * FROM paper_trades
-      WHERE account_id = $1 AND trade_type = 'buy'
-      AND created_at > (
-        SELECT COALESCE(MAX(created_at), '1970-01-01')
-        FROM paper_trades
-        WHERE account_id = $1 AND trade_type = 'sell'
+      WHERE account_id = $1 AND position_id = (
+        SELECT position_id FROM paper_trades
+        WHERE account_id = $1 AND position_id IS NOT NULL
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
       )
-      ORDER BY created_at DESC
-      LIMIT 1
+      ORDER BY created_at ASC, id ASC
     `, [accountId]);
 
-    return result.rows[0] || null;
+    return aggregatePosition(result.rows, account);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get every open position of an account, each aggregated like
+ * getAccountActivePosition(), oldest first
+ * Accounts whose strategy trades lots hold several at once
+ * @param {number} accountId
+ * @param {Object} account - The account row, for take-profit targets and margin settings
+ */
+export async function getAccountOpenLots(accountId, account = {}) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT * FROM paper_trades
+      WHERE account_id = $1 AND position_id IN (
+        SELECT position_id FROM paper_trades
+        WHERE account_id = $1 AND position_id IS NOT NULL
+        GROUP BY position_id
+        HAVING SUM(CASE WHEN ${CLOSING_TRADE} THEN -base_amount ELSE base_amount END) > 0
+      )
+      ORDER BY created_at ASC, id ASC
+    `, [accountId]);
+
+    const tradesByPosition = new Map();
+    for (const trade of result.rows) {
+      if (!tradesByPosition.has(trade.position_id)) {
+        tradesByPosition.set(trade.position_id, []);
+      }
+      tradesByPosition.get(trade.position_id).push(trade);
+    }
+
+    return [...tradesByPosition.values()]
+      .map(trades => aggregatePosition(trades, account))
+      .filter(Boolean);
   } finally {
     client.release();
   }
@@ -357,8 +626,14 @@ export default {
   getAccountBalance,
   updateAccountBalance,
   updateAccountMetrics,
+  addAccountFees,
+  updatePositionStop,
+  markSignalEvaluated,
   getAccountTrades,
+  getAccountClosedTrades,
   saveAccountSnapshot,
+  getAccruedInterest,
   getAccountSnapshots,
-  getAccountActivePosition
+  getAccountActivePosition,
+  getAccountOpenLots
 };
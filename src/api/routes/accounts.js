@@ -12,11 +12,27 @@ import {
   toggleAccount,
   deleteAccount,
   getAccountTrades,
-  getAccountSnapshots
+  getAccountClosedTrades,
+  getAccountSnapshots,
+  getAccountOpenLots
 } from '../../account-manager.js';
+import { isPortfolioAccount } from '../../portfolio.js';
+import { createStrategy } from '../../strategy-factory.js';
+import { isKlineStoreEnabled, loadLatestKlines } from '../../kline-store.js';
+import { DEFAULT_SYMBOL } from '../../binance.js';
+import { DEFAULT_EXCHANGE } from '../../exchanges/index.js';
+import { getPortfolioAssets } from '../../portfolio-manager.js';
+import {
+  getTradeReturns,
+  parseMonteCarloQuery,
+  runMonteCarlo
+} from '../../backtest/monte-carlo.js';
 
 const router = express.Router();
 
+// Candles handed to lot strategies laying out their grid (ATR needs 15)
+const GRID_CANDLE_LIMIT = 100;
+
 // GET /api/accounts - List all accounts
 router.get('/', async (req, res) => {
   try {
@@ -46,6 +62,28 @@ router.get('/:id', async (req, res) => {
     if (!account) {
       return res.status(404).json({ error: 'Account not found' });
     }
+    if (isPortfolioAccount(account)) {
+      account.assets = await getPortfolioAssets(account.id);
+    }
+
+    // Lot strategies report their open lots and realized profit; an ATR
+    // grid without lots is laid out from the stored candles, when kept
+    const strategy = createStrategy(account);
+    if (strategy.tradesLots()) {
+      const candles = isKlineStoreEnabled()
+        ? await loadLatestKlines(
+          account.symbol || DEFAULT_SYMBOL,
+          account.timeframe || '1d',
+          GRID_CANDLE_LIMIT,
+          account.exchange || DEFAULT_EXCHANGE
+        )
+        : [];
+      account.lots = strategy.summarizeLots(
+        candles,
+        await getAccountOpenLots(account.id, account),
+        await getAccountClosedTrades(account.id)
+      );
+    }
     res.json(account);
   } catch (error) {
     console.error('Error getting account:', error);
@@ -117,4 +155,37 @@ router.get('/:id/snapshots', async (req, res) => {
   }
 });
 
+// GET /api/accounts/:id/monte-carlo - Monte Carlo robustness of closed trades
+router.get('/:id/monte-carlo', async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const account = await getAccountById(accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    let options;
+    try {
+      options = parseMonteCarloQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const returns = getTradeReturns(await getAccountClosedTrades(accountId));
+    if (returns.length === 0) {
+      return res.status(422).json({ error: 'Account has no closed trades' });
+    }
+
+    const analysis = runMonteCarlo(returns, {
+      ...options,
+      initialBalance: parseFloat(account.initial_balance)
+    });
+
+    res.json({ account_id: accountId, account_name: account.account_name, ...analysis });
+  } catch (error) {
+    console.error('Error running Monte Carlo analysis:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,139 @@
+/**
+ * Backtests API Routes
+ * Launch backtests and read their results
+ */
+
+import express from 'express';
+import { launchBacktest } from '../../backtest/backtest-service.js';
+import {
+  getBacktestById,
+  getBacktestTrades,
+  listBacktests,
+  deleteBacktest
+} from '../../backtest/backtest-db.js';
+import {
+  getTradeReturns,
+  parseMonteCarloQuery,
+  runMonteCarlo
+} from '../../backtest/monte-carlo.js';
+
+const router = express.Router();
+
+/**
+ * Backtest id from the route, null when it isn't a whole number
+ */
+function parseBacktestId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) ? id : null;
+}
+
+// GET /api/backtests - List backtest runs
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const backtests = await listBacktests(limit);
+    res.json(backtests);
+  } catch (error) {
+    console.error('Error getting backtests:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/backtests - Launch a backtest (runs in background)
+router.post('/', async (req, res) => {
+  try {
+    const backtest = await launchBacktest(req.body);
+    res.status(202).json(backtest);
+  } catch (error) {
+    console.error('Error launching backtest:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/backtests/:id - Get status, trades and equity curve
+router.get('/:id', async (req, res) => {
+  try {
+    const backtestId = parseBacktestId(req);
+    if (backtestId === null) {
+      return res.status(400).json({ error: 'Backtest id must be a number' });
+    }
+
+    const backtest = await getBacktestById(backtestId);
+    if (!backtest) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+
+    const trades = backtest.status === 'completed'
+      ? await getBacktestTrades(backtestId)
+      : [];
+
+    const equityCurve = (backtest.equity_curve || []).map(([timestamp, equity, price]) => ({
+      timestamp,
+      equity,
+      price
+    }));
+
+    res.json({ ...backtest, equity_curve: equityCurve, trades });
+  } catch (error) {
+    console.error('Error getting backtest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/backtests/:id/monte-carlo - Monte Carlo robustness of backtest trades
+router.get('/:id/monte-carlo', async (req, res) => {
+  try {
+    const backtestId = parseBacktestId(req);
+    if (backtestId === null) {
+      return res.status(400).json({ error: 'Backtest id must be a number' });
+    }
+
+    const backtest = await getBacktestById(backtestId);
+    if (!backtest) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+    if (backtest.status !== 'completed') {
+      return res.status(409).json({ error: `Backtest is ${backtest.status}` });
+    }
+
+    let options;
+    try {
+      options = parseMonteCarloQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const returns = getTradeReturns(await getBacktestTrades(backtestId));
+    if (returns.length === 0) {
+      return res.status(422).json({ error: 'Backtest has no closed trades' });
+    }
+
+    const analysis = runMonteCarlo(returns, {
+      ...options,
+      initialBalance: backtest.metrics.initialBalance
+    });
+
+    res.json({ backtest_id: backtestId, ...analysis });
+  } catch (error) {
+    console.error('Error running Monte Carlo analysis:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/backtests/:id - Delete a backtest run
+router.delete('/:id', async (req, res) => {
+  try {
+    const backtestId = parseBacktestId(req);
+    if (backtestId === null) {
+      return res.status(400).json({ error: 'Backtest id must be a number' });
+    }
+
+    await deleteBacktest(backtestId);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting backtest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
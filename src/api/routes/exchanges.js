@@ -0,0 +1,40 @@
+/**
+ * Exchanges API Routes
+ * List exchange adapters and look up their trading pairs
+ */
+
+import express from 'express';
+import { getExchange, getAvailableExchanges } from '../../exchanges/index.js';
+
+const router = express.Router();
+
+// GET /api/exchanges - List available exchanges
+router.get('/', async (req, res) => {
+  try {
+    const exchanges = getAvailableExchanges();
+    res.json(exchanges);
+  } catch (error) {
+    console.error('Error getting exchanges:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/exchanges/:exchange/symbols/:symbol - Look up a trading pair
+router.get('/:exchange/symbols/:symbol', async (req, res) => {
+  let exchange;
+  try {
+    exchange = getExchange(req.params.exchange);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+
+  try {
+    const info = await exchange.getSymbolInfo(req.params.symbol);
+    res.json(info);
+  } catch (error) {
+    console.error('Error getting symbol info:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+export default router;
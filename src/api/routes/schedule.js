@@ -0,0 +1,22 @@
+/**
+ * Schedule API Routes
+ * Upcoming trading runs per timeframe and the analysis schedule
+ */
+
+import express from 'express';
+import { getUpcomingRuns } from '../../scheduler.js';
+
+const router = express.Router();
+
+// GET /api/schedule - Next runs per timeframe (?count=N upcoming times each)
+router.get('/', async (req, res) => {
+  try {
+    const count = Math.min(Math.max(parseInt(req.query.count) || 3, 1), 50);
+    res.json(getUpcomingRuns(count));
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -8,6 +8,9 @@ import cors from 'cors';
 import accountsRouter from './routes/accounts.js';
 import rankingsRouter from './routes/rankings.js';
 import strategiesRouter from './routes/strategies.js';
+import backtestsRouter from './routes/backtests.js';
+import exchangesRouter from './routes/exchanges.js';
+import scheduleRouter from './routes/schedule.js';
 
 const app = express();
 const PORT = process.env.API_PORT || 3001;
@@ -20,6 +23,9 @@ app.use(express.json());
 app.use('/api/accounts', accountsRouter);
 app.use('/api/rankings', rankingsRouter);
 app.use('/api/strategies', strategiesRouter);
+app.use('/api/backtests', backtestsRouter);
+app.use('/api/exchanges', exchangesRouter);
+app.use('/api/schedule', scheduleRouter);
 
 // Health check
 app.get('/health', (req, res) => {
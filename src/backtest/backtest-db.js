@@ -0,0 +1,225 @@
+/**
+ * Backtest Database
+ * Persists backtest runs, their trades and equity curves
+ */
+
+import { initDatabase } from '../database.js';
+import { DEFAULT_SYMBOL } from '../binance.js';
+import { DEFAULT_EXCHANGE } from '../exchanges/index.js';
+
+const pool = initDatabase();
+
+/**
+ * Create a pending backtest run
+ */
+export async function createBacktestRun(data) {
+  const {
+    strategy,
+    exchange = DEFAULT_EXCHANGE,
+    symbol = DEFAULT_SYMBOL,
+    timeframe,
+    start_date,
+    end_date,
+    parameters = {}
+  } = data;
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      INSERT INTO backtest_runs (strategy, exchange, symbol, timeframe, start_date, end_date, parameters)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [strategy, exchange, symbol, timeframe, start_date, end_date, JSON.stringify(parameters)]);
+
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a backtest run as running
+ */
+export async function markBacktestRunning(backtestId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      UPDATE backtest_runs
+      SET status = 'running', started_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [backtestId]);
+
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a backtest run as failed
+ */
+export async function markBacktestFailed(backtestId, errorMessage) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      UPDATE backtest_runs
+      SET status = 'failed', error = $1, completed_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [errorMessage, backtestId]);
+
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Save backtest results and mark the run completed
+ */
+export async function saveBacktestResults(backtestId, result) {
+  const { trades, equityCurve, metrics } = result;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const trade of trades) {
+      await client.query(`
+        INSERT INTO backtest_trades (
+          backtest_id, trade_type, price, base_amount, usd_amount,
+          balance_usd, balance_base, stop_loss_price, take_profit_price,
+          profit_loss_usd, profit_loss_percentage, fee_usd, slippage_usd,
+          highest_price, exit_reason, reason, timestamp, position_id,
+          sizing_mode, sizing_inputs, grid_level, grid_price, side, leverage,
+          margin_usd, liquidation_price, interest_usd
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27)
+      `, [
+        backtestId,
+        trade.trade_type,
+        trade.price,
+        trade.base_amount,
+        trade.usd_amount,
+        trade.balance_usd,
+        trade.balance_base,
+        trade.stop_loss_price ?? null,
+        trade.take_profit_price ?? null,
+        trade.profit_loss_usd ?? null,
+        trade.profit_loss_percentage ?? null,
+        trade.fee_usd ?? 0,
+        trade.slippage_usd ?? 0,
+        trade.highest_price ?? null,
+        trade.exit_reason ?? null,
+        trade.reason,
+        new Date(trade.timestamp),
+        trade.position_id ?? null,
+        trade.sizing_mode ?? null,
+        trade.sizing_inputs ? JSON.stringify(trade.sizing_inputs) : null,
+        trade.grid_level ?? null,
+        trade.grid_price ?? null,
+        trade.side ?? 'long',
+        trade.leverage ?? null,
+        trade.margin_usd ?? null,
+        trade.liquidation_price ?? null,
+        trade.interest_usd ?? null
+      ]);
+    }
+
+    // Store the curve compactly: [timestamp, equity, price]
+    const curve = equityCurve.map(p => [p.timestamp, p.equity, p.price]);
+
+    const updated = await client.query(`
+      UPDATE backtest_runs
+      SET status = 'completed', metrics = $1, equity_curve = $2, completed_at = NOW()
+      WHERE id = $3
+      RETURNING *
+    `, [JSON.stringify(metrics), JSON.stringify(curve), backtestId]);
+
+    await client.query('COMMIT');
+
+    return updated.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get backtest run by ID
+ */
+export async function getBacktestById(backtestId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT * FROM backtest_runs WHERE id = $1',
+      [backtestId]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get trades of a backtest run
+ */
+export async function getBacktestTrades(backtestId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT * FROM backtest_trades
+      WHERE backtest_id = $1
+      ORDER BY timestamp ASC, id ASC
+    `, [backtestId]);
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List backtest runs (without trades or equity curve)
+ */
+export async function listBacktests(limit = 50) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT id, strategy, exchange, symbol, timeframe, start_date, end_date, parameters,
+        status, metrics, error, created_at, started_at, completed_at
+      FROM backtest_runs
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a backtest run (trades cascade)
+ */
+export async function deleteBacktest(backtestId) {
+  const client = await pool.connect();
+  try {
+    await client.query('DELETE FROM backtest_runs WHERE id = $1', [backtestId]);
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  createBacktestRun,
+  markBacktestRunning,
+  markBacktestFailed,
+  saveBacktestResults,
+  getBacktestById,
+  getBacktestTrades,
+  listBacktests,
+  deleteBacktest
+};
@@ -0,0 +1,375 @@
+/**
+ * Backtest Engine
+ * Replays any strategy candle-by-candle over historical klines,
+ * driving it through the same calls executeAccountTrading makes live,
+ * shorts on margin included
+ */
+
+import { createStrategy, getStrategyAccountDefaults } from '../strategy-factory.js';
+import { calculateAllSignals } from '../indicators/index.js';
+import {
+  calculateBuyOrder,
+  calculateSellOrder,
+  calculateShortOrder,
+  calculateCloseOrder,
+  calculateScaleInOrder,
+  calculateGridBuyOrder,
+  calculateMetricsAfterSell
+} from '../trade-execution.js';
+import {
+  allowsLong,
+  allowsShort,
+  isShortPosition,
+  isClosingTrade,
+  calculateBorrowInterest,
+  DEFAULT_MARGIN_SETTINGS
+} from '../margin.js';
+import { aggregatePosition, getExitFraction } from '../position.js';
+import { getSizingMode, calculateTradeStats } from '../position-sizing.js';
+import { calculateTrailingStop } from '../trailing-stop.js';
+import { findCandleFill } from '../fill-simulator.js';
+import { calculateBacktestMetrics, TIMEFRAME_MS } from './metrics.js';
+import { DEFAULT_EXECUTION_COSTS } from '../execution-model.js';
+import { DEFAULT_SYMBOL } from '../binance.js';
+import { DEFAULT_EXCHANGE } from '../exchanges/index.js';
+
+export { TIMEFRAME_MS };
+
+// Same candle window executeMultiAccountTrading fetches per timeframe
+const DEFAULT_LOOKBACK = 500;
+
+// Trend Shield needs 220 candles, indicators need less
+export const DEFAULT_WARMUP = 220;
+
+// Yield to the event loop every N candles so the API and cron stay responsive
+const YIELD_EVERY = 50;
+
+// calculateAllSignals flag for each indicator result key
+const INDICATOR_FLAGS = {
+  heikinAshi: 'useHeikinAshi',
+  tlSignals: 'useTLSignals',
+  koncorde: 'useKoncorde',
+  lupown: 'useLupown',
+  whales: 'useWhaleDetector',
+  divergences: 'useDivergences',
+  orderBlocks: 'useOrderBlocks'
+};
+
+/**
+ * Build a simulated account with the same defaults as createAccount()
+ */
+export function createBacktestAccount(accountConfig = {}) {
+  const config = { ...getStrategyAccountDefaults(accountConfig.strategy), ...accountConfig };
+  const initialBalance = parseFloat(config.initial_balance ?? 1000);
+
+  return {
+    id: null,
+    account_name: config.account_name || 'Backtest',
+    strategy: config.strategy,
+    timeframe: config.timeframe || '1d',
+    exchange: config.exchange || DEFAULT_EXCHANGE,
+    symbol: config.symbol || DEFAULT_SYMBOL,
+    initial_balance: initialBalance,
+    balance_usd: initialBalance,
+    balance_base: 0,
+    stop_loss_percent: config.stop_loss_percent === undefined ? 0.005 : config.stop_loss_percent,
+    take_profit_percent: config.take_profit_percent ?? null,
+    trailing_stop: config.trailing_stop ?? false,
+    trailing_stop_percent: config.trailing_stop_percent ?? null,
+    trailing_stop_atr_multiplier: config.trailing_stop_atr_multiplier ?? null,
+    max_holding_hours: config.max_holding_hours ?? null,
+    max_entries: config.max_entries ?? 1,
+    take_profit_targets: config.take_profit_targets ?? null,
+    sizing_mode: config.sizing_mode ?? 'percent',
+    risk_per_trade_percent: config.risk_per_trade_percent ?? 0.01,
+    sizing_atr_multiplier: config.sizing_atr_multiplier ?? 2,
+    target_volatility: config.target_volatility ?? 0.5,
+    kelly_fraction: config.kelly_fraction ?? 0.5,
+    fixed_position_usd: config.fixed_position_usd ?? null,
+    dca_interval: config.dca_interval ?? 'daily',
+    dca_score_weight: config.dca_score_weight ?? 0,
+    grid_lower_price: config.grid_lower_price ?? null,
+    grid_upper_price: config.grid_upper_price ?? null,
+    grid_levels: config.grid_levels ?? 10,
+    grid_atr_multiplier: config.grid_atr_multiplier ?? 3,
+    position_mode: config.position_mode ?? DEFAULT_MARGIN_SETTINGS.position_mode,
+    leverage: config.leverage ?? DEFAULT_MARGIN_SETTINGS.leverage,
+    borrow_rate_daily: config.borrow_rate_daily ?? DEFAULT_MARGIN_SETTINGS.borrow_rate_daily,
+    maintenance_margin_rate: config.maintenance_margin_rate ?? DEFAULT_MARGIN_SETTINGS.maintenance_margin_rate,
+    position_size_percent: config.position_size_percent ?? 0.95,
+    required_convergence: config.required_convergence ?? 2,
+    maker_fee_rate: config.maker_fee_rate ?? DEFAULT_EXECUTION_COSTS.maker_fee_rate,
+    taker_fee_rate: config.taker_fee_rate ?? DEFAULT_EXECUTION_COSTS.taker_fee_rate,
+    slippage_model: config.slippage_model ?? DEFAULT_EXECUTION_COSTS.slippage_model,
+    slippage_bps: config.slippage_bps ?? DEFAULT_EXECUTION_COSTS.slippage_bps,
+    slippage_atr_fraction: config.slippage_atr_fraction ?? DEFAULT_EXECUTION_COSTS.slippage_atr_fraction,
+    total_fees_usd: 0,
+    total_trades: 0,
+    winning_trades: 0,
+    losing_trades: 0,
+    total_profit_loss: 0
+  };
+}
+
+/**
+ * Build calculateAllSignals options for a strategy
+ * Indicator strategies only read their own indicator, so the rest are skipped
+ */
+function getSignalOptions(strategy, indicatorOptions) {
+  const options = {};
+  const ownKey = typeof strategy.getIndicatorKey === 'function'
+    ? strategy.getIndicatorKey()
+    : null;
+
+  for (const [key, flag] of Object.entries(INDICATOR_FLAGS)) {
+    options[flag] = key === ownKey;
+  }
+
+  return { ...options, ...indicatorOptions };
+}
+
+/**
+ * Run a backtest
+ *
+ * @param {Object} accountConfig - Account fields (strategy, timeframe, stop_loss_percent, ...)
+ * @param {Array} candles - OHLCV candles, oldest first
+ * @param {Object} options
+ * @param {number} options.warmup - Candles consumed before the first evaluation
+ * @param {number} options.lookback - Max candles handed to indicators each step
+ * @param {Object} options.indicatorOptions - Extra calculateAllSignals options (e.g. koncordeConfig)
+ * @param {boolean} options.closeAtEnd - Close any open position on the last candle
+ * @param {Function} options.onProgress - Called with (processed, total)
+ * @returns {Object} { account, trades, equityCurve, metrics, openPosition, openLots }
+ *   where openLots are the lots of lot strategies, whose metrics.lots
+ *   reports their grid and realized profit
+ */
+export async function runBacktest(accountConfig, candles, options = {}) {
+  const {
+    warmup = DEFAULT_WARMUP,
+    lookback = DEFAULT_LOOKBACK,
+    indicatorOptions = {},
+    closeAtEnd = true,
+    onProgress = null
+  } = options;
+
+  if (!candles || candles.length <= warmup) {
+    throw new Error(`Not enough candles for backtest (got ${candles?.length || 0}, need more than ${warmup})`);
+  }
+
+  const account = createBacktestAccount(accountConfig);
+  const strategy = createStrategy(account);
+  const signalOptions = getSignalOptions(strategy, indicatorOptions);
+
+  const trades = [];
+  const equityCurve = [];
+  let activePosition = null;
+
+  // Entries and exits of the open position, numbered in run order
+  let positionTrades = [];
+  let positionCount = 0;
+
+  // Lot strategies hold several positions at once, each one entry and one exit
+  const tradesLots = strategy.tradesLots();
+  let openLots = [];
+
+  // Kelly sizing reads the positions closed so far in the run
+  const getSizingOptions = () => getSizingMode(account) === 'kelly'
+    ? { tradeStats: calculateTradeStats(trades.filter(isClosingTrade)) }
+    : {};
+
+  const applyOrder = order => {
+    account.total_fees_usd += order.fee_usd;
+    account.balance_usd = order.balance_usd;
+    account.balance_base = order.balance_base;
+  };
+
+  const recordEntry = (order, timestamp) => {
+    // Entries too small for the account's sizing are skipped
+    if (!order) return;
+
+    if (!activePosition) {
+      positionTrades = [];
+      positionCount++;
+    }
+
+    const trade = { ...order, timestamp, created_at: new Date(timestamp), position_id: positionCount };
+    trades.push(trade);
+    positionTrades.push(trade);
+    applyOrder(order);
+    activePosition = aggregatePosition(positionTrades, account);
+  };
+
+  const recordExit = (order, timestamp, fraction = 1) => {
+    const trade = { ...order, timestamp, position_id: positionCount };
+    trades.push(trade);
+    positionTrades.push(trade);
+    Object.assign(account, calculateMetricsAfterSell(account, order.profit_loss_usd, {
+      closesPosition: fraction >= 1,
+      positionProfitLossUsd: activePosition.realized_profit_loss + order.profit_loss_usd
+    }));
+    applyOrder(order);
+    activePosition = fraction >= 1 ? null : aggregatePosition(positionTrades, account);
+  };
+
+  const recordLotBuy = (order, timestamp) => {
+    if (!order) return;
+
+    positionCount++;
+    const trade = { ...order, timestamp, created_at: new Date(timestamp), position_id: positionCount };
+    trades.push(trade);
+    applyOrder(order);
+    openLots.push(aggregatePosition([trade], account));
+  };
+
+  const recordLotSell = (lot, order, timestamp) => {
+    trades.push({ ...order, timestamp, position_id: lot.position_id });
+    Object.assign(account, calculateMetricsAfterSell(account, order.profit_loss_usd));
+    applyOrder(order);
+    openLots = openLots.filter(open => open !== lot);
+  };
+
+  const total = candles.length - warmup;
+
+  for (let i = warmup; i < candles.length; i++) {
+    const candle = candles[i];
+    const window = candles.slice(Math.max(0, i - lookback + 1), i + 1);
+
+    // Resting stop/target orders (and liquidations of shorts) fill inside
+    // the candle, before its close
+    const restingFill = activePosition
+      ? findCandleFill(candle, activePosition.stop_loss_price, activePosition.take_profit_price, {
+        side: isShortPosition(activePosition) ? 'short' : 'long',
+        liquidationPrice: activePosition.liquidation_price
+      })
+      : null;
+
+    if (tradesLots) {
+      // Same sequence as executeLotTrading: lot exits, then buys
+      const { exits, buys } = strategy.findLotFills(window, openLots);
+      for (const exit of exits) {
+        const order = calculateSellOrder(account, exit.price, exit.lot, window, exit.exitReason, {
+          lot: true,
+          liquidity: exit.liquidity
+        });
+        recordLotSell(exit.lot, order, candle.timestamp);
+      }
+      for (const buy of buys) {
+        recordLotBuy(calculateGridBuyOrder(account, buy, window, getSizingOptions()), candle.timestamp);
+      }
+    } else if (restingFill) {
+      const fraction = getExitFraction(activePosition, restingFill.exitReason);
+      const order = calculateCloseOrder(account, restingFill.price, activePosition, window, restingFill.exitReason, {
+        fraction,
+        now: candle.timestamp
+      });
+      recordExit(order, candle.timestamp, fraction);
+    } else {
+      const allIndicatorSignals = await calculateAllSignals(window, signalOptions);
+      const marketData = {
+        currentPrice: candle.close,
+        dailyKlines: window,
+        timestamp: candle.timestamp
+      };
+
+      // Same sequence as executeAccountTrading
+      const signals = await strategy.calculateSignals(marketData, allIndicatorSignals);
+
+      if (activePosition) {
+        // Stops trail the candle high, or its low for shorts
+        const bestPrice = isShortPosition(activePosition) ? candle.low : candle.high;
+        const update = calculateTrailingStop(account, activePosition, bestPrice, window);
+        if (update?.changed) {
+          // The first entry carries the position's stop, like updatePositionStop()
+          for (const position of [activePosition, positionTrades[0]]) {
+            position.stop_loss_price = update.stopLossPrice;
+            position.highest_price = update.highestPrice;
+          }
+        }
+      }
+
+      // Entries on the sides the account's position_mode allows
+      const shouldBuy = allowsLong(account) && await strategy.shouldBuy(marketData, signals, activePosition);
+      const shouldShort = !shouldBuy && allowsShort(account) &&
+        await strategy.shouldShort(marketData, signals, activePosition);
+      const exitReason = await strategy.getExitReason(marketData, signals, activePosition);
+      const shouldScaleIn = !exitReason &&
+        await strategy.shouldScaleIn(marketData, signals, activePosition);
+
+      if (exitReason && activePosition) {
+        const fraction = getExitFraction(activePosition, exitReason);
+        const order = calculateCloseOrder(account, candle.close, activePosition, window, exitReason, {
+          fraction,
+          now: candle.timestamp
+        });
+        recordExit(order, candle.timestamp, fraction);
+      } else if (shouldBuy && !activePosition) {
+        recordEntry(calculateBuyOrder(account, candle.close, signals, window, null, getSizingOptions()), candle.timestamp);
+      } else if (shouldShort && !activePosition) {
+        recordEntry(calculateShortOrder(account, candle.close, signals, window, null, getSizingOptions()), candle.timestamp);
+      } else if (shouldScaleIn) {
+        recordEntry(calculateScaleInOrder(account, candle.close, activePosition, signals, window, getSizingOptions()), candle.timestamp);
+      }
+    }
+
+    // Open shorts owe the interest accrued on their borrowed coins
+    const accruedInterest = calculateBorrowInterest(account, activePosition, candle.close, candle.timestamp);
+
+    equityCurve.push({
+      timestamp: candle.timestamp,
+      price: candle.close,
+      equity: account.balance_usd + (account.balance_base * candle.close) - accruedInterest,
+      inPosition: activePosition !== null || openLots.length > 0
+    });
+
+    if (onProgress) {
+      onProgress(i - warmup + 1, total);
+    }
+
+    if ((i - warmup) % YIELD_EVERY === YIELD_EVERY - 1) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  // Reported before the end close, which is not a fill of the strategy's orders
+  const lotSummary = tradesLots
+    ? strategy.summarizeLots(candles.slice(-lookback), openLots, trades.filter(isClosingTrade))
+    : null;
+
+  const lastCandle = candles[candles.length - 1];
+  if (closeAtEnd && activePosition) {
+    const order = calculateCloseOrder(account, lastCandle.close, activePosition, candles.slice(-lookback), 'signal', {
+      now: lastCandle.timestamp
+    });
+    recordExit({ ...order, exit_reason: null, reason: 'Backtest end' }, lastCandle.timestamp);
+  }
+
+  for (const lot of closeAtEnd ? openLots : []) {
+    const order = calculateSellOrder(account, lastCandle.close, lot, candles.slice(-lookback), null, { lot: true });
+    recordLotSell(lot, { ...order, exit_reason: null, reason: 'Backtest end' }, lastCandle.timestamp);
+  }
+
+  const metrics = calculateBacktestMetrics({
+    trades,
+    equityCurve,
+    initialBalance: account.initial_balance,
+    timeframe: account.timeframe
+  });
+
+  return {
+    account,
+    trades,
+    equityCurve,
+    metrics: lotSummary ? { ...metrics, lots: lotSummary } : metrics,
+    openPosition: activePosition,
+    openLots,
+    startTimestamp: candles[warmup].timestamp,
+    endTimestamp: candles[candles.length - 1].timestamp
+  };
+}
+
+export default {
+  DEFAULT_WARMUP,
+  TIMEFRAME_MS,
+  createBacktestAccount,
+  runBacktest
+};
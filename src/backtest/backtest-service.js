@@ -0,0 +1,166 @@
+/**
+ * Backtest Service
+ * Validates backtest requests and runs them in the background
+ */
+
+import { parseSymbol, DEFAULT_SYMBOL } from '../binance.js';
+import { getKlineHistory } from '../kline-store.js';
+import { getAvailableExchanges, DEFAULT_EXCHANGE } from '../exchanges/index.js';
+import { getAvailableStrategies, getAvailableTimeframes, getStrategyAccountDefaults } from '../strategy-factory.js';
+import { runBacktest, TIMEFRAME_MS, DEFAULT_WARMUP } from './backtest-engine.js';
+import { validateMarginSettings } from '../margin.js';
+import { validatePositionSettings } from '../position.js';
+import { validateSizingSettings } from '../position-sizing.js';
+import { validateDcaSettings } from '../strategies/dca-strategy.js';
+import { validateGridSettings } from '../strategies/grid-strategy.js';
+import {
+  createBacktestRun,
+  markBacktestRunning,
+  markBacktestFailed,
+  saveBacktestResults
+} from './backtest-db.js';
+
+// Account fields a backtest accepts, with the same names as trading_accounts
+const ACCOUNT_PARAMETERS = [
+  'initial_balance',
+  'stop_loss_percent',
+  'take_profit_percent',
+  'trailing_stop',
+  'trailing_stop_percent',
+  'trailing_stop_atr_multiplier',
+  'max_holding_hours',
+  'max_entries',
+  'take_profit_targets',
+  'sizing_mode',
+  'risk_per_trade_percent',
+  'sizing_atr_multiplier',
+  'target_volatility',
+  'kelly_fraction',
+  'fixed_position_usd',
+  'dca_interval',
+  'dca_score_weight',
+  'grid_lower_price',
+  'grid_upper_price',
+  'grid_levels',
+  'grid_atr_multiplier',
+  'position_mode',
+  'leverage',
+  'borrow_rate_daily',
+  'maintenance_margin_rate',
+  'position_size_percent',
+  'required_convergence',
+  'maker_fee_rate',
+  'taker_fee_rate',
+  'slippage_model',
+  'slippage_bps',
+  'slippage_atr_fraction'
+];
+
+/**
+ * Validate and normalize a backtest request body
+ * @throws {Error} If the request is invalid
+ */
+export function parseBacktestRequest(body = {}) {
+  const { strategy, timeframe = '1d', exchange = DEFAULT_EXCHANGE, start_date, end_date } = body;
+  const { symbol } = parseSymbol(body.symbol || DEFAULT_SYMBOL);
+
+  const strategies = getAvailableStrategies().map(s => s.value);
+  if (!strategies.includes(strategy)) {
+    throw new Error(`Invalid strategy: ${strategy}. Expected one of ${strategies.join(', ')}`);
+  }
+
+  const timeframes = getAvailableTimeframes().map(t => t.value);
+  if (!timeframes.includes(timeframe)) {
+    throw new Error(`Invalid timeframe: ${timeframe}. Expected one of ${timeframes.join(', ')}`);
+  }
+
+  const exchanges = getAvailableExchanges().map(e => e.value);
+  if (!exchanges.includes(exchange)) {
+    throw new Error(`Invalid exchange: ${exchange}. Expected one of ${exchanges.join(', ')}`);
+  }
+
+  const startDate = new Date(start_date);
+  const endDate = end_date ? new Date(end_date) : new Date();
+
+  if (isNaN(startDate.getTime())) {
+    throw new Error('start_date is required and must be a valid date');
+  }
+  if (isNaN(endDate.getTime())) {
+    throw new Error('end_date must be a valid date');
+  }
+  if (startDate >= endDate) {
+    throw new Error('start_date must be before end_date');
+  }
+
+  const parameters = {};
+  for (const key of ACCOUNT_PARAMETERS) {
+    if (body[key] !== undefined && body[key] !== null) {
+      parameters[key] = body[key];
+    }
+  }
+
+  validateMarginSettings(parameters);
+  validatePositionSettings(parameters);
+  validateSizingSettings({ ...getStrategyAccountDefaults(strategy), ...parameters });
+  if (strategy === 'dca') {
+    validateDcaSettings({ ...parameters, timeframe });
+  }
+  if (strategy === 'grid') {
+    validateGridSettings(parameters);
+  }
+
+  return { strategy, exchange, symbol, timeframe, startDate, endDate, parameters };
+}
+
+/**
+ * Execute a persisted backtest run
+ */
+async function executeBacktestRun(run, request) {
+  const { strategy, exchange, symbol, timeframe, startDate, endDate, parameters } = request;
+
+  try {
+    await markBacktestRunning(run.id);
+    console.log(`\n🧪 Backtest #${run.id}: ${strategy} ${exchange} ${symbol} ${timeframe} started`);
+
+    // Fetch warmup candles before the requested range
+    const warmupStart = startDate.getTime() - (DEFAULT_WARMUP * TIMEFRAME_MS[timeframe]);
+    const candles = await getKlineHistory(timeframe, warmupStart, endDate.getTime(), symbol, exchange);
+
+    const result = await runBacktest({ ...parameters, strategy, exchange, symbol, timeframe }, candles);
+
+    await saveBacktestResults(run.id, result);
+    console.log(`✓ Backtest #${run.id} completed: ${result.metrics.roiPercent.toFixed(2)}% ROI, ${result.metrics.totalTrades} trades`);
+  } catch (error) {
+    console.error(`✗ Backtest #${run.id} failed:`, error.message);
+    await markBacktestFailed(run.id, error.message);
+  }
+}
+
+/**
+ * Create a backtest run and start it without waiting for completion
+ * @returns {Object} The pending backtest run
+ */
+export async function launchBacktest(body) {
+  const request = parseBacktestRequest(body);
+
+  const run = await createBacktestRun({
+    strategy: request.strategy,
+    exchange: request.exchange,
+    symbol: request.symbol,
+    timeframe: request.timeframe,
+    start_date: request.startDate,
+    end_date: request.endDate,
+    parameters: request.parameters
+  });
+
+  executeBacktestRun(run, request).catch(error => {
+    console.error(`✗ Backtest #${run.id} could not be updated:`, error.message);
+  });
+
+  return run;
+}
+
+export default {
+  parseBacktestRequest,
+  launchBacktest
+};
@@ -0,0 +1,145 @@
+/**
+ * Backtest Metrics
+ * Summary statistics for a trade list and equity curve
+ */
+
+import { mergePositionExits } from '../position.js';
+import { isClosingTrade } from '../margin.js';
+
+// Candles per year for each supported timeframe (crypto trades 24/7)
+export const PERIODS_PER_YEAR = {
+  '15m': 365 * 24 * 4,
+  '1h': 365 * 24,
+  '4h': 365 * 6,
+  '1d': 365,
+  '1w': 52
+};
+
+// Candle duration for each supported timeframe
+export const TIMEFRAME_MS = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Calculate maximum drawdown of an equity curve
+ * @param {Array} equityCurve - Array of { equity }
+ * @returns {Object} { maxDrawdown, maxDrawdownPercent }
+ */
+export function calculateMaxDrawdown(equityCurve) {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+
+  for (const point of equityCurve) {
+    if (point.equity > peak) {
+      peak = point.equity;
+    }
+
+    const drawdown = peak - point.equity;
+    const drawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+
+    if (drawdownPercent > maxDrawdownPercent) {
+      maxDrawdown = drawdown;
+      maxDrawdownPercent = drawdownPercent;
+    }
+  }
+
+  return { maxDrawdown, maxDrawdownPercent };
+}
+
+/**
+ * Calculate annualized Sharpe ratio from per-candle equity returns
+ * @param {Array} equityCurve - Array of { equity }
+ * @param {string} timeframe - Candle timeframe used to annualize
+ * @returns {number} Sharpe ratio (risk-free rate assumed 0)
+ */
+export function calculateSharpeRatio(equityCurve, timeframe = '1d') {
+  const returns = [];
+
+  for (let i = 1; i < equityCurve.length; i++) {
+    const prev = equityCurve[i - 1].equity;
+    if (prev > 0) {
+      returns.push((equityCurve[i].equity - prev) / prev);
+    }
+  }
+
+  if (returns.length < 2) return 0;
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+  const stdDev = Math.sqrt(variance);
+
+  if (stdDev === 0) return 0;
+
+  const periodsPerYear = PERIODS_PER_YEAR[timeframe] || PERIODS_PER_YEAR['1d'];
+  return (mean / stdDev) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Calculate summary metrics for a backtest
+ * @param {Object} params
+ * @param {Array} params.trades - Entries and exits in execution order
+ * @param {Array} params.equityCurve - Array of { timestamp, equity, price }
+ * @param {number} params.initialBalance - Starting balance in USD
+ * @param {string} params.timeframe - Candle timeframe
+ * @returns {Object} Summary metrics
+ */
+export function calculateBacktestMetrics({ trades, equityCurve, initialBalance, timeframe = '1d' }) {
+  // Partial exits count as one trade with the exit that closes their position
+  const sells = mergePositionExits(trades.filter(isClosingTrade));
+  const wins = sells.filter(t => t.profit_loss_usd > 0);
+  const losses = sells.filter(t => t.profit_loss_usd <= 0);
+
+  const grossProfit = wins.reduce((sum, t) => sum + t.profit_loss_usd, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.profit_loss_usd, 0));
+
+  const finalEquity = equityCurve.length > 0
+    ? equityCurve[equityCurve.length - 1].equity
+    : initialBalance;
+  const totalReturn = finalEquity - initialBalance;
+
+  const firstPrice = equityCurve.length > 0 ? equityCurve[0].price : null;
+  const lastPrice = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].price : null;
+  const buyAndHoldRoiPercent = firstPrice
+    ? ((lastPrice - firstPrice) / firstPrice) * 100
+    : 0;
+
+  const candlesInMarket = equityCurve.filter(p => p.inPosition).length;
+  const totalFees = trades.reduce((sum, t) => sum + (t.fee_usd || 0), 0);
+  const totalSlippage = trades.reduce((sum, t) => sum + (t.slippage_usd || 0), 0);
+
+  const { maxDrawdown, maxDrawdownPercent } = calculateMaxDrawdown(equityCurve);
+
+  return {
+    initialBalance,
+    finalEquity,
+    totalReturn,
+    roiPercent: (totalReturn / initialBalance) * 100,
+    buyAndHoldRoiPercent,
+    totalTrades: sells.length,
+    winningTrades: wins.length,
+    losingTrades: losses.length,
+    winRate: sells.length > 0 ? (wins.length / sells.length) * 100 : 0,
+    averageWin: wins.length > 0 ? grossProfit / wins.length : 0,
+    averageLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+    maxDrawdown,
+    maxDrawdownPercent,
+    sharpeRatio: calculateSharpeRatio(equityCurve, timeframe),
+    totalFees,
+    totalSlippage,
+    exposurePercent: equityCurve.length > 0 ? (candlesInMarket / equityCurve.length) * 100 : 0
+  };
+}
+
+export default {
+  PERIODS_PER_YEAR,
+  TIMEFRAME_MS,
+  calculateMaxDrawdown,
+  calculateSharpeRatio,
+  calculateBacktestMetrics
+};
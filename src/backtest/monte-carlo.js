@@ -0,0 +1,207 @@
+/**
+ * Monte Carlo Analysis
+ * Resamples closed-trade returns to estimate how much of a track record
+ * is edge and how much is the order trades happened to arrive in
+ *
+ * Methods:
+ * - bootstrap: draw trades with replacement (final equity varies)
+ * - shuffle: reorder the same trades (final equity fixed, drawdown varies)
+ */
+
+import { createRandom } from './random.js';
+import { isClosingTrade } from '../margin.js';
+import { mergePositionExits } from '../position.js';
+
+export const MONTE_CARLO_METHODS = ['bootstrap', 'shuffle'];
+
+// Upper bound for API requests
+const MAX_ITERATIONS = 20000;
+
+/**
+ * Convert closed trades into returns on account equity
+ * Works with paper_trades and backtest_trades rows (closing rows carry the P&L);
+ * partial exits count with the exit that closes their position
+ * @param {Array} trades - Trades in any order, any type
+ * @returns {Array} Equity returns as fractions (0.05 = +5%), oldest first
+ */
+export function getTradeReturns(trades) {
+  const exits = trades
+    .filter(t => isClosingTrade(t) && t.profit_loss_usd !== null && t.profit_loss_usd !== undefined)
+    .sort((a, b) => new Date(a.timestamp || a.created_at) - new Date(b.timestamp || b.created_at));
+
+  return mergePositionExits(exits)
+    .map(t => {
+      const profitLoss = parseFloat(t.profit_loss_usd);
+      // Balances are recorded after the close; lots still open count at the exit price
+      const heldBase = parseFloat(t.balance_base) || 0;
+      const equityAfter = parseFloat(t.balance_usd) + (heldBase ? heldBase * parseFloat(t.price) : 0);
+      const equityBefore = equityAfter - profitLoss;
+      return equityBefore > 0 ? profitLoss / equityBefore : 0;
+    });
+}
+
+/**
+ * Simulate an equity path from a sequence of returns
+ */
+function simulatePath(returns, initialBalance) {
+  let equity = initialBalance;
+  let peak = initialBalance;
+  let maxDrawdownPercent = 0;
+  let minEquity = initialBalance;
+
+  for (const r of returns) {
+    equity *= (1 + r);
+    if (equity > peak) peak = equity;
+    if (equity < minEquity) minEquity = equity;
+
+    const drawdown = ((peak - equity) / peak) * 100;
+    if (drawdown > maxDrawdownPercent) maxDrawdownPercent = drawdown;
+  }
+
+  return { finalEquity: equity, maxDrawdownPercent, minEquity };
+}
+
+/**
+ * Summarize a sample with mean and percentiles
+ */
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+
+  return {
+    mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+    min: sorted[0],
+    p5: percentile(5),
+    p25: percentile(25),
+    median: percentile(50),
+    p75: percentile(75),
+    p95: percentile(95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Run a Monte Carlo analysis over trade returns
+ *
+ * @param {Array} returns - Trade returns as fractions, in execution order
+ * @param {Object} options
+ * @param {number} options.iterations - Number of simulated paths
+ * @param {string} options.method - 'bootstrap' or 'shuffle'
+ * @param {number} options.initialBalance - Starting equity for each path
+ * @param {number} options.ruinThreshold - Fraction of initial equity lost that counts as ruin
+ * @param {number} options.seed - Seed for reproducible results
+ * @returns {Object} Distributions of final equity and max drawdown, probability of ruin
+ */
+export function runMonteCarlo(returns, options = {}) {
+  const {
+    iterations = 5000,
+    method = 'bootstrap',
+    initialBalance = 1000,
+    ruinThreshold = 0.5,
+    seed = Date.now()
+  } = options;
+
+  if (!MONTE_CARLO_METHODS.includes(method)) {
+    throw new Error(`Unknown Monte Carlo method: ${method}`);
+  }
+
+  if (returns.length === 0) {
+    throw new Error('No closed trades to analyze');
+  }
+
+  const random = createRandom(seed);
+  const ruinLevel = initialBalance * (1 - ruinThreshold);
+  const actual = simulatePath(returns, initialBalance);
+
+  const finalEquities = [];
+  const maxDrawdowns = [];
+  let ruined = 0;
+  let losing = 0;
+  let randomSignAtLeastActual = 0;
+
+  const path = new Array(returns.length);
+  const signed = new Array(returns.length);
+
+  for (let i = 0; i < iterations; i++) {
+    if (method === 'bootstrap') {
+      for (let j = 0; j < returns.length; j++) {
+        path[j] = returns[Math.floor(random() * returns.length)];
+      }
+    } else {
+      // Fisher-Yates shuffle
+      for (let j = 0; j < returns.length; j++) path[j] = returns[j];
+      for (let j = path.length - 1; j > 0; j--) {
+        const k = Math.floor(random() * (j + 1));
+        [path[j], path[k]] = [path[k], path[j]];
+      }
+    }
+
+    const result = simulatePath(path, initialBalance);
+    finalEquities.push(result.finalEquity);
+    maxDrawdowns.push(result.maxDrawdownPercent);
+    if (result.minEquity <= ruinLevel) ruined++;
+    if (result.finalEquity < initialBalance) losing++;
+
+    // Null hypothesis of no edge: same trade sizes, random direction
+    for (let j = 0; j < returns.length; j++) {
+      const size = Math.abs(returns[j]);
+      signed[j] = random() < 0.5 ? size : -size;
+    }
+    if (simulatePath(signed, initialBalance).finalEquity >= actual.finalEquity) {
+      randomSignAtLeastActual++;
+    }
+  }
+
+  return {
+    method,
+    iterations,
+    tradeCount: returns.length,
+    initialBalance,
+    ruinThreshold,
+    actual: {
+      finalEquity: actual.finalEquity,
+      roiPercent: ((actual.finalEquity - initialBalance) / initialBalance) * 100,
+      maxDrawdownPercent: actual.maxDrawdownPercent
+    },
+    finalEquity: summarize(finalEquities),
+    maxDrawdownPercent: summarize(maxDrawdowns),
+    probabilityOfRuin: ruined / iterations,
+    probabilityOfLoss: losing / iterations,
+    // Share of zero-edge paths that did at least as well (lower = more likely skill)
+    luckProbability: randomSignAtLeastActual / iterations
+  };
+}
+
+/**
+ * Read Monte Carlo options from API query parameters
+ * @throws {Error} If a parameter is out of range
+ */
+export function parseMonteCarloQuery(query = {}) {
+  const iterations = query.iterations ? parseInt(query.iterations) : 5000;
+  const method = query.method || 'bootstrap';
+  const ruinThreshold = query.ruin_threshold ? parseFloat(query.ruin_threshold) : 0.5;
+
+  if (!(iterations > 0 && iterations <= MAX_ITERATIONS)) {
+    throw new Error(`iterations must be between 1 and ${MAX_ITERATIONS}`);
+  }
+  if (!MONTE_CARLO_METHODS.includes(method)) {
+    throw new Error(`method must be one of ${MONTE_CARLO_METHODS.join(', ')}`);
+  }
+  if (!(ruinThreshold > 0 && ruinThreshold <= 1)) {
+    throw new Error('ruin_threshold must be between 0 and 1');
+  }
+
+  return {
+    iterations,
+    method,
+    ruinThreshold,
+    seed: query.seed ? parseInt(query.seed) : undefined
+  };
+}
+
+export default {
+  MONTE_CARLO_METHODS,
+  getTradeReturns,
+  parseMonteCarloQuery,
+  runMonteCarlo
+};
@@ -0,0 +1,270 @@
+/**
+ * Parameter Optimizer
+ * Grid and random search over indicator configs using the backtest engine
+ */
+
+import { DEFAULT_CONFIGS } from '../indicators/index.js';
+import { runBacktest } from './backtest-engine.js';
+import { createRandom } from './random.js';
+
+/**
+ * Indicator strategies that can be optimized
+ * configKey: key in DEFAULT_CONFIGS / PARAMETER_RANGES
+ * optionKey: calculateAllSignals option that receives the config
+ */
+export const OPTIMIZABLE_INDICATORS = {
+  heikin_ashi: { configKey: 'heikinAshi', optionKey: 'heikinAshiConfig' },
+  tl_signals: { configKey: 'tlSignals', optionKey: 'tlSignalsConfig' },
+  koncorde: { configKey: 'koncorde', optionKey: 'koncordeConfig' },
+  lupown: { configKey: 'lupown', optionKey: 'lupownConfig' },
+  whale_detector: { configKey: 'whaleDetector', optionKey: 'whaleConfig' },
+  divergences: { configKey: 'divergences', optionKey: 'divergencesConfig' },
+  order_blocks: { configKey: 'orderBlocks', optionKey: 'orderBlocksConfig' }
+};
+
+/**
+ * Default search space per indicator
+ * Parameters not listed keep their DEFAULT_CONFIGS value
+ */
+export const PARAMETER_RANGES = {
+  heikinAshi: {
+    emaLength: [21, 34, 55, 89]
+  },
+  tlSignals: {
+    adxThreshold: [20, 25, 30],
+    momentumPeriod: [8, 10, 14],
+    pivotLeftBars: [3, 5, 7],
+    pivotRightBars: [3, 5, 7]
+  },
+  koncorde: {
+    mfiOverbought: [70, 75, 80],
+    mfiOversold: [20, 25, 30],
+    bbPeriod: [14, 20, 26],
+    bbStdDev: [1.5, 2, 2.5]
+  },
+  lupown: {
+    wtChannelLen: [8, 10, 12],
+    wtAverageLen: [17, 21, 25],
+    wtOverbought: [45, 53, 60],
+    wtOversold: [-60, -53, -45]
+  },
+  whaleDetector: {
+    volumePeriod: [14, 20, 30],
+    volumeMultiplier: [2, 2.5, 3],
+    minPriceChange: [0.3, 0.5, 1],
+    minBodyStrength: [0.5, 0.6, 0.7]
+  },
+  divergences: {
+    rsiPeriod: [9, 14, 21],
+    pivotLeftBars: [3, 5, 7],
+    pivotRightBars: [3, 5, 7],
+    lookbackPeriod: [40, 60, 80]
+  },
+  orderBlocks: {
+    minMoveMultiplier: [1.5, 2, 2.5],
+    minVolumeRatio: [1, 1.2, 1.5],
+    lookbackPeriod: [10, 20, 30],
+    testThreshold: [0.001, 0.002, 0.005]
+  }
+};
+
+/**
+ * Metrics an optimization can rank by
+ */
+export const OPTIMIZATION_METRICS = {
+  roi: { key: 'roiPercent', higherIsBetter: true },
+  sharpe: { key: 'sharpeRatio', higherIsBetter: true },
+  max_drawdown: { key: 'maxDrawdownPercent', higherIsBetter: false },
+  profit_factor: { key: 'profitFactor', higherIsBetter: true }
+};
+
+/**
+ * Build every combination of parameter values (cartesian product)
+ * @param {Object} ranges - { param: [values] }
+ * @returns {Array} Array of { param: value } objects
+ */
+export function generateGrid(ranges) {
+  let combinations = [{}];
+
+  for (const [param, values] of Object.entries(ranges)) {
+    const next = [];
+    for (const combination of combinations) {
+      for (const value of values) {
+        next.push({ ...combination, [param]: value });
+      }
+    }
+    combinations = next;
+  }
+
+  return combinations;
+}
+
+/**
+ * Draw random unique combinations from the search space
+ * @param {Object} ranges - { param: [values] }
+ * @param {number} count - Number of combinations to draw
+ * @param {Function} random - Random generator returning [0, 1)
+ * @returns {Array} Array of { param: value } objects
+ */
+export function generateRandomSamples(ranges, count, random = Math.random) {
+  const gridSize = Object.values(ranges).reduce((size, values) => size * values.length, 1);
+  const target = Math.min(count, gridSize);
+  const seen = new Set();
+  const samples = [];
+
+  while (samples.length < target) {
+    const sample = {};
+    for (const [param, values] of Object.entries(ranges)) {
+      sample[param] = values[Math.floor(random() * values.length)];
+    }
+
+    const key = JSON.stringify(sample);
+    if (!seen.has(key)) {
+      seen.add(key);
+      samples.push(sample);
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Convert metrics into a sortable score (higher is always better)
+ * Combinations with too few trades are ranked last
+ */
+export function scoreMetrics(metrics, metric = 'roi', minTrades = 1) {
+  const definition = OPTIMIZATION_METRICS[metric];
+  if (!definition) {
+    throw new Error(`Unknown optimization metric: ${metric}`);
+  }
+
+  if (metrics.totalTrades < minTrades) {
+    return -Infinity;
+  }
+
+  const value = metrics[definition.key];
+  if (!Number.isFinite(value)) {
+    return value === Infinity && definition.higherIsBetter ? Number.MAX_VALUE : -Infinity;
+  }
+
+  return definition.higherIsBetter ? value : -value;
+}
+
+/**
+ * Evaluate one indicator config with a backtest
+ */
+async function evaluateConfig(strategy, candles, config, options) {
+  const { optionKey } = OPTIMIZABLE_INDICATORS[strategy];
+  const { accountConfig = {}, backtestOptions = {}, metric, minTrades } = options;
+
+  const result = await runBacktest(
+    { ...accountConfig, strategy },
+    candles,
+    {
+      ...backtestOptions,
+      indicatorOptions: { [optionKey]: config }
+    }
+  );
+
+  return {
+    params: config,
+    score: scoreMetrics(result.metrics, metric, minTrades),
+    metrics: result.metrics
+  };
+}
+
+/**
+ * Optimize the config of a single indicator strategy
+ *
+ * @param {string} strategy - Indicator strategy name (e.g. 'koncorde')
+ * @param {Array} candles - Historical candles, oldest first
+ * @param {Object} options
+ * @param {string} options.method - 'grid' or 'random'
+ * @param {number} options.iterations - Combinations to try in random mode
+ * @param {string} options.metric - Key of OPTIMIZATION_METRICS
+ * @param {Object} options.ranges - Search space override
+ * @param {number} options.topN - Number of results to return
+ * @param {number} options.minTrades - Minimum closed trades for a valid result
+ * @param {number} options.seed - Seed for random mode
+ * @param {Object} options.accountConfig - Account fields for the backtest
+ * @param {Object} options.backtestOptions - Options passed to runBacktest
+ * @returns {Object} { strategy, metric, method, evaluated, results, baseline }
+ */
+export async function optimizeIndicator(strategy, candles, options = {}) {
+  const indicator = OPTIMIZABLE_INDICATORS[strategy];
+  if (!indicator) {
+    throw new Error(`Strategy ${strategy} has no optimizable indicator config`);
+  }
+
+  const {
+    method = 'grid',
+    iterations = 50,
+    metric = 'roi',
+    ranges = PARAMETER_RANGES[indicator.configKey],
+    topN = 5,
+    minTrades = 1,
+    seed = Date.now()
+  } = options;
+
+  const evaluationOptions = { ...options, metric, minTrades };
+  const defaults = DEFAULT_CONFIGS[indicator.configKey];
+
+  let combinations;
+  if (method === 'grid') {
+    combinations = generateGrid(ranges);
+  } else if (method === 'random') {
+    combinations = generateRandomSamples(ranges, iterations, createRandom(seed));
+  } else {
+    throw new Error(`Unknown search method: ${method}`);
+  }
+
+  const results = [];
+  for (const combination of combinations) {
+    const config = { ...defaults, ...combination };
+    results.push(await evaluateConfig(strategy, candles, config, evaluationOptions));
+  }
+
+  results.sort((a, b) => b.score - a.score);
+
+  const baseline = await evaluateConfig(strategy, candles, { ...defaults }, evaluationOptions);
+
+  return {
+    strategy,
+    metric,
+    method,
+    evaluated: results.length,
+    results: results.slice(0, topN),
+    baseline
+  };
+}
+
+/**
+ * Optimize every indicator strategy on the same candles
+ * @returns {Array} One optimizeIndicator() result per strategy
+ */
+export async function optimizeAllIndicators(candles, options = {}) {
+  const { strategies = Object.keys(OPTIMIZABLE_INDICATORS), onResult = null } = options;
+  const reports = [];
+
+  for (const strategy of strategies) {
+    const report = await optimizeIndicator(strategy, candles, options);
+    reports.push(report);
+
+    if (onResult) {
+      onResult(report);
+    }
+  }
+
+  return reports;
+}
+
+export default {
+  OPTIMIZABLE_INDICATORS,
+  PARAMETER_RANGES,
+  OPTIMIZATION_METRICS,
+  generateGrid,
+  generateRandomSamples,
+  scoreMetrics,
+  optimizeIndicator,
+  optimizeAllIndicators
+};
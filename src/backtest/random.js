@@ -0,0 +1,25 @@
+/**
+ * Seeded Random
+ * Deterministic PRNG so optimizer and Monte Carlo runs are reproducible
+ */
+
+/**
+ * Create a mulberry32 random generator
+ * @param {number} seed - Integer seed (defaults to current time)
+ * @returns {Function} Returns floats in [0, 1)
+ */
+export function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default {
+  createRandom
+};
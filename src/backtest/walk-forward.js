@@ -0,0 +1,178 @@
+/**
+ * Walk-Forward Validation
+ * Optimizes indicator configs on rolling in-sample windows and
+ * measures them on the unseen out-of-sample window that follows
+ */
+
+import { runBacktest, DEFAULT_WARMUP } from './backtest-engine.js';
+import { calculateBacktestMetrics } from './metrics.js';
+import { OPTIMIZABLE_INDICATORS, optimizeIndicator } from './optimizer.js';
+import { DEFAULT_CONFIGS } from '../indicators/index.js';
+
+/**
+ * Split candle indexes into in-sample / out-of-sample windows
+ *
+ * @param {number} totalCandles - Number of candles available
+ * @param {Object} options
+ * @param {number} options.warmup - Candles reserved before the first window
+ * @param {number} options.inSampleSize - Evaluated candles per in-sample window
+ * @param {number} options.outOfSampleSize - Evaluated candles per out-of-sample window
+ * @param {number} options.stepSize - Candles to roll forward (defaults to outOfSampleSize)
+ * @param {boolean} options.anchored - Keep the in-sample start fixed (expanding window)
+ * @returns {Array} [{ inSampleStart, inSampleEnd, outOfSampleStart, outOfSampleEnd }] (end exclusive)
+ */
+export function createWalkForwardWindows(totalCandles, options) {
+  const {
+    warmup = DEFAULT_WARMUP,
+    inSampleSize,
+    outOfSampleSize,
+    stepSize = outOfSampleSize,
+    anchored = false
+  } = options;
+
+  if (!inSampleSize || !outOfSampleSize || stepSize <= 0) {
+    throw new Error('inSampleSize, outOfSampleSize and stepSize must be positive');
+  }
+
+  const windows = [];
+  let inSampleStart = warmup;
+
+  while (true) {
+    const start = anchored ? warmup : inSampleStart;
+    const inSampleEnd = inSampleStart + inSampleSize;
+    const outOfSampleEnd = inSampleEnd + outOfSampleSize;
+
+    if (outOfSampleEnd > totalCandles) break;
+
+    windows.push({
+      inSampleStart: start,
+      inSampleEnd,
+      outOfSampleStart: inSampleEnd,
+      outOfSampleEnd
+    });
+
+    inSampleStart += stepSize;
+  }
+
+  return windows;
+}
+
+/**
+ * Run walk-forward validation for an indicator strategy
+ *
+ * Each out-of-sample window starts with the capital the previous one
+ * ended with, so trades and equity stitch into one continuous run.
+ * Open positions are closed at the end of every window.
+ *
+ * @param {string} strategy - Indicator strategy name (e.g. 'koncorde')
+ * @param {Array} candles - Historical candles, oldest first
+ * @param {Object} options - Window options (see createWalkForwardWindows) plus:
+ * @param {Object} options.accountConfig - Account fields for every backtest
+ * @param {Object} options.optimizer - Options passed to optimizeIndicator (method, metric, ranges...)
+ * @param {Function} options.onWindow - Called with each window report
+ * @returns {Object} { strategy, windows, trades, equityCurve, metrics, inSampleMetrics, efficiency }
+ */
+export async function runWalkForward(strategy, candles, options = {}) {
+  const indicator = OPTIMIZABLE_INDICATORS[strategy];
+  if (!indicator) {
+    throw new Error(`Strategy ${strategy} has no optimizable indicator config`);
+  }
+
+  const {
+    warmup = DEFAULT_WARMUP,
+    accountConfig = {},
+    optimizer = {},
+    onWindow = null
+  } = options;
+
+  const windows = createWalkForwardWindows(candles.length, { ...options, warmup });
+  if (windows.length === 0) {
+    throw new Error(`Not enough candles for a single walk-forward window (got ${candles.length})`);
+  }
+
+  const initialBalance = parseFloat(accountConfig.initial_balance ?? 1000);
+  const defaults = DEFAULT_CONFIGS[indicator.configKey];
+
+  let capital = initialBalance;
+  const trades = [];
+  const equityCurve = [];
+  const reports = [];
+
+  for (const window of windows) {
+    // Optimize on the in-sample window
+    const inSampleCandles = candles.slice(window.inSampleStart - warmup, window.inSampleEnd);
+    const optimization = await optimizeIndicator(strategy, inSampleCandles, {
+      ...optimizer,
+      topN: 1,
+      accountConfig,
+      backtestOptions: { warmup }
+    });
+
+    const best = optimization.results[0];
+    const usedDefaults = !best || !Number.isFinite(best.score);
+    const params = usedDefaults ? { ...defaults } : best.params;
+    const inSampleMetrics = usedDefaults ? optimization.baseline.metrics : best.metrics;
+
+    // Trade the unseen window with the chosen config
+    const outOfSampleCandles = candles.slice(window.outOfSampleStart - warmup, window.outOfSampleEnd);
+    const outOfSample = await runBacktest(
+      { ...accountConfig, strategy, initial_balance: capital },
+      outOfSampleCandles,
+      {
+        warmup,
+        indicatorOptions: { [indicator.optionKey]: params }
+      }
+    );
+
+    trades.push(...outOfSample.trades);
+    equityCurve.push(...outOfSample.equityCurve);
+    capital = outOfSample.metrics.finalEquity;
+
+    const report = {
+      ...window,
+      startTimestamp: candles[window.outOfSampleStart].timestamp,
+      endTimestamp: candles[window.outOfSampleEnd - 1].timestamp,
+      params,
+      usedDefaults,
+      inSampleMetrics,
+      outOfSampleMetrics: outOfSample.metrics
+    };
+    reports.push(report);
+
+    if (onWindow) {
+      onWindow(report);
+    }
+  }
+
+  const timeframe = accountConfig.timeframe || '1d';
+  const metrics = calculateBacktestMetrics({ trades, equityCurve, initialBalance, timeframe });
+
+  // Compare ROI per evaluated candle in and out of sample
+  const inSampleRate = average(reports.map(r => r.inSampleMetrics.roiPercent / (r.inSampleEnd - r.inSampleStart)));
+  const outOfSampleRate = average(reports.map(r => r.outOfSampleMetrics.roiPercent / (r.outOfSampleEnd - r.outOfSampleStart)));
+
+  return {
+    strategy,
+    windows: reports,
+    trades,
+    equityCurve,
+    metrics,
+    inSampleMetrics: {
+      averageRoiPercent: average(reports.map(r => r.inSampleMetrics.roiPercent)),
+      averageSharpeRatio: average(reports.map(r => r.inSampleMetrics.sharpeRatio))
+    },
+    // Walk-forward efficiency: out-of-sample return rate relative to in-sample
+    efficiency: inSampleRate > 0 ? outOfSampleRate / inSampleRate : null,
+    profitableWindows: reports.filter(r => r.outOfSampleMetrics.roiPercent > 0).length,
+    distinctConfigs: new Set(reports.map(r => JSON.stringify(r.params))).size
+  };
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+export default {
+  createWalkForwardWindows,
+  runWalkForward
+};
@@ -0,0 +1,249 @@
+/**
+ * Binance REST Client
+ * Sends public API requests with timeouts, retries, rate-limit pacing and
+ * a circuit breaker, so one 429 or timeout doesn't abort a trading run
+ *
+ * Retries use exponential backoff with full jitter and honor Retry-After.
+ * The X-MBX-USED-WEIGHT-1M header tracks the IP's request weight; requests
+ * that would cross the limit wait for the next minute. After repeated
+ * failures the circuit opens and requests fail fast until the cooldown
+ * ends, letting callers fall back to cached data.
+ */
+
+import axios from 'axios';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+// Use Binance US API if USE_BINANCE_US=true, otherwise regular Binance
+const USE_BINANCE_US = process.env.USE_BINANCE_US === 'true';
+const BINANCE_API_BASE = USE_BINANCE_US
+  ? 'https://api.binance.us/api/v3'
+  : 'https://api.binance.com/api/v3';
+
+// Request weight allowed per minute (Binance US has a lower limit), and the
+// share of it kept free for the market stream's backfills and other runs
+const WEIGHT_LIMIT_1M = USE_BINANCE_US ? 1200 : 6000;
+const WEIGHT_SAFETY_RATIO = 0.9;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 30 * 1000;
+
+// Consecutive failed requests that open the circuit, and how long it stays open
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN_MS = 60 * 1000;
+
+// Proxy configuration (optional - only used if PROXY_URL is set)
+const PROXY_URL = process.env.PROXY_URL;
+const axiosConfig = PROXY_URL ? {
+  httpsAgent: new HttpsProxyAgent(PROXY_URL),
+  proxy: false
+} : {};
+
+console.log(`🌍 Using ${USE_BINANCE_US ? 'Binance US' : 'Binance Global'} API`);
+if (PROXY_URL) {
+  console.log(`🔒 Using proxy: ${PROXY_URL.replace(/:[^:]*@/, ':****@')}`);
+}
+
+const weight = { used: 0, minute: 0 };
+
+/**
+ * Thrown without a request while the circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super(`Binance API unavailable, retrying after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Create a circuit breaker
+ * closed: requests pass; open: requests fail fast until the cooldown ends;
+ * half-open: one trial request decides whether to close or reopen, and
+ * other requests fail fast until it completes
+ */
+export function createCircuitBreaker({
+  threshold = CIRCUIT_FAILURE_THRESHOLD,
+  cooldownMs = CIRCUIT_COOLDOWN_MS,
+  now = Date.now
+} = {}) {
+  const breaker = { state: 'closed', failures: 0, openedUntil: 0, trialInFlight: false };
+
+  return {
+    get state() {
+      return breaker.state;
+    },
+
+    /**
+     * Check whether a request may be sent
+     * @throws {CircuitOpenError} While the circuit is open or its trial
+     *   request is in flight
+     */
+    beforeRequest() {
+      if (breaker.state === 'open') {
+        if (now() < breaker.openedUntil) {
+          throw new CircuitOpenError(breaker.openedUntil);
+        }
+        breaker.state = 'half-open';
+        breaker.trialInFlight = true;
+      } else if (breaker.state === 'half-open' && breaker.trialInFlight) {
+        throw new CircuitOpenError(now());
+      }
+    },
+
+    recordSuccess() {
+      breaker.state = 'closed';
+      breaker.failures = 0;
+      breaker.trialInFlight = false;
+    },
+
+    /**
+     * @param {number} retryAfterMs - Minimum time to stay open, e.g. after a ban
+     */
+    recordFailure(retryAfterMs = 0) {
+      breaker.failures++;
+      breaker.trialInFlight = false;
+      if (breaker.state === 'half-open' || breaker.failures >= threshold || retryAfterMs > 0) {
+        breaker.state = 'open';
+        breaker.openedUntil = now() + Math.max(cooldownMs, retryAfterMs);
+      }
+    }
+  };
+}
+
+const circuit = createCircuitBreaker();
+
+/**
+ * Whether a failed request is worth retrying: network errors, timeouts,
+ * rate limits and server errors, but not bad requests or IP bans
+ */
+export function isRetryableError(error) {
+  const status = error.response?.status;
+  if (!status) return error.code !== 'ERR_CANCELED';
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Retry-After header of a failed response, in ms
+ */
+export function getRetryAfterMs(error) {
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  return Number.isFinite(retryAfter) ? retryAfter * 1000 : 0;
+}
+
+/**
+ * Exponential backoff with full jitter, never shorter than Retry-After
+ */
+export function getRetryDelay(attempt, retryAfterMs = 0, random = Math.random) {
+  const backoff = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  return Math.max(Math.round(backoff * random()), retryAfterMs);
+}
+
+/**
+ * Time to wait before sending a request so the minute's weight stays
+ * under the limit (weights reset at the start of each UTC minute)
+ */
+export function getWeightDelay(usedWeight, requestWeight, now = Date.now(), limit = WEIGHT_LIMIT_1M) {
+  if (usedWeight + requestWeight <= limit * WEIGHT_SAFETY_RATIO) return 0;
+  return 60 * 1000 - (now % (60 * 1000));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function trackWeight(headers = {}) {
+  const used = parseInt(headers['x-mbx-used-weight-1m']);
+  if (Number.isFinite(used)) {
+    weight.used = used;
+    weight.minute = Math.floor(Date.now() / 60000);
+  }
+}
+
+async function waitForWeight(requestWeight) {
+  if (Math.floor(Date.now() / 60000) !== weight.minute) {
+    weight.used = 0;
+  }
+
+  const delay = getWeightDelay(weight.used, requestWeight);
+  if (delay > 0) {
+    console.log(`⏳ Binance weight ${weight.used}/${WEIGHT_LIMIT_1M}, waiting ${(delay / 1000).toFixed(0)}s`);
+    await sleep(delay);
+    weight.used = 0;
+  }
+  weight.used += requestWeight;
+}
+
+/**
+ * GET a public Binance endpoint
+ * @param {string} path - Endpoint below /api/v3, e.g. '/klines'
+ * @param {Object} params - Query parameters
+ * @param {number} requestWeight - Weight Binance charges for the request
+ * @returns {*} Response body
+ * @throws {CircuitOpenError} While the circuit is open
+ */
+export async function binanceGet(path, params = {}, requestWeight = 1) {
+  circuit.beforeRequest();
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForWeight(requestWeight);
+
+    try {
+      const response = await axios.get(`${BINANCE_API_BASE}${path}`, {
+        params,
+        timeout: REQUEST_TIMEOUT_MS,
+        ...axiosConfig
+      });
+      trackWeight(response.headers);
+      circuit.recordSuccess();
+      return response.data;
+    } catch (error) {
+      trackWeight(error.response?.headers);
+      const retryAfterMs = getRetryAfterMs(error);
+
+      // 418 means the IP is banned until Retry-After: stop calling entirely
+      if (error.response?.status === 418) {
+        circuit.recordFailure(retryAfterMs);
+        throw error;
+      }
+
+      if (!isRetryableError(error) || attempt >= MAX_RETRIES) {
+        // A bad request still got an answer, so it ends a trial like a success
+        if (isRetryableError(error)) {
+          circuit.recordFailure();
+        } else {
+          circuit.recordSuccess();
+        }
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, retryAfterMs);
+      console.log(`↻ Binance ${path} failed (${error.response?.status || error.code || error.message}), retrying in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Current circuit and weight state, for logging and health checks
+ */
+export function getBinanceClientStatus() {
+  return {
+    circuit: circuit.state,
+    usedWeight: weight.used,
+    weightLimit: WEIGHT_LIMIT_1M
+  };
+}
+
+export default {
+  CircuitOpenError,
+  createCircuitBreaker,
+  isRetryableError,
+  getRetryAfterMs,
+  getRetryDelay,
+  getWeightDelay,
+  binanceGet,
+  getBinanceClientStatus
+};
@@ -1,54 +1,104 @@
-import axios from 'axios';
-import { HttpsProxyAgent } from 'https-proxy-agent';
-
-// Use Binance US API if USE_BINANCE_US=true, otherwise regular Binance
-const USE_BINANCE_US = process.env.USE_BINANCE_US === 'true';
-const BINANCE_API_BASE = USE_BINANCE_US
-  ? 'https://api.binance.us/api/v3'
-  : 'https://api.binance.com/api/v3';
-const SYMBOL = 'BTCUSDT';
-
-// Proxy configuration (optional - only used if PROXY_URL is set)
-const PROXY_URL = process.env.PROXY_URL;
-const axiosConfig = PROXY_URL ? {
-  httpsAgent: new HttpsProxyAgent(PROXY_URL),
-  proxy: false
-} : {};
-
-console.log(`🌍 Using ${USE_BINANCE_US ? 'Binance US' : 'Binance Global'} API`);
-if (PROXY_URL) {
-  console.log(`🔒 Using proxy: ${PROXY_URL.replace(/:[^:]*@/, ':****@')}`);
+import { binanceGet, isRetryableError, CircuitOpenError } from './binance-client.js';
+
+export const DEFAULT_SYMBOL = 'BTCUSDT';
+
+// Accounts trade against USD or USD stablecoins so *_usd balances and P&L stay
+// comparable across symbols in rankings (longest first when matching suffixes)
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'USD'];
+
+// Last successful responses, served while Binance is unreachable
+const MAX_CACHED_KLINES = 1000;
+const cache = {
+  prices: new Map(),
+  volumes: new Map(),
+  klines: new Map()
+};
+
+/**
+ * Whether a failure means Binance is unreachable rather than the request
+ * being wrong, so cached data may stand in for the response
+ */
+function isOutage(error) {
+  return error instanceof CircuitOpenError || isRetryableError(error);
+}
+
+/**
+ * Serve cached data when a request fails because Binance is down
+ */
+function withFallback(error, label, cached) {
+  if (cached === undefined || !isOutage(error)) {
+    console.error(`Error fetching ${label}:`, error.message);
+    throw error;
+  }
+
+  console.warn(`⚠️  Binance unavailable (${error.message}), using cached ${label}`);
+  return cached;
+}
+
+/**
+ * Merge fetched candles into the cached ones when the two overlap
+ */
+function cacheKlines(key, klines) {
+  const cached = cache.klines.get(key) || [];
+  const overlaps = cached.length > 0 && klines.length > 0 && cached[cached.length - 1].timestamp >= klines[0].timestamp;
+
+  const merged = overlaps
+    ? [...cached.filter(c => c.timestamp < klines[0].timestamp), ...klines]
+    : klines;
+  cache.klines.set(key, merged.slice(-MAX_CACHED_KLINES));
+}
+
+function getCachedClose(symbol) {
+  const candles = cache.klines.get(`${symbol}:1d`) ||
+    [...cache.klines.entries()].find(([key]) => key.startsWith(`${symbol}:`))?.[1];
+  return candles?.[candles.length - 1]?.close;
+}
+
+/**
+ * Split a trading pair into its base and quote assets
+ * @param {string} symbol - Pair such as 'ETHUSDT'
+ * @returns {Object} { symbol, baseAsset, quoteAsset }
+ */
+export function parseSymbol(symbol = DEFAULT_SYMBOL) {
+  const normalized = String(symbol).toUpperCase();
+  const quoteAsset = QUOTE_ASSETS.find(q => normalized.endsWith(q) && normalized.length > q.length);
+
+  if (!quoteAsset) {
+    throw new Error(`Unsupported symbol: ${symbol}`);
+  }
+
+  return {
+    symbol: normalized,
+    baseAsset: normalized.slice(0, -quoteAsset.length),
+    quoteAsset
+  };
 }
 
 /**
- * Fetch current Bitcoin price
+ * Fetch current price of a symbol
  */
-export async function getCurrentPrice() {
+export async function getCurrentPrice(symbol = DEFAULT_SYMBOL) {
   try {
-    const response = await axios.get(`${BINANCE_API_BASE}/ticker/price`, {
-      params: { symbol: SYMBOL },
-      ...axiosConfig
-    });
-    return parseFloat(response.data.price);
+    const data = await binanceGet('/ticker/price', { symbol }, 2);
+    const price = parseFloat(data.price);
+    cache.prices.set(symbol, price);
+    return price;
   } catch (error) {
-    console.error('Error fetching current price:', error.message);
-    throw error;
+    return withFallback(error, `${symbol} price`, cache.prices.get(symbol) ?? getCachedClose(symbol));
   }
 }
 
 /**
  * Fetch 24h volume
  */
-export async function get24hVolume() {
+export async function get24hVolume(symbol = DEFAULT_SYMBOL) {
   try {
-    const response = await axios.get(`${BINANCE_API_BASE}/ticker/24hr`, {
-      params: { symbol: SYMBOL },
-      ...axiosConfig
-    });
-    return parseFloat(response.data.volume);
+    const data = await binanceGet('/ticker/24hr', { symbol }, 2);
+    const volume = parseFloat(data.volume);
+    cache.volumes.set(symbol, volume);
+    return volume;
   } catch (error) {
-    console.error('Error fetching 24h volume:', error.message);
-    throw error;
+    return withFallback(error, `${symbol} 24h volume`, cache.volumes.get(symbol));
   }
 }
 
@@ -56,19 +106,19 @@ export async function get24hVolume() {
  * Fetch historical klines (candlestick data)
  * @param {string} interval - Kline interval (1d, 1w, etc.)
  * @param {number} limit - Number of klines to fetch (max 1000)
+ * @param {string} symbol - Trading pair (defaults to BTCUSDT)
  */
-export async function getKlines(interval = '1d', limit = 250) {
+export async function getKlines(interval = '1d', limit = 250, symbol = DEFAULT_SYMBOL) {
+  const key = `${symbol}:${interval}`;
+
   try {
-    const response = await axios.get(`${BINANCE_API_BASE}/klines`, {
-      params: {
-        symbol: SYMBOL,
-        interval: interval,
-        limit: limit
-      },
-      ...axiosConfig
-    });
+    const data = await binanceGet('/klines', {
+      symbol,
+      interval: interval,
+      limit: limit
+    }, 2);
 
-    return response.data.map(kline => ({
+    const klines = data.map(kline => ({
       timestamp: kline[0],
       open: parseFloat(kline[1]),
       high: parseFloat(kline[2]),
@@ -76,8 +126,128 @@ export async function getKlines(interval = '1d', limit = 250) {
       close: parseFloat(kline[4]),
       volume: parseFloat(kline[5])
     }));
+
+    cacheKlines(key, klines);
+    return klines;
+  } catch (error) {
+    // Cached candles may have fewer than asked for; callers treat that like a short history
+    const cached = cache.klines.get(key);
+    return withFallback(error, `${symbol} ${interval} klines`, cached?.slice(-limit).map(c => ({ ...c })));
+  }
+}
+
+/**
+ * Fetch klines between two dates, paginating past the 1000-candle limit
+ * @param {string} interval - Kline interval (1d, 4h, etc.)
+ * @param {number} startTime - Start timestamp in ms
+ * @param {number} endTime - End timestamp in ms (defaults to now)
+ * @param {string} symbol - Trading pair (defaults to BTCUSDT)
+ */
+export async function getHistoricalKlines(interval, startTime, endTime = Date.now(), symbol = DEFAULT_SYMBOL) {
+  const klines = [];
+  let cursor = startTime;
+
+  try {
+    while (cursor < endTime) {
+      const data = await binanceGet('/klines', {
+        symbol,
+        interval: interval,
+        startTime: cursor,
+        endTime: endTime,
+        limit: 1000
+      }, 2);
+
+      if (data.length === 0) break;
+
+      for (const kline of data) {
+        klines.push({
+          timestamp: kline[0],
+          open: parseFloat(kline[1]),
+          high: parseFloat(kline[2]),
+          low: parseFloat(kline[3]),
+          close: parseFloat(kline[4]),
+          volume: parseFloat(kline[5])
+        });
+      }
+
+      // Continue after the last candle's close time
+      cursor = data[data.length - 1][6] + 1;
+
+      if (data.length < 1000) break;
+    }
+
+    return klines;
+  } catch (error) {
+    console.error(`Error fetching historical ${symbol} ${interval} klines:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Look up a trading pair on the exchange
+ */
+export async function getSymbolInfo(symbol = DEFAULT_SYMBOL) {
+  try {
+    const data = await binanceGet('/exchangeInfo', { symbol }, 20);
+    const info = data.symbols[0];
+
+    return {
+      symbol: info.symbol,
+      baseAsset: info.baseAsset,
+      quoteAsset: info.quoteAsset,
+      exchangeSymbol: info.symbol,
+      status: info.status
+    };
+  } catch (error) {
+    console.error(`Error fetching ${symbol} symbol info:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetch an order book snapshot
+ * @param {string} symbol - Trading pair (defaults to BTCUSDT)
+ * @param {number} limit - Levels per side (5, 10, 20, 50, 100, 500, 1000 or 5000)
+ * @returns {Object} { lastUpdateId, bids, asks } with [price, quantity] levels, best first
+ */
+export async function getOrderBook(symbol = DEFAULT_SYMBOL, limit = 100) {
+  // Binance charges by depth: 5 up to 100 levels, 25 to 500, 50 to 1000, 250 beyond
+  const weight = limit <= 100 ? 5 : limit <= 500 ? 25 : limit <= 1000 ? 50 : 250;
+
+  try {
+    const data = await binanceGet('/depth', { symbol, limit }, weight);
+    const toLevel = ([price, quantity]) => [parseFloat(price), parseFloat(quantity)];
+
+    return {
+      lastUpdateId: data.lastUpdateId,
+      bids: data.bids.map(toLevel),
+      asks: data.asks.map(toLevel)
+    };
+  } catch (error) {
+    console.error(`Error fetching ${symbol} order book:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the latest aggregated trades
+ * @param {string} symbol - Trading pair (defaults to BTCUSDT)
+ * @param {number} limit - Number of trades (max 1000)
+ * @returns {Array} { id, price, quantity, timestamp, isBuyerMaker }, oldest first
+ */
+export async function getAggTrades(symbol = DEFAULT_SYMBOL, limit = 1000) {
+  try {
+    const data = await binanceGet('/aggTrades', { symbol, limit }, 4);
+
+    return data.map(trade => ({
+      id: trade.a,
+      price: parseFloat(trade.p),
+      quantity: parseFloat(trade.q),
+      timestamp: trade.T,
+      isBuyerMaker: trade.m
+    }));
   } catch (error) {
-    console.error(`Error fetching ${interval} klines:`, error.message);
+    console.error(`Error fetching ${symbol} aggregated trades:`, error.message);
     throw error;
   }
 }
@@ -121,9 +291,15 @@ export async function getMarketData() {
 }
 
 export default {
+  DEFAULT_SYMBOL,
+  parseSymbol,
   getCurrentPrice,
   get24hVolume,
   getKlines,
+  getHistoricalKlines,
+  getSymbolInfo,
+  getOrderBook,
+  getAggTrades,
   getDailyKlines,
   getWeeklyKlines,
   getMarketData
@@ -137,48 +137,6 @@ export async function getAnalysesForDashboard() {
   }
 }
 
-/**
- * Save historical kline data for MA calculation
- */
-export async function saveKlineData(data) {
-  const client = await pool.connect();
-  try {
-    const query = `
-      INSERT INTO klines (timestamp, open, high, low, close, volume)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      ON CONFLICT (timestamp) DO UPDATE
-      SET open = $2, high = $3, low = $4, close = $5, volume = $6
-    `;
-    const values = [
-      new Date(data.timestamp),
-      data.open,
-      data.high,
-      data.low,
-      data.close,
-      data.volume
-    ];
-    await client.query(query, values);
-  } finally {
-    client.release();
-  }
-}
-
-/**
- * Get klines for calculation
- */
-export async function getKlines(limit = 250) {
-  const client = await pool.connect();
-  try {
-    const result = await client.query(
-      'SELECT * FROM klines ORDER BY timestamp DESC LIMIT $1',
-      [limit]
-    );
-    return result.rows.reverse(); // Return oldest first
-  } finally {
-    client.release();
-  }
-}
-
 export default {
   initDatabase,
   saveAnalysis,
@@ -186,7 +144,5 @@ export default {
   getLatestAnalysis,
   getHistoricalAnalyses,
   getRecentAlerts,
-  getAnalysesForDashboard,
-  saveKlineData,
-  getKlines
+  getAnalysesForDashboard
 };
@@ -0,0 +1,21 @@
+/**
+ * Binance adapter
+ * Binance Global, or Binance US when USE_BINANCE_US=true
+ */
+
+import {
+  getCurrentPrice,
+  get24hVolume,
+  getKlines,
+  getHistoricalKlines,
+  getSymbolInfo
+} from '../binance.js';
+
+export default {
+  name: 'binance',
+  getCurrentPrice,
+  get24hVolume,
+  getKlines,
+  getHistoricalKlines,
+  getSymbolInfo
+};
@@ -0,0 +1,119 @@
+/**
+ * Bybit adapter (spot market, API v5)
+ * Symbols match Binance's (e.g. BTCUSDT); kline rows come newest first as
+ * [startTime, open, high, low, close, volume, turnover] with string values
+ */
+
+import { parseSymbol } from '../binance.js';
+import { TIMEFRAME_MS } from '../backtest/metrics.js';
+import { getJson } from './http.js';
+import { getCandleStart, fetchCandlePages } from './candles.js';
+
+const API_BASE = 'https://api.bybit.com/v5/market';
+
+const INTERVALS = { '15m': '15', '1h': '60', '4h': '240', '1d': 'D', '1w': 'W' };
+
+// Bybit returns at most 1000 candles per request
+const MAX_CANDLES = 1000;
+
+async function bybitGet(path, params) {
+  const data = await getJson(`${API_BASE}/${path}`, { category: 'spot', ...params });
+  if (data.retCode !== 0) {
+    throw new Error(`Bybit ${path}: ${data.retMsg}`);
+  }
+  return data.result;
+}
+
+async function getTicker(symbol) {
+  const result = await bybitGet('tickers', { symbol: parseSymbol(symbol).symbol });
+  if (!result.list?.length) {
+    throw new Error(`Bybit has no ticker for ${symbol}`);
+  }
+  return result.list[0];
+}
+
+/**
+ * Fetch current price of a symbol
+ */
+export async function getCurrentPrice(symbol) {
+  const ticker = await getTicker(symbol);
+  return parseFloat(ticker.lastPrice);
+}
+
+/**
+ * Fetch 24h volume in the base asset
+ */
+export async function get24hVolume(symbol) {
+  const ticker = await getTicker(symbol);
+  return parseFloat(ticker.volume24h);
+}
+
+/**
+ * Fetch klines between two dates
+ */
+export async function getHistoricalKlines(interval, startTime, endTime = Date.now(), symbol) {
+  if (!INTERVALS[interval]) {
+    throw new Error(`Bybit does not support timeframe: ${interval}`);
+  }
+
+  const pair = parseSymbol(symbol).symbol;
+
+  return fetchCandlePages(async (start, end) => {
+    const result = await bybitGet('kline', {
+      symbol: pair,
+      interval: INTERVALS[interval],
+      start,
+      end,
+      limit: MAX_CANDLES
+    });
+
+    return result.list.map(([time, open, high, low, close, volume]) => ({
+      timestamp: parseInt(time),
+      open: parseFloat(open),
+      high: parseFloat(high),
+      low: parseFloat(low),
+      close: parseFloat(close),
+      volume: parseFloat(volume)
+    }));
+  }, startTime, endTime, MAX_CANDLES * TIMEFRAME_MS[interval]);
+}
+
+/**
+ * Fetch the latest klines
+ */
+export async function getKlines(interval, limit, symbol) {
+  const now = Date.now();
+  const startTime = getCandleStart(now, interval) - (limit - 1) * TIMEFRAME_MS[interval];
+
+  const klines = await getHistoricalKlines(interval, startTime, now, symbol);
+  return klines.slice(-limit);
+}
+
+/**
+ * Look up a spot instrument
+ */
+export async function getSymbolInfo(symbol) {
+  const pair = parseSymbol(symbol).symbol;
+  const result = await bybitGet('instruments-info', { symbol: pair });
+  const instrument = result.list?.[0];
+  if (!instrument) {
+    throw new Error(`Bybit has no spot instrument ${pair}`);
+  }
+
+  return {
+    symbol: pair,
+    baseAsset: instrument.baseCoin,
+    quoteAsset: instrument.quoteCoin,
+    exchangeSymbol: instrument.symbol,
+    status: instrument.status
+  };
+}
+
+export default {
+  name: 'bybit',
+  getCurrentPrice,
+  get24hVolume,
+  getKlines,
+  getHistoricalKlines,
+  getSymbolInfo
+};
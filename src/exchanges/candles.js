@@ -0,0 +1,85 @@
+/**
+ * Candle helpers shared by exchange adapters
+ * Normalizes native candles to { timestamp, open, high, low, close, volume }
+ * (timestamp = open time in ms, oldest first)
+ */
+
+import { TIMEFRAME_MS } from '../backtest/metrics.js';
+
+// Weekly candles open on Monday 00:00 UTC like Binance's; the epoch was a Thursday
+const WEEK_OFFSET_MS = 4 * 24 * 60 * 60 * 1000;
+
+/**
+ * Open time of the candle containing a timestamp
+ */
+export function getCandleStart(timestamp, timeframe) {
+  const intervalMs = TIMEFRAME_MS[timeframe];
+  const offset = timeframe === '1w' ? WEEK_OFFSET_MS : 0;
+  return timestamp - ((timestamp - offset) % intervalMs + intervalMs) % intervalMs;
+}
+
+/**
+ * Build candles of a timeframe from smaller candles, for exchanges
+ * without that granularity (e.g. Coinbase has no 4h or 1w)
+ * @param {Array} candles - Normalized candles, oldest first
+ * @param {string} timeframe - Target timeframe
+ * @returns {Array} Aggregated candles, oldest first
+ */
+export function aggregateCandles(candles, timeframe) {
+  const aggregated = [];
+
+  for (const candle of candles) {
+    const start = getCandleStart(candle.timestamp, timeframe);
+    const last = aggregated[aggregated.length - 1];
+
+    if (last && last.timestamp === start) {
+      last.high = Math.max(last.high, candle.high);
+      last.low = Math.min(last.low, candle.low);
+      last.close = candle.close;
+      last.volume += candle.volume;
+    } else {
+      aggregated.push({ ...candle, timestamp: start });
+    }
+  }
+
+  return aggregated;
+}
+
+/**
+ * Sort candles oldest first and drop duplicates and those outside a range
+ */
+export function normalizeCandles(candles, startTime = -Infinity, endTime = Infinity) {
+  const byTimestamp = new Map();
+  for (const candle of candles) {
+    if (candle.timestamp >= startTime && candle.timestamp <= endTime) {
+      byTimestamp.set(candle.timestamp, candle);
+    }
+  }
+  return [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Fetch a time range page by page
+ * @param {Function} fetchPage - (start, end) => candles; may return fewer than asked
+ * @param {number} startTime
+ * @param {number} endTime
+ * @param {number} pageSpanMs - Time covered by one full page
+ * @returns {Array} Normalized candles, oldest first
+ */
+export async function fetchCandlePages(fetchPage, startTime, endTime, pageSpanMs) {
+  const candles = [];
+
+  for (let cursor = startTime; cursor <= endTime; cursor += pageSpanMs) {
+    const pageEnd = Math.min(cursor + pageSpanMs - 1, endTime);
+    candles.push(...await fetchPage(cursor, pageEnd));
+  }
+
+  return normalizeCandles(candles, startTime, endTime);
+}
+
+export default {
+  getCandleStart,
+  aggregateCandles,
+  normalizeCandles,
+  fetchCandlePages
+};
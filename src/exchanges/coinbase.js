@@ -0,0 +1,120 @@
+/**
+ * Coinbase Exchange adapter
+ * Products are named BASE-QUOTE (e.g. BTC-USD); candles come newest first
+ * as [time, low, high, open, close, volume] with time in seconds
+ */
+
+import { parseSymbol } from '../binance.js';
+import { TIMEFRAME_MS } from '../backtest/metrics.js';
+import { getJson } from './http.js';
+import { getCandleStart, aggregateCandles, fetchCandlePages } from './candles.js';
+
+const API_BASE = 'https://api.exchange.coinbase.com';
+
+// Coinbase has no 4h or weekly granularity; those are built from 1h and 1d
+const SOURCE_TIMEFRAMES = { '15m': '15m', '1h': '1h', '4h': '1h', '1d': '1d', '1w': '1d' };
+
+// Coinbase returns at most 300 candles per request
+const MAX_CANDLES = 300;
+
+function toProductId(symbol) {
+  const { baseAsset, quoteAsset } = parseSymbol(symbol);
+  return `${baseAsset}-${quoteAsset}`;
+}
+
+async function getTicker(symbol) {
+  return getJson(`${API_BASE}/products/${toProductId(symbol)}/ticker`);
+}
+
+/**
+ * Fetch current price of a symbol
+ */
+export async function getCurrentPrice(symbol) {
+  const ticker = await getTicker(symbol);
+  return parseFloat(ticker.price);
+}
+
+/**
+ * Fetch 24h volume in the base asset
+ */
+export async function get24hVolume(symbol) {
+  const ticker = await getTicker(symbol);
+  return parseFloat(ticker.volume);
+}
+
+async function fetchCandles(productId, timeframe, startTime, endTime) {
+  const rows = await getJson(`${API_BASE}/products/${productId}/candles`, {
+    granularity: TIMEFRAME_MS[timeframe] / 1000,
+    start: new Date(startTime).toISOString(),
+    end: new Date(endTime).toISOString()
+  });
+
+  return rows.map(([time, low, high, open, close, volume]) => ({
+    timestamp: time * 1000,
+    open,
+    high,
+    low,
+    close,
+    volume
+  }));
+}
+
+/**
+ * Fetch klines between two dates
+ */
+export async function getHistoricalKlines(interval, startTime, endTime = Date.now(), symbol) {
+  const source = SOURCE_TIMEFRAMES[interval];
+  if (!source) {
+    throw new Error(`Coinbase does not support timeframe: ${interval}`);
+  }
+
+  const productId = toProductId(symbol);
+
+  // Start at the open of the candle being built so it is complete
+  const candles = await fetchCandlePages(
+    (start, end) => fetchCandles(productId, source, start, end),
+    getCandleStart(startTime, interval),
+    endTime,
+    MAX_CANDLES * TIMEFRAME_MS[source]
+  );
+
+  const klines = source === interval ? candles : aggregateCandles(candles, interval);
+  return klines.filter(c => c.timestamp >= startTime);
+}
+
+/**
+ * Fetch the latest klines
+ */
+export async function getKlines(interval, limit, symbol) {
+  const intervalMs = TIMEFRAME_MS[interval];
+  const now = Date.now();
+  const startTime = getCandleStart(now, interval) - (limit - 1) * intervalMs;
+
+  const klines = await getHistoricalKlines(interval, startTime, now, symbol);
+  return klines.slice(-limit);
+}
+
+/**
+ * Look up a product
+ */
+export async function getSymbolInfo(symbol) {
+  const productId = toProductId(symbol);
+  const product = await getJson(`${API_BASE}/products/${productId}`);
+
+  return {
+    symbol: parseSymbol(symbol).symbol,
+    baseAsset: product.base_currency,
+    quoteAsset: product.quote_currency,
+    exchangeSymbol: product.id,
+    status: product.status
+  };
+}
+
+export default {
+  name: 'coinbase',
+  getCurrentPrice,
+  get24hVolume,
+  getKlines,
+  getHistoricalKlines,
+  getSymbolInfo
+};
@@ -0,0 +1,226 @@
+/**
+ * File adapter
+ * Serves recorded OHLCV from CSV or JSON fixtures so runs are reproducible
+ * and work offline (MARKET_DATA_SOURCE=file)
+ *
+ * Fixtures live in MARKET_DATA_DIR (default ./fixtures) as
+ * <SYMBOL>-<timeframe>.json or .csv, e.g. BTCUSDT-1d.csv. Accepted rows:
+ *   - CSV with a header naming timestamp (or open_time/time/date), open,
+ *     high, low, close, volume columns
+ *   - CSV without header in Binance kline order (open time, o, h, l, c, v, ...)
+ *   - JSON arrays of candle objects or of Binance kline arrays
+ * Timestamps may be ISO dates, seconds, milliseconds or microseconds.
+ *
+ * "Now" is the last recorded candle: the current price is its close and
+ * timeframes without a fixture are built from a smaller one.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseSymbol } from '../binance.js';
+import { TIMEFRAME_MS } from '../backtest/metrics.js';
+import { aggregateCandles, normalizeCandles } from './candles.js';
+
+const DEFAULT_DATA_DIR = 'fixtures';
+
+const TIMESTAMP_COLUMNS = ['timestamp', 'open_time', 'time', 'date'];
+
+const fileCache = new Map();
+
+/**
+ * Directory fixtures are read from
+ */
+export function getMarketDataDir() {
+  return path.resolve(process.env.MARKET_DATA_DIR || DEFAULT_DATA_DIR);
+}
+
+/**
+ * Convert a recorded timestamp to milliseconds
+ */
+export function parseTimestamp(value) {
+  const number = Number(value);
+
+  if (!Number.isFinite(number)) {
+    const date = new Date(value).getTime();
+    if (Number.isNaN(date)) {
+      throw new Error(`Invalid candle timestamp: ${value}`);
+    }
+    return date;
+  }
+
+  if (number < 1e11) return number * 1000; // seconds
+  if (number > 1e14) return Math.floor(number / 1000); // microseconds
+  return number;
+}
+
+function toCandle([timestamp, open, high, low, close, volume]) {
+  return {
+    timestamp: parseTimestamp(timestamp),
+    open: parseFloat(open),
+    high: parseFloat(high),
+    low: parseFloat(low),
+    close: parseFloat(close),
+    volume: parseFloat(volume)
+  };
+}
+
+/**
+ * Parse candles from CSV text
+ * @returns {Array} Candles, oldest first
+ */
+export function parseCandleCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+
+  const first = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+  const hasHeader = Number.isNaN(Number(first[0])) && Number.isNaN(new Date(first[0]).getTime());
+
+  let columns = [0, 1, 2, 3, 4, 5];
+  if (hasHeader) {
+    const timestampColumn = first.findIndex(name => TIMESTAMP_COLUMNS.includes(name));
+    columns = [timestampColumn, ...['open', 'high', 'low', 'close', 'volume'].map(name => first.indexOf(name))];
+    if (columns.some(index => index === -1)) {
+      throw new Error(`CSV header must name timestamp, open, high, low, close and volume columns: ${lines[0]}`);
+    }
+  }
+
+  const rows = (hasHeader ? lines.slice(1) : lines).map(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    return toCandle(columns.map(index => cells[index]));
+  });
+
+  return normalizeCandles(rows);
+}
+
+/**
+ * Parse candles from JSON text (candle objects or Binance kline arrays)
+ * @returns {Array} Candles, oldest first
+ */
+export function parseCandleJson(text) {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data.candles;
+
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON fixtures must be an array of candles or { candles: [...] }');
+  }
+
+  return normalizeCandles(rows.map(row => Array.isArray(row)
+    ? toCandle(row)
+    : toCandle([row.timestamp ?? row.open_time ?? row.time ?? row.date, row.open, row.high, row.low, row.close, row.volume])
+  ));
+}
+
+/**
+ * Load the fixture of a symbol and timeframe, or null if none was recorded
+ */
+function loadFixture(symbol, timeframe) {
+  const dir = getMarketDataDir();
+
+  for (const extension of ['json', 'csv']) {
+    const file = path.join(dir, `${symbol}-${timeframe}.${extension}`);
+    if (fileCache.has(file)) return fileCache.get(file);
+    if (!fs.existsSync(file)) continue;
+
+    const text = fs.readFileSync(file, 'utf8');
+    const candles = extension === 'json' ? parseCandleJson(text) : parseCandleCsv(text);
+    fileCache.set(file, candles);
+    return candles;
+  }
+
+  return null;
+}
+
+/**
+ * Get recorded candles of a timeframe, built from the largest smaller
+ * timeframe with a fixture if it has none of its own
+ */
+function getRecordedCandles(symbol, timeframe) {
+  const pair = parseSymbol(symbol).symbol;
+  const recorded = loadFixture(pair, timeframe);
+  if (recorded) return recorded;
+
+  const sources = Object.keys(TIMEFRAME_MS)
+    .filter(source => TIMEFRAME_MS[source] < TIMEFRAME_MS[timeframe])
+    .sort((a, b) => TIMEFRAME_MS[b] - TIMEFRAME_MS[a]);
+
+  for (const source of sources) {
+    const candles = loadFixture(pair, source);
+    if (candles) return aggregateCandles(candles, timeframe);
+  }
+
+  throw new Error(`No recorded ${pair} ${timeframe} candles in ${getMarketDataDir()}`);
+}
+
+/**
+ * Get the most detailed recorded candles of a symbol
+ */
+function getFinestCandles(symbol) {
+  const pair = parseSymbol(symbol).symbol;
+  const timeframes = Object.keys(TIMEFRAME_MS).sort((a, b) => TIMEFRAME_MS[a] - TIMEFRAME_MS[b]);
+
+  for (const timeframe of timeframes) {
+    const candles = loadFixture(pair, timeframe);
+    if (candles?.length) return { timeframe, candles };
+  }
+
+  throw new Error(`No recorded ${pair} candles in ${getMarketDataDir()}`);
+}
+
+/**
+ * Last recorded close
+ */
+export async function getCurrentPrice(symbol) {
+  const { candles } = getFinestCandles(symbol);
+  return candles[candles.length - 1].close;
+}
+
+/**
+ * Base volume of the last recorded 24 hours
+ */
+export async function get24hVolume(symbol) {
+  const { candles } = getFinestCandles(symbol);
+  const since = candles[candles.length - 1].timestamp - TIMEFRAME_MS['1d'];
+
+  return candles
+    .filter(c => c.timestamp > since)
+    .reduce((total, c) => total + c.volume, 0);
+}
+
+/**
+ * Last recorded klines
+ */
+export async function getKlines(interval, limit, symbol) {
+  return getRecordedCandles(symbol, interval).slice(-limit).map(c => ({ ...c }));
+}
+
+/**
+ * Recorded klines between two dates
+ */
+export async function getHistoricalKlines(interval, startTime, endTime = Infinity, symbol) {
+  return normalizeCandles(getRecordedCandles(symbol, interval), startTime, endTime).map(c => ({ ...c }));
+}
+
+/**
+ * Symbols are recorded under their canonical name
+ */
+export async function getSymbolInfo(symbol) {
+  const { symbol: pair, baseAsset, quoteAsset } = parseSymbol(symbol);
+  getFinestCandles(pair);
+
+  return {
+    symbol: pair,
+    baseAsset,
+    quoteAsset,
+    exchangeSymbol: pair,
+    status: 'RECORDED'
+  };
+}
+
+export default {
+  name: 'file',
+  getCurrentPrice,
+  get24hVolume,
+  getKlines,
+  getHistoricalKlines,
+  getSymbolInfo
+};
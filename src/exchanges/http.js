@@ -0,0 +1,30 @@
+/**
+ * HTTP client for exchange adapters
+ * Shares the optional PROXY_URL and the request timeout with the Binance
+ * client, so a hung exchange fails the fetch instead of stalling the run
+ */
+
+import axios from 'axios';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+const PROXY_URL = process.env.PROXY_URL;
+const axiosConfig = PROXY_URL ? {
+  httpsAgent: new HttpsProxyAgent(PROXY_URL),
+  proxy: false
+} : {};
+
+// Same as REQUEST_TIMEOUT_MS in binance-client.js
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * GET a public endpoint and return the response body
+ * @throws {Error} The axios error on an HTTP error or timeout (code ECONNABORTED)
+ */
+export async function getJson(url, params = {}) {
+  const response = await axios.get(url, { params, timeout: REQUEST_TIMEOUT_MS, ...axiosConfig });
+  return response.data;
+}
+
+export default {
+  getJson
+};
@@ -0,0 +1,81 @@
+/**
+ * Exchange Adapters
+ * Market data sources an account or backtest can be run against
+ *
+ * Every adapter exposes the same functions, taking canonical symbols
+ * (BASEQUOTE, e.g. BTCUSDT) and returning candles shaped
+ * { timestamp, open, high, low, close, volume }, oldest first:
+ *   getCurrentPrice(symbol)
+ *   get24hVolume(symbol)                     - in the base asset
+ *   getKlines(interval, limit, symbol)       - latest candles, last one may be forming
+ *   getHistoricalKlines(interval, startTime, endTime, symbol)
+ *   getSymbolInfo(symbol)                    - { symbol, baseAsset, quoteAsset, exchangeSymbol, status }
+ *
+ * With MARKET_DATA_SOURCE=file every exchange is served by the file
+ * adapter, replaying candles recorded in MARKET_DATA_DIR.
+ */
+
+import { DEFAULT_SYMBOL } from '../binance.js';
+import binance from './binance.js';
+import coinbase from './coinbase.js';
+import kraken from './kraken.js';
+import bybit from './bybit.js';
+import file from './file.js';
+
+export const DEFAULT_EXCHANGE = 'binance';
+
+const EXCHANGES = { binance, coinbase, kraken, bybit };
+
+/**
+ * Whether market data is replayed from recorded files instead of exchanges
+ */
+export function isFileMarketData() {
+  return process.env.MARKET_DATA_SOURCE === 'file';
+}
+
+/**
+ * Get the adapter of an exchange
+ */
+export function getExchange(name = DEFAULT_EXCHANGE) {
+  const exchange = EXCHANGES[name || DEFAULT_EXCHANGE];
+  if (!exchange) {
+    throw new Error(`Unknown exchange: ${name}`);
+  }
+  return isFileMarketData() ? file : exchange;
+}
+
+/**
+ * Adapter equivalent of getMarketData() in binance.js
+ */
+export async function getMarketData(symbol = DEFAULT_SYMBOL, exchange = DEFAULT_EXCHANGE) {
+  const adapter = getExchange(exchange);
+
+  const [currentPrice, volume24h, dailyKlines, weeklyKlines] = await Promise.all([
+    adapter.getCurrentPrice(symbol),
+    adapter.get24hVolume(symbol),
+    adapter.getKlines('1d', 500, symbol),
+    adapter.getKlines('1w', 52, symbol)
+  ]);
+
+  return { currentPrice, volume24h, dailyKlines, weeklyKlines };
+}
+
+/**
+ * Get list of available exchanges
+ */
+export function getAvailableExchanges() {
+  return [
+    { value: 'binance', label: 'Binance', description: 'Binance Global (Binance US with USE_BINANCE_US)' },
+    { value: 'coinbase', label: 'Coinbase', description: 'Coinbase Exchange (4h and 1w built from 1h and 1d)' },
+    { value: 'kraken', label: 'Kraken', description: 'Kraken (latest 720 candles per timeframe)' },
+    { value: 'bybit', label: 'Bybit', description: 'Bybit spot' }
+  ];
+}
+
+export default {
+  DEFAULT_EXCHANGE,
+  isFileMarketData,
+  getExchange,
+  getMarketData,
+  getAvailableExchanges
+};
@@ -0,0 +1,140 @@
+/**
+ * Kraken adapter
+ * Pairs use Kraken's asset codes (BTC is XBT); results are keyed by
+ * Kraken's internal pair name, and OHLC rows are
+ * [time, open, high, low, close, vwap, volume, count] with time in seconds
+ *
+ * Kraken only serves the latest 720 candles of each interval, so deep
+ * history is not available from this exchange.
+ */
+
+import { parseSymbol } from '../binance.js';
+import { TIMEFRAME_MS } from '../backtest/metrics.js';
+import { getJson } from './http.js';
+import { getCandleStart, normalizeCandles } from './candles.js';
+
+const API_BASE = 'https://api.kraken.com/0/public';
+
+// Interval in minutes
+const INTERVALS = { '15m': 15, '1h': 60, '4h': 240, '1d': 1440, '1w': 10080 };
+
+const MAX_CANDLES = 720;
+
+const ASSET_ALIASES = { BTC: 'XBT', DOGE: 'XDG' };
+
+function toKrakenAsset(asset) {
+  return ASSET_ALIASES[asset] || asset;
+}
+
+function fromKrakenAsset(asset) {
+  return Object.keys(ASSET_ALIASES).find(key => ASSET_ALIASES[key] === asset) || asset;
+}
+
+function toPair(symbol) {
+  const { baseAsset, quoteAsset } = parseSymbol(symbol);
+  return `${toKrakenAsset(baseAsset)}${quoteAsset}`;
+}
+
+async function krakenGet(path, params) {
+  const data = await getJson(`${API_BASE}/${path}`, params);
+  if (data.error?.length > 0) {
+    throw new Error(`Kraken ${path}: ${data.error.join(', ')}`);
+  }
+  return data.result;
+}
+
+// Results are keyed by Kraken's pair name, next to a `last` cursor
+function getPairResult(result) {
+  const [, value] = Object.entries(result).find(([key]) => key !== 'last');
+  return value;
+}
+
+async function getTicker(symbol) {
+  return getPairResult(await krakenGet('Ticker', { pair: toPair(symbol) }));
+}
+
+/**
+ * Fetch current price of a symbol
+ */
+export async function getCurrentPrice(symbol) {
+  const ticker = await getTicker(symbol);
+  return parseFloat(ticker.c[0]);
+}
+
+/**
+ * Fetch rolling 24h volume in the base asset
+ */
+export async function get24hVolume(symbol) {
+  const ticker = await getTicker(symbol);
+  return parseFloat(ticker.v[1]);
+}
+
+/**
+ * Fetch klines between two dates (within the latest 720 candles)
+ */
+export async function getHistoricalKlines(interval, startTime, endTime = Date.now(), symbol) {
+  if (!INTERVALS[interval]) {
+    throw new Error(`Kraken does not support timeframe: ${interval}`);
+  }
+
+  const result = await krakenGet('OHLC', {
+    pair: toPair(symbol),
+    interval: INTERVALS[interval],
+    since: Math.floor(startTime / 1000) - 1
+  });
+
+  const candles = normalizeCandles(
+    getPairResult(result).map(([time, open, high, low, close, , volume]) => ({
+      timestamp: time * 1000,
+      open: parseFloat(open),
+      high: parseFloat(high),
+      low: parseFloat(low),
+      close: parseFloat(close),
+      volume: parseFloat(volume)
+    })),
+    startTime,
+    endTime
+  );
+
+  if (candles.length > 0 && candles[0].timestamp - startTime > TIMEFRAME_MS[interval] * MAX_CANDLES) {
+    console.warn(`Kraken only serves the latest ${MAX_CANDLES} ${interval} candles; history starts ${new Date(candles[0].timestamp).toISOString()}`);
+  }
+
+  return candles;
+}
+
+/**
+ * Fetch the latest klines
+ */
+export async function getKlines(interval, limit, symbol) {
+  const now = Date.now();
+  const startTime = getCandleStart(now, interval) - (limit - 1) * TIMEFRAME_MS[interval];
+
+  const klines = await getHistoricalKlines(interval, startTime, now, symbol);
+  return klines.slice(-limit);
+}
+
+/**
+ * Look up a trading pair
+ */
+export async function getSymbolInfo(symbol) {
+  const pair = getPairResult(await krakenGet('AssetPairs', { pair: toPair(symbol) }));
+  const [base, quote] = pair.wsname.split('/');
+
+  return {
+    symbol: parseSymbol(symbol).symbol,
+    baseAsset: fromKrakenAsset(base),
+    quoteAsset: quote,
+    exchangeSymbol: pair.altname,
+    status: pair.status || 'online'
+  };
+}
+
+export default {
+  name: 'kraken',
+  getCurrentPrice,
+  get24hVolume,
+  getKlines,
+  getHistoricalKlines,
+  getSymbolInfo
+};
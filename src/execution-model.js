@@ -0,0 +1,112 @@
+/**
+ * Execution Model
+ * Trading fees and slippage applied to paper and backtest fills
+ *
+ * Slippage models:
+ * - none: fill at the reference price
+ * - fixed: constant slippage_bps against the order
+ * - atr: slippage_atr_fraction × ATR(14) against the order
+ * - volume: slippage_bps plus square-root market impact of the order
+ *   size relative to the average candle volume
+ */
+
+import { calculateATR } from './indicators/utils.js';
+
+export const SLIPPAGE_MODELS = ['none', 'fixed', 'atr', 'volume'];
+
+// Same defaults as the trading_accounts columns
+export const DEFAULT_EXECUTION_COSTS = {
+  maker_fee_rate: 0.001,
+  taker_fee_rate: 0.001,
+  slippage_model: 'fixed',
+  slippage_bps: 2,
+  slippage_atr_fraction: 0.05
+};
+
+const ATR_PERIOD = 14;
+const VOLUME_PERIOD = 20;
+
+// Impact when an order equals 100% of an average candle's volume
+const VOLUME_IMPACT_COEFFICIENT = 0.1;
+
+/**
+ * Read a numeric account field, falling back to the default
+ */
+function getCost(account, field) {
+  const value = account[field];
+  return value === null || value === undefined
+    ? DEFAULT_EXECUTION_COSTS[field]
+    : parseFloat(value);
+}
+
+/**
+ * Get fee rate for an order
+ * @param {Object} account - Trading account
+ * @param {string} liquidity - 'taker' (market orders) or 'maker' (resting orders)
+ * @returns {number} Fee as a fraction of notional
+ */
+export function getFeeRate(account, liquidity = 'taker') {
+  return getCost(account, liquidity === 'maker' ? 'maker_fee_rate' : 'taker_fee_rate');
+}
+
+/**
+ * Estimate slippage for an order
+ * @param {Object} account - Trading account
+ * @param {Object} context
+ * @param {number} context.price - Reference price
+ * @param {number} context.notional - Order size in USD
+ * @param {Array} context.candles - Recent candles (needed by atr and volume models)
+ * @returns {number} Slippage as a fraction of price
+ */
+export function getSlippagePercent(account, { price, notional = 0, candles = [] }) {
+  const model = account.slippage_model || DEFAULT_EXECUTION_COSTS.slippage_model;
+  const baseSlippage = getCost(account, 'slippage_bps') / 10000;
+
+  switch (model) {
+    case 'none':
+      return 0;
+
+    case 'fixed':
+      return baseSlippage;
+
+    case 'atr': {
+      if (candles.length <= ATR_PERIOD) return baseSlippage;
+      const atr = calculateATR(candles, ATR_PERIOD);
+      const lastAtr = atr[atr.length - 1];
+      return lastAtr ? (lastAtr * getCost(account, 'slippage_atr_fraction')) / price : baseSlippage;
+    }
+
+    case 'volume': {
+      const recent = candles.slice(-VOLUME_PERIOD);
+      if (recent.length === 0) return baseSlippage;
+      const avgVolumeUsd = recent.reduce((sum, c) => sum + c.volume * c.close, 0) / recent.length;
+      if (avgVolumeUsd <= 0) return baseSlippage;
+      const participation = notional / avgVolumeUsd;
+      return baseSlippage + VOLUME_IMPACT_COEFFICIENT * Math.sqrt(participation);
+    }
+
+    default:
+      throw new Error(`Unknown slippage model: ${model}`);
+  }
+}
+
+/**
+ * Apply slippage against the order direction
+ * @param {string} side - 'buy' or 'sell'
+ * @param {number} price - Reference price
+ * @param {number} slippagePercent - Slippage as a fraction of price
+ * @returns {number} Fill price
+ */
+export function applySlippage(side, price, slippagePercent) {
+  return side === 'buy'
+    ? price * (1 + slippagePercent)
+    : price * (1 - slippagePercent);
+}
+
+export default {
+  SLIPPAGE_MODELS,
+  DEFAULT_EXECUTION_COSTS,
+  getFeeRate,
+  getSlippagePercent,
+  applySlippage
+};
@@ -0,0 +1,131 @@
+/**
+ * Fill Simulator
+ * Replays candles against an open position's stop loss and take profit
+ * as if they were resting orders on the exchange
+ *
+ * Only candles that opened after entry and closed after the last check are
+ * examined, so each candle is seen once. When one candle crosses both the
+ * stop and the target, the stop is assumed to fill first (conservative).
+ * Shorts mirror this, and are liquidated by a candle reaching their
+ * liquidation price before their stop.
+ */
+
+import { calculateTrailingStop } from './trailing-stop.js';
+import { isShortPosition } from './margin.js';
+import { TIMEFRAME_MS } from './backtest/metrics.js';
+
+/**
+ * Find the resting order a single candle would fill
+ * A candle that opens beyond a level fills at the open (gap), not at the level
+ * @param {Object} candle - { open, high, low }
+ * @param {number|null} stopLossPrice
+ * @param {number|null} takeProfitPrice
+ * @param {Object} options
+ * @param {string} options.side - 'long' or 'short'
+ * @param {number|null} options.liquidationPrice - Shorts only; liquidations
+ *   fill at this price whatever the candle did
+ * @returns {Object|null} { exitReason, price } or null if nothing fills
+ */
+export function findCandleFill(candle, stopLossPrice, takeProfitPrice, options = {}) {
+  const { side = 'long', liquidationPrice = null } = options;
+  const stop = parseFloat(stopLossPrice) || null;
+  const target = parseFloat(takeProfitPrice) || null;
+
+  if (side === 'short') {
+    const liquidation = parseFloat(liquidationPrice) || null;
+
+    if (liquidation && candle.high >= liquidation && (!stop || stop >= liquidation || candle.open >= liquidation)) {
+      return { exitReason: 'liquidation', price: liquidation };
+    }
+
+    if (stop && candle.high >= stop) {
+      return { exitReason: 'stop_loss', price: Math.max(candle.open, stop) };
+    }
+
+    if (target && candle.low <= target) {
+      return { exitReason: 'take_profit', price: Math.min(candle.open, target) };
+    }
+
+    return null;
+  }
+
+  if (stop && candle.low <= stop) {
+    return { exitReason: 'stop_loss', price: Math.min(candle.open, stop) };
+  }
+
+  if (target && candle.high >= target) {
+    return { exitReason: 'take_profit', price: Math.max(candle.open, target) };
+  }
+
+  return null;
+}
+
+/**
+ * Check the candles elapsed since the last run for a resting stop/target fill
+ *
+ * @param {Object} account - Trading account (timeframe, trailing settings)
+ * @param {Object} position - Open trade (side, stop_loss_price, take_profit_price,
+ *   liquidation_price, created_at, exits_checked_at)
+ * @param {Array} candles - Account timeframe candles, oldest first
+ * @param {Object} options
+ * @param {number} options.now - Current time; candles still forming are skipped
+ * @returns {Object} { exit, stopLossPrice, highestPrice, checkedAt }
+ *   exit is { exitReason, price, timestamp } or null
+ */
+export function simulateRestingExits(account, position, candles, options = {}) {
+  const { now = Date.now() } = options;
+  const short = isShortPosition(position);
+  const timeframeMs = TIMEFRAME_MS[account.timeframe || '1d'];
+
+  const entryTime = new Date(position.created_at).getTime();
+  const since = position.exits_checked_at
+    ? new Date(position.exits_checked_at).getTime()
+    : entryTime;
+
+  let stopLossPrice = parseFloat(position.stop_loss_price) || null;
+  let highestPrice = parseFloat(position.highest_price) || parseFloat(position.price);
+  let checkedAt = since;
+
+  for (let i = 0; i < candles.length; i++) {
+    const candle = candles[i];
+    const closeTime = candle.timestamp + timeframeMs;
+
+    if (candle.timestamp < entryTime || closeTime <= since || closeTime > now) {
+      continue;
+    }
+
+    const fill = findCandleFill(candle, stopLossPrice, position.take_profit_price, {
+      side: short ? 'short' : 'long',
+      liquidationPrice: position.liquidation_price
+    });
+    if (fill) {
+      return {
+        exit: { ...fill, timestamp: closeTime },
+        stopLossPrice,
+        highestPrice,
+        checkedAt: closeTime
+      };
+    }
+
+    // Ratchet the trailing stop on the candle high (low for shorts) for the next candle
+    const trailing = calculateTrailingStop(
+      account,
+      { ...position, stop_loss_price: stopLossPrice, highest_price: highestPrice },
+      short ? candle.low : candle.high,
+      candles.slice(0, i + 1)
+    );
+    if (trailing) {
+      stopLossPrice = trailing.stopLossPrice;
+      highestPrice = trailing.highestPrice;
+    }
+
+    checkedAt = closeTime;
+  }
+
+  return { exit: null, stopLossPrice, highestPrice, checkedAt };
+}
+
+export default {
+  findCandleFill,
+  simulateRestingExits
+};
@@ -1,27 +1,52 @@
-import cron from 'node-cron';
 import dotenv from 'dotenv';
-import { getMarketData } from './binance.js';
+import { DEFAULT_SYMBOL } from './binance.js';
+import { getStreamMarketData, startMarketStream } from './market-stream.js';
 import { calculateAllIndicators } from './indicators.js';
 import { calculateScore, shouldSendAlert } from './scoring.js';
-import { initTelegramBot, sendAlert, sendTestMessage, sendPaperTradingBuy, sendPaperTradingSell } from './telegram.js';
+import {
+  initTelegramBot,
+  sendAlert,
+  sendTestMessage,
+  sendPaperTradingBuy,
+  sendPaperTradingSell,
+  sendPaperTradingShort,
+  sendPaperTradingCover
+} from './telegram.js';
 import {
   initDatabase,
   saveAnalysis,
   saveAlert,
-  getLatestAnalysis,
-  saveKlineData
+  getLatestAnalysis
 } from './database.js';
+import { syncKlines, isKlineStoreEnabled } from './kline-store.js';
+import { isFileMarketData } from './exchanges/index.js';
+import { getMarketDataDir } from './exchanges/file.js';
 import { executeMultiAccountTrading } from './multi-account-trading.js';
 import { getPaperConfig, savePaperSignal } from './paper-trading-db.js';
 import { calculateAllSignals } from './indicators/index.js';
 import { calculateRankings, checkRankingAlerts } from './ranking-system.js';
 import { startAPIServer } from './api/server.js';
+import { startPositionGuard, DEFAULT_GUARD_INTERVAL_SECONDS } from './position-guard.js';
+import {
+  scheduleAnalysis,
+  runAnalysisTask,
+  startTimeframeScheduler,
+  getUpcomingRuns,
+  DEFAULT_SCHEDULE_DELAY_SECONDS
+} from './scheduler.js';
+import { getAvailableTimeframes } from './strategy-factory.js';
 
 dotenv.config();
 
 // Configuration
 const CRON_SCHEDULE = process.env.CRON_SCHEDULE || '0 */4 * * *'; // Every 4 hours by default
 const RUN_ON_START = process.env.RUN_ON_START !== 'false'; // Run immediately on start unless disabled
+const MARKET_STREAM = process.env.MARKET_STREAM !== 'false'; // Stream candles and prices over WebSocket unless disabled
+const POSITION_GUARD_INTERVAL = parseInt(process.env.POSITION_GUARD_INTERVAL ?? DEFAULT_GUARD_INTERVAL_SECONDS); // Seconds, 0 disables
+const SCHEDULE_DELAY_SECONDS = parseInt(process.env.SCHEDULE_DELAY_SECONDS ?? DEFAULT_SCHEDULE_DELAY_SECONDS); // Seconds after each candle close
+
+// Score and indicators of the last analysis, used in trading notifications
+let latestAnalysis = null;
 
 /**
  * Main analysis function
@@ -35,16 +60,18 @@ async function runAnalysis() {
   try {
     // 1. Fetch market data from Binance
     console.log('📊 Fetching market data from Binance...');
-    const marketData = await getMarketData();
+    const marketData = await getStreamMarketData();
     console.log(`✓ Current BTC price: $${marketData.currentPrice.toLocaleString()}`);
     console.log(`✓ 24h volume: ${marketData.volume24h.toLocaleString()} BTC`);
 
-    // Save daily klines for historical record
-    console.log('\n💾 Saving kline data...');
-    for (const kline of marketData.dailyKlines.slice(-30)) {
-      await saveKlineData(kline);
+    // Store closed candles for indicators and backtests
+    if (isKlineStoreEnabled()) {
+      console.log('\n💾 Syncing kline store...');
+      for (const timeframe of ['1d', '1w']) {
+        const { saved } = await syncKlines(DEFAULT_SYMBOL, timeframe);
+        console.log(`✓ ${DEFAULT_SYMBOL} ${timeframe}: ${saved} new candle(s) stored`);
+      }
     }
-    console.log('✓ Kline data saved');
 
     // 2. Calculate all technical indicators
     console.log('\n📈 Calculating technical indicators...');
@@ -92,6 +119,7 @@ async function runAnalysis() {
       score: score
     };
     await saveAnalysis(analysisData);
+    latestAnalysis = { score, indicators };
     console.log('✓ Analysis saved');
 
     // 6. Check if alerts should be sent
@@ -120,7 +148,7 @@ async function runAnalysis() {
       console.log('✓ No alerts triggered - conditions stable');
     }
 
-    // 7. Calculate all indicator signals (needed for multi-account trading)
+    // 7. Calculate all indicator signals
     console.log('\n📊 Calculating all indicator signals...');
     let allSignals = null;
 
@@ -149,74 +177,12 @@ async function runAnalysis() {
       console.error('✗ Error calculating indicator signals:', error);
     }
 
-    // 8. Execute Multi-Account Paper Trading
-    if (allSignals) {
-      try {
-        const tradingResults = await executeMultiAccountTrading(marketData);
-
-        // Send notifications for each account that traded
-        for (const result of tradingResults) {
-          if (result.error) {
-            console.error(`  ✗ Error in account ${result.account.account_name}:`, result.error);
-            continue;
-          }
-
-          if (result.action === 'buy') {
-            await sendPaperTradingBuy(
-              result.trade,
-              result.account,
-              indicators,
-              result.account.account_name
-            );
-          } else if (result.action === 'sell') {
-            await sendPaperTradingSell(
-              result.trade,
-              result.trade.profit_loss_usd,
-              result.trade.profit_loss_percentage,
-              result.account.account_name
-            );
-          }
-        }
-
-        // 9. Calculate rankings and check for alerts
-        console.log('\n📊 Calculating rankings...');
-        const rankings = await calculateRankings(marketData.currentPrice);
-        console.log(`✓ Rankings calculated (${rankings.length} accounts)`);
-
-        if (rankings.length > 0) {
-          console.log('\nTop 3 strategies:');
-          rankings.slice(0, 3).forEach(r => {
-            console.log(`  ${r.rank}. ${r.account_name} (${r.strategy}): ${r.roi_percent.toFixed(2)}% ROI`);
-          });
-
-          // Check for ranking alerts
-          const rankingAlerts = await checkRankingAlerts(rankings);
-
-          if (rankingAlerts.length > 0) {
-            console.log(`\n🔔 ${rankingAlerts.length} ranking alert(s) detected`);
-
-            for (const alert of rankingAlerts) {
-              console.log(`  - ${alert.message}`);
-              await sendAlert({
-                type: alert.type,
-                severity: 'info',
-                message: alert.message,
-                details: {}
-              }, score, indicators);
-            }
-          }
-        }
-      } catch (error) {
-        console.error('✗ Error in multi-account trading:', error);
-      }
-    }
-
-    // 10. Save indicator signals to database
+    // 8. Save indicator signals to database
     if (allSignals) {
       console.log('\n💾 Saving indicator signals to database...');
       try {
         const timestamp = Date.now();
-        const symbol = 'BTCUSDT';
+        const symbol = DEFAULT_SYMBOL;
         const price = marketData.currentPrice;
 
         const indicatorNames = [
@@ -256,7 +222,6 @@ async function runAnalysis() {
 
     console.log('\n========================================');
     console.log('Analysis completed successfully');
-    console.log('Next run:', getNextRunTime());
     console.log('========================================\n');
 
   } catch (error) {
@@ -269,16 +234,95 @@ async function runAnalysis() {
 }
 
 /**
- * Get next scheduled run time
+ * Paper trading for the accounts on some timeframes (all when omitted)
+ * Scheduled after each candle close of the timeframe
  */
-function getNextRunTime() {
+async function runTrading(timeframes = null) {
   try {
-    const task = cron.schedule(CRON_SCHEDULE, () => {});
-    const next = task.nextDate();
-    task.stop();
-    return next ? next.toLocaleString() : 'Unknown';
-  } catch {
-    return 'Unknown';
+    const tradingResults = await executeMultiAccountTrading({ timeframes });
+    if (tradingResults.length === 0) return;
+
+    const { score, indicators } = latestAnalysis || {};
+
+    // Send notifications for each account that traded
+    for (const result of tradingResults) {
+      if (result.error) {
+        console.error(`  ✗ Error in account ${result.account.account_name}:`, result.error);
+        continue;
+      }
+
+      if (result.action === 'buy') {
+        await sendPaperTradingBuy(
+          result.trade,
+          result.account,
+          indicators,
+          result.account.account_name
+        );
+      } else if (result.action === 'sell') {
+        await sendPaperTradingSell(
+          result.trade,
+          parseFloat(result.trade.profit_loss_usd),
+          parseFloat(result.trade.profit_loss_percentage),
+          result.account.account_name
+        );
+      } else if (result.action === 'short') {
+        await sendPaperTradingShort(result.trade, result.account, result.account.account_name);
+      } else if (result.action === 'cover') {
+        await sendPaperTradingCover(
+          result.trade,
+          parseFloat(result.trade.profit_loss_usd),
+          parseFloat(result.trade.profit_loss_percentage),
+          result.account.account_name
+        );
+      } else if (result.action === 'rebalance' || result.action === 'grid') {
+        for (const trade of result.trades) {
+          if (trade.trade_type === 'buy') {
+            await sendPaperTradingBuy(trade, result.account, indicators, result.account.account_name);
+          } else {
+            await sendPaperTradingSell(
+              trade,
+              parseFloat(trade.profit_loss_usd),
+              parseFloat(trade.profit_loss_percentage),
+              result.account.account_name
+            );
+          }
+        }
+      }
+    }
+
+    // Calculate rankings and check for alerts
+    console.log('\n📊 Calculating rankings...');
+    const rankings = await calculateRankings();
+    console.log(`✓ Rankings calculated (${rankings.length} accounts)`);
+
+    if (rankings.length > 0) {
+      console.log('\nTop 3 strategies:');
+      rankings.slice(0, 3).forEach(r => {
+        const vsDca = r.vs_dca_roi_percent !== null
+          ? ` (${r.vs_dca_roi_percent >= 0 ? '+' : ''}${r.vs_dca_roi_percent.toFixed(2)}% vs DCA)`
+          : '';
+        console.log(`  ${r.rank}. ${r.account_name} (${r.strategy}): ${r.roi_percent.toFixed(2)}% ROI${vsDca}`);
+      });
+
+      // Ranking alerts are sent along the last analysis score
+      const rankingAlerts = await checkRankingAlerts(rankings);
+
+      if (rankingAlerts.length > 0 && latestAnalysis) {
+        console.log(`\n🔔 ${rankingAlerts.length} ranking alert(s) detected`);
+
+        for (const alert of rankingAlerts) {
+          console.log(`  - ${alert.message}`);
+          await sendAlert({
+            type: alert.type,
+            severity: 'info',
+            message: alert.message,
+            details: {}
+          }, score, indicators);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('✗ Error in multi-account trading:', error);
   }
 }
 
@@ -307,19 +351,41 @@ async function main() {
     await sendTestMessage();
   }
 
-  // Schedule cron job
-  console.log(`Scheduling cron job: ${CRON_SCHEDULE}`);
-  cron.schedule(CRON_SCHEDULE, async () => {
-    await runAnalysis();
+  // Schedule the score analysis, and each timeframe's trading after its candles close
+  console.log(`Scheduling analysis: ${CRON_SCHEDULE}`);
+  scheduleAnalysis(CRON_SCHEDULE, runAnalysis);
+  console.log(`✓ Analysis scheduled, next run ${getUpcomingRuns(1).analysis.next_run_at}`);
+
+  const timeframes = getAvailableTimeframes().map(t => t.value);
+  startTimeframeScheduler(timeframes, timeframe => runTrading([timeframe]), {
+    delaySeconds: SCHEDULE_DELAY_SECONDS
   });
-  console.log('✓ Cron job scheduled\n');
+  console.log(`✓ Trading scheduled ${SCHEDULE_DELAY_SECONDS}s after each candle close:`);
+  for (const { timeframe, next_run_at } of getUpcomingRuns(1).timeframes) {
+    console.log(`  - ${timeframe}: next run ${next_run_at}`);
+  }
+  console.log('');
+
+  // Keep candles and prices fresh between runs without polling REST
+  // (recorded market data never changes, so there is nothing to stream)
+  if (isFileMarketData()) {
+    console.log(`✓ Replaying recorded market data from ${getMarketDataDir()}`);
+  } else if (MARKET_STREAM) {
+    startMarketStream();
+    console.log('✓ Market stream started');
+  }
 
-  console.log('Next scheduled run:', getNextRunTime());
+  // Enforce stops between analysis runs
+  if (POSITION_GUARD_INTERVAL > 0) {
+    startPositionGuard(POSITION_GUARD_INTERVAL);
+    console.log(`✓ Position guard checking open positions every ${POSITION_GUARD_INTERVAL}s`);
+  }
 
   // Run immediately on start if enabled
   if (RUN_ON_START) {
     console.log('\nRunning initial analysis...\n');
-    await runAnalysis();
+    await runAnalysisTask(runAnalysis);
+    await runTrading();
   }
 
   console.log('\n✅ Worker is running and monitoring Bitcoin...');
@@ -46,6 +46,14 @@ import {
   isBearishOrderBlock
 } from './order-blocks.js';
 
+import {
+  analyzeOrderFlow,
+  calculateBookImbalance,
+  findWalls,
+  calculateTakerVolume,
+  isWhaleConfirmedByOrderFlow
+} from './order-flow.js';
+
 // Export individual indicators
 export {
   // Heikin Ashi
@@ -81,14 +89,22 @@ export {
   // Order Blocks
   detectOrderBlocks,
   isBullishOrderBlock,
-  isBearishOrderBlock
+  isBearishOrderBlock,
+
+  // Order Flow
+  analyzeOrderFlow,
+  calculateBookImbalance,
+  findWalls,
+  calculateTakerVolume,
+  isWhaleConfirmedByOrderFlow
 };
 
 /**
  * Calculate all indicator signals for given candles
  *
  * @param {Array} candles - Array of OHLCV candles
- * @param {Object} options - Configuration for which indicators to calculate
+ * @param {Object} options - Configuration for which indicators to calculate;
+ *   options.marketDepth ({ orderBook, trades }) enables order flow for the latest candle
  * @returns {Object} All calculated indicator signals
  */
 export async function calculateAllSignals(candles, options = {}) {
@@ -100,6 +116,10 @@ export async function calculateAllSignals(candles, options = {}) {
     useWhaleDetector = true,
     useDivergences = true,
     useOrderBlocks = true,
+    useOrderFlow = true,
+
+    // Live order book and trades (see market-depth.js)
+    marketDepth = null,
 
     // Individual indicator configs
     heikinAshiConfig = {},
@@ -108,7 +128,8 @@ export async function calculateAllSignals(candles, options = {}) {
     lupownConfig = {},
     whaleConfig = {},
     divergencesConfig = {},
-    orderBlocksConfig = {}
+    orderBlocksConfig = {},
+    orderFlowConfig = {}
   } = options;
 
   const results = {
@@ -119,6 +140,7 @@ export async function calculateAllSignals(candles, options = {}) {
     whales: null,
     divergences: null,
     orderBlocks: null,
+    orderFlow: null,
     timestamp: candles[candles.length - 1].timestamp
   };
 
@@ -182,9 +204,22 @@ export async function calculateAllSignals(candles, options = {}) {
       );
     }
 
+    if (useOrderFlow && marketDepth) {
+      promises.push(
+        (async () => {
+          results.orderFlow = analyzeOrderFlow(marketDepth, orderFlowConfig);
+        })()
+      );
+    }
+
     // Wait for all indicators to complete
     await Promise.all(promises);
 
+    // Let whale spikes be confirmed by real order flow
+    if (results.whales && results.orderFlow) {
+      results.whales.orderFlowConfirmed = isWhaleConfirmedByOrderFlow(results.whales, results.orderFlow, orderFlowConfig);
+    }
+
     return results;
   } catch (error) {
     console.error('Error calculating all signals:', error);
@@ -216,7 +251,8 @@ export function getSignalsSummary(signals) {
     { name: 'Lupown', data: signals.lupown },
     { name: 'Whales', data: signals.whales },
     { name: 'Divergences', data: signals.divergences },
-    { name: 'Order Blocks', data: signals.orderBlocks }
+    { name: 'Order Blocks', data: signals.orderBlocks },
+    { name: 'Order Flow', data: signals.orderFlow }
   ];
 
   for (const indicator of indicators) {
@@ -299,5 +335,12 @@ export const DEFAULT_CONFIGS = {
     lookbackPeriod: 20,
     testThreshold: 0.002,
     maxOrderBlockAge: 100
+  },
+  orderFlow: {
+    depthPercent: 1,
+    wallMultiplier: 5,
+    imbalanceThreshold: 0.2,
+    takerRatioThreshold: 0.55,
+    minTrades: 20
   }
 };
@@ -0,0 +1,167 @@
+/**
+ * Order Flow Indicator
+ * Reads real order flow from the order book and aggregated trades
+ *
+ * Unlike the candle indicators this describes the market right now, so
+ * it only applies to the latest candle and has no history to backtest.
+ *
+ * Features:
+ * - Book imbalance: bid vs ask notional within a band around the mid price
+ * - Walls: resting levels many times larger than the typical level
+ * - Taker flow: volume bought vs sold by market orders
+ *
+ * Signal Logic:
+ * - Buy: Bids outweigh asks + takers mostly buying
+ * - Sell: Asks outweigh bids + takers mostly selling
+ */
+
+/**
+ * Bid/ask notional within depthPercent of the mid price
+ * @param {Object} orderBook - { bids, asks } with [price, quantity] levels, best first
+ * @returns {Object|null} { midPrice, bidNotional, askNotional, imbalance } where
+ *   imbalance runs from -1 (only asks) to 1 (only bids)
+ */
+export function calculateBookImbalance(orderBook, depthPercent = 1) {
+  const bestBid = orderBook?.bids?.[0]?.[0];
+  const bestAsk = orderBook?.asks?.[0]?.[0];
+  if (!bestBid || !bestAsk) return null;
+
+  const midPrice = (bestBid + bestAsk) / 2;
+  const band = midPrice * depthPercent / 100;
+
+  const sumNotional = levels => levels
+    .filter(([price]) => Math.abs(price - midPrice) <= band)
+    .reduce((total, [price, quantity]) => total + price * quantity, 0);
+
+  const bidNotional = sumNotional(orderBook.bids);
+  const askNotional = sumNotional(orderBook.asks);
+  const total = bidNotional + askNotional;
+
+  return {
+    midPrice,
+    bidNotional,
+    askNotional,
+    imbalance: total > 0 ? (bidNotional - askNotional) / total : 0
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Find resting walls: levels at least wallMultiplier times the median level size
+ * @returns {Array} [{ price, quantity, notional, ratio }], largest first
+ */
+export function findWalls(levels = [], wallMultiplier = 5) {
+  if (levels.length === 0) return [];
+
+  const typical = median(levels.map(([, quantity]) => quantity));
+  if (!typical) return [];
+
+  return levels
+    .filter(([, quantity]) => quantity >= typical * wallMultiplier)
+    .map(([price, quantity]) => ({
+      price,
+      quantity,
+      notional: price * quantity,
+      ratio: quantity / typical
+    }))
+    .sort((a, b) => b.quantity - a.quantity);
+}
+
+/**
+ * Volume bought and sold by takers
+ * A trade whose buyer was the maker was a taker sell
+ * @returns {Object} { buyVolume, sellVolume, delta, buyRatio }
+ */
+export function calculateTakerVolume(trades = []) {
+  let buyVolume = 0;
+  let sellVolume = 0;
+
+  for (const trade of trades) {
+    if (trade.isBuyerMaker) {
+      sellVolume += trade.quantity;
+    } else {
+      buyVolume += trade.quantity;
+    }
+  }
+
+  const total = buyVolume + sellVolume;
+  return {
+    buyVolume,
+    sellVolume,
+    delta: buyVolume - sellVolume,
+    buyRatio: total > 0 ? buyVolume / total : null
+  };
+}
+
+/**
+ * Calculate Order Flow signals
+ *
+ * @param {Object} marketDepth - { orderBook, trades } from getOrderFlowData()
+ * @param {Object} config - Configuration parameters
+ * @returns {Object|null} Order flow data
+ */
+export function analyzeOrderFlow(marketDepth, config = {}) {
+  const {
+    depthPercent = 1, // Book levels within 1% of the mid price
+    wallMultiplier = 5,
+    imbalanceThreshold = 0.2,
+    takerRatioThreshold = 0.55,
+    minTrades = 20
+  } = config;
+
+  const book = calculateBookImbalance(marketDepth?.orderBook, depthPercent);
+  if (!book) return null;
+
+  const trades = marketDepth.trades || [];
+  const taker = calculateTakerVolume(trades);
+  const enoughTrades = trades.length >= minTrades && taker.buyRatio !== null;
+
+  let signal = null;
+  if (enoughTrades && book.imbalance >= imbalanceThreshold && taker.buyRatio >= takerRatioThreshold) {
+    signal = 'BUY';
+  } else if (enoughTrades && book.imbalance <= -imbalanceThreshold && taker.buyRatio <= 1 - takerRatioThreshold) {
+    signal = 'SELL';
+  }
+
+  return {
+    signal,
+    midPrice: book.midPrice,
+    bidNotional: book.bidNotional,
+    askNotional: book.askNotional,
+    imbalance: book.imbalance,
+    bidWalls: findWalls(marketDepth.orderBook.bids, wallMultiplier),
+    askWalls: findWalls(marketDepth.orderBook.asks, wallMultiplier),
+    takerBuyVolume: taker.buyVolume,
+    takerSellVolume: taker.sellVolume,
+    takerDelta: taker.delta,
+    takerBuyRatio: taker.buyRatio,
+    tradeCount: trades.length,
+    timestamp: marketDepth.orderBook.timestamp ?? Date.now()
+  };
+}
+
+/**
+ * Check whether order flow backs a whale detector spike: accumulation
+ * needs takers buying into bids, distribution takers selling into asks
+ * @param {Object} whales - detectWhales() result
+ * @param {Object} orderFlow - analyzeOrderFlow() result
+ * @returns {boolean|null} null when there is no spike or no order flow
+ */
+export function isWhaleConfirmedByOrderFlow(whales, orderFlow, config = {}) {
+  const { takerRatioThreshold = 0.55 } = config;
+
+  if (!whales?.whaleType || !orderFlow || orderFlow.takerBuyRatio === null) {
+    return null;
+  }
+
+  if (whales.whaleType === 'ACCUMULATION') {
+    return orderFlow.takerBuyRatio >= takerRatioThreshold && orderFlow.imbalance > 0;
+  }
+
+  return orderFlow.takerBuyRatio <= 1 - takerRatioThreshold && orderFlow.imbalance < 0;
+}
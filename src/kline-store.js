@@ -0,0 +1,314 @@
+/**
+ * Kline Store
+ * Local repository of closed candles per exchange, symbol and timeframe
+ *
+ * Candles are fetched from the exchange once and kept in the klines table:
+ * each sync backfills older history on request, fetches only the candles
+ * closed since the last one stored and re-fetches any holes left by
+ * earlier failures. Indicators and backtests read from here, falling
+ * back to REST when no database is configured and to the stored candles
+ * alone when the exchange can't be reached.
+ */
+
+import { initDatabase } from './database.js';
+import { DEFAULT_SYMBOL } from './binance.js';
+import { getExchange, isFileMarketData, DEFAULT_EXCHANGE } from './exchanges/index.js';
+import { TIMEFRAME_MS } from './backtest/metrics.js';
+
+// Rows per INSERT; 6 parameters each stays well below Postgres' limit
+const SAVE_BATCH_SIZE = 500;
+
+// Queries call initDatabase() instead of holding a pool from import time,
+// so CLIs that load .env after their imports still reach the database
+
+/**
+ * Whether candles can be stored (a database is configured)
+ * Recorded market data is read straight from its files
+ */
+export function isKlineStoreEnabled() {
+  return Boolean(process.env.DATABASE_URL) && !isFileMarketData();
+}
+
+/**
+ * Plan the REST fetches that bring a stored range up to date
+ * @param {Object|null} stored - { first, last } timestamps of stored candles
+ * @param {number} startTime - Oldest candle wanted
+ * @param {number} endTime - Newest time wanted
+ * @param {number} intervalMs - Candle duration
+ * @param {Array} gaps - [{ after, before }] timestamps around missing candles
+ * @returns {Array} [{ start, end }] ranges to fetch
+ */
+export function planKlineSync(stored, startTime, endTime, intervalMs, gaps = []) {
+  if (!stored) {
+    return [{ start: startTime, end: endTime }];
+  }
+
+  const ranges = [];
+
+  if (startTime < stored.first) {
+    ranges.push({ start: startTime, end: stored.first - 1 });
+  }
+
+  for (const gap of gaps) {
+    ranges.push({ start: gap.after + intervalMs, end: gap.before - 1 });
+  }
+
+  if (endTime >= stored.last + intervalMs) {
+    ranges.push({ start: stored.last + intervalMs, end: endTime });
+  }
+
+  return ranges;
+}
+
+function toCandle(row) {
+  return {
+    timestamp: new Date(row.timestamp).getTime(),
+    open: parseFloat(row.open),
+    high: parseFloat(row.high),
+    low: parseFloat(row.low),
+    close: parseFloat(row.close),
+    volume: parseFloat(row.volume)
+  };
+}
+
+/**
+ * Upsert closed candles of a market
+ */
+export async function saveKlines(symbol, timeframe, candles, exchange = DEFAULT_EXCHANGE) {
+  const client = await initDatabase().connect();
+  try {
+    for (let i = 0; i < candles.length; i += SAVE_BATCH_SIZE) {
+      const batch = candles.slice(i, i + SAVE_BATCH_SIZE);
+      const values = [];
+      const rows = batch.map((candle, j) => {
+        values.push(
+          new Date(candle.timestamp),
+          candle.open,
+          candle.high,
+          candle.low,
+          candle.close,
+          candle.volume
+        );
+        const offset = j * 6;
+        return `($1, $2, $3, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8}, $${offset + 9})`;
+      });
+
+      await client.query(`
+        INSERT INTO klines (exchange, symbol, timeframe, timestamp, open, high, low, close, volume)
+        VALUES ${rows.join(', ')}
+        ON CONFLICT (exchange, symbol, timeframe, timestamp) DO UPDATE
+        SET open = EXCLUDED.open, high = EXCLUDED.high, low = EXCLUDED.low,
+          close = EXCLUDED.close, volume = EXCLUDED.volume
+      `, [exchange, symbol, timeframe, ...values]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get stored candles of a market between two timestamps, oldest first
+ */
+export async function loadKlines(symbol, timeframe, startTime, endTime = Date.now(), exchange = DEFAULT_EXCHANGE) {
+  const client = await initDatabase().connect();
+  try {
+    const result = await client.query(`
+      SELECT timestamp, open, high, low, close, volume FROM klines
+      WHERE exchange = $1 AND symbol = $2 AND timeframe = $3
+        AND timestamp >= $4 AND timestamp <= $5
+      ORDER BY timestamp ASC
+    `, [exchange, symbol, timeframe, new Date(startTime), new Date(endTime)]);
+    return result.rows.map(toCandle);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the newest stored candles of a market, oldest first
+ */
+export async function loadLatestKlines(symbol, timeframe, limit, exchange = DEFAULT_EXCHANGE) {
+  const client = await initDatabase().connect();
+  try {
+    const result = await client.query(`
+      SELECT timestamp, open, high, low, close, volume FROM klines
+      WHERE exchange = $1 AND symbol = $2 AND timeframe = $3
+      ORDER BY timestamp DESC
+      LIMIT $4
+    `, [exchange, symbol, timeframe, limit]);
+    return result.rows.reverse().map(toCandle);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the first and last stored timestamps of a market
+ * @returns {Object|null} { first, last, count }
+ */
+export async function getStoredRange(symbol, timeframe, exchange = DEFAULT_EXCHANGE) {
+  const client = await initDatabase().connect();
+  try {
+    const result = await client.query(`
+      SELECT MIN(timestamp) AS first, MAX(timestamp) AS last, COUNT(*) AS count
+      FROM klines
+      WHERE exchange = $1 AND symbol = $2 AND timeframe = $3
+    `, [exchange, symbol, timeframe]);
+
+    const row = result.rows[0];
+    if (parseInt(row.count) === 0) return null;
+
+    return {
+      first: new Date(row.first).getTime(),
+      last: new Date(row.last).getTime(),
+      count: parseInt(row.count)
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find holes in the stored candles of a market
+ * @returns {Array} [{ after, before }] timestamps of the candles around each hole
+ */
+export async function findKlineGaps(symbol, timeframe, exchange = DEFAULT_EXCHANGE) {
+  const client = await initDatabase().connect();
+  try {
+    const result = await client.query(`
+      SELECT previous AS after, timestamp AS before
+      FROM (
+        SELECT timestamp, LAG(timestamp) OVER (ORDER BY timestamp) AS previous
+        FROM klines
+        WHERE exchange = $1 AND symbol = $2 AND timeframe = $3
+      ) ordered
+      WHERE EXTRACT(EPOCH FROM timestamp - previous) * 1000 > $4
+      ORDER BY timestamp ASC
+    `, [exchange, symbol, timeframe, TIMEFRAME_MS[timeframe]]);
+
+    return result.rows.map(row => ({
+      after: new Date(row.after).getTime(),
+      before: new Date(row.before).getTime()
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Bring the stored candles of a market up to date
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Object} options
+ * @param {string} options.exchange - Exchange the candles come from
+ * @param {number} options.startTime - Backfill history back to this time
+ * @param {number} options.endTime - Sync up to this time (defaults to now)
+ * @param {boolean} options.repairGaps - Re-fetch holes in stored history. Off
+ *   by default: it scans the whole history, and holes the exchange itself
+ *   has (maintenance outages) never fill, so only backfill-klines.js asks
+ * @returns {Object} { saved, forming } - candles stored and the candle
+ *   still forming at endTime, if the fetch returned it
+ */
+export async function syncKlines(symbol = DEFAULT_SYMBOL, timeframe = '1d', options = {}) {
+  const intervalMs = TIMEFRAME_MS[timeframe];
+  if (!intervalMs) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+
+  const now = Date.now();
+  const { exchange = DEFAULT_EXCHANGE, endTime = now, repairGaps = false } = options;
+  const adapter = getExchange(exchange);
+
+  const stored = await getStoredRange(symbol, timeframe, exchange);
+  const startTime = options.startTime ?? (stored ? stored.first : endTime - 1000 * intervalMs);
+  const gaps = stored && repairGaps ? await findKlineGaps(symbol, timeframe, exchange) : [];
+
+  let saved = 0;
+  let forming = null;
+
+  for (const range of planKlineSync(stored, startTime, endTime, intervalMs, gaps)) {
+    const candles = await adapter.getHistoricalKlines(timeframe, range.start, range.end, symbol);
+
+    // Only closed candles are stored; the forming one changes until it closes
+    const closed = candles.filter(c => c.timestamp + intervalMs <= now);
+    const open = candles.find(c => c.timestamp + intervalMs > now);
+    if (open) forming = open;
+
+    if (closed.length > 0) {
+      await saveKlines(symbol, timeframe, closed, exchange);
+      saved += closed.length;
+    }
+  }
+
+  if (gaps.length > 0) {
+    console.log(`🗄️  Re-fetched ${gaps.length} gap(s) in ${exchange} ${symbol} ${timeframe} history`);
+  }
+
+  return { saved, forming };
+}
+
+/**
+ * Get candles between two timestamps, synced into the store first
+ * Same candle shape as getHistoricalKlines(), plus the exchange to use
+ */
+export async function getKlineHistory(timeframe, startTime, endTime = Date.now(), symbol = DEFAULT_SYMBOL, exchange = DEFAULT_EXCHANGE) {
+  if (!isKlineStoreEnabled()) {
+    return getExchange(exchange).getHistoricalKlines(timeframe, startTime, endTime, symbol);
+  }
+
+  try {
+    await syncKlines(symbol, timeframe, { exchange, startTime, endTime });
+  } catch (error) {
+    const stored = await loadKlines(symbol, timeframe, startTime, endTime, exchange);
+    if (stored.length === 0) throw error;
+
+    console.warn(`⚠️  Could not sync ${exchange} ${symbol} ${timeframe} klines (${error.message}), using stored candles`);
+    return stored;
+  }
+  return loadKlines(symbol, timeframe, startTime, endTime, exchange);
+}
+
+/**
+ * Get the latest candles including the one still forming
+ * Same candle shape as getKlines(), plus the exchange to use
+ */
+export async function getRecentKlines(interval = '1d', limit = 250, symbol = DEFAULT_SYMBOL, exchange = DEFAULT_EXCHANGE) {
+  if (!isKlineStoreEnabled() || !TIMEFRAME_MS[interval]) {
+    return getExchange(exchange).getKlines(interval, limit, symbol);
+  }
+
+  let forming = null;
+  try {
+    ({ forming } = await syncKlines(symbol, interval, {
+      exchange,
+      startTime: Date.now() - limit * TIMEFRAME_MS[interval]
+    }));
+  } catch (error) {
+    // While the exchange is down, the stored closed candles stand in for fresh ones
+    const stored = await loadLatestKlines(symbol, interval, limit, exchange);
+    if (stored.length === 0) throw error;
+
+    console.warn(`⚠️  Could not sync ${exchange} ${symbol} ${interval} klines (${error.message}), using stored candles`);
+    return stored;
+  }
+  const candles = await loadLatestKlines(symbol, interval, limit, exchange);
+
+  if (forming) {
+    candles.push(forming);
+  }
+
+  return candles.slice(-limit);
+}
+
+export default {
+  isKlineStoreEnabled,
+  planKlineSync,
+  saveKlines,
+  loadKlines,
+  loadLatestKlines,
+  getStoredRange,
+  findKlineGaps,
+  syncKlines,
+  getKlineHistory,
+  getRecentKlines
+};
@@ -0,0 +1,166 @@
+/**
+ * Margin
+ * Short selling settings, liquidation prices and borrow interest for
+ * paper accounts
+ *
+ * position_mode decides which sides an account trades: 'long' (spot,
+ * the default), 'short' or 'long_short'. Longs are always spot-funded;
+ * shorts borrow the base asset on isolated margin: the account posts
+ * position_size_percent of its cash as margin and sells margin × leverage
+ * worth of borrowed coins. The sale proceeds stay in balance_usd and the
+ * debt shows as a negative balance_base, so equity is still
+ * balance_usd + balance_base × price, less the interest accrued on the loan.
+ */
+
+export const POSITION_MODES = ['long', 'short', 'long_short'];
+export const POSITION_SIDES = ['long', 'short'];
+
+export const MAX_LEVERAGE = 10;
+
+// Same defaults as the trading_accounts columns
+export const DEFAULT_MARGIN_SETTINGS = {
+  position_mode: 'long',
+  leverage: 1,
+  borrow_rate_daily: 0.0002,
+  maintenance_margin_rate: 0.005
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Read a numeric account field, falling back to the default
+ */
+function getSetting(account, field) {
+  const value = account[field];
+  return value === null || value === undefined
+    ? DEFAULT_MARGIN_SETTINGS[field]
+    : parseFloat(value);
+}
+
+/**
+ * Whether an account may open long positions
+ */
+export function allowsLong(account) {
+  return (account.position_mode || 'long') !== 'short';
+}
+
+/**
+ * Whether an account may open short positions
+ */
+export function allowsShort(account) {
+  return account.position_mode === 'short' || account.position_mode === 'long_short';
+}
+
+/**
+ * Whether a position (its opening trade) is short
+ */
+export function isShortPosition(position) {
+  return position?.side === 'short';
+}
+
+/**
+ * Whether a trade closes a position: a sell closes a long, a buy a short
+ * Works with paper_trades and backtest_trades rows (no side means long)
+ */
+export function isClosingTrade(trade) {
+  return isShortPosition(trade) ? trade.trade_type === 'buy' : trade.trade_type === 'sell';
+}
+
+/**
+ * Leverage applied to an account's short positions
+ */
+export function getLeverage(account) {
+  return getSetting(account, 'leverage');
+}
+
+/**
+ * Validate margin settings from an API request
+ * @throws {Error} On an unknown mode or out of range values
+ */
+export function validateMarginSettings(settings) {
+  const {
+    position_mode = DEFAULT_MARGIN_SETTINGS.position_mode,
+    leverage = DEFAULT_MARGIN_SETTINGS.leverage,
+    borrow_rate_daily = DEFAULT_MARGIN_SETTINGS.borrow_rate_daily,
+    maintenance_margin_rate = DEFAULT_MARGIN_SETTINGS.maintenance_margin_rate
+  } = settings;
+
+  if (!POSITION_MODES.includes(position_mode)) {
+    throw new Error(`Invalid position_mode: ${position_mode}. Expected one of ${POSITION_MODES.join(', ')}`);
+  }
+
+  if (!(parseFloat(leverage) >= 1 && parseFloat(leverage) <= MAX_LEVERAGE)) {
+    throw new Error(`leverage must be between 1 and ${MAX_LEVERAGE}`);
+  }
+
+  if (!(parseFloat(borrow_rate_daily) >= 0)) {
+    throw new Error('borrow_rate_daily must not be negative');
+  }
+
+  if (!(parseFloat(maintenance_margin_rate) >= 0 && parseFloat(maintenance_margin_rate) < 1 / parseFloat(leverage))) {
+    throw new Error('maintenance_margin_rate must be between 0 and 1 / leverage');
+  }
+}
+
+/**
+ * Price at which a short is liquidated
+ * The margin plus the unrealized loss falls to the maintenance margin
+ * of the position's value: margin + (entry - P) × qty = mmr × P × qty
+ * @param {number} entryPrice - Fill price of the short sale
+ * @param {number} leverage - Notional / margin
+ * @param {number} maintenanceMarginRate - Fraction of the position value
+ */
+export function calculateLiquidationPrice(entryPrice, leverage, maintenanceMarginRate = DEFAULT_MARGIN_SETTINGS.maintenance_margin_rate) {
+  return entryPrice * (1 + 1 / leverage) / (1 + maintenanceMarginRate);
+}
+
+/**
+ * Get the liquidation price of a short for an account's settings
+ */
+export function getLiquidationPrice(account, entryPrice) {
+  return calculateLiquidationPrice(
+    entryPrice,
+    getLeverage(account),
+    getSetting(account, 'maintenance_margin_rate')
+  );
+}
+
+/**
+ * Interest owed on a short's borrowed coins
+ * Charged on their value at the given price for every started hour
+ * since each entry borrowed them, like exchange margin loans
+ * @param {Object} account - Trading account (borrow_rate_daily)
+ * @param {Object} position - Open short (base_amount, created_at, and the
+ *   entries of an aggregated position)
+ * @param {number} price - Current price of the base asset
+ * @param {number} now - Current time in ms
+ * @returns {number} Interest in quote currency
+ */
+export function calculateBorrowInterest(account, position, price, now = Date.now()) {
+  if (!isShortPosition(position)) return 0;
+
+  const rate = getSetting(account, 'borrow_rate_daily');
+  const loans = position.entries || [position];
+
+  return loans.reduce((total, loan) => {
+    const openedAt = new Date(loan.created_at).getTime();
+    const hours = Math.max(Math.ceil((now - openedAt) / HOUR_MS), 1);
+    return total + parseFloat(loan.base_amount) * price * rate * hours / 24;
+  }, 0);
+}
+
+export default {
+  POSITION_MODES,
+  POSITION_SIDES,
+  MAX_LEVERAGE,
+  DEFAULT_MARGIN_SETTINGS,
+  allowsLong,
+  allowsShort,
+  isShortPosition,
+  isClosingTrade,
+  getLeverage,
+  validateMarginSettings,
+  calculateLiquidationPrice,
+  getLiquidationPrice,
+  calculateBorrowInterest
+};
@@ -0,0 +1,246 @@
+/**
+ * Market Depth
+ * Order books and recent aggregated trades per symbol, kept live from
+ * Binance diff-depth and aggTrade streams
+ *
+ * A local book starts from a REST snapshot and applies <symbol>@depth
+ * updates in sequence; a skipped update id drops the book until a new
+ * snapshot is loaded. Trades are kept for a rolling window. Readers fall
+ * back to REST snapshots while the stream is down. Only Binance
+ * publishes depth here; other exchanges and recorded data have none.
+ */
+
+import { getOrderBook, getAggTrades, DEFAULT_SYMBOL } from './binance.js';
+import { DEFAULT_EXCHANGE, isFileMarketData } from './exchanges/index.js';
+import { isMarketStreamLive, subscribe, addStreamListener } from './market-stream.js';
+
+// Levels per side loaded into a local book, and handed to indicators
+const SNAPSHOT_LIMIT = 1000;
+export const BOOK_LEVELS = 100;
+
+// Taker flow is measured over this window
+export const TRADE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_TRADES = 50000;
+
+// Updates buffered while a snapshot loads, and the wait after a failed one
+const MAX_PENDING_UPDATES = 1000;
+const RESYNC_RETRY_MS = 5 * 1000;
+
+// Depth pushes every 100ms; a book silent this long is not trusted
+const STALE_BOOK_MS = 10 * 1000;
+
+const markets = {};
+let listening = false;
+
+/**
+ * Parse a diff-depth event
+ * @returns {Object|null} { symbol, firstUpdateId, lastUpdateId, bids, asks }
+ */
+export function parseDepthEvent(data) {
+  if (!data || data.e !== 'depthUpdate') return null;
+
+  const toLevel = ([price, quantity]) => [parseFloat(price), parseFloat(quantity)];
+  return {
+    symbol: data.s,
+    firstUpdateId: data.U,
+    lastUpdateId: data.u,
+    bids: data.b.map(toLevel),
+    asks: data.a.map(toLevel)
+  };
+}
+
+/**
+ * Parse an aggregated trade event
+ * @returns {Object|null} Trade shaped like getAggTrades() results, plus symbol
+ */
+export function parseAggTradeEvent(data) {
+  if (!data || data.e !== 'aggTrade') return null;
+
+  return {
+    symbol: data.s,
+    id: data.a,
+    price: parseFloat(data.p),
+    quantity: parseFloat(data.q),
+    timestamp: data.T,
+    isBuyerMaker: data.m
+  };
+}
+
+/**
+ * Build a local order book from a REST snapshot
+ */
+export function createOrderBook(snapshot) {
+  return {
+    lastUpdateId: snapshot.lastUpdateId,
+    bids: new Map(snapshot.bids),
+    asks: new Map(snapshot.asks)
+  };
+}
+
+/**
+ * Apply a diff-depth update to a local book
+ * @returns {string} 'applied', 'stale' (already in the book) or 'gap'
+ *   (updates were missed and the book must be reloaded)
+ */
+export function applyDepthUpdate(book, update) {
+  if (update.lastUpdateId <= book.lastUpdateId) return 'stale';
+  if (update.firstUpdateId > book.lastUpdateId + 1) return 'gap';
+
+  for (const [side, levels] of [[book.bids, update.bids], [book.asks, update.asks]]) {
+    for (const [price, quantity] of levels) {
+      if (quantity === 0) {
+        side.delete(price);
+      } else {
+        side.set(price, quantity);
+      }
+    }
+  }
+
+  book.lastUpdateId = update.lastUpdateId;
+  return 'applied';
+}
+
+/**
+ * Best levels of a book
+ * @returns {Object} { bids, asks } with [price, quantity] levels, best first
+ */
+export function getBookLevels(book, levels = BOOK_LEVELS) {
+  return {
+    bids: [...book.bids].sort((a, b) => b[0] - a[0]).slice(0, levels),
+    asks: [...book.asks].sort((a, b) => a[0] - b[0]).slice(0, levels)
+  };
+}
+
+/**
+ * Load a snapshot and replay the updates buffered meanwhile
+ */
+function resyncBook(market) {
+  if (market.syncing || Date.now() < market.retryAt) return;
+
+  market.syncing = (async () => {
+    try {
+      const book = createOrderBook(await getOrderBook(market.symbol, SNAPSHOT_LIMIT));
+
+      for (const update of market.pending) {
+        if (applyDepthUpdate(book, update) === 'gap') {
+          throw new Error('snapshot older than buffered updates');
+        }
+      }
+
+      market.book = book;
+      market.pending = [];
+      console.log(`📚 ${market.symbol} order book synced (update ${book.lastUpdateId})`);
+    } catch (error) {
+      market.retryAt = Date.now() + RESYNC_RETRY_MS;
+      console.error(`✗ ${market.symbol} order book sync failed:`, error.message);
+    } finally {
+      market.syncing = null;
+    }
+  })();
+}
+
+function handleDepthUpdate(data) {
+  const update = parseDepthEvent(data);
+  const market = markets[update.symbol];
+  if (!market) return;
+
+  market.updatedAt = Date.now();
+
+  if (market.book && applyDepthUpdate(market.book, update) === 'gap') {
+    console.log(`📚 ${market.symbol} depth updates skipped, reloading order book`);
+    market.book = null;
+  }
+
+  if (!market.book) {
+    market.pending.push(update);
+    if (market.pending.length > MAX_PENDING_UPDATES) market.pending.shift();
+    resyncBook(market);
+  }
+}
+
+function handleAggTrade(data) {
+  const trade = parseAggTradeEvent(data);
+  const market = markets[trade.symbol];
+  if (!market) return;
+
+  market.trades.push(trade);
+
+  const since = trade.timestamp - TRADE_WINDOW_MS;
+  while (market.trades.length > 0 && (market.trades[0].timestamp < since || market.trades.length > MAX_TRADES)) {
+    market.trades.shift();
+  }
+}
+
+/**
+ * Start streaming the order book and trades of a symbol
+ */
+export function watchOrderFlow(symbol = DEFAULT_SYMBOL) {
+  if (!listening) {
+    addStreamListener('depthUpdate', handleDepthUpdate);
+    addStreamListener('aggTrade', handleAggTrade);
+    listening = true;
+  }
+
+  if (!markets[symbol]) {
+    markets[symbol] = {
+      symbol,
+      book: null,
+      pending: [],
+      syncing: null,
+      retryAt: 0,
+      trades: [],
+      updatedAt: 0
+    };
+    const stream = symbol.toLowerCase();
+    subscribe([`${stream}@depth@100ms`, `${stream}@aggTrade`]);
+  }
+
+  return markets[symbol];
+}
+
+/**
+ * Get the order book and recent trades of a symbol, from the stream
+ * while its book is live and over REST otherwise
+ * @returns {Object|null} { orderBook: { bids, asks, timestamp }, trades, source },
+ *   or null where no depth is available
+ */
+export async function getOrderFlowData(symbol = DEFAULT_SYMBOL, exchange = DEFAULT_EXCHANGE) {
+  if (exchange !== 'binance' || isFileMarketData()) return null;
+
+  const market = markets[symbol];
+  const now = Date.now();
+  if (isMarketStreamLive() && market?.book && now - market.updatedAt < STALE_BOOK_MS) {
+    return {
+      orderBook: { ...getBookLevels(market.book), timestamp: market.updatedAt },
+      trades: market.trades.filter(trade => trade.timestamp >= now - TRADE_WINDOW_MS),
+      source: 'stream'
+    };
+  }
+
+  if (isMarketStreamLive()) {
+    watchOrderFlow(symbol);
+  }
+
+  const [book, trades] = await Promise.all([
+    getOrderBook(symbol, BOOK_LEVELS),
+    getAggTrades(symbol)
+  ]);
+
+  return {
+    orderBook: { bids: book.bids, asks: book.asks, timestamp: now },
+    trades: trades.filter(trade => trade.timestamp >= now - TRADE_WINDOW_MS),
+    source: 'rest'
+  };
+}
+
+export default {
+  BOOK_LEVELS,
+  TRADE_WINDOW_MS,
+  parseDepthEvent,
+  parseAggTradeEvent,
+  createOrderBook,
+  applyDepthUpdate,
+  getBookLevels,
+  watchOrderFlow,
+  getOrderFlowData
+};
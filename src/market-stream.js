@@ -0,0 +1,432 @@
+/**
+ * Market Stream
+ * Keeps rolling candle buffers and ticker prices fresh from Binance
+ * WebSocket streams, so trading runs read candles without REST calls
+ *
+ * Buffers are seeded from the kline store when first requested, updated by
+ * <symbol>@kline_<interval> events and backfilled over REST after a
+ * reconnect or whenever an event skips candles. Readers fall back to
+ * the kline store while the stream is down. Only Binance is streamed;
+ * other exchanges are read through their adapters. Other modules can
+ * subscribe to further streams and receive their events by type
+ * (see market-depth.js).
+ */
+
+import WebSocket from 'ws';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { DEFAULT_SYMBOL } from './binance.js';
+import { getRecentKlines } from './kline-store.js';
+import { getExchange, DEFAULT_EXCHANGE } from './exchanges/index.js';
+import { TIMEFRAME_MS } from './backtest/metrics.js';
+
+const USE_BINANCE_US = process.env.USE_BINANCE_US === 'true';
+const STREAM_URL = USE_BINANCE_US
+  ? 'wss://stream.binance.us:9443/stream'
+  : 'wss://stream.binance.com:9443/stream';
+
+const PROXY_URL = process.env.PROXY_URL;
+
+// Binance allows at most 1000 candles per REST request
+export const MAX_BUFFER_SIZE = 1000;
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+
+// Tickers push every second; silence this long means a dead connection
+const STALE_CONNECTION_MS = 60 * 1000;
+
+const buffers = {};
+const tickers = {};
+const streams = new Set();
+const listeners = {};
+
+let socket = null;
+let running = false;
+let connected = false;
+let reconnectAttempt = 0;
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let lastMessageAt = 0;
+let requestId = 0;
+
+/**
+ * Parse a kline event from a combined stream message
+ * @param {Object} data - Event payload ({ e: 'kline', s, k })
+ * @returns {Object|null} { symbol, interval, candle, isClosed }
+ */
+export function parseKlineEvent(data) {
+  if (!data || data.e !== 'kline') return null;
+
+  const k = data.k;
+  return {
+    symbol: data.s,
+    interval: k.i,
+    candle: {
+      timestamp: k.t,
+      open: parseFloat(k.o),
+      high: parseFloat(k.h),
+      low: parseFloat(k.l),
+      close: parseFloat(k.c),
+      volume: parseFloat(k.v)
+    },
+    isClosed: k.x
+  };
+}
+
+/**
+ * Merge a candle into a buffer kept in timestamp order, oldest first
+ * A candle with a buffered timestamp replaces it (the forming candle
+ * updates in place); the buffer is trimmed to its newest maxSize candles
+ * @returns {boolean} True if candles are missing before an appended one
+ */
+export function mergeCandle(candles, candle, intervalMs, maxSize = MAX_BUFFER_SIZE) {
+  const last = candles[candles.length - 1];
+  let gap = false;
+
+  if (!last || candle.timestamp > last.timestamp) {
+    gap = Boolean(last) && candle.timestamp > last.timestamp + intervalMs;
+    candles.push(candle);
+  } else {
+    const index = candles.findIndex(c => c.timestamp >= candle.timestamp);
+    candles.splice(index, candles[index].timestamp === candle.timestamp ? 1 : 0, candle);
+  }
+
+  if (candles.length > maxSize) {
+    candles.splice(0, candles.length - maxSize);
+  }
+
+  return gap;
+}
+
+/**
+ * Exponential backoff between reconnect attempts
+ */
+export function getReconnectDelay(attempt) {
+  return Math.min(RECONNECT_BASE_MS * 2 ** attempt, RECONNECT_MAX_MS);
+}
+
+function getBufferKey(symbol, interval) {
+  return `${symbol}:${interval}`;
+}
+
+function getKlineStream(symbol, interval) {
+  return `${symbol.toLowerCase()}@kline_${interval}`;
+}
+
+function getTickerStream(symbol) {
+  return `${symbol.toLowerCase()}@ticker`;
+}
+
+/**
+ * Check whether streamed data can be trusted right now
+ */
+export function isMarketStreamLive() {
+  return running && connected;
+}
+
+/**
+ * Subscribe to streams on the open connection
+ * Streams added while disconnected are subscribed on the next open
+ */
+export function subscribe(names) {
+  names.forEach(name => streams.add(name));
+
+  if (socket && socket.readyState === WebSocket.OPEN && names.length > 0) {
+    socket.send(JSON.stringify({ method: 'SUBSCRIBE', params: names, id: ++requestId }));
+  }
+}
+
+/**
+ * Bring a buffer up to date
+ * Without `since` the latest `size` candles are loaded from the kline
+ * store (seeding or growing the buffer) and streamed candles win over
+ * them; with it, the candles from `since` on are fetched over REST and
+ * replace buffered ones
+ */
+function syncBuffer(buffer, since = null) {
+  if (buffer.syncing) return buffer.syncing;
+
+  const { symbol, interval } = buffer;
+  const intervalMs = TIMEFRAME_MS[interval];
+
+  buffer.syncing = (async () => {
+    try {
+      if (since === null) {
+        const candles = await getRecentKlines(interval, buffer.size, symbol);
+        buffer.candles.forEach(candle => mergeCandle(candles, candle, intervalMs, buffer.size));
+        buffer.candles = candles;
+        buffer.seeded = true;
+        return;
+      }
+
+      const missed = await getExchange('binance').getHistoricalKlines(interval, since, Date.now(), symbol);
+      missed.forEach(candle => mergeCandle(buffer.candles, candle, intervalMs, buffer.size));
+      console.log(`📡 Backfilled ${missed.length} ${symbol} ${interval} candle(s)`);
+    } finally {
+      buffer.syncing = null;
+    }
+  })();
+
+  return buffer.syncing;
+}
+
+/**
+ * Backfill a buffer in the background after a gap or reconnect
+ */
+function backfill(buffer, since) {
+  syncBuffer(buffer, since).catch(error => {
+    console.error(`✗ Backfill failed for ${buffer.symbol} ${buffer.interval}:`, error.message);
+    // The buffer has a hole now; reseed it on the next read
+    buffer.seeded = false;
+  });
+}
+
+/**
+ * Start keeping a (symbol, interval) candle buffer up to date
+ * The first call seeds the buffer from the kline store; asking for more candles
+ * than it holds reseeds it with the longer history
+ * @returns {Object} The buffer { symbol, interval, size, candles }
+ */
+export async function watchKlines(symbol, interval, size = MAX_BUFFER_SIZE) {
+  const key = getBufferKey(symbol, interval);
+  const requestedSize = Math.min(size, MAX_BUFFER_SIZE);
+  let buffer = buffers[key];
+
+  if (!buffer) {
+    buffer = { symbol, interval, size: requestedSize, candles: [], syncing: null, seeded: false };
+    buffers[key] = buffer;
+    subscribe([getKlineStream(symbol, interval)]);
+  }
+
+  await buffer.syncing;
+
+  if (!buffer.seeded || requestedSize > buffer.size) {
+    buffer.size = Math.max(buffer.size, requestedSize);
+    await syncBuffer(buffer);
+  }
+
+  return buffer;
+}
+
+/**
+ * Get the latest klines, from the stream buffer while the stream is live
+ * Same candle shape as getKlines() in binance.js, plus the exchange to use
+ */
+export async function getStreamKlines(interval = '1d', limit = 250, symbol = DEFAULT_SYMBOL, exchange = DEFAULT_EXCHANGE) {
+  if (exchange !== 'binance' || !isMarketStreamLive() || !TIMEFRAME_MS[interval]) {
+    return getRecentKlines(interval, limit, symbol, exchange);
+  }
+
+  const buffer = await watchKlines(symbol, interval, limit);
+  return buffer.candles.slice(-limit).map(candle => ({ ...candle }));
+}
+
+/**
+ * Get the last traded price, from the ticker stream while it is fresh
+ */
+export async function getStreamPrice(symbol = DEFAULT_SYMBOL, exchange = DEFAULT_EXCHANGE) {
+  if (exchange !== 'binance') {
+    return getExchange(exchange).getCurrentPrice(symbol);
+  }
+
+  const ticker = tickers[symbol];
+  if (isMarketStreamLive() && ticker && Date.now() - ticker.updatedAt < STALE_CONNECTION_MS) {
+    return ticker.price;
+  }
+
+  if (running) {
+    subscribe([getTickerStream(symbol)]);
+  }
+  return getExchange(exchange).getCurrentPrice(symbol);
+}
+
+/**
+ * Get the rolling 24h base volume, from the ticker stream while it is fresh
+ */
+export async function getStreamVolume(symbol = DEFAULT_SYMBOL, exchange = DEFAULT_EXCHANGE) {
+  if (exchange !== 'binance') {
+    return getExchange(exchange).get24hVolume(symbol);
+  }
+
+  const ticker = tickers[symbol];
+  if (isMarketStreamLive() && ticker && Date.now() - ticker.updatedAt < STALE_CONNECTION_MS) {
+    return ticker.volume;
+  }
+
+  if (running) {
+    subscribe([getTickerStream(symbol)]);
+  }
+  return getExchange(exchange).get24hVolume(symbol);
+}
+
+/**
+ * Stream-backed equivalent of getMarketData() in binance.js
+ */
+export async function getStreamMarketData(symbol = DEFAULT_SYMBOL) {
+  try {
+    const [price, volume, dailyKlines, weeklyKlines] = await Promise.all([
+      getStreamPrice(symbol),
+      getStreamVolume(symbol),
+      getStreamKlines('1d', 500, symbol),
+      getStreamKlines('1w', 52, symbol)
+    ]);
+
+    return {
+      currentPrice: price,
+      volume24h: volume,
+      dailyKlines,
+      weeklyKlines
+    };
+  } catch (error) {
+    console.error('Error fetching market data:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Receive every streamed event of a type (e.g. 'depthUpdate', 'aggTrade')
+ * @returns {Function} Removes the listener
+ */
+export function addStreamListener(eventType, handler) {
+  if (!listeners[eventType]) {
+    listeners[eventType] = new Set();
+  }
+  listeners[eventType].add(handler);
+  return () => listeners[eventType].delete(handler);
+}
+
+/**
+ * Update the ticker and candle buffers from a stream event
+ */
+function updateBuffers(data) {
+  if (data.e === '24hrTicker') {
+    tickers[data.s] = {
+      price: parseFloat(data.c),
+      volume: parseFloat(data.v),
+      updatedAt: lastMessageAt
+    };
+    return;
+  }
+
+  const event = parseKlineEvent(data);
+  if (!event) return;
+
+  const buffer = buffers[getBufferKey(event.symbol, event.interval)];
+  if (!buffer) return;
+
+  const previous = buffer.candles[buffer.candles.length - 1];
+  const gap = mergeCandle(buffer.candles, event.candle, TIMEFRAME_MS[event.interval], buffer.size);
+  if (gap && buffer.seeded) {
+    backfill(buffer, previous.timestamp);
+  }
+}
+
+function handleMessage(raw) {
+  lastMessageAt = Date.now();
+
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return;
+  }
+
+  const data = message.data;
+  if (!data) return;
+
+  // Buffers first, so listeners see (and getStreamKlines serves) the update
+  updateBuffers(data);
+
+  if (listeners[data.e]) {
+    listeners[data.e].forEach(handler => handler(data));
+  }
+}
+
+function connect() {
+  const options = PROXY_URL ? { agent: new HttpsProxyAgent(PROXY_URL) } : {};
+  socket = new WebSocket(STREAM_URL, options);
+
+  socket.on('open', () => {
+    connected = true;
+    reconnectAttempt = 0;
+    lastMessageAt = Date.now();
+    console.log(`📡 Market stream connected (${streams.size} stream(s))`);
+
+    if (streams.size > 0) {
+      socket.send(JSON.stringify({ method: 'SUBSCRIBE', params: [...streams], id: ++requestId }));
+    }
+
+    // Candles closed while disconnected are only available over REST
+    Object.values(buffers)
+      .filter(buffer => buffer.seeded && buffer.candles.length > 0)
+      .forEach(buffer => backfill(buffer, buffer.candles[buffer.candles.length - 1].timestamp));
+  });
+
+  socket.on('message', handleMessage);
+
+  socket.on('error', error => {
+    console.error('✗ Market stream error:', error.message);
+  });
+
+  socket.on('close', () => {
+    connected = false;
+    socket = null;
+    if (!running) return;
+
+    const delay = getReconnectDelay(reconnectAttempt++);
+    console.log(`📡 Market stream closed, reconnecting in ${(delay / 1000).toFixed(0)}s...`);
+    reconnectTimer = setTimeout(connect, delay);
+  });
+}
+
+/**
+ * Connect to the Binance stream and keep it connected
+ * @param {Object} options
+ * @param {Array} options.symbols - Symbols whose ticker to stream from the start
+ * @returns {Function} Stops the stream
+ */
+export function startMarketStream({ symbols = [DEFAULT_SYMBOL] } = {}) {
+  if (running) return stopMarketStream;
+
+  running = true;
+  symbols.forEach(symbol => streams.add(getTickerStream(symbol)));
+  connect();
+
+  heartbeatTimer = setInterval(() => {
+    if (connected && Date.now() - lastMessageAt > STALE_CONNECTION_MS) {
+      console.log('📡 Market stream silent, reconnecting...');
+      socket?.terminate();
+    }
+  }, STALE_CONNECTION_MS / 2);
+
+  return stopMarketStream;
+}
+
+/**
+ * Close the stream; readers fall back to the kline store
+ */
+export function stopMarketStream() {
+  running = false;
+  connected = false;
+  clearTimeout(reconnectTimer);
+  clearInterval(heartbeatTimer);
+  socket?.close();
+  socket = null;
+}
+
+export default {
+  MAX_BUFFER_SIZE,
+  parseKlineEvent,
+  mergeCandle,
+  getReconnectDelay,
+  isMarketStreamLive,
+  subscribe,
+  addStreamListener,
+  watchKlines,
+  getStreamKlines,
+  getStreamPrice,
+  getStreamVolume,
+  getStreamMarketData,
+  startMarketStream,
+  stopMarketStream
+};
@@ -0,0 +1,103 @@
+/**
+ * Backtests Migration
+ * Creates tables for persisted backtest runs and their trades
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting backtests migration...');
+
+    // Create backtest_runs table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS backtest_runs (
+        id SERIAL PRIMARY KEY,
+        strategy VARCHAR(50) NOT NULL,
+        timeframe VARCHAR(10) NOT NULL DEFAULT '1d',
+        start_date TIMESTAMP NOT NULL,
+        end_date TIMESTAMP NOT NULL,
+        parameters JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+        metrics JSONB,
+        equity_curve JSONB,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP
+      );
+    `);
+    console.log('✓ Created backtest_runs table');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_backtest_runs_created_at
+      ON backtest_runs(created_at DESC);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_backtest_runs_strategy
+      ON backtest_runs(strategy, timeframe);
+    `);
+    console.log('✓ Created indexes on backtest_runs');
+
+    // Create backtest_trades table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS backtest_trades (
+        id SERIAL PRIMARY KEY,
+        backtest_id INTEGER REFERENCES backtest_runs(id) ON DELETE CASCADE,
+        trade_type VARCHAR(10) NOT NULL CHECK (trade_type IN ('buy', 'sell')),
+        btc_price DECIMAL(20, 8) NOT NULL,
+        btc_amount DECIMAL(20, 8) NOT NULL,
+        usd_amount DECIMAL(20, 8) NOT NULL,
+        balance_usd DECIMAL(20, 8) NOT NULL,
+        balance_btc DECIMAL(20, 8) NOT NULL,
+        stop_loss_price DECIMAL(20, 8),
+        take_profit_price DECIMAL(20, 8),
+        profit_loss_usd DECIMAL(20, 8),
+        profit_loss_percentage DECIMAL(10, 4),
+        reason TEXT,
+        timestamp TIMESTAMP NOT NULL
+      );
+    `);
+    console.log('✓ Created backtest_trades table');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_backtest_trades_backtest_id
+      ON backtest_trades(backtest_id, timestamp);
+    `);
+    console.log('✓ Created index on backtest_trades(backtest_id)');
+
+    console.log('\n✓ Backtests migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,62 @@
+/**
+ * DCA Migration
+ * Adds the buy schedule and score weighting of DCA accounts, and the
+ * DCA benchmark column of rankings
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting DCA migration...');
+
+    // A weight of 0 buys the same amount whatever the investment score
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS dca_interval VARCHAR(10) NOT NULL DEFAULT 'daily'
+        CHECK (dca_interval IN ('daily', 'weekly')),
+      ADD COLUMN IF NOT EXISTS dca_score_weight DECIMAL(4, 3) NOT NULL DEFAULT 0
+        CHECK (dca_score_weight BETWEEN 0 AND 1)
+    `);
+    console.log('✓ Added dca_interval and dca_score_weight columns to trading_accounts');
+
+    // ROI of each account minus that of DCA accounts on the same market
+    await client.query(`
+      ALTER TABLE strategy_rankings
+      ADD COLUMN IF NOT EXISTS vs_dca_roi_percent DECIMAL(10, 4)
+    `);
+    console.log('✓ Added vs_dca_roi_percent column to strategy_rankings');
+
+    console.log('\n✓ DCA migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,67 @@
+/**
+ * Exchanges Migration
+ * Lets accounts, backtests and stored candles use any supported
+ * exchange adapter instead of Binance only
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting exchanges migration...');
+
+    for (const table of ['trading_accounts', 'backtest_runs']) {
+      await client.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS exchange VARCHAR(20) NOT NULL DEFAULT 'binance'
+      `);
+      console.log(`✓ Added exchange column to ${table}`);
+    }
+
+    // Candles of the same symbol differ between exchanges
+    await client.query(`
+      ALTER TABLE klines
+      ADD COLUMN IF NOT EXISTS exchange VARCHAR(20) NOT NULL DEFAULT 'binance'
+    `);
+    await client.query(`
+      DROP INDEX IF EXISTS idx_klines_market_timestamp
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_klines_exchange_market_timestamp
+      ON klines(exchange, symbol, timeframe, timestamp)
+    `);
+    console.log('✓ Keyed klines by (exchange, symbol, timeframe, timestamp)');
+
+    console.log('\n✓ Exchanges migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,80 @@
+/**
+ * Execution Costs Migration
+ * Adds per-account fee rates and slippage model, and records
+ * fees and slippage on every trade
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting execution costs migration...');
+
+    // Fee and slippage configuration per account
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS maker_fee_rate DECIMAL(6, 5) DEFAULT 0.001,
+      ADD COLUMN IF NOT EXISTS taker_fee_rate DECIMAL(6, 5) DEFAULT 0.001,
+      ADD COLUMN IF NOT EXISTS slippage_model VARCHAR(20) DEFAULT 'fixed'
+        CHECK (slippage_model IN ('none', 'fixed', 'atr', 'volume')),
+      ADD COLUMN IF NOT EXISTS slippage_bps DECIMAL(8, 2) DEFAULT 2,
+      ADD COLUMN IF NOT EXISTS slippage_atr_fraction DECIMAL(6, 4) DEFAULT 0.05,
+      ADD COLUMN IF NOT EXISTS total_fees_usd DECIMAL(20, 8) DEFAULT 0
+    `);
+    console.log('✓ Added fee and slippage columns to trading_accounts');
+
+    // Costs recorded on each trade
+    await client.query(`
+      ALTER TABLE paper_trades
+      ADD COLUMN IF NOT EXISTS fee_usd DECIMAL(20, 8) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS slippage_usd DECIMAL(20, 8) DEFAULT 0
+    `);
+    console.log('✓ Added fee_usd, slippage_usd columns to paper_trades');
+
+    await client.query(`
+      ALTER TABLE backtest_trades
+      ADD COLUMN IF NOT EXISTS fee_usd DECIMAL(20, 8) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS slippage_usd DECIMAL(20, 8) DEFAULT 0
+    `);
+    console.log('✓ Added fee_usd, slippage_usd columns to backtest_trades');
+
+    // Fees paid shown alongside ROI in rankings
+    await client.query(`
+      ALTER TABLE strategy_rankings
+      ADD COLUMN IF NOT EXISTS total_fees_usd DECIMAL(20, 8) DEFAULT 0
+    `);
+    console.log('✓ Added total_fees_usd column to strategy_rankings');
+
+    console.log('\n✓ Execution costs migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
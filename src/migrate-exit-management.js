@@ -0,0 +1,67 @@
+/**
+ * Exit Management Migration
+ * Adds time-based exits per account and records the
+ * exit reason on every sell trade
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting exit management migration...');
+
+    // Time-based exit per account
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS max_holding_hours DECIMAL(10, 2)
+    `);
+    console.log('✓ Added max_holding_hours column to trading_accounts');
+
+    // Why each position was closed
+    await client.query(`
+      ALTER TABLE paper_trades
+      ADD COLUMN IF NOT EXISTS exit_reason VARCHAR(20)
+        CHECK (exit_reason IN ('stop_loss', 'take_profit', 'signal', 'time_stop'))
+    `);
+    console.log('✓ Added exit_reason column to paper_trades');
+
+    await client.query(`
+      ALTER TABLE backtest_trades
+      ADD COLUMN IF NOT EXISTS exit_reason VARCHAR(20)
+        CHECK (exit_reason IN ('stop_loss', 'take_profit', 'signal', 'time_stop'))
+    `);
+    console.log('✓ Added exit_reason column to backtest_trades');
+
+    console.log('\n✓ Exit management migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+/**
+ * Fill Simulation Migration
+ * Tracks how far each open position has been replayed
+ * against candle highs and lows
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting fill simulation migration...');
+
+    // Last candle close replayed against the position's resting orders
+    await client.query(`
+      ALTER TABLE paper_trades
+      ADD COLUMN IF NOT EXISTS exits_checked_at TIMESTAMP
+    `);
+    console.log('✓ Added exits_checked_at column to paper_trades');
+
+    console.log('\n✓ Fill simulation migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,66 @@
+/**
+ * Grid Migration
+ * Adds the band and levels of grid accounts, and the grid level each
+ * lot was bought at
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting grid migration...');
+
+    // Without a lower and upper price the band is derived from ATR
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS grid_lower_price DECIMAL(20, 8),
+      ADD COLUMN IF NOT EXISTS grid_upper_price DECIMAL(20, 8),
+      ADD COLUMN IF NOT EXISTS grid_levels INTEGER NOT NULL DEFAULT 10
+        CHECK (grid_levels BETWEEN 2 AND 100),
+      ADD COLUMN IF NOT EXISTS grid_atr_multiplier DECIMAL(6, 2) NOT NULL DEFAULT 3
+    `);
+    console.log('✓ Added grid columns to trading_accounts');
+
+    // Level index and price of the buy that opened each lot
+    for (const table of ['paper_trades', 'backtest_trades']) {
+      await client.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS grid_level INTEGER,
+        ADD COLUMN IF NOT EXISTS grid_price DECIMAL(20, 8)
+      `);
+      console.log(`✓ Added grid_level, grid_price columns to ${table}`);
+    }
+
+    console.log('\n✓ Grid migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
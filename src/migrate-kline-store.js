@@ -0,0 +1,63 @@
+/**
+ * Kline Store Migration
+ * Keys stored candles by symbol and timeframe so the klines table can
+ * hold deep history for every market accounts and backtests use
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting kline store migration...');
+
+    // Existing rows are the BTC daily candles saved by the analysis run
+    await client.query(`
+      ALTER TABLE klines
+      ADD COLUMN IF NOT EXISTS symbol VARCHAR(20) NOT NULL DEFAULT 'BTCUSDT',
+      ADD COLUMN IF NOT EXISTS timeframe VARCHAR(10) NOT NULL DEFAULT '1d'
+    `);
+    console.log('✓ Added symbol and timeframe columns to klines');
+
+    // A timestamp is only unique within one market
+    await client.query(`
+      ALTER TABLE klines DROP CONSTRAINT IF EXISTS klines_timestamp_key
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_klines_market_timestamp
+      ON klines(symbol, timeframe, timestamp)
+    `);
+    console.log('✓ Replaced timestamp uniqueness with (symbol, timeframe, timestamp)');
+
+    console.log('\n✓ Kline store migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,97 @@
+/**
+ * Margin Migration
+ * Lets accounts open short positions on margin, and records the side,
+ * leverage, liquidation price and borrow interest of every trade, paper
+ * or backtest
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting margin migration...');
+
+    // 'long' stays spot-only, 'short' and 'long_short' open shorts on SELL signals
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS position_mode VARCHAR(10) NOT NULL DEFAULT 'long'
+        CHECK (position_mode IN ('long', 'short', 'long_short'))
+    `);
+    console.log('✓ Added position_mode column to trading_accounts');
+
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS leverage DECIMAL(6, 2) NOT NULL DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS borrow_rate_daily DECIMAL(10, 6) NOT NULL DEFAULT 0.0002,
+      ADD COLUMN IF NOT EXISTS maintenance_margin_rate DECIMAL(6, 4) NOT NULL DEFAULT 0.005
+    `);
+    console.log('✓ Added leverage, borrow_rate_daily and maintenance_margin_rate columns to trading_accounts');
+
+    // Opening trades carry the margin terms, covers the interest paid;
+    // highest_price holds the lowest price of a short
+    for (const table of ['paper_trades', 'backtest_trades']) {
+      await client.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS side VARCHAR(5) NOT NULL DEFAULT 'long'
+          CHECK (side IN ('long', 'short')),
+        ADD COLUMN IF NOT EXISTS leverage DECIMAL(6, 2),
+        ADD COLUMN IF NOT EXISTS margin_usd DECIMAL(20, 8),
+        ADD COLUMN IF NOT EXISTS liquidation_price DECIMAL(20, 8),
+        ADD COLUMN IF NOT EXISTS interest_usd DECIMAL(20, 8)
+      `);
+      console.log(`✓ Added side, leverage, margin_usd, liquidation_price and interest_usd columns to ${table}`);
+    }
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_paper_trades_account_side
+      ON paper_trades(account_id, side)
+    `);
+    console.log('✓ Created side index on paper_trades');
+
+    // Liquidations are a new exit reason
+    for (const table of ['paper_trades', 'backtest_trades']) {
+      await client.query(`
+        ALTER TABLE ${table}
+        DROP CONSTRAINT IF EXISTS ${table}_exit_reason_check
+      `);
+      await client.query(`
+        ALTER TABLE ${table}
+        ADD CONSTRAINT ${table}_exit_reason_check
+          CHECK (exit_reason IN ('stop_loss', 'take_profit', 'signal', 'time_stop', 'liquidation'))
+      `);
+      console.log(`✓ Allowed liquidation exit_reason on ${table}`);
+    }
+
+    console.log('\n✓ Margin migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,99 @@
+/**
+ * Multi-Symbol Migration
+ * Lets accounts trade any USD-stablecoin pair and renames the
+ * BTC-specific trade and balance columns to base asset columns
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+/**
+ * Rename a column if it still has its old name (keeps the migration re-runnable)
+ */
+async function renameColumn(client, table, from, to) {
+  await client.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = '${table}' AND column_name = '${from}'
+      ) THEN
+        ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to};
+      END IF;
+    END $$
+  `);
+}
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting multi-symbol migration...');
+
+    // Trading pair per account
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS symbol VARCHAR(20) NOT NULL DEFAULT 'BTCUSDT',
+      ADD COLUMN IF NOT EXISTS base_asset VARCHAR(10) NOT NULL DEFAULT 'BTC',
+      ADD COLUMN IF NOT EXISTS quote_asset VARCHAR(10) NOT NULL DEFAULT 'USDT'
+    `);
+    await renameColumn(client, 'trading_accounts', 'balance_btc', 'balance_base');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trading_accounts_market
+      ON trading_accounts(symbol, timeframe)
+    `);
+    console.log('✓ Added symbol, base_asset, quote_asset and balance_base to trading_accounts');
+
+    // Trades record their pair and base asset amounts
+    // (quote amounts stay in the *_usd columns; quotes are USD stablecoins)
+    for (const table of ['paper_trades', 'backtest_trades']) {
+      await client.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS symbol VARCHAR(20) NOT NULL DEFAULT 'BTCUSDT'
+      `);
+      await renameColumn(client, table, 'btc_price', 'price');
+      await renameColumn(client, table, 'btc_amount', 'base_amount');
+      await renameColumn(client, table, 'balance_btc', 'balance_base');
+      console.log(`✓ Generalized ${table} to symbol, price, base_amount, balance_base`);
+    }
+
+    await renameColumn(client, 'account_snapshots', 'balance_btc', 'balance_base');
+    await renameColumn(client, 'account_snapshots', 'btc_price', 'price');
+    console.log('✓ Generalized account_snapshots to balance_base, price');
+
+    await client.query(`
+      ALTER TABLE backtest_runs
+      ADD COLUMN IF NOT EXISTS symbol VARCHAR(20) NOT NULL DEFAULT 'BTCUSDT'
+    `);
+    console.log('✓ Added symbol column to backtest_runs');
+
+    console.log('\n✓ Multi-symbol migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
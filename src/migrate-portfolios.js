@@ -0,0 +1,74 @@
+/**
+ * Portfolio Migration
+ * Adds multi-asset portfolio accounts with target weights
+ * and rebalancing settings
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting portfolio migration...');
+
+    // Portfolio account type and rebalancing rules
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS account_type VARCHAR(20) NOT NULL DEFAULT 'single'
+        CHECK (account_type IN ('single', 'portfolio')),
+      ADD COLUMN IF NOT EXISTS rebalance_threshold DECIMAL(6, 4) DEFAULT 0.05,
+      ADD COLUMN IF NOT EXISTS rebalance_interval_hours DECIMAL(10, 2),
+      ADD COLUMN IF NOT EXISTS last_rebalanced_at TIMESTAMP
+    `);
+    console.log('✓ Added account_type and rebalancing columns to trading_accounts');
+
+    // Assets held by each portfolio account
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS portfolio_assets (
+        id SERIAL PRIMARY KEY,
+        account_id INTEGER NOT NULL REFERENCES trading_accounts(id) ON DELETE CASCADE,
+        symbol VARCHAR(20) NOT NULL,
+        base_asset VARCHAR(10) NOT NULL,
+        target_weight DECIMAL(6, 4) NOT NULL,
+        exposure DECIMAL(4, 3) NOT NULL DEFAULT 1,
+        balance_base DECIMAL(20, 8) NOT NULL DEFAULT 0,
+        cost_basis_usd DECIMAL(20, 8) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (account_id, symbol)
+      );
+    `);
+    console.log('✓ Created portfolio_assets table');
+
+    console.log('\n✓ Portfolio migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,95 @@
+/**
+ * Position Management Migration
+ * Lets accounts add to positions and close them in steps, grouping
+ * every entry and exit of a position under the id of its first entry
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting position management migration...');
+
+    // Entries per position (1 = no pyramiding) and partial take-profit
+    // targets as [{ r, fraction }]
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS max_entries INTEGER NOT NULL DEFAULT 1
+        CHECK (max_entries BETWEEN 1 AND 10),
+      ADD COLUMN IF NOT EXISTS take_profit_targets JSONB
+    `);
+    console.log('✓ Added max_entries and take_profit_targets columns to trading_accounts');
+
+    // R multiples are measured from the stop an entry was opened with
+    await client.query(`
+      ALTER TABLE paper_trades
+      ADD COLUMN IF NOT EXISTS position_id INTEGER,
+      ADD COLUMN IF NOT EXISTS initial_stop_price DECIMAL(20, 8)
+    `);
+    console.log('✓ Added position_id and initial_stop_price columns to paper_trades');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_paper_trades_account_position
+      ON paper_trades(account_id, position_id)
+    `);
+    console.log('✓ Created position index on paper_trades');
+
+    // Backtests number their positions in run order
+    await client.query(`
+      ALTER TABLE backtest_trades
+      ADD COLUMN IF NOT EXISTS position_id INTEGER
+    `);
+    console.log('✓ Added position_id column to backtest_trades');
+
+    // Until now every position was one entry and one exit: each trade of
+    // a single-asset account belongs to the latest entry at or before it
+    const backfill = await client.query(`
+      UPDATE paper_trades t
+      SET position_id = (
+        SELECT o.id FROM paper_trades o
+        WHERE o.account_id = t.account_id
+          AND ((o.trade_type = 'buy' AND o.side = 'long') OR (o.trade_type = 'sell' AND o.side = 'short'))
+          AND (o.created_at, o.id) <= (t.created_at, t.id)
+        ORDER BY o.created_at DESC, o.id DESC
+        LIMIT 1
+      )
+      FROM trading_accounts a
+      WHERE a.id = t.account_id
+        AND a.account_type = 'single'
+        AND t.position_id IS NULL
+    `);
+    console.log(`✓ Grouped ${backfill.rowCount} existing trade(s) into positions`);
+
+    console.log('\n✓ Position management migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,66 @@
+/**
+ * Signal Candles Migration
+ * Lets accounts evaluate signals on closed candles only, once per candle
+ * of their timeframe, and records the candle behind every trade
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting signal candles migration...');
+
+    // 'forming' keeps evaluating the live candle, 'closed' waits for it to close
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS signal_candles VARCHAR(10) NOT NULL DEFAULT 'forming'
+        CHECK (signal_candles IN ('forming', 'closed'))
+    `);
+    console.log('✓ Added signal_candles column to trading_accounts');
+
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS last_signal_candle_at TIMESTAMP
+    `);
+    console.log('✓ Added last_signal_candle_at column to trading_accounts');
+
+    // Open time of the last candle the trade's signals were computed on
+    await client.query(`
+      ALTER TABLE paper_trades
+      ADD COLUMN IF NOT EXISTS signal_candle_at TIMESTAMP
+    `);
+    console.log('✓ Added signal_candle_at column to paper_trades');
+
+    console.log('\n✓ Signal candles migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,68 @@
+/**
+ * Position Sizing Migration
+ * Adds per-account sizing modes and records on every entry how its
+ * size was chosen
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting position sizing migration...');
+
+    // percent keeps sizing entries as position_size_percent of the cash
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS sizing_mode VARCHAR(20) NOT NULL DEFAULT 'percent'
+        CHECK (sizing_mode IN ('percent', 'risk', 'volatility', 'kelly', 'fixed_usd')),
+      ADD COLUMN IF NOT EXISTS risk_per_trade_percent DECIMAL(6, 4) NOT NULL DEFAULT 0.01,
+      ADD COLUMN IF NOT EXISTS sizing_atr_multiplier DECIMAL(6, 2) NOT NULL DEFAULT 2,
+      ADD COLUMN IF NOT EXISTS target_volatility DECIMAL(6, 4) NOT NULL DEFAULT 0.5,
+      ADD COLUMN IF NOT EXISTS kelly_fraction DECIMAL(5, 4) NOT NULL DEFAULT 0.5,
+      ADD COLUMN IF NOT EXISTS fixed_position_usd DECIMAL(20, 8)
+    `);
+    console.log('✓ Added sizing columns to trading_accounts');
+
+    // Equity, stop distance, volatility or Kelly stats behind each size
+    for (const table of ['paper_trades', 'backtest_trades']) {
+      await client.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS sizing_mode VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS sizing_inputs JSONB
+      `);
+      console.log(`✓ Added sizing_mode, sizing_inputs columns to ${table}`);
+    }
+
+    console.log('\n✓ Position sizing migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
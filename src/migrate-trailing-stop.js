@@ -0,0 +1,65 @@
+/**
+ * Trailing Stop Migration
+ * Adds ATR-based trailing configuration and tracks the highest
+ * price reached by each open position
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('localhost')
+    ? false
+    : { rejectUnauthorized: false }
+});
+
+async function migrate() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting trailing stop migration...');
+
+    // ATR-based trailing distance (falls back to trailing_stop_percent)
+    await client.query(`
+      ALTER TABLE trading_accounts
+      ADD COLUMN IF NOT EXISTS trailing_stop_atr_multiplier DECIMAL(5, 2)
+    `);
+    console.log('✓ Added trailing_stop_atr_multiplier column to trading_accounts');
+
+    // Highest price reached since entry, tracked on the open buy trade
+    await client.query(`
+      ALTER TABLE paper_trades
+      ADD COLUMN IF NOT EXISTS highest_price DECIMAL(20, 8)
+    `);
+    console.log('✓ Added highest_price column to paper_trades');
+
+    await client.query(`
+      ALTER TABLE backtest_trades
+      ADD COLUMN IF NOT EXISTS highest_price DECIMAL(20, 8)
+    `);
+    console.log('✓ Added highest_price column to backtest_trades');
+
+    console.log('\n✓ Trailing stop migration completed successfully');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Done');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
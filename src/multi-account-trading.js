@@ -8,25 +8,78 @@ import {
   updateAccountBalance,
   updateAccountMetrics,
   saveAccountSnapshot,
-  getAccountActivePosition
+  getAccountActivePosition,
+  getAccountOpenLots,
+  getAccountClosedTrades,
+  addAccountFees,
+  updatePositionStop,
+  markSignalEvaluated
 } from './account-manager.js';
 import { createStrategy } from './strategy-factory.js';
+import {
+  calculateBuyOrder,
+  calculateShortOrder,
+  calculateCloseOrder,
+  calculateScaleInOrder,
+  calculateGridBuyOrder,
+  calculateMetricsAfterSell
+} from './trade-execution.js';
+import { allowsLong, allowsShort, isShortPosition } from './margin.js';
+import { getExitFraction, aggregatePosition } from './position.js';
+import { getSizingMode, calculateTradeStats, MIN_POSITION_USD } from './position-sizing.js';
+import { calculateTrailingStop } from './trailing-stop.js';
+import { simulateRestingExits } from './fill-simulator.js';
+import {
+  isPortfolioAccount,
+  getRebalanceReason,
+  calculateRebalanceOrders,
+  fillRebalanceOrder
+} from './portfolio.js';
+import {
+  getPortfolioAssets,
+  updatePortfolioAsset,
+  markPortfolioRebalanced
+} from './portfolio-manager.js';
+import { isClosedCandleMode, getClosedCandles, isSignalDue } from './signal-candles.js';
 import { calculateAllSignals } from './indicators/index.js';
 import { initDatabase } from './database.js';
-import { getKlines, getCurrentPrice } from './binance.js';
+import { DEFAULT_SYMBOL } from './binance.js';
+import { DEFAULT_EXCHANGE } from './exchanges/index.js';
+import { getStreamKlines, getStreamPrice } from './market-stream.js';
+import { getOrderFlowData } from './market-depth.js';
 
 const pool = initDatabase();
 
+// Serializes trading runs so the analysis cron and the position guard
+// never act on the same open position at the same time
+let tradingQueue = Promise.resolve();
+
+/**
+ * Run a trading task once every previously queued task has finished
+ */
+export function runExclusive(task) {
+  const run = tradingQueue.then(task, task);
+  tradingQueue = run.catch(() => {});
+  return run;
+}
+
 /**
  * Execute trading for all active accounts in parallel
- * Each account can operate on its own timeframe
+ * Each account can operate on its own exchange, symbol(s) and timeframe
+ * @param {Object} options
+ * @param {Array} options.timeframes - Only trade accounts on these timeframes
  */
-export async function executeMultiAccountTrading(marketData) {
-  console.log('\n💼 Executing multi-account paper trading...');
+export async function executeMultiAccountTrading(options = {}) {
+  return runExclusive(() => runMultiAccountTrading(options));
+}
+
+async function runMultiAccountTrading({ timeframes = null } = {}) {
+  console.log(`\n💼 Executing multi-account paper trading${timeframes ? ` (${timeframes.join(', ')})` : ''}...`);
 
   try {
-    // Get all active accounts
-    const accounts = await getActiveAccounts();
+    // Get all active accounts on the timeframes being run
+    const accounts = (await getActiveAccounts())
+      .filter(account => !timeframes || timeframes.includes(account.timeframe || '1d'));
 
     if (accounts.length === 0) {
       console.log('No active accounts found');
@@ -35,25 +88,44 @@ export async function executeMultiAccountTrading(marketData) {
 
     console.log(`Found ${accounts.length} active account(s)`);
 
-    // Group accounts by timeframe to optimize data fetching
-    const accountsByTimeframe = {};
+    // Portfolio accounts trade every asset in their basket
+    const assetsByAccount = {};
     for (const account of accounts) {
-      const tf = account.timeframe || '1d';
-      if (!accountsByTimeframe[tf]) {
-        accountsByTimeframe[tf] = [];
+      if (isPortfolioAccount(account)) {
+        assetsByAccount[account.id] = await getPortfolioAssets(account.id);
       }
-      accountsByTimeframe[tf].push(account);
     }
 
-    console.log(`Accounts grouped by timeframe: ${Object.keys(accountsByTimeframe).join(', ')}`);
+    // Group accounts by exchange, symbol and timeframe to optimize data fetching
+    const markets = {};
+    for (const account of accounts) {
+      for (const market of getAccountMarkets(account, assetsByAccount[account.id])) {
+        const key = getMarketKey(market);
+        if (!markets[key]) {
+          markets[key] = { ...market, accounts: 0 };
+        }
+        markets[key].accounts++;
+      }
+    }
 
-    // Fetch market data and calculate signals for each timeframe
-    const signalsByTimeframe = {};
-    for (const [timeframe, tfAccounts] of Object.entries(accountsByTimeframe)) {
-      console.log(`\nFetching ${timeframe} candles for ${tfAccounts.length} account(s)...`);
+    console.log(`Accounts grouped by market: ${Object.keys(markets).join(', ')}`);
 
-      // Fetch candles for this timeframe
-      const klines = await getKlines(timeframe, 500);
+    // Fetch market data and calculate signals for each exchange/symbol/timeframe
+    // (closed-candle accounts share the fetch but get signals without the forming candle)
+    const klinesByFeed = {};
+    const candlesByMarket = {};
+    const signalsByMarket = {};
+    for (const [key, { exchange, symbol, timeframe, signalCandles, accounts: count }] of Object.entries(markets)) {
+      console.log(`\nFetching ${exchange} ${symbol} ${timeframe} candles for ${count} account(s)...`);
+
+      // Fetch candles for this market
+      const feed = getMarketKey({ exchange, symbol, timeframe });
+      if (!klinesByFeed[feed]) {
+        klinesByFeed[feed] = await getStreamKlines(timeframe, 500, symbol, exchange);
+      }
+      const klines = signalCandles === 'closed'
+        ? getClosedCandles(klinesByFeed[feed], timeframe)
+        : klinesByFeed[feed];
       const candles = klines.map(k => ({
         timestamp: k.timestamp,
         open: k.open,
@@ -62,39 +134,73 @@ export async function executeMultiAccountTrading(marketData) {
         close: k.close,
         volume: k.volume
       }));
+      candlesByMarket[key] = candles;
 
-      console.log(`Calculating signals for ${timeframe}...`);
-      signalsByTimeframe[timeframe] = await calculateAllSignals(candles, {
+      // Order flow describes the market now, so only forming-candle signals use it
+      const marketDepth = signalCandles === 'closed' ? null : await fetchOrderFlow(symbol, exchange);
+
+      console.log(`Calculating signals for ${key}...`);
+      signalsByMarket[key] = await calculateAllSignals(candles, {
         useHeikinAshi: true,
         useTLSignals: true,
         useKoncorde: true,
         useLupown: true,
         useWhaleDetector: true,
         useDivergences: true,
-        useOrderBlocks: true
+        useOrderBlocks: true,
+        useOrderFlow: true,
+        marketDepth
       });
-      console.log(`✓ Signals calculated for ${timeframe}`);
+      console.log(`✓ Signals calculated for ${key}`);
+    }
+
+    // Get current price of each traded symbol on each exchange
+    const pricesByExchange = {};
+    for (const { exchange, symbol } of Object.values(markets)) {
+      if (!pricesByExchange[exchange]) {
+        pricesByExchange[exchange] = {};
+      }
+      if (pricesByExchange[exchange][symbol] === undefined) {
+        pricesByExchange[exchange][symbol] = await getStreamPrice(symbol, exchange);
+      }
     }
 
-    // Get current price
-    const currentPrice = await getCurrentPrice();
+    // Strategies read their timeframe candles as dailyKlines; signalCandle is
+    // the open time of the last one, recorded on trades
+    const getMarketData = market => {
+      const candles = candlesByMarket[getMarketKey(market)];
+      return {
+        currentPrice: pricesByExchange[market.exchange][market.symbol],
+        dailyKlines: candles,
+        signalCandle: candles[candles.length - 1]?.timestamp ?? null
+      };
+    };
 
     // Execute each account in parallel
     const results = await Promise.all(
-      accounts.map(account =>
-        executeAccountTrading(
-          account,
-          { currentPrice },
-          signalsByTimeframe[account.timeframe || '1d']
-        )
-      )
+      accounts.map(account => {
+        const accountMarkets = getAccountMarkets(account, assetsByAccount[account.id]);
+
+        if (isPortfolioAccount(account)) {
+          const marketDataBySymbol = {};
+          const signalsBySymbol = {};
+          for (const market of accountMarkets) {
+            marketDataBySymbol[market.symbol] = getMarketData(market);
+            signalsBySymbol[market.symbol] = signalsByMarket[getMarketKey(market)];
+          }
+          return executePortfolioTrading(account, assetsByAccount[account.id], marketDataBySymbol, signalsBySymbol);
+        }
+
+        const [market] = accountMarkets;
+        return executeAccountTrading(account, getMarketData(market), signalsByMarket[getMarketKey(market)]);
+      })
     );
 
     // Save snapshots for all accounts
     console.log('\nSaving account snapshots...');
     await Promise.all(
       accounts.map(account =>
-        saveAccountSnapshot(account.id, currentPrice)
+        saveAccountSnapshot(account.id, pricesByExchange[getAccountMarket(account).exchange] || {})
       )
     );
     console.log('✓ Snapshots saved');
@@ -108,43 +214,144 @@ export async function executeMultiAccountTrading(marketData) {
   }
 }
 
+/**
+ * Get the order book and recent trades of a market, or null if unavailable
+ * Order flow only refines signals, so failures don't stop trading
+ */
+async function fetchOrderFlow(symbol, exchange) {
+  try {
+    return await getOrderFlowData(symbol, exchange);
+  } catch (error) {
+    console.error(`  ✗ Order flow unavailable for ${exchange} ${symbol}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the exchange, symbol and timeframe an account trades
+ */
+function getAccountMarket(account) {
+  return {
+    exchange: account.exchange || DEFAULT_EXCHANGE,
+    symbol: account.symbol || DEFAULT_SYMBOL,
+    timeframe: account.timeframe || '1d',
+    signalCandles: isClosedCandleMode(account) ? 'closed' : 'forming'
+  };
+}
+
+/**
+ * Get every market an account needs data for
+ * Portfolio accounts need one per asset, on the account exchange and timeframe
+ */
+function getAccountMarkets(account, assets = []) {
+  const market = getAccountMarket(account);
+
+  return isPortfolioAccount(account)
+    ? assets.map(asset => ({ ...market, symbol: asset.symbol }))
+    : [market];
+}
+
+/**
+ * Key used to share candles and signals between accounts on the same market
+ */
+function getMarketKey({ exchange, symbol, timeframe, signalCandles }) {
+  const key = `${exchange}:${symbol}:${timeframe}`;
+  return signalCandles === 'closed' ? `${key}:closed` : key;
+}
+
 /**
  * Execute trading for a single account
  */
 async function executeAccountTrading(account, marketData, allIndicatorSignals) {
-  console.log(`\n  [${account.account_name}] Strategy: ${account.strategy}`);
+  console.log(`\n  [${account.account_name}] Strategy: ${account.strategy} on ${getAccountMarket(account).symbol}`);
 
   try {
     // Create strategy instance
     const strategy = createStrategy(account);
 
+    // Lot strategies hold several positions and trade resting orders
+    if (strategy.tradesLots()) {
+      return await executeLotTrading(account, strategy, marketData);
+    }
+
     // Calculate strategy signals
     const signals = await strategy.calculateSignals(marketData, allIndicatorSignals);
 
     // Get active position for this account
-    const activePosition = await getAccountActivePosition(account.id);
+    const activePosition = await getAccountActivePosition(account.id, account);
+
+    if (activePosition) {
+      // Fill stops/targets crossed by candles since the last run
+      const restingExit = await checkRestingExits(account, activePosition, marketData);
+      if (restingExit) {
+        const trade = await executeAccountSell(
+          account,
+          { ...marketData, currentPrice: restingExit.price },
+          activePosition,
+          signals,
+          restingExit.exitReason
+        );
+        const action = getCloseAction(activePosition);
+        console.log(`  ✓ ${action.toUpperCase()} filled at $${restingExit.price.toFixed(2)} (${restingExit.exitReason}, candle closed ${new Date(restingExit.timestamp).toISOString()})`);
+        return { account, action, trade, signals };
+      }
+
+      // Ratchet trailing stop before evaluating exits
+      await updateTrailingStop(account, activePosition, marketData);
+    }
 
-    // Check if should buy or sell
-    const shouldBuy = await strategy.shouldBuy(marketData, signals, activePosition);
-    const shouldSell = await strategy.shouldSell(marketData, signals, activePosition);
+    // Closed-candle accounts act on a candle's signals once; in between
+    // only stops, targets and time exits apply
+    const signalDue = isSignalDue(account, marketData.signalCandle);
+
+    // Check if should buy, short or close (stops, targets and time exits included)
+    // on the sides the account's position_mode allows
+    const shouldBuy = signalDue && allowsLong(account) && await strategy.shouldBuy(marketData, signals, activePosition);
+    const shouldShort = signalDue && !shouldBuy && allowsShort(account) &&
+      await strategy.shouldShort(marketData, signals, activePosition);
+    const exitReason = signalDue
+      ? await strategy.getExitReason(marketData, signals, activePosition)
+      : getProtectiveExitReason(strategy, marketData, activePosition);
+    const shouldScaleIn = signalDue && !exitReason &&
+      await strategy.shouldScaleIn(marketData, signals, activePosition);
 
     let action = null;
     let trade = null;
 
-    if (shouldSell && activePosition) {
-      // Execute SELL
-      trade = await executeAccountSell(account, marketData, activePosition, signals);
-      action = 'sell';
-      console.log(`  ✓ SELL executed at $${marketData.currentPrice.toFixed(2)}`);
+    if (exitReason && activePosition) {
+      // Execute SELL (or COVER of a short)
+      trade = await executeAccountSell(account, marketData, activePosition, signals, exitReason);
+      action = getCloseAction(activePosition);
+      console.log(`  ✓ ${action.toUpperCase()} executed at $${marketData.currentPrice.toFixed(2)} (${exitReason})`);
     } else if (shouldBuy && !activePosition) {
       // Execute BUY
       trade = await executeAccountBuy(account, marketData, signals);
-      action = 'buy';
-      console.log(`  ✓ BUY executed at $${marketData.currentPrice.toFixed(2)}`);
+      action = trade && 'buy';
+      if (trade) console.log(`  ✓ BUY executed at $${marketData.currentPrice.toFixed(2)} (${formatSize(trade)})`);
+    } else if (shouldShort && !activePosition) {
+      // Execute SHORT
+      trade = await executeAccountShort(account, marketData, signals);
+      action = trade && 'short';
+      if (trade) console.log(`  ✓ SHORT executed at $${marketData.currentPrice.toFixed(2)} (${formatSize(trade)}, ${trade.leverage}x, liquidation at $${parseFloat(trade.liquidation_price).toFixed(2)})`);
+    } else if (shouldScaleIn) {
+      // Add to the position on a repeated entry signal
+      trade = await executeAccountScaleIn(account, marketData, activePosition, signals);
+      action = trade && (isShortPosition(activePosition) ? 'short' : 'buy');
+      if (trade) console.log(`  ✓ ${action.toUpperCase()} added at $${marketData.currentPrice.toFixed(2)} (${formatSize(trade)}, entry ${activePosition.entry_count + 1})`);
+    } else if (!signalDue) {
+      console.log('  - No action (signals already evaluated on the last closed candle)');
     } else {
       console.log(`  - No action (${activePosition ? 'holding position' : 'waiting for signal'})`);
     }
 
+    if ((shouldBuy || shouldShort || shouldScaleIn) && !action && !exitReason) {
+      console.log(`  - Entry skipped (${getSizingMode(account)} sizing below $${MIN_POSITION_USD})`);
+    }
+
+    if (signalDue && isClosedCandleMode(account)) {
+      await markSignalEvaluated(account.id, marketData.signalCandle);
+    }
+
     return {
       account,
       action,
@@ -161,92 +368,382 @@ async function executeAccountTrading(account, marketData, allIndicatorSignals) {
   }
 }
 
+/**
+ * Execute trading for an account whose strategy holds several lots
+ * The candles closed since the last run are replayed, oldest first,
+ * against the strategy's resting orders so each candle fills once.
+ * The first run only places the orders
+ */
+async function executeLotTrading(account, strategy, marketData) {
+  const lots = await getAccountOpenLots(account.id, account);
+  const candles = getClosedCandles(marketData.dailyKlines, account.timeframe || '1d');
+  const lastChecked = account.last_signal_candle_at
+    ? new Date(account.last_signal_candle_at).getTime()
+    : null;
+  const trades = [];
+
+  for (let i = 1; i < candles.length && lastChecked !== null; i++) {
+    const candle = candles[i];
+    if (candle.timestamp <= lastChecked) continue;
+
+    const window = candles.slice(0, i + 1);
+    const fillData = { ...marketData, signalCandle: candle.timestamp };
+    const { exits, buys } = strategy.findLotFills(window, lots);
+    const filledAt = new Date(candle.timestamp).toISOString();
+
+    for (const exit of exits) {
+      const trade = await executeAccountSell(
+        account,
+        { ...fillData, currentPrice: exit.price },
+        exit.lot,
+        null,
+        exit.exitReason,
+        { lot: true, liquidity: exit.liquidity }
+      );
+      lots.splice(lots.indexOf(exit.lot), 1);
+      trades.push(trade);
+      console.log(`  ✓ SELL lot from level ${parseInt(exit.lot.grid_level) + 1} filled at $${exit.price.toFixed(2)} (${exit.exitReason}, candle ${filledAt})`);
+    }
+
+    for (const buy of buys) {
+      const order = calculateGridBuyOrder(account, buy, window, await getSizingOptions(account));
+      const trade = await executeAccountEntry(account, fillData, order);
+      if (!trade) {
+        console.log(`  - Level ${buy.level + 1} skipped (${getSizingMode(account)} sizing below $${MIN_POSITION_USD})`);
+        continue;
+      }
+
+      lots.push(aggregatePosition([trade], account));
+      trades.push(trade);
+      console.log(`  ✓ BUY lot at level ${buy.level + 1} filled at $${buy.price.toFixed(2)} (${formatSize(trade)}, candle ${filledAt})`);
+    }
+  }
+
+  if (candles.length > 0) {
+    await markSignalEvaluated(account.id, candles[candles.length - 1].timestamp);
+  }
+
+  const grid = strategy.getGrid(candles, lots);
+  if (grid) {
+    console.log(`  Grid $${grid.lower.toFixed(2)}–$${grid.upper.toFixed(2)} (${grid.source}): ${lots.length}/${grid.levels.length - 1} levels holding, $${(parseFloat(account.total_profit_loss) || 0).toFixed(2)} realized`);
+  } else {
+    console.log('  - No action (not enough candles to lay out the grid)');
+  }
+
+  return {
+    account,
+    action: trades.length > 0 ? 'grid' : null,
+    trades,
+    signals: null
+  };
+}
+
+/**
+ * Execute trading for a portfolio account
+ * Strategy signals on each asset set its exposure, then the basket is
+ * rebalanced when exposure changed, the schedule is due or weights drifted
+ */
+async function executePortfolioTrading(account, assets, marketDataBySymbol, signalsBySymbol) {
+  console.log(`\n  [${account.account_name}] Portfolio: ${assets.map(a => a.symbol).join(', ')} (${account.strategy})`);
+
+  try {
+    const strategy = createStrategy(account);
+    const prices = {};
+    const signals = {};
+    let exposureChanged = false;
+
+    // Closed-candle portfolios change exposure once per closed candle;
+    // drift and scheduled rebalancing still run every time
+    const signalCandle = Math.min(...assets.map(asset => marketDataBySymbol[asset.symbol].signalCandle ?? -Infinity));
+    const signalDue = isSignalDue(account, Number.isFinite(signalCandle) ? signalCandle : null);
+
+    for (const asset of assets) {
+      const marketData = marketDataBySymbol[asset.symbol];
+      prices[asset.symbol] = marketData.currentPrice;
+      signals[asset.symbol] = await strategy.calculateSignals(marketData, signalsBySymbol[asset.symbol]);
+      if (!signalDue) continue;
+
+      const exposure = await getSignalExposure(strategy, marketData, signals[asset.symbol], asset);
+      if (exposure !== parseFloat(asset.exposure)) {
+        await updatePortfolioAsset(asset.id, { exposure });
+        asset.exposure = exposure;
+        exposureChanged = true;
+        console.log(`  ${asset.symbol} exposure → ${(exposure * 100).toFixed(0)}%`);
+      }
+    }
+
+    if (signalDue && isClosedCandleMode(account)) {
+      await markSignalEvaluated(account.id, signalCandle);
+    }
+
+    const reason = exposureChanged ? 'signal' : getRebalanceReason(account, assets, prices);
+    if (!reason) {
+      console.log('  - No action (weights within drift threshold)');
+      return { account, action: null, trades: [], signals };
+    }
+
+    const trades = [];
+    for (const order of calculateRebalanceOrders(account, assets, prices)) {
+      const asset = assets.find(a => a.symbol === order.symbol);
+      const fill = fillRebalanceOrder(
+        account,
+        asset,
+        order,
+        prices[order.symbol],
+        marketDataBySymbol[order.symbol].dailyKlines
+      );
+      if (!fill) continue;
+
+      const trade = await saveAccountTrade({
+        account_id: account.id,
+        ...fill.trade,
+        signal_candle_at: marketDataBySymbol[order.symbol].signalCandle,
+        reason: `Portfolio rebalance (${reason})`
+      });
+
+      await updatePortfolioAsset(asset.id, fill.asset);
+      await updateAccountBalance(account.id, fill.balanceUsd, 0);
+      await addAccountFees(account.id, fill.trade.fee_usd);
+      Object.assign(asset, fill.asset);
+      account.balance_usd = fill.balanceUsd;
+
+      if (fill.trade.trade_type === 'sell') {
+        const metrics = calculateMetricsAfterSell(account, fill.trade.profit_loss_usd);
+        await updateAccountMetrics(account.id, metrics);
+        Object.assign(account, metrics);
+      }
+
+      trades.push(trade);
+    }
+
+    await markPortfolioRebalanced(account.id);
+    console.log(`  ✓ Rebalanced (${reason}): ${trades.length} order(s)`);
+
+    return {
+      account,
+      action: trades.length > 0 ? 'rebalance' : null,
+      trades,
+      signals
+    };
+  } catch (error) {
+    console.error(`  ✗ Error executing portfolio ${account.account_name}:`, error.message);
+    return {
+      account,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Turn a strategy's entry/exit decision on one asset into its exposure
+ * The asset row stands in for the open position while invested
+ */
+async function getSignalExposure(strategy, marketData, signals, asset) {
+  const exposure = parseFloat(asset.exposure ?? 1);
+
+  if (exposure === 0 && await strategy.shouldBuy(marketData, signals, null)) {
+    return 1;
+  }
+
+  if (exposure > 0 && await strategy.shouldSell(marketData, signals, asset)) {
+    return 0;
+  }
+
+  return exposure;
+}
+
+/**
+ * Result action for closing a position: 'sell' for longs, 'cover' for shorts
+ */
+export function getCloseAction(activePosition) {
+  return isShortPosition(activePosition) ? 'cover' : 'sell';
+}
+
+/**
+ * Exits that don't depend on signals: stop loss, take profit, liquidation and time stop
+ */
+function getProtectiveExitReason(strategy, marketData, activePosition) {
+  if (!activePosition) return null;
+
+  return strategy.getRiskExitReason(marketData, activePosition) ||
+    (strategy.isTimeStopReached(marketData, activePosition) ? 'time_stop' : null);
+}
+
+/**
+ * Replay closed candles since the last run against the position's
+ * stop loss and take profit, persisting how far it has been checked
+ * @returns {Object|null} { exitReason, price, timestamp } if a level was crossed
+ */
+async function checkRestingExits(account, activePosition, marketData) {
+  const result = simulateRestingExits(account, activePosition, marketData.dailyKlines);
+
+  await updatePositionStop(
+    activePosition.id,
+    result.stopLossPrice,
+    result.highestPrice,
+    new Date(result.checkedAt)
+  );
+
+  activePosition.stop_loss_price = result.stopLossPrice;
+  activePosition.highest_price = result.highestPrice;
+  activePosition.exits_checked_at = new Date(result.checkedAt);
+
+  return result.exit;
+}
+
+/**
+ * Ratchet the trailing stop of an open position and persist it
+ */
+export async function updateTrailingStop(account, activePosition, marketData) {
+  const update = calculateTrailingStop(
+    account,
+    activePosition,
+    marketData.currentPrice,
+    marketData.dailyKlines
+  );
+
+  if (!update || !update.changed) return;
+
+  await updatePositionStop(activePosition.id, update.stopLossPrice, update.highestPrice);
+
+  activePosition.stop_loss_price = update.stopLossPrice;
+  activePosition.highest_price = update.highestPrice;
+
+  const short = isShortPosition(activePosition);
+  console.log(`  ${short ? '↓' : '↑'} Trailing stop at $${update.stopLossPrice.toFixed(2)} (${short ? 'low' : 'high'} $${update.highestPrice.toFixed(2)})`);
+}
+
+/**
+ * Describe how an entry was sized, for logs
+ */
+function formatSize(trade) {
+  return `$${parseFloat(trade.usd_amount).toFixed(2)} ${trade.sizing_mode} sizing`;
+}
+
+/**
+ * Inputs the account's sizing mode needs beyond the market data
+ * Kelly sizing reads the account's closed positions
+ */
+async function getSizingOptions(account) {
+  if (getSizingMode(account) !== 'kelly') return {};
+  return { tradeStats: calculateTradeStats(await getAccountClosedTrades(account.id)) };
+}
+
 /**
  * Execute BUY for account
  */
 async function executeAccountBuy(account, marketData, signals) {
-  const price = marketData.currentPrice;
-  const posSize = account.balance_usd * account.position_size_percent;
-  const btcAmount = posSize / price;
+  const order = calculateBuyOrder(
+    account,
+    marketData.currentPrice,
+    signals,
+    marketData.dailyKlines,
+    null,
+    await getSizingOptions(account)
+  );
+  return executeAccountEntry(account, marketData, order);
+}
 
-  const newBalanceUsd = account.balance_usd - posSize;
-  const newBalanceBtc = account.balance_btc + btcAmount;
+/**
+ * Execute a short sale for account
+ */
+async function executeAccountShort(account, marketData, signals) {
+  const order = calculateShortOrder(
+    account,
+    marketData.currentPrice,
+    signals,
+    marketData.dailyKlines,
+    null,
+    await getSizingOptions(account)
+  );
+  return executeAccountEntry(account, marketData, order);
+}
 
-  // Calculate stop loss
-  let stopLossPrice = price * (1 - account.stop_loss_percent);
+/**
+ * Add an entry to the account's active position
+ */
+async function executeAccountScaleIn(account, marketData, activePosition, signals) {
+  const order = calculateScaleInOrder(
+    account,
+    marketData.currentPrice,
+    activePosition,
+    signals,
+    marketData.dailyKlines,
+    await getSizingOptions(account)
+  );
+  return executeAccountEntry(account, marketData, order, activePosition);
+}
 
-  // For Trend Shield, use ATR-based stop loss if available
-  if (account.strategy === 'trend_shield' && signals.atr14) {
-    const atrMultiplier = 1.5;
-    stopLossPrice = price - (signals.atr14 * atrMultiplier);
-  }
+/**
+ * Save an entry and apply it to the account
+ * Without an active position the entry starts a new one
+ * @returns {Object|null} The saved trade, or null if the order was too small
+ */
+async function executeAccountEntry(account, marketData, order, activePosition = null) {
+  if (!order) return null;
 
   // Save trade
   const trade = await saveAccountTrade({
     account_id: account.id,
-    trade_type: 'buy',
-    btc_price: price,
-    btc_amount: btcAmount,
-    usd_amount: posSize,
-    balance_usd: newBalanceUsd,
-    balance_btc: newBalanceBtc,
-    stop_loss_price: stopLossPrice,
-    reason: `${account.strategy} BUY signal`
+    symbol: getAccountMarket(account).symbol,
+    signal_candle_at: marketData.signalCandle,
+    position_id: activePosition ? activePosition.position_id : null,
+    starts_position: !activePosition,
+    ...order
   });
 
   // Update account balance
-  await updateAccountBalance(account.id, newBalanceUsd, newBalanceBtc);
+  await updateAccountBalance(account.id, order.balance_usd, order.balance_base);
+  await addAccountFees(account.id, order.fee_usd);
 
   // Refresh account object
-  account.balance_usd = newBalanceUsd;
-  account.balance_btc = newBalanceBtc;
+  account.balance_usd = order.balance_usd;
+  account.balance_base = order.balance_base;
 
   return trade;
 }
 
 /**
- * Execute SELL for account
+ * Execute SELL for account, or buy back its short
+ * Take profits at an intermediate target close part of the position
+ * @param {Object} orderOptions - Extra calculateCloseOrder() options
+ *   ({ lot, liquidity } for the lots of lot strategies)
  */
-async function executeAccountSell(account, marketData, activePosition, signals) {
-  const price = marketData.currentPrice;
-  const btcAmount = activePosition.btc_amount;
-  const usdAmount = btcAmount * price;
-
-  const newBalanceUsd = account.balance_usd + usdAmount;
-  const newBalanceBtc = 0;
-
-  // Calculate profit/loss
-  const profitLossUsd = usdAmount - activePosition.usd_amount;
-  const profitLossPercent = (profitLossUsd / activePosition.usd_amount) * 100;
+export async function executeAccountSell(account, marketData, activePosition, signals, exitReason, orderOptions = {}) {
+  const fraction = getExitFraction(activePosition, exitReason);
+  const order = calculateCloseOrder(
+    account,
+    marketData.currentPrice,
+    activePosition,
+    marketData.dailyKlines,
+    exitReason,
+    { ...orderOptions, fraction }
+  );
 
   // Save trade
   const trade = await saveAccountTrade({
     account_id: account.id,
-    trade_type: 'sell',
-    btc_price: price,
-    btc_amount: btcAmount,
-    usd_amount: usdAmount,
-    balance_usd: newBalanceUsd,
-    balance_btc: newBalanceBtc,
-    profit_loss_usd: profitLossUsd,
-    profit_loss_percentage: profitLossPercent,
-    reason: `${account.strategy} SELL signal`
+    symbol: getAccountMarket(account).symbol,
+    signal_candle_at: marketData.signalCandle,
+    position_id: activePosition.position_id,
+    ...order
   });
 
   // Update account balance
-  await updateAccountBalance(account.id, newBalanceUsd, newBalanceBtc);
-
-  // Update account metrics
-  await updateAccountMetrics(account.id, {
-    total_trades: account.total_trades + 1,
-    winning_trades: profitLossUsd > 0 ? account.winning_trades + 1 : account.winning_trades,
-    losing_trades: profitLossUsd <= 0 ? account.losing_trades + 1 : account.losing_trades,
-    total_profit_loss: account.total_profit_loss + profitLossUsd
+  await updateAccountBalance(account.id, order.balance_usd, order.balance_base);
+  await addAccountFees(account.id, order.fee_usd);
+
+  // Update account metrics (a trade counts once its position is closed)
+  const metrics = calculateMetricsAfterSell(account, order.profit_loss_usd, {
+    closesPosition: fraction >= 1,
+    positionProfitLossUsd: (activePosition.realized_profit_loss || 0) + order.profit_loss_usd
   });
+  await updateAccountMetrics(account.id, metrics);
 
-  // Refresh account object
-  account.balance_usd = newBalanceUsd;
-  account.balance_btc = newBalanceBtc;
+  // Refresh account object (lots can close several times in a run)
+  Object.assign(account, metrics);
+  account.balance_usd = order.balance_usd;
+  account.balance_base = order.balance_base;
 
   return trade;
 }
@@ -257,16 +754,34 @@ async function executeAccountSell(account, marketData, activePosition, signals)
 async function saveAccountTrade(data) {
   const {
     account_id,
+    symbol = DEFAULT_SYMBOL,
     trade_type,
-    btc_price,
-    btc_amount,
+    side = 'long',
+    price,
+    base_amount,
     usd_amount,
     balance_usd,
-    balance_btc,
+    balance_base,
     stop_loss_price = null,
     take_profit_price = null,
     profit_loss_usd = null,
     profit_loss_percentage = null,
+    fee_usd = 0,
+    slippage_usd = 0,
+    highest_price = null,
+    leverage = null,
+    margin_usd = null,
+    liquidation_price = null,
+    interest_usd = null,
+    position_id = null,
+    initial_stop_price = null,
+    sizing_mode = null,
+    sizing_inputs = null,
+    grid_level = null,
+    grid_price = null,
+    starts_position = false,
+    exit_reason = null,
+    signal_candle_at = null,
     reason = ''
   } = data;
 
@@ -274,26 +789,56 @@ async function saveAccountTrade(data) {
   try {
     const result = await client.query(`
       INSERT INTO paper_trades (
-        account_id, trade_type, btc_price, btc_amount, usd_amount,
-        balance_usd, balance_btc, stop_loss_price, take_profit_price,
-        profit_loss_usd, profit_loss_percentage, reason
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        account_id, symbol, trade_type, price, base_amount, usd_amount,
+        balance_usd, balance_base, stop_loss_price, take_profit_price,
+        profit_loss_usd, profit_loss_percentage, fee_usd, slippage_usd,
+        highest_price, exit_reason, signal_candle_at, reason, side,
+        leverage, margin_usd, liquidation_price, interest_usd,
+        position_id, initial_stop_price, sizing_mode, sizing_inputs,
+        grid_level, grid_price
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29)
       RETURNING *
     `, [
       account_id,
+      symbol,
       trade_type,
-      btc_price,
-      btc_amount,
+      price,
+      base_amount,
       usd_amount,
       balance_usd,
-      balance_btc,
+      balance_base,
       stop_loss_price,
       take_profit_price,
       profit_loss_usd,
       profit_loss_percentage,
-      reason
+      fee_usd,
+      slippage_usd,
+      highest_price,
+      exit_reason,
+      signal_candle_at === null || signal_candle_at === undefined ? null : new Date(signal_candle_at),
+      reason,
+      side,
+      leverage,
+      margin_usd,
+      liquidation_price,
+      interest_usd,
+      position_id,
+      initial_stop_price,
+      sizing_mode,
+      sizing_inputs && JSON.stringify(sizing_inputs),
+      grid_level,
+      grid_price
     ]);
 
+    // The first entry of a position gives it its id
+    if (starts_position) {
+      const started = await client.query(
+        'UPDATE paper_trades SET position_id = id WHERE id = $1 RETURNING *',
+        [result.rows[0].id]
+      );
+      return started.rows[0];
+    }
+
     return result.rows[0];
   } finally {
     client.release();
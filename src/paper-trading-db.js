@@ -73,8 +73,8 @@ export async function executeBuyTrade(data) {
     // Insert trade with optional SL/TP columns
     const tradeResult = await client.query(`
       INSERT INTO paper_trades (
-        trade_type, btc_price, btc_amount, usd_amount,
-        balance_usd, balance_btc, score_at_trade, reason,
+        trade_type, price, base_amount, usd_amount,
+        balance_usd, balance_base, score_at_trade, reason,
         stop_loss_price, take_profit_price, entry_atr
       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
@@ -132,8 +132,8 @@ export async function executeSellTrade(data) {
     // Insert trade
     const tradeResult = await client.query(`
       INSERT INTO paper_trades (
-        trade_type, btc_price, btc_amount, usd_amount,
-        balance_usd, balance_btc, score_at_trade, reason,
+        trade_type, price, base_amount, usd_amount,
+        balance_usd, balance_base, score_at_trade, reason,
         profit_loss_usd, profit_loss_percentage
       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING *
@@ -220,7 +220,7 @@ export async function getAveragePurchasePrice() {
   try {
     const result = await client.query(`
       SELECT
-        SUM(btc_price * btc_amount) / NULLIF(SUM(btc_amount), 0) as avg_price
+        SUM(price * base_amount) / NULLIF(SUM(base_amount), 0) as avg_price
       FROM paper_trades
       WHERE trade_type = 'buy'
         AND created_at > (
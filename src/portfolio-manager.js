@@ -0,0 +1,101 @@
+/**
+ * Portfolio Manager
+ * CRUD operations for the assets held by portfolio accounts
+ */
+
+import { initDatabase } from './database.js';
+
+const pool = initDatabase();
+
+/**
+ * Get the assets of a portfolio account
+ */
+export async function getPortfolioAssets(accountId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT * FROM portfolio_assets WHERE account_id = $1 ORDER BY id',
+      [accountId]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Add assets to a portfolio account
+ * @param {number} accountId
+ * @param {Array} assets - Normalized assets from normalizePortfolioAssets()
+ */
+export async function createPortfolioAssets(accountId, assets) {
+  const client = await pool.connect();
+  try {
+    const rows = [];
+    for (const asset of assets) {
+      const result = await client.query(`
+        INSERT INTO portfolio_assets (account_id, symbol, base_asset, target_weight)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [accountId, asset.symbol, asset.base_asset, asset.target_weight]);
+      rows.push(result.rows[0]);
+    }
+    return rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update holdings or exposure of a portfolio asset
+ */
+export async function updatePortfolioAsset(assetId, updates) {
+  const client = await pool.connect();
+  try {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      fields.push(`${key} = $${paramCount}`);
+      values.push(value);
+      paramCount++;
+    });
+
+    fields.push('updated_at = NOW()');
+    values.push(assetId);
+
+    const result = await client.query(`
+      UPDATE portfolio_assets
+      SET ${fields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `, values);
+
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record that a portfolio account was rebalanced
+ */
+export async function markPortfolioRebalanced(accountId) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      'UPDATE trading_accounts SET last_rebalanced_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [accountId]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  getPortfolioAssets,
+  createPortfolioAssets,
+  updatePortfolioAsset,
+  markPortfolioRebalanced
+};
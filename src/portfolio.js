@@ -0,0 +1,246 @@
+/**
+ * Portfolio
+ * Valuation and rebalancing for accounts holding several assets
+ *
+ * Each asset has a target_weight of the basket and an exposure set by the
+ * account strategy's signals on that asset (1 = fully invested, 0 = out).
+ * The effective target is target_weight × exposure; the rest stays in USD.
+ */
+
+import { getFeeRate, getSlippagePercent, applySlippage } from './execution-model.js';
+import { parseSymbol, DEFAULT_SYMBOL } from './binance.js';
+
+export const ACCOUNT_TYPES = ['single', 'portfolio'];
+
+// Default drift (absolute weight difference) that triggers a rebalance
+export const DEFAULT_REBALANCE_THRESHOLD = 0.05;
+
+// Rebalance orders smaller than this are skipped
+export const MIN_REBALANCE_NOTIONAL = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Check whether an account holds a basket of assets
+ */
+export function isPortfolioAccount(account) {
+  return account.account_type === 'portfolio';
+}
+
+/**
+ * Validate and normalize portfolio assets from an API request
+ * @param {Array} assets - [{ symbol, target_weight }]
+ * @returns {Array} [{ symbol, base_asset, target_weight }]
+ * @throws {Error} If assets are missing, duplicated or weights exceed 100%
+ */
+export function normalizePortfolioAssets(assets) {
+  if (!Array.isArray(assets) || assets.length === 0) {
+    throw new Error('Portfolio accounts need at least one asset');
+  }
+
+  const normalized = assets.map(asset => {
+    const { symbol, baseAsset } = parseSymbol(asset.symbol);
+    const targetWeight = parseFloat(asset.target_weight);
+
+    if (!(targetWeight > 0 && targetWeight <= 1)) {
+      throw new Error(`target_weight for ${symbol} must be between 0 and 1`);
+    }
+
+    return { symbol, base_asset: baseAsset, target_weight: targetWeight };
+  });
+
+  const symbols = new Set(normalized.map(a => a.symbol));
+  if (symbols.size !== normalized.length) {
+    throw new Error('Portfolio assets must not repeat a symbol');
+  }
+
+  const totalWeight = normalized.reduce((sum, a) => sum + a.target_weight, 0);
+  if (totalWeight > 1 + 1e-9) {
+    throw new Error(`Portfolio target weights add up to ${(totalWeight * 100).toFixed(1)}%, max is 100%`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Value an account in USD: cash plus every asset it holds
+ * A short shows as a negative balance_base against cash that includes
+ * the sale proceeds; interest owed on it is not included
+ * @param {Object} account - Trading account
+ * @param {Object} pricesBySymbol - { [symbol]: price }
+ * @param {Array} assets - Portfolio assets (portfolio accounts only)
+ * @returns {number} Total value in USD
+ */
+export function calculateAccountValue(account, pricesBySymbol, assets = []) {
+  const cash = parseFloat(account.balance_usd) || 0;
+
+  if (!isPortfolioAccount(account)) {
+    const price = pricesBySymbol[account.symbol || DEFAULT_SYMBOL] || 0;
+    return cash + (parseFloat(account.balance_base) || 0) * price;
+  }
+
+  return assets.reduce(
+    (total, asset) => total + (parseFloat(asset.balance_base) || 0) * (pricesBySymbol[asset.symbol] || 0),
+    cash
+  );
+}
+
+/**
+ * Current and effective target weight of each asset
+ * @returns {Object} { totalValue, holdings: [{ symbol, value, weight, targetWeight }] }
+ */
+export function getPortfolioWeights(account, assets, pricesBySymbol) {
+  const totalValue = calculateAccountValue(account, pricesBySymbol, assets);
+
+  const holdings = assets.map(asset => {
+    const value = (parseFloat(asset.balance_base) || 0) * pricesBySymbol[asset.symbol];
+    return {
+      symbol: asset.symbol,
+      value,
+      weight: totalValue > 0 ? value / totalValue : 0,
+      targetWeight: parseFloat(asset.target_weight) * parseFloat(asset.exposure ?? 1)
+    };
+  });
+
+  return { totalValue, holdings };
+}
+
+/**
+ * Decide whether a portfolio should be rebalanced now
+ * @returns {string|null} 'initial', 'schedule', 'drift' or null
+ */
+export function getRebalanceReason(account, assets, pricesBySymbol, now = Date.now()) {
+  if (!account.last_rebalanced_at) {
+    return 'initial';
+  }
+
+  const intervalHours = parseFloat(account.rebalance_interval_hours);
+  if (intervalHours > 0) {
+    const elapsed = now - new Date(account.last_rebalanced_at).getTime();
+    if (elapsed >= intervalHours * HOUR_MS) {
+      return 'schedule';
+    }
+  }
+
+  const threshold = parseFloat(account.rebalance_threshold ?? DEFAULT_REBALANCE_THRESHOLD);
+  const { holdings } = getPortfolioWeights(account, assets, pricesBySymbol);
+  const maxDrift = Math.max(...holdings.map(h => Math.abs(h.weight - h.targetWeight)));
+
+  return maxDrift >= threshold ? 'drift' : null;
+}
+
+/**
+ * Orders that bring each asset back to its effective target weight
+ * Sells come first so their proceeds fund the buys
+ * @returns {Array} [{ symbol, side, notional }] with notional in USD
+ */
+export function calculateRebalanceOrders(account, assets, pricesBySymbol) {
+  const { totalValue, holdings } = getPortfolioWeights(account, assets, pricesBySymbol);
+
+  const orders = holdings
+    .map(h => ({
+      symbol: h.symbol,
+      side: h.targetWeight * totalValue > h.value ? 'buy' : 'sell',
+      notional: Math.abs(h.targetWeight * totalValue - h.value)
+    }))
+    .filter(order => order.notional >= MIN_REBALANCE_NOTIONAL);
+
+  return [
+    ...orders.filter(o => o.side === 'sell'),
+    ...orders.filter(o => o.side === 'buy')
+  ];
+}
+
+/**
+ * Fill one rebalance order with the account's fees and slippage
+ * Buys spend at most the available cash; sells realize P&L against
+ * the average cost of the asset
+ *
+ * @param {Object} account - Portfolio account (balance_usd and cost settings)
+ * @param {Object} asset - Portfolio asset (balance_base, cost_basis_usd)
+ * @param {Object} order - { side, notional } from calculateRebalanceOrders()
+ * @param {number} price - Reference price of the asset
+ * @param {Array} candles - Recent candles for ATR/volume slippage models
+ * @returns {Object|null} { trade, balanceUsd, asset } or null if nothing to fill
+ */
+export function fillRebalanceOrder(account, asset, order, price, candles = []) {
+  const balanceUsd = parseFloat(account.balance_usd);
+  const balanceBase = parseFloat(asset.balance_base) || 0;
+  const costBasis = parseFloat(asset.cost_basis_usd) || 0;
+  const feeRate = getFeeRate(account, 'taker');
+
+  if (order.side === 'buy') {
+    const spend = Math.min(order.notional, balanceUsd);
+    if (spend < MIN_REBALANCE_NOTIONAL) return null;
+
+    const notional = spend / (1 + feeRate);
+    const slippage = getSlippagePercent(account, { price, notional, candles });
+    const fillPrice = applySlippage('buy', price, slippage);
+    const baseAmount = notional / fillPrice;
+
+    return {
+      trade: {
+        symbol: asset.symbol,
+        trade_type: 'buy',
+        price: fillPrice,
+        base_amount: baseAmount,
+        usd_amount: spend,
+        balance_usd: balanceUsd - spend,
+        balance_base: balanceBase + baseAmount,
+        fee_usd: spend - notional,
+        slippage_usd: baseAmount * (fillPrice - price)
+      },
+      balanceUsd: balanceUsd - spend,
+      asset: {
+        balance_base: balanceBase + baseAmount,
+        cost_basis_usd: costBasis + spend
+      }
+    };
+  }
+
+  const baseAmount = Math.min(order.notional / price, balanceBase);
+  if (baseAmount <= 0) return null;
+
+  const slippage = getSlippagePercent(account, { price, notional: baseAmount * price, candles });
+  const fillPrice = applySlippage('sell', price, slippage);
+  const grossUsd = baseAmount * fillPrice;
+  const feeUsd = grossUsd * feeRate;
+  const usdAmount = grossUsd - feeUsd;
+
+  const soldCost = balanceBase > 0 ? costBasis * (baseAmount / balanceBase) : 0;
+  const profitLossUsd = usdAmount - soldCost;
+
+  return {
+    trade: {
+      symbol: asset.symbol,
+      trade_type: 'sell',
+      price: fillPrice,
+      base_amount: baseAmount,
+      usd_amount: usdAmount,
+      balance_usd: balanceUsd + usdAmount,
+      balance_base: balanceBase - baseAmount,
+      profit_loss_usd: profitLossUsd,
+      profit_loss_percentage: soldCost > 0 ? (profitLossUsd / soldCost) * 100 : 0,
+      fee_usd: feeUsd,
+      slippage_usd: baseAmount * (price - fillPrice)
+    },
+    balanceUsd: balanceUsd + usdAmount,
+    asset: {
+      balance_base: balanceBase - baseAmount,
+      cost_basis_usd: costBasis - soldCost
+    }
+  };
+}
+
+export default {
+  ACCOUNT_TYPES,
+  DEFAULT_REBALANCE_THRESHOLD,
+  MIN_REBALANCE_NOTIONAL,
+  isPortfolioAccount,
+  normalizePortfolioAssets,
+  calculateAccountValue,
+  getPortfolioWeights,
+  getRebalanceReason,
+  calculateRebalanceOrders,
+  fillRebalanceOrder
+};
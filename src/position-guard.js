@@ -0,0 +1,165 @@
+/**
+ * Position Guard
+ * Polls prices between analysis runs and enforces stop loss,
+ * take profit, trailing stops and short liquidations on every open position
+ * (every lot of accounts whose strategy trades lots)
+ */
+
+import { getActiveAccounts, getAccountActivePosition, getAccountOpenLots } from './account-manager.js';
+import { createStrategy } from './strategy-factory.js';
+import {
+  executeAccountSell,
+  updateTrailingStop,
+  getCloseAction,
+  runExclusive
+} from './multi-account-trading.js';
+import { DEFAULT_SYMBOL } from './binance.js';
+import { DEFAULT_EXCHANGE } from './exchanges/index.js';
+import { getStreamKlines, getStreamPrice, isMarketStreamLive } from './market-stream.js';
+import { isPortfolioAccount } from './portfolio.js';
+import { sendPaperTradingSell, sendPaperTradingCover } from './telegram.js';
+
+export const DEFAULT_GUARD_INTERVAL_SECONDS = 30;
+
+// ATR trailing stops and slippage models need candles,
+// which change far slower than the price
+const CANDLE_REFRESH_MS = 15 * 60 * 1000;
+const CANDLE_LIMIT = 100;
+
+const candleCache = {};
+
+/**
+ * Get recent candles for a market, refetching at most every CANDLE_REFRESH_MS
+ * unless the market stream keeps them current
+ */
+async function getCachedCandles(exchange, symbol, timeframe) {
+  if (exchange === 'binance' && isMarketStreamLive()) {
+    return getStreamKlines(timeframe, CANDLE_LIMIT, symbol, exchange);
+  }
+
+  const key = `${exchange}:${symbol}:${timeframe}`;
+  const cached = candleCache[key];
+  if (cached && Date.now() - cached.fetchedAt < CANDLE_REFRESH_MS) {
+    return cached.candles;
+  }
+
+  const candles = await getStreamKlines(timeframe, CANDLE_LIMIT, symbol, exchange);
+  candleCache[key] = { candles, fetchedAt: Date.now() };
+  return candles;
+}
+
+/**
+ * Check every open position once against the current price
+ * @returns {Array} { account, action, trade } for each protective exit taken
+ */
+export async function checkOpenPositions() {
+  const accounts = await getActiveAccounts();
+
+  const positions = [];
+  for (const account of accounts) {
+    // Portfolio holdings have no stops; they are managed by rebalancing
+    if (isPortfolioAccount(account)) continue;
+
+    if (createStrategy(account).tradesLots()) {
+      for (const lot of await getAccountOpenLots(account.id, account)) {
+        positions.push({ account, activePosition: lot, lot: true });
+      }
+      continue;
+    }
+
+    const activePosition = await getAccountActivePosition(account.id, account);
+    if (activePosition) {
+      positions.push({ account, activePosition });
+    }
+  }
+
+  if (positions.length === 0) {
+    return [];
+  }
+
+  const prices = {};
+  const results = [];
+
+  for (const { account, activePosition, lot = false } of positions) {
+    try {
+      const exchange = account.exchange || DEFAULT_EXCHANGE;
+      const symbol = account.symbol || DEFAULT_SYMBOL;
+      const priceKey = `${exchange}:${symbol}`;
+      if (prices[priceKey] === undefined) {
+        prices[priceKey] = await getStreamPrice(symbol, exchange);
+      }
+      const currentPrice = prices[priceKey];
+
+      const marketData = {
+        currentPrice,
+        dailyKlines: await getCachedCandles(exchange, symbol, account.timeframe || '1d')
+      };
+
+      await updateTrailingStop(account, activePosition, marketData);
+
+      const exitReason = createStrategy(account).getRiskExitReason(marketData, activePosition);
+      if (!exitReason) {
+        continue;
+      }
+
+      console.log(`\n🛡️  [${account.account_name}] ${exitReason} at $${currentPrice.toFixed(2)}`);
+      // Lot targets are resting limit orders: they fill at their level as maker,
+      // like the candle replay of executeLotTrading
+      const lotTarget = lot && exitReason === 'take_profit';
+      const trade = await executeAccountSell(
+        account,
+        lotTarget ? { ...marketData, currentPrice: parseFloat(activePosition.take_profit_price) } : marketData,
+        activePosition,
+        null,
+        exitReason,
+        lotTarget ? { lot, liquidity: 'maker' } : { lot }
+      );
+      const action = getCloseAction(activePosition);
+
+      const notify = action === 'cover' ? sendPaperTradingCover : sendPaperTradingSell;
+      await notify(
+        trade,
+        parseFloat(trade.profit_loss_usd),
+        parseFloat(trade.profit_loss_percentage),
+        account.account_name
+      );
+
+      results.push({ account, action, trade });
+    } catch (error) {
+      console.error(`  ✗ Position guard error for ${account.account_name}:`, error.message);
+      results.push({ account, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Start polling open positions every intervalSeconds
+ * Ticks are skipped while the previous one is still running
+ * @returns {Function} Stops the guard
+ */
+export function startPositionGuard(intervalSeconds = DEFAULT_GUARD_INTERVAL_SECONDS) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await runExclusive(checkOpenPositions);
+    } catch (error) {
+      console.error('✗ Position guard error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+
+  return () => clearInterval(timer);
+}
+
+export default {
+  DEFAULT_GUARD_INTERVAL_SECONDS,
+  checkOpenPositions,
+  startPositionGuard
+};
@@ -0,0 +1,281 @@
+/**
+ * Position Sizing
+ * How much an account commits to a new entry
+ *
+ * Sizing modes:
+ * - percent: position_size_percent of the free cash (the default)
+ * - risk: lose risk_per_trade_percent of equity if the stop is hit, with
+ *   the stop sizing_atr_multiplier × ATR(14) from entry
+ * - volatility: hold target_volatility / realized volatility of equity,
+ *   both annualized, so quiet markets get bigger positions
+ * - kelly: kelly_fraction × the Kelly fraction of equity from the
+ *   account's closed positions (win rate and payoff ratio)
+ * - fixed_usd: fixed_position_usd per entry
+ *
+ * Sizes are the cash committed like position_size_percent always was:
+ * the cost of a long, the margin of a short (exposure / leverage), fees
+ * included, and never more than the free cash.
+ */
+
+import { calculateATR } from './indicators/utils.js';
+import { PERIODS_PER_YEAR } from './backtest/metrics.js';
+import { mergePositionExits } from './position.js';
+
+export const SIZING_MODES = ['percent', 'risk', 'volatility', 'kelly', 'fixed_usd'];
+
+// Same defaults as the trading_accounts columns
+export const DEFAULT_SIZING_SETTINGS = {
+  sizing_mode: 'percent',
+  risk_per_trade_percent: 0.01,
+  sizing_atr_multiplier: 2,
+  target_volatility: 0.5,
+  kelly_fraction: 0.5,
+  fixed_position_usd: null
+};
+
+// Entries smaller than this are skipped
+export const MIN_POSITION_USD = 10;
+
+// Closed positions needed before Kelly sizing trusts the track record
+export const KELLY_MIN_TRADES = 10;
+
+const ATR_PERIOD = 14;
+const VOLATILITY_PERIOD = 20;
+
+/**
+ * Read a numeric account field, falling back to the default
+ */
+function getSetting(account, field) {
+  const value = account[field];
+  return value === null || value === undefined
+    ? DEFAULT_SIZING_SETTINGS[field]
+    : parseFloat(value);
+}
+
+/**
+ * Get an account's sizing mode
+ */
+export function getSizingMode(account) {
+  return account.sizing_mode || DEFAULT_SIZING_SETTINGS.sizing_mode;
+}
+
+/**
+ * Validate sizing settings from an API request
+ * @throws {Error} On an unknown mode or out of range values
+ */
+export function validateSizingSettings(settings) {
+  const {
+    sizing_mode = DEFAULT_SIZING_SETTINGS.sizing_mode,
+    risk_per_trade_percent = DEFAULT_SIZING_SETTINGS.risk_per_trade_percent,
+    sizing_atr_multiplier = DEFAULT_SIZING_SETTINGS.sizing_atr_multiplier,
+    target_volatility = DEFAULT_SIZING_SETTINGS.target_volatility,
+    kelly_fraction = DEFAULT_SIZING_SETTINGS.kelly_fraction,
+    fixed_position_usd = DEFAULT_SIZING_SETTINGS.fixed_position_usd
+  } = settings;
+
+  if (!SIZING_MODES.includes(sizing_mode)) {
+    throw new Error(`Invalid sizing_mode: ${sizing_mode}. Expected one of ${SIZING_MODES.join(', ')}`);
+  }
+
+  if (!(parseFloat(risk_per_trade_percent) > 0 && parseFloat(risk_per_trade_percent) < 1)) {
+    throw new Error('risk_per_trade_percent must be between 0 and 1');
+  }
+
+  if (!(parseFloat(sizing_atr_multiplier) > 0)) {
+    throw new Error('sizing_atr_multiplier must be above 0');
+  }
+
+  if (!(parseFloat(target_volatility) > 0)) {
+    throw new Error('target_volatility must be above 0');
+  }
+
+  if (!(parseFloat(kelly_fraction) > 0 && parseFloat(kelly_fraction) <= 1)) {
+    throw new Error('kelly_fraction must be between 0 and 1');
+  }
+
+  if (sizing_mode === 'fixed_usd' && !(parseFloat(fixed_position_usd) >= MIN_POSITION_USD)) {
+    throw new Error(`fixed_usd sizing needs a fixed_position_usd of at least ${MIN_POSITION_USD}`);
+  }
+}
+
+/**
+ * Win rate and payoff of an account's closed positions
+ * @param {Array} exits - Closing trades, oldest first
+ * @returns {Object} { trades, winRate, averageWin, averageLoss }
+ */
+export function calculateTradeStats(exits) {
+  const results = mergePositionExits(exits).map(exit => parseFloat(exit.profit_loss_usd) || 0);
+  const wins = results.filter(pl => pl > 0);
+  const losses = results.filter(pl => pl <= 0);
+
+  return {
+    trades: results.length,
+    winRate: results.length > 0 ? wins.length / results.length : 0,
+    averageWin: wins.length > 0 ? wins.reduce((a, b) => a + b, 0) / wins.length : 0,
+    averageLoss: losses.length > 0 ? -losses.reduce((a, b) => a + b, 0) / losses.length : 0
+  };
+}
+
+/**
+ * Kelly fraction for a win rate and payoff ratio: W - (1 - W) / R
+ */
+export function calculateKellyFraction(winRate, payoffRatio) {
+  if (!(payoffRatio > 0)) return 0;
+  return winRate - (1 - winRate) / payoffRatio;
+}
+
+/**
+ * Annualized volatility of candle close-to-close returns
+ * @returns {number|null} Null without enough candles
+ */
+export function calculateRealizedVolatility(candles, timeframe = '1d', period = VOLATILITY_PERIOD) {
+  const recent = candles.slice(-(period + 1));
+  if (recent.length < 3) return null;
+
+  const returns = [];
+  for (let i = 1; i < recent.length; i++) {
+    returns.push(Math.log(recent[i].close / recent[i - 1].close));
+  }
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+  const periodsPerYear = PERIODS_PER_YEAR[timeframe] || PERIODS_PER_YEAR['1d'];
+
+  return Math.sqrt(variance * periodsPerYear);
+}
+
+/**
+ * Exposure and inputs for the risk-based modes
+ * @returns {Object|null} { exposure, stopDistance, inputs } or null to fall
+ *   back to percent sizing
+ */
+function getModeExposure(mode, account, { price, equity, candles, tradeStats }) {
+  switch (mode) {
+    case 'risk': {
+      const riskPercent = getSetting(account, 'risk_per_trade_percent');
+      const atrMultiplier = getSetting(account, 'sizing_atr_multiplier');
+      const atr = candles.length > ATR_PERIOD ? calculateATR(candles, ATR_PERIOD).at(-1) : null;
+
+      // Without ATR history the account's percent stop sets the distance
+      const stopDistance = atr
+        ? atr * atrMultiplier
+        : price * parseFloat(account.stop_loss_percent);
+      if (!(stopDistance > 0)) return null;
+
+      return {
+        exposure: (equity * riskPercent / stopDistance) * price,
+        stopDistance,
+        inputs: { risk_per_trade_percent: riskPercent, atr, sizing_atr_multiplier: atrMultiplier, stop_distance: stopDistance }
+      };
+    }
+
+    case 'volatility': {
+      const targetVolatility = getSetting(account, 'target_volatility');
+      const realizedVolatility = calculateRealizedVolatility(candles, account.timeframe);
+      if (!(realizedVolatility > 0)) return null;
+
+      return {
+        exposure: equity * targetVolatility / realizedVolatility,
+        inputs: { target_volatility: targetVolatility, realized_volatility: realizedVolatility }
+      };
+    }
+
+    case 'kelly': {
+      if (!tradeStats || tradeStats.trades < KELLY_MIN_TRADES || !(tradeStats.averageLoss > 0)) {
+        return null;
+      }
+
+      const payoffRatio = tradeStats.averageWin / tradeStats.averageLoss;
+      const kelly = calculateKellyFraction(tradeStats.winRate, payoffRatio);
+      const kellyFraction = getSetting(account, 'kelly_fraction');
+
+      return {
+        exposure: equity * Math.max(kelly, 0) * kellyFraction,
+        inputs: {
+          trades: tradeStats.trades,
+          win_rate: tradeStats.winRate,
+          payoff_ratio: payoffRatio,
+          kelly,
+          kelly_fraction: kellyFraction
+        }
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Size a new entry
+ *
+ * @param {Object} account - Trading account (sizing settings, balances)
+ * @param {Object} context
+ * @param {number} context.price - Reference price
+ * @param {number} context.freeCash - Cash the entry may commit
+ * @param {number} context.leverage - Exposure per unit of cash committed (1 for longs)
+ * @param {Array} context.candles - Recent candles (risk and volatility modes)
+ * @param {Object} context.tradeStats - calculateTradeStats() of the account (kelly mode)
+ * @param {Object} context.sizeAdjustment - { multiplier, ...inputs } a strategy
+ *   applies to the size, e.g. DCA score weighting
+ * @returns {Object} { sizeUsd, stopDistance, mode, inputs } where sizeUsd is 0
+ *   when the entry should be skipped, stopDistance is set by risk sizing
+ *   and inputs records what the size was computed from
+ */
+export function calculatePositionSize(account, context) {
+  const { price, freeCash, leverage = 1, candles = [], tradeStats = null, sizeAdjustment = null } = context;
+  const equity = parseFloat(account.balance_usd) + (parseFloat(account.balance_base) || 0) * price;
+  const mode = getSizingMode(account);
+
+  let sizeUsd;
+  let stopDistance = null;
+  let inputs = { equity, free_cash: freeCash };
+
+  if (mode === 'fixed_usd') {
+    sizeUsd = getSetting(account, 'fixed_position_usd');
+  } else {
+    const sized = getModeExposure(mode, account, { price, equity, candles, tradeStats });
+
+    if (sized) {
+      sizeUsd = sized.exposure / leverage;
+      stopDistance = sized.stopDistance ?? null;
+      inputs = { ...inputs, ...sized.inputs, exposure_usd: sized.exposure };
+    } else {
+      // percent sizing, and the fallback when a mode lacks data
+      const percent = parseFloat(account.position_size_percent);
+      sizeUsd = freeCash * percent;
+      inputs = { ...inputs, position_size_percent: percent, ...(mode !== 'percent' && { fallback: 'percent' }) };
+    }
+  }
+
+  if (sizeAdjustment) {
+    const { multiplier, ...adjustmentInputs } = sizeAdjustment;
+    sizeUsd *= multiplier;
+    inputs = { ...inputs, ...adjustmentInputs, size_multiplier: multiplier };
+  }
+
+  const cappedSize = Math.min(sizeUsd, freeCash);
+  if (cappedSize < sizeUsd) {
+    inputs.capped_from_usd = sizeUsd;
+  }
+
+  return {
+    sizeUsd: cappedSize >= MIN_POSITION_USD ? cappedSize : 0,
+    stopDistance,
+    mode,
+    inputs: { ...inputs, size_usd: cappedSize }
+  };
+}
+
+export default {
+  SIZING_MODES,
+  DEFAULT_SIZING_SETTINGS,
+  MIN_POSITION_USD,
+  KELLY_MIN_TRADES,
+  getSizingMode,
+  validateSizingSettings,
+  calculateTradeStats,
+  calculateKellyFraction,
+  calculateRealizedVolatility,
+  calculatePositionSize
+};
@@ -0,0 +1,211 @@
+/**
+ * Position
+ * Aggregates the trades of one position: several entries when an account
+ * pyramids into it, and partial exits at its take-profit targets
+ *
+ * Accounts may add to a position on repeated entry signals up to
+ * max_entries, and close it in steps at take_profit_targets, each
+ * { r, fraction }: when price moves r times the initial risk (entry to
+ * initial stop) away from the average entry, fraction of the quantity
+ * still open is closed. Once every target is taken the rest rides the
+ * (trailing) stop and take_profit_percent as before.
+ *
+ * Entries share a position_id, the id of the first entry, which also
+ * carries the position's stop, best price and exit bookkeeping.
+ */
+
+import { isShortPosition, isClosingTrade, getLiquidationPrice } from './margin.js';
+
+export const DEFAULT_MAX_ENTRIES = 1;
+export const MAX_ENTRIES_LIMIT = 10;
+
+// Quantity left below this fraction of what was entered counts as closed
+const CLOSED_EPSILON = 1e-9;
+
+/**
+ * Validate and normalize take-profit targets
+ * @param {Array|string|null} targets - [{ r, fraction }] or its JSON
+ * @returns {Array} Targets sorted by r, [] when there are none
+ * @throws {Error} If a target is malformed
+ */
+export function parseTakeProfitTargets(targets) {
+  if (targets === null || targets === undefined || targets === '') return [];
+
+  const list = typeof targets === 'string' ? JSON.parse(targets) : targets;
+  if (!Array.isArray(list)) {
+    throw new Error('take_profit_targets must be a list of { r, fraction }');
+  }
+
+  return list
+    .map(target => {
+      const r = parseFloat(target.r);
+      const fraction = parseFloat(target.fraction);
+
+      if (!(r > 0)) {
+        throw new Error('Every take-profit target needs an r above 0');
+      }
+      if (!(fraction > 0 && fraction <= 1)) {
+        throw new Error(`Take-profit fraction at ${r}R must be between 0 and 1`);
+      }
+
+      return { r, fraction };
+    })
+    .sort((a, b) => a.r - b.r);
+}
+
+/**
+ * How many entries an account may stack into one position
+ */
+export function getMaxEntries(account) {
+  return parseInt(account.max_entries) || DEFAULT_MAX_ENTRIES;
+}
+
+/**
+ * Validate position management settings from an API request
+ * @throws {Error} On an out of range max_entries or malformed targets
+ */
+export function validatePositionSettings({ max_entries = DEFAULT_MAX_ENTRIES, take_profit_targets = null }) {
+  const maxEntries = Number(max_entries);
+  if (!(Number.isInteger(maxEntries) && maxEntries >= 1 && maxEntries <= MAX_ENTRIES_LIMIT)) {
+    throw new Error(`max_entries must be a whole number between 1 and ${MAX_ENTRIES_LIMIT}`);
+  }
+
+  parseTakeProfitTargets(take_profit_targets);
+}
+
+/**
+ * Combine the trades of a position into its current state
+ * Quantity, cost and margin still open are the entered totals scaled by
+ * the fraction not yet closed, so partial exits keep the average entry
+ *
+ * @param {Array} trades - Entries and exits of one position, oldest first
+ * @param {Object} account - Trading account (take_profit_targets, margin settings)
+ * @returns {Object|null} The first entry with the aggregated fields
+ *   (price is the average entry), or null once the position is closed
+ */
+export function aggregatePosition(trades, account = {}) {
+  const entries = trades.filter(trade => !isClosingTrade(trade));
+  const exits = trades.filter(trade => isClosingTrade(trade));
+  const [first] = entries;
+  if (!first) return null;
+
+  const sum = (rows, field) => rows.reduce((total, row) => total + (parseFloat(row[field]) || 0), 0);
+
+  const enteredBase = sum(entries, 'base_amount');
+  const openBase = enteredBase - sum(exits, 'base_amount');
+  if (!(openBase > enteredBase * CLOSED_EPSILON)) return null;
+
+  const openFraction = openBase / enteredBase;
+  const short = isShortPosition(first);
+  const averagePrice = entries.reduce(
+    (total, entry) => total + parseFloat(entry.base_amount) * parseFloat(entry.price),
+    0
+  ) / enteredBase;
+
+  const takeProfitsTaken = exits.filter(exit => exit.exit_reason === 'take_profit').length;
+  const nextTarget = getNextTarget(account, first, averagePrice, takeProfitsTaken);
+
+  const liquidationPrice = short && entries.length > 1
+    ? getLiquidationPrice(account, averagePrice)
+    : first.liquidation_price;
+
+  return {
+    ...first,
+    position_id: first.position_id ?? first.id,
+    price: averagePrice,
+    base_amount: openBase,
+    usd_amount: sum(entries, 'usd_amount') * openFraction,
+    margin_usd: short ? sum(entries, 'margin_usd') * openFraction : first.margin_usd,
+    liquidation_price: liquidationPrice,
+    take_profit_price: nextTarget ? nextTarget.price : first.take_profit_price,
+    next_target: nextTarget,
+    entry_count: entries.length,
+    take_profits_taken: takeProfitsTaken,
+    realized_profit_loss: sum(exits, 'profit_loss_usd'),
+    entries: entries.map(entry => ({
+      base_amount: parseFloat(entry.base_amount) * openFraction,
+      created_at: entry.created_at
+    }))
+  };
+}
+
+/**
+ * Next take-profit target of a position, priced off its average entry
+ * @returns {Object|null} { r, fraction, price }
+ */
+function getNextTarget(account, first, averagePrice, takeProfitsTaken) {
+  const target = parseTakeProfitTargets(account.take_profit_targets)[takeProfitsTaken];
+  if (!target) return null;
+
+  const initialStop = parseFloat(first.initial_stop_price) || parseFloat(first.stop_loss_price);
+  const risk = Math.abs(parseFloat(first.price) - initialStop);
+  if (!(risk > 0)) return null;
+
+  return {
+    ...target,
+    price: isShortPosition(first)
+      ? averagePrice - target.r * risk
+      : averagePrice + target.r * risk
+  };
+}
+
+/**
+ * Fraction of the open quantity an exit closes
+ * Take profits at an intermediate target close that target's fraction;
+ * every other exit closes the whole position
+ */
+export function getExitFraction(position, exitReason) {
+  if (exitReason === 'take_profit' && position.next_target) {
+    return position.next_target.fraction;
+  }
+
+  return 1;
+}
+
+/**
+ * Whether a position can take another entry
+ */
+export function canScaleIn(account, position) {
+  return (position.entry_count || 1) < getMaxEntries(account);
+}
+
+/**
+ * Merge the partial exits of each position into its final exit
+ * Exits without a position_id stand alone
+ * @param {Array} exits - Closing trades, oldest first
+ * @returns {Array} One exit per position carrying the summed profit_loss_usd
+ */
+export function mergePositionExits(exits) {
+  const merged = [];
+  const indexByPosition = new Map();
+
+  for (const exit of exits) {
+    const positionId = exit.position_id ?? null;
+    const index = positionId !== null ? indexByPosition.get(positionId) : undefined;
+
+    if (index === undefined) {
+      if (positionId !== null) indexByPosition.set(positionId, merged.length);
+      merged.push(exit);
+      continue;
+    }
+
+    merged[index] = {
+      ...exit,
+      profit_loss_usd: parseFloat(merged[index].profit_loss_usd) + parseFloat(exit.profit_loss_usd)
+    };
+  }
+
+  return merged;
+}
+
+export default {
+  DEFAULT_MAX_ENTRIES,
+  MAX_ENTRIES_LIMIT,
+  parseTakeProfitTargets,
+  getMaxEntries,
+  validatePositionSettings,
+  aggregatePosition,
+  getExitFraction,
+  canScaleIn,
+  mergePositionExits
+};
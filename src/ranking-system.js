@@ -4,14 +4,20 @@
  */
 
 import { initDatabase } from './database.js';
-import { getAllAccounts } from './account-manager.js';
+import { getAllAccounts, getAccruedInterest } from './account-manager.js';
+import { DEFAULT_SYMBOL } from './binance.js';
+import { getExchange, DEFAULT_EXCHANGE } from './exchanges/index.js';
+import { isPortfolioAccount, calculateAccountValue } from './portfolio.js';
+import { getPortfolioAssets } from './portfolio-manager.js';
 
 const pool = initDatabase();
 
 /**
  * Calculate rankings for all accounts
+ * @param {Object} pricesBySymbol - Known prices on the default exchange;
+ *   missing ones are fetched from each account's exchange
  */
-export async function calculateRankings(currentPrice) {
+export async function calculateRankings(pricesBySymbol = {}) {
   try {
     const accounts = await getAllAccounts();
 
@@ -19,9 +25,43 @@ export async function calculateRankings(currentPrice) {
       return [];
     }
 
+    // Portfolio accounts are valued over their whole basket,
+    // accounts holding a short net of the interest owed on it
+    const assetsByAccount = {};
+    const interestByAccount = {};
+    const pricesByExchange = { [DEFAULT_EXCHANGE]: { ...pricesBySymbol } };
+    for (const account of accounts) {
+      const exchange = account.exchange || DEFAULT_EXCHANGE;
+      if (!pricesByExchange[exchange]) {
+        pricesByExchange[exchange] = {};
+      }
+      const prices = pricesByExchange[exchange];
+
+      assetsByAccount[account.id] = isPortfolioAccount(account)
+        ? await getPortfolioAssets(account.id)
+        : [];
+
+      const symbols = isPortfolioAccount(account)
+        ? assetsByAccount[account.id].map(a => a.symbol)
+        : [account.symbol || DEFAULT_SYMBOL];
+
+      for (const symbol of symbols) {
+        if (prices[symbol] === undefined) {
+          prices[symbol] = await getExchange(exchange).getCurrentPrice(symbol);
+        }
+      }
+
+      interestByAccount[account.id] = isPortfolioAccount(account)
+        ? 0
+        : await getAccruedInterest(account, prices[symbols[0]]);
+    }
+
     const rankings = accounts.map(account => {
-      const totalValueUsd = account.balance_usd + (account.balance_btc * currentPrice);
-      const roiPercent = ((totalValueUsd - account.initial_balance) / account.initial_balance) * 100;
+      const prices = pricesByExchange[account.exchange || DEFAULT_EXCHANGE];
+      const totalValueUsd = calculateAccountValue(account, prices, assetsByAccount[account.id]) -
+        interestByAccount[account.id];
+      const initialBalance = parseFloat(account.initial_balance);
+      const roiPercent = ((totalValueUsd - initialBalance) / initialBalance) * 100;
       const winRate = account.total_trades > 0
         ? (account.winning_trades / account.total_trades) * 100
         : 0;
@@ -30,14 +70,20 @@ export async function calculateRankings(currentPrice) {
         account_id: account.id,
         account_name: account.account_name,
         strategy: account.strategy,
+        market: isPortfolioAccount(account)
+          ? null
+          : `${account.exchange || DEFAULT_EXCHANGE}:${account.symbol || DEFAULT_SYMBOL}`,
         roi_percent: roiPercent,
         win_rate: winRate,
         total_trades: account.total_trades,
+        total_fees_usd: parseFloat(account.total_fees_usd) || 0,
         balance_usd: totalValueUsd,
         is_active: account.is_active
       };
     });
 
+    compareWithDca(rankings);
+
     // Sort by ROI descending
     rankings.sort((a, b) => b.roi_percent - a.roi_percent);
 
@@ -56,6 +102,34 @@ export async function calculateRankings(currentPrice) {
   }
 }
 
+/**
+ * Benchmark accounts against DCA on the same market
+ * Sets vs_dca_roi_percent: the account's ROI minus the average ROI of the
+ * DCA accounts trading its exchange and symbol (null without any)
+ * @param {Array} rankings - Rankings with strategy, market and roi_percent
+ * @returns {Array} The same rankings
+ */
+export function compareWithDca(rankings) {
+  const dcaRoisByMarket = {};
+  for (const ranking of rankings) {
+    if (ranking.strategy === 'dca' && ranking.market) {
+      if (!dcaRoisByMarket[ranking.market]) {
+        dcaRoisByMarket[ranking.market] = [];
+      }
+      dcaRoisByMarket[ranking.market].push(ranking.roi_percent);
+    }
+  }
+
+  for (const ranking of rankings) {
+    const dcaRois = dcaRoisByMarket[ranking.market];
+    ranking.vs_dca_roi_percent = ranking.strategy !== 'dca' && dcaRois
+      ? ranking.roi_percent - dcaRois.reduce((a, b) => a + b, 0) / dcaRois.length
+      : null;
+  }
+
+  return rankings;
+}
+
 /**
  * Save rankings to database
  */
@@ -68,8 +142,9 @@ async function saveRankings(rankings) {
       await client.query(`
         INSERT INTO strategy_rankings (
           rank, account_id, account_name, strategy,
-          roi_percent, win_rate, total_trades, balance_usd
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          roi_percent, win_rate, total_trades, balance_usd, total_fees_usd,
+          vs_dca_roi_percent
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       `, [
         ranking.rank,
         ranking.account_id,
@@ -78,7 +153,9 @@ async function saveRankings(rankings) {
         ranking.roi_percent,
         ranking.win_rate,
         ranking.total_trades,
-        ranking.balance_usd
+        ranking.balance_usd,
+        ranking.total_fees_usd,
+        ranking.vs_dca_roi_percent
       ]);
     }
 
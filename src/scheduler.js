@@ -0,0 +1,304 @@
+/**
+ * Scheduler
+ * Runs each timeframe's trading shortly after its candles close and the
+ * score analysis on its own cron schedule
+ *
+ * A single global cron evaluated 15m accounts every 16 candles and 1w
+ * accounts several times a week. Each timeframe now gets its own timer,
+ * firing SCHEDULE_DELAY_SECONDS after every candle close (UTC, weeks
+ * opening on Monday as on the exchanges) so the closed candle is final
+ * before signals are computed.
+ */
+
+import cron from 'node-cron';
+import { TIMEFRAME_MS } from './backtest/metrics.js';
+import { getCandleStart } from './exchanges/candles.js';
+
+export const DEFAULT_SCHEDULE_DELAY_SECONDS = 30;
+
+// Longest setTimeout delay Node supports; longer waits are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Days searched for the next match of a cron expression: the 28-year
+// calendar cycle, so a date like Feb 29 on a Monday is still found
+const MAX_CRON_LOOKAHEAD_DAYS = 28 * 366;
+
+// Cron fields, seconds first, with their ranges and names
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+const schedule = {
+  analysis: null,
+  timeframes: {}
+};
+
+/**
+ * Time of the next candle close of a timeframe, plus the delay
+ * A close less than delayMs ago is still upcoming
+ * @param {string} timeframe - Candle timeframe
+ * @param {number} now - Current time in ms
+ * @param {number} delayMs - Wait after the close
+ */
+export function getNextTimeframeRun(timeframe, now = Date.now(), delayMs = DEFAULT_SCHEDULE_DELAY_SECONDS * 1000) {
+  const intervalMs = TIMEFRAME_MS[timeframe];
+  if (!intervalMs) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+
+  return getCandleStart(now - delayMs, timeframe) + intervalMs + delayMs;
+}
+
+function armTimeframe(entry, task) {
+  const wait = Math.min(entry.nextRunAt - Date.now(), MAX_TIMER_MS);
+
+  entry.timer = setTimeout(async () => {
+    if (Date.now() < entry.nextRunAt) {
+      armTimeframe(entry, task);
+      return;
+    }
+
+    if (entry.running) {
+      console.log(`⏭️  ${entry.timeframe} run skipped, the previous one is still running`);
+    } else {
+      entry.running = true;
+      entry.lastRunAt = Date.now();
+      try {
+        await task(entry.timeframe);
+      } catch (error) {
+        console.error(`✗ Scheduled ${entry.timeframe} run failed:`, error.message);
+      } finally {
+        entry.running = false;
+      }
+    }
+
+    entry.nextRunAt = getNextTimeframeRun(entry.timeframe, Date.now(), entry.delayMs);
+    armTimeframe(entry, task);
+  }, Math.max(wait, 0));
+}
+
+/**
+ * Run a task for each timeframe after every candle close
+ * @param {Array} timeframes - Timeframes to schedule
+ * @param {Function} task - Called with the timeframe whose candle closed
+ * @param {Object} options
+ * @param {number} options.delaySeconds - Wait after each close
+ * @returns {Function} Stops the timers
+ */
+export function startTimeframeScheduler(timeframes, task, { delaySeconds = DEFAULT_SCHEDULE_DELAY_SECONDS } = {}) {
+  const delayMs = delaySeconds * 1000;
+
+  for (const timeframe of timeframes) {
+    const entry = {
+      timeframe,
+      delayMs,
+      nextRunAt: getNextTimeframeRun(timeframe, Date.now(), delayMs),
+      lastRunAt: null,
+      running: false,
+      timer: null
+    };
+    schedule.timeframes[timeframe] = entry;
+    armTimeframe(entry, task);
+  }
+
+  return stopTimeframeScheduler;
+}
+
+/**
+ * Stop every timeframe timer
+ */
+export function stopTimeframeScheduler() {
+  for (const entry of Object.values(schedule.timeframes)) {
+    clearTimeout(entry.timer);
+  }
+  schedule.timeframes = {};
+}
+
+function parseCronValue(value, field) {
+  const name = value.slice(0, 3).toLowerCase();
+  const index = field.names ? field.names.indexOf(name) : -1;
+  const number = index >= 0 ? index + field.offset : Number(value);
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid cron value: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Values a cron field matches, ascending
+ * Supports *, lists, ranges, steps and month or weekday names
+ */
+function parseCronField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron step: ${part}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseCronValue(from, field);
+      end = to !== undefined ? parseCronValue(to, field) : (stepText === undefined ? start : field.max);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a node-cron expression (5 fields, or 6 with seconds first)
+ * @returns {Object} { seconds, minutes, hours, days, months, weekdays } arrays;
+ *   weekday 7 is folded into 0 (Sunday)
+ * @throws {Error} On a malformed expression
+ */
+export function parseCronExpression(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) {
+    throw new Error(`Invalid cron expression: ${expression}`);
+  }
+
+  const [seconds, minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  return { seconds, minutes, hours, days, months, weekdays: weekdays.map(day => day % 7) };
+}
+
+/**
+ * Time of the next match of a cron expression, in local time as node-cron
+ * runs it (day of month and weekday must both match, as in node-cron)
+ * @param {string} expression - node-cron expression (5 or 6 fields)
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Next run in ms, null when the expression never matches
+ */
+export function getNextCronRun(expression, now = Date.now()) {
+  const { seconds, minutes, hours, days, months, weekdays } = parseCronExpression(expression);
+  const from = new Date(now);
+
+  for (let i = 0; i <= MAX_CRON_LOOKAHEAD_DAYS; i++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+    if (!months.includes(day.getMonth() + 1) || !days.includes(day.getDate()) || !weekdays.includes(day.getDay())) {
+      continue;
+    }
+
+    for (const hour of hours) {
+      if (i === 0 && hour < from.getHours()) continue;
+      for (const minute of minutes) {
+        if (i === 0 && hour === from.getHours() && minute < from.getMinutes()) continue;
+        for (const second of seconds) {
+          const run = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute, second).getTime();
+          if (run > now) {
+            return run;
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run the score analysis on a cron expression
+ * @param {string} expression - node-cron expression
+ * @param {Function} task - The analysis
+ * @returns {Function} Stops the cron task
+ * @throws {Error} On an invalid expression or one that never matches
+ */
+export function scheduleAnalysis(expression, task) {
+  if (!cron.validate(expression) || getNextCronRun(expression) === null) {
+    throw new Error(`Cron expression never runs: ${expression}`);
+  }
+
+  const entry = { cron: expression, nextRunAt: null, lastRunAt: null, running: false };
+  schedule.analysis = entry;
+
+  const cronTask = cron.schedule(expression, async () => {
+    await runAnalysisTask(task);
+  });
+
+  return () => cronTask.stop();
+}
+
+/**
+ * Run the scheduled analysis now (e.g. on start), recording the run
+ * Skipped while the previous run is still going
+ */
+export async function runAnalysisTask(task) {
+  const entry = schedule.analysis;
+  if (entry) {
+    if (entry.running) {
+      console.log('⏭️  Analysis run skipped, the previous one is still running');
+      return;
+    }
+    entry.running = true;
+    entry.lastRunAt = Date.now();
+  }
+
+  try {
+    await task();
+  } finally {
+    if (entry) entry.running = false;
+  }
+}
+
+/**
+ * Upcoming runs per timeframe and the analysis schedule
+ * @param {number} count - Upcoming run times listed per timeframe
+ */
+export function getUpcomingRuns(count = 3, now = Date.now()) {
+  const timeframes = Object.values(schedule.timeframes)
+    .sort((a, b) => TIMEFRAME_MS[a.timeframe] - TIMEFRAME_MS[b.timeframe])
+    .map(entry => {
+      const runs = [Math.max(entry.nextRunAt, now)];
+      while (runs.length < count) {
+        runs.push(getNextTimeframeRun(entry.timeframe, runs[runs.length - 1] + 1, entry.delayMs));
+      }
+
+      return {
+        timeframe: entry.timeframe,
+        next_run_at: new Date(runs[0]).toISOString(),
+        upcoming: runs.map(run => new Date(run).toISOString()),
+        last_run_at: entry.lastRunAt ? new Date(entry.lastRunAt).toISOString() : null,
+        running: entry.running
+      };
+    });
+
+  // Matching a cron expression walks its days, so the result is kept until it passes
+  if (schedule.analysis && !(schedule.analysis.nextRunAt > now)) {
+    schedule.analysis.nextRunAt = getNextCronRun(schedule.analysis.cron, now);
+  }
+
+  const analysis = schedule.analysis && {
+    cron: schedule.analysis.cron,
+    next_run_at: schedule.analysis.nextRunAt ? new Date(schedule.analysis.nextRunAt).toISOString() : null,
+    last_run_at: schedule.analysis.lastRunAt ? new Date(schedule.analysis.lastRunAt).toISOString() : null,
+    running: schedule.analysis.running
+  };
+
+  return { analysis, timeframes };
+}
+
+export default {
+  DEFAULT_SCHEDULE_DELAY_SECONDS,
+  getNextTimeframeRun,
+  parseCronExpression,
+  getNextCronRun,
+  startTimeframeScheduler,
+  stopTimeframeScheduler,
+  scheduleAnalysis,
+  runAnalysisTask,
+  getUpcomingRuns
+};
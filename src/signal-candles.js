@@ -0,0 +1,58 @@
+/**
+ * Signal Candles
+ * Which candles an account's signals are evaluated on
+ *
+ * Exchanges return the candle still forming as the last element, and
+ * indicators evaluated on it repaint: a crossover seen mid-candle may be
+ * gone at the close. Accounts in 'closed' mode drop that candle and act
+ * on each closed candle of their timeframe exactly once.
+ */
+
+import { TIMEFRAME_MS } from './backtest/metrics.js';
+
+export const SIGNAL_CANDLE_MODES = ['forming', 'closed'];
+
+/**
+ * Whether an account only evaluates signals on closed candles
+ */
+export function isClosedCandleMode(account) {
+  return account.signal_candles === 'closed';
+}
+
+/**
+ * Drop candles that have not closed yet
+ * @param {Array} candles - Candles oldest first
+ * @param {string} timeframe - Candle timeframe
+ * @param {number} now - Current time in ms
+ */
+export function getClosedCandles(candles, timeframe = '1d', now = Date.now()) {
+  const intervalMs = TIMEFRAME_MS[timeframe];
+
+  let end = candles.length;
+  while (end > 0 && candles[end - 1].timestamp + intervalMs > now) {
+    end--;
+  }
+
+  return candles.slice(0, end);
+}
+
+/**
+ * Whether an account's signals should be acted on for a candle
+ * Closed-candle accounts act once per candle; forming-candle accounts every run
+ * @param {Object} account - Trading account
+ * @param {number} signalCandle - Open time of the last candle evaluated
+ */
+export function isSignalDue(account, signalCandle) {
+  if (!isClosedCandleMode(account)) return true;
+  if (signalCandle === undefined || signalCandle === null) return false;
+  if (!account.last_signal_candle_at) return true;
+
+  return signalCandle > new Date(account.last_signal_candle_at).getTime();
+}
+
+export default {
+  SIGNAL_CANDLE_MODES,
+  isClosedCandleMode,
+  getClosedCandles,
+  isSignalDue
+};
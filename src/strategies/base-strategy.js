@@ -1,8 +1,21 @@
 /**
  * Base Strategy
  * Abstract class for all trading strategies
+ *
+ * Subclasses decide entries and signal exits; account-level stop loss,
+ * take profit and time stops are applied here for every strategy.
+ * Shorts open on SELL signals and cover on BUY signals unless a
+ * subclass overrides shouldShort()/shouldCover()
  */
 
+import { isShortPosition } from '../margin.js';
+import { canScaleIn } from '../position.js';
+
+// Why a position was closed, recorded as exit_reason on the closing trade
+export const EXIT_REASONS = ['stop_loss', 'take_profit', 'signal', 'time_stop', 'liquidation'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
 export class BaseStrategy {
   constructor(account) {
     this.account = account;
@@ -40,6 +53,128 @@ export class BaseStrategy {
     throw new Error('shouldSell() must be implemented by subclass');
   }
 
+  /**
+   * Check if should open a short (accounts whose position_mode allows it)
+   * @param {Object} marketData - Market data
+   * @param {Object} signals - Signals from calculateSignals()
+   * @param {Object} activePosition - Current active position (null if none)
+   * @returns {boolean} True if should sell short
+   */
+  async shouldShort(marketData, signals, activePosition) {
+    return !activePosition && signals?.signal === 'SELL';
+  }
+
+  /**
+   * Check if should buy back the active short
+   * @returns {boolean} True if should cover
+   */
+  async shouldCover(marketData, signals, activePosition) {
+    return !!activePosition && signals?.signal === 'BUY';
+  }
+
+  /**
+   * Check if should add to the active position (pyramiding)
+   * A repeated entry signal on the position's side adds an entry,
+   * up to the account's max_entries
+   * @returns {boolean} True if should scale in
+   */
+  async shouldScaleIn(marketData, signals, activePosition) {
+    if (!activePosition || !canScaleIn(this.account, activePosition)) {
+      return false;
+    }
+
+    return isShortPosition(activePosition)
+      ? this.shouldShort(marketData, signals, null)
+      : this.shouldBuy(marketData, signals, null);
+  }
+
+  /**
+   * Decide whether to close the active position, and why
+   * Stops are checked before the strategy's own sell signal
+   * @param {Object} marketData - Market data (timestamp defaults to now)
+   * @param {Object} signals - Signals from calculateSignals()
+   * @param {Object} activePosition - Current active position
+   * @returns {string|null} One of EXIT_REASONS, or null to hold
+   */
+  async getExitReason(marketData, signals, activePosition) {
+    if (!activePosition) {
+      return null;
+    }
+
+    const riskExit = this.getRiskExitReason(marketData, activePosition);
+    if (riskExit) {
+      return riskExit;
+    }
+
+    const signalExit = isShortPosition(activePosition)
+      ? await this.shouldCover(marketData, signals, activePosition)
+      : await this.shouldSell(marketData, signals, activePosition);
+    if (signalExit) {
+      return 'signal';
+    }
+
+    if (this.isTimeStopReached(marketData, activePosition)) {
+      return 'time_stop';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the price-based protective exits only (no signals needed)
+   * Used by the position guard between analysis runs. Shorts stop out
+   * above entry, take profit below it and are liquidated past their
+   * liquidation price
+   * @returns {string|null} 'stop_loss', 'take_profit', 'liquidation' or null
+   */
+  getRiskExitReason(marketData, activePosition) {
+    const price = marketData.currentPrice;
+    const short = isShortPosition(activePosition);
+
+    const liquidationPrice = parseFloat(activePosition.liquidation_price);
+    if (short && liquidationPrice && price >= liquidationPrice) {
+      return 'liquidation';
+    }
+
+    const stopLossPrice = parseFloat(activePosition.stop_loss_price);
+    if (stopLossPrice && (short ? price >= stopLossPrice : price <= stopLossPrice)) {
+      return 'stop_loss';
+    }
+
+    const takeProfitPrice = parseFloat(activePosition.take_profit_price);
+    if (takeProfitPrice && (short ? price <= takeProfitPrice : price >= takeProfitPrice)) {
+      return 'take_profit';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether the position has been held longer than max_holding_hours
+   */
+  isTimeStopReached(marketData, activePosition) {
+    const maxHoldingHours = parseFloat(this.account.max_holding_hours);
+    if (!maxHoldingHours || !activePosition.created_at) {
+      return false;
+    }
+
+    const now = marketData.timestamp ?? Date.now();
+    const openedAt = new Date(activePosition.created_at).getTime();
+
+    return now - openedAt >= maxHoldingHours * HOUR_MS;
+  }
+
+  /**
+   * Whether the strategy holds several lots at once instead of one position
+   * Lot strategies trade resting orders through findLotFills() and report
+   * through summarizeLots() (see GridStrategy); entries and exits by
+   * signal don't apply to them
+   * @returns {boolean}
+   */
+  tradesLots() {
+    return false;
+  }
+
   /**
    * Get strategy metadata
    * @returns {Object} { name, description, suggestedBalance }
@@ -0,0 +1,168 @@
+/**
+ * DCA Strategy
+ * Dollar-cost averaging: buys on a fixed schedule into one long position
+ * that is never sold unless the account sets a stop, target or time stop
+ *
+ * Each buy is sized by the account's sizing mode (a fixed USD amount by
+ * default). With dca_score_weight above 0 the amount is scaled by the
+ * investment score from scoring.js: 1 + weight × (score - 50) / 50, so a
+ * weight of 0.5 buys 0.5× at score 0 and 1.5× at score 100. The score
+ * needs MA200 of daily candles, so only 1d accounts can weight their buys.
+ */
+
+import { BaseStrategy } from './base-strategy.js';
+import { calculateAllIndicators } from '../indicators.js';
+import { calculateScore } from '../scoring.js';
+import { aggregateCandles } from '../exchanges/candles.js';
+import { TIMEFRAME_MS } from '../backtest/metrics.js';
+
+// Timeframe whose candles the investment score is computed on
+const SCORE_TIMEFRAME = '1d';
+
+export const DCA_INTERVALS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Same defaults as the trading_accounts columns
+export const DEFAULT_DCA_SETTINGS = {
+  dca_interval: 'daily',
+  dca_score_weight: 0
+};
+
+// Account fields a DCA account starts with unless given: buys are a fixed
+// amount and nothing is sold
+export const DCA_ACCOUNT_DEFAULTS = {
+  sizing_mode: 'fixed_usd',
+  stop_loss_percent: null
+};
+
+/**
+ * Validate DCA settings from an API request
+ * @throws {Error} On an unknown interval, a weight outside 0-1, score
+ *   weighting off the 1d timeframe, a short-selling account or a portfolio
+ */
+export function validateDcaSettings({
+  dca_interval = DEFAULT_DCA_SETTINGS.dca_interval,
+  dca_score_weight = DEFAULT_DCA_SETTINGS.dca_score_weight,
+  position_mode = 'long',
+  timeframe = '1d',
+  account_type = 'single'
+}) {
+  if (!DCA_INTERVALS[dca_interval]) {
+    throw new Error(`Invalid dca_interval: ${dca_interval}. Expected one of ${Object.keys(DCA_INTERVALS).join(', ')}`);
+  }
+
+  if (!(parseFloat(dca_score_weight) >= 0 && parseFloat(dca_score_weight) <= 1)) {
+    throw new Error('dca_score_weight must be between 0 and 1');
+  }
+
+  if (parseFloat(dca_score_weight) > 0 && timeframe !== SCORE_TIMEFRAME) {
+    throw new Error(`dca_score_weight needs the ${SCORE_TIMEFRAME} timeframe: the investment score reads MA200 of daily candles`);
+  }
+
+  if (position_mode !== 'long') {
+    throw new Error('DCA accounts can only hold long positions');
+  }
+
+  // Portfolios rebalance by target weights and never place the scheduled buys
+  if (account_type === 'portfolio') {
+    throw new Error('DCA accounts trade a single symbol, not a portfolio');
+  }
+}
+
+/**
+ * Size multiplier for an investment score
+ */
+export function getScoreMultiplier(score, weight) {
+  return 1 + weight * (score - 50) / 50;
+}
+
+export class DcaStrategy extends BaseStrategy {
+  getMetadata() {
+    return {
+      name: 'DCA',
+      description: 'Scheduled buys weighted by the investment score',
+      suggestedBalance: 1000
+    };
+  }
+
+  getInterval() {
+    return DCA_INTERVALS[this.account.dca_interval] || DCA_INTERVALS[DEFAULT_DCA_SETTINGS.dca_interval];
+  }
+
+  getScoreWeight() {
+    const weight = parseFloat(this.account.dca_score_weight);
+    return weight > 0 ? weight : 0;
+  }
+
+  /**
+   * Investment score of the account's market
+   * The account's daily candles also give the weekly ones
+   * @returns {number|null} Null off the 1d timeframe or without enough
+   *   history for MA200 and weekly RSI
+   */
+  calculateMarketScore(marketData) {
+    if ((this.account.timeframe || '1d') !== SCORE_TIMEFRAME) return null;
+
+    const candles = marketData.dailyKlines || [];
+    const indicators = calculateAllIndicators({
+      dailyKlines: candles,
+      weeklyKlines: aggregateCandles(candles, '1w'),
+      currentPrice: marketData.currentPrice
+    });
+    if (!indicators.ma200 || indicators.rsiWeekly === null || indicators.rsiWeekly === undefined) {
+      return null;
+    }
+
+    return calculateScore(indicators).score;
+  }
+
+  async calculateSignals(marketData, allIndicatorSignals) {
+    const weight = this.getScoreWeight();
+    const score = weight > 0 ? this.calculateMarketScore(marketData) : null;
+
+    if (score === null) {
+      return {
+        signal: 'BUY',
+        reason: weight > 0 ? 'Scheduled DCA buy (not enough history to score)' : 'Scheduled DCA buy'
+      };
+    }
+
+    const multiplier = getScoreMultiplier(score, weight);
+    return {
+      signal: 'BUY',
+      score,
+      sizeAdjustment: { multiplier, score },
+      reason: `Scheduled DCA buy at score ${score}/100 (${multiplier.toFixed(2)}×)`
+    };
+  }
+
+  async shouldBuy(marketData, signals, activePosition) {
+    return !activePosition;
+  }
+
+  /**
+   * DCA never sells on signals; only the account's stops and time stop close it
+   */
+  async shouldSell(marketData, signals, activePosition) {
+    return false;
+  }
+
+  /**
+   * Buy again once the interval has passed since the last buy
+   */
+  async shouldScaleIn(marketData, signals, activePosition) {
+    if (!activePosition) {
+      return false;
+    }
+
+    const entries = activePosition.entries || [activePosition];
+    const lastBuyAt = new Date(entries[entries.length - 1].created_at).getTime();
+    const now = marketData.timestamp ?? Date.now();
+
+    // Runs land a little after each candle close, so half a candle of slack
+    const tolerance = TIMEFRAME_MS[this.account.timeframe || '1d'] / 2;
+    return now - lastBuyAt >= this.getInterval() - tolerance;
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * Grid Strategy
+ * Trades a ranging market with resting limit orders on a ladder of
+ * price levels between a lower and an upper price
+ *
+ * Every level but the top one rests a buy order while it holds no lot
+ * and price is above it. A filled buy opens a lot, its own position,
+ * whose sell order rests one level up; once that fills the level buys
+ * again the next time price comes down to it. Orders fill inside a
+ * candle when its low (buys) or high (sells) reaches them, at the open
+ * when the candle gaps past the level.
+ *
+ * The band is grid_lower_price to grid_upper_price when both are set.
+ * Otherwise it is centred on the last close, grid_atr_multiplier ×
+ * ATR(14) either side, and stays where it was laid out while lots are
+ * open. Lots are sized by the account's sizing mode (a fixed USD amount
+ * by default) and keep the account's stop loss when it sets one.
+ */
+
+import { BaseStrategy } from './base-strategy.js';
+import { calculateATR } from '../indicators/utils.js';
+import { findCandleFill } from '../fill-simulator.js';
+
+// Same defaults as the trading_accounts columns
+export const DEFAULT_GRID_SETTINGS = {
+  grid_lower_price: null,
+  grid_upper_price: null,
+  grid_levels: 10,
+  grid_atr_multiplier: 3
+};
+
+export const MIN_GRID_LEVELS = 2;
+export const MAX_GRID_LEVELS = 100;
+
+// Account fields a grid account starts with unless given: every lot is
+// the same amount and is only sold at its level
+export const GRID_ACCOUNT_DEFAULTS = {
+  sizing_mode: 'fixed_usd',
+  stop_loss_percent: null
+};
+
+const ATR_PERIOD = 14;
+
+/**
+ * Validate grid settings from an API request
+ * @throws {Error} On a half-set or inverted band, an out of range level
+ *   count or multiplier, a short-selling account or a portfolio
+ */
+export function validateGridSettings({
+  grid_lower_price = DEFAULT_GRID_SETTINGS.grid_lower_price,
+  grid_upper_price = DEFAULT_GRID_SETTINGS.grid_upper_price,
+  grid_levels = DEFAULT_GRID_SETTINGS.grid_levels,
+  grid_atr_multiplier = DEFAULT_GRID_SETTINGS.grid_atr_multiplier,
+  position_mode = 'long',
+  account_type = 'single'
+}) {
+  if ((grid_lower_price === null) !== (grid_upper_price === null)) {
+    throw new Error('grid_lower_price and grid_upper_price must be set together');
+  }
+
+  if (grid_lower_price !== null &&
+    !(parseFloat(grid_lower_price) > 0 && parseFloat(grid_upper_price) > parseFloat(grid_lower_price))) {
+    throw new Error('grid_upper_price must be above grid_lower_price, and both above 0');
+  }
+
+  const levels = Number(grid_levels);
+  if (!(Number.isInteger(levels) && levels >= MIN_GRID_LEVELS && levels <= MAX_GRID_LEVELS)) {
+    throw new Error(`grid_levels must be a whole number between ${MIN_GRID_LEVELS} and ${MAX_GRID_LEVELS}`);
+  }
+
+  if (!(parseFloat(grid_atr_multiplier) > 0)) {
+    throw new Error('grid_atr_multiplier must be above 0');
+  }
+
+  if (position_mode !== 'long') {
+    throw new Error('Grid accounts can only hold long positions');
+  }
+
+  // Portfolios rebalance by target weights and never rest grid orders
+  if (account_type === 'portfolio') {
+    throw new Error('Grid accounts trade a single symbol, not a portfolio');
+  }
+}
+
+/**
+ * Evenly spaced level prices from lower to upper, both included
+ */
+export function calculateGridLevels(lower, upper, count) {
+  return Array.from({ length: count }, (_, i) => lower + (upper - lower) * i / (count - 1));
+}
+
+/**
+ * Inventory per level and realized profit of a grid
+ * @param {Object|null} grid - GridStrategy.getGrid() result
+ * @param {Array} lots - Open lots
+ * @param {Array} exits - Closing trades of the account's lots
+ * @returns {Object} { lower, upper, source, levels: [{ level, price, base_amount, entry_price }],
+ *   open_lots, inventory_base, round_trips, realized_profit_usd }
+ */
+export function summarizeGrid(grid, lots, exits) {
+  const lotByLevel = new Map(lots.map(lot => [parseInt(lot.grid_level), lot]));
+
+  return {
+    lower: grid ? grid.lower : null,
+    upper: grid ? grid.upper : null,
+    source: grid ? grid.source : null,
+    levels: grid
+      ? grid.levels.map((price, level) => {
+        const lot = lotByLevel.get(level);
+        return {
+          level,
+          price,
+          base_amount: lot ? parseFloat(lot.base_amount) : 0,
+          entry_price: lot ? parseFloat(lot.price) : null
+        };
+      })
+      : [],
+    open_lots: lots.length,
+    inventory_base: lots.reduce((sum, lot) => sum + parseFloat(lot.base_amount), 0),
+    round_trips: exits.filter(exit => exit.exit_reason === 'take_profit').length,
+    realized_profit_usd: exits.reduce((sum, exit) => sum + (parseFloat(exit.profit_loss_usd) || 0), 0)
+  };
+}
+
+export class GridStrategy extends BaseStrategy {
+  getMetadata() {
+    return {
+      name: 'Grid',
+      description: 'Resting buy and sell orders on a ladder of price levels',
+      suggestedBalance: 1000
+    };
+  }
+
+  tradesLots() {
+    return true;
+  }
+
+  getLevelCount() {
+    return parseInt(this.account.grid_levels) || DEFAULT_GRID_SETTINGS.grid_levels;
+  }
+
+  getAtrMultiplier() {
+    return parseFloat(this.account.grid_atr_multiplier) || DEFAULT_GRID_SETTINGS.grid_atr_multiplier;
+  }
+
+  /**
+   * Lay out the grid
+   * An ATR band is recovered from an open lot: its level, level price and
+   * target (one level up) fix the spacing and the lower price
+   * @param {Array} candles - Candles up to the last close
+   * @param {Array} lots - Open lots
+   * @returns {Object|null} { lower, upper, levels, source }, null without
+   *   the ATR history or when the ATR band would reach below 0
+   */
+  getGrid(candles, lots = []) {
+    const count = this.getLevelCount();
+    const lower = parseFloat(this.account.grid_lower_price);
+    const upper = parseFloat(this.account.grid_upper_price);
+    if (lower > 0 && upper > lower) {
+      return buildGrid(lower, upper, count, 'fixed');
+    }
+
+    const anchor = lots.find(lot => lot.grid_price !== null && lot.grid_price !== undefined);
+    if (anchor) {
+      const spacing = parseFloat(anchor.take_profit_price) - parseFloat(anchor.grid_price);
+      const anchoredLower = parseFloat(anchor.grid_price) - parseInt(anchor.grid_level) * spacing;
+      if (spacing > 0 && anchoredLower > 0) {
+        return buildGrid(anchoredLower, anchoredLower + spacing * (count - 1), count, 'atr');
+      }
+    }
+
+    if (candles.length <= ATR_PERIOD) return null;
+
+    const atr = calculateATR(candles, ATR_PERIOD).at(-1);
+    const center = candles[candles.length - 1].close;
+    const halfWidth = atr * this.getAtrMultiplier();
+    if (!(halfWidth > 0 && center - halfWidth > 0)) return null;
+
+    return buildGrid(center - halfWidth, center + halfWidth, count, 'atr');
+  }
+
+  /**
+   * Find the resting orders the last candle fills
+   * Open lots exit at their target (one level up) or the account stop.
+   * Empty levels the previous close was above buy, top level first; a
+   * lot bought in the candle can only exit from the next one, and a
+   * level whose lot exits in it buys again from the next one
+   * @param {Array} candles - Candles up to and including the one filling
+   * @param {Array} lots - Lots open before the candle
+   * @returns {Object} { grid, exits: [{ lot, exitReason, price, liquidity }],
+   *   buys: [{ level, levelPrice, price, target }] }
+   */
+  findLotFills(candles, lots) {
+    const candle = candles[candles.length - 1];
+    const history = candles.slice(0, -1);
+    const grid = this.getGrid(history, lots);
+
+    const exits = [];
+    for (const lot of lots) {
+      const fill = findCandleFill(candle, lot.stop_loss_price, lot.take_profit_price);
+      if (fill) {
+        // Targets are limit orders; stops fill as market orders
+        exits.push({ lot, ...fill, liquidity: fill.exitReason === 'take_profit' ? 'maker' : 'taker' });
+      }
+    }
+
+    if (!grid || history.length === 0) {
+      return { grid, exits, buys: [] };
+    }
+
+    const previousClose = history[history.length - 1].close;
+    const filledLevels = new Set(lots.map(lot => parseInt(lot.grid_level)));
+    const buys = [];
+
+    for (let level = grid.levels.length - 2; level >= 0; level--) {
+      const levelPrice = grid.levels[level];
+      if (filledLevels.has(level) || previousClose <= levelPrice || candle.low > levelPrice) {
+        continue;
+      }
+
+      buys.push({
+        level,
+        levelPrice,
+        price: Math.min(candle.open, levelPrice),
+        target: grid.levels[level + 1]
+      });
+    }
+
+    return { grid, exits, buys };
+  }
+
+  /**
+   * Report the grid, its inventory per level and realized profit
+   * @param {Array} candles - Candles up to the last close
+   * @param {Array} lots - Open lots
+   * @param {Array} exits - Closing trades of the account's lots
+   */
+  summarizeLots(candles, lots, exits) {
+    return summarizeGrid(this.getGrid(candles, lots), lots, exits);
+  }
+
+  /**
+   * Grids have no signals; they trade resting orders only
+   */
+  async calculateSignals(marketData, allIndicatorSignals) {
+    return { signal: null, reason: 'Grid orders rest at their levels' };
+  }
+
+  async shouldBuy(marketData, signals, activePosition) {
+    return false;
+  }
+
+  async shouldSell(marketData, signals, activePosition) {
+    return false;
+  }
+}
+
+function buildGrid(lower, upper, count, source) {
+  return { lower, upper, levels: calculateGridLevels(lower, upper, count), source };
+}
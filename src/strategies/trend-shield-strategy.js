@@ -221,20 +221,9 @@ export class TrendShieldStrategy extends BaseStrategy {
       return false;
     }
 
-    const currentPrice = marketData.currentPrice;
-
     // Check SuperTrend turned RED
-    if (signals.superTrend.justTurnedRed) {
-      return true;
-    }
-
-    // Check Stop Loss
-    if (activePosition.stop_loss_price && currentPrice <= activePosition.stop_loss_price) {
-      return true;
-    }
-
-    // Check Take Profit
-    if (activePosition.take_profit_price && currentPrice >= activePosition.take_profit_price) {
+    // Stop loss and take profit are handled by BaseStrategy.getExitReason()
+    if (signals.superTrend?.justTurnedRed) {
       return true;
     }
 
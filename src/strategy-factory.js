@@ -6,6 +6,14 @@
 import { TrendShieldStrategy } from './strategies/trend-shield-strategy.js';
 import { ConvergentStrategy } from './strategies/convergent-strategy.js';
 import { IndicatorStrategy } from './strategies/indicator-strategy.js';
+import { DcaStrategy, DCA_ACCOUNT_DEFAULTS } from './strategies/dca-strategy.js';
+import { GridStrategy, GRID_ACCOUNT_DEFAULTS } from './strategies/grid-strategy.js';
+
+// Account fields each strategy starts with unless the request sets them
+const STRATEGY_ACCOUNT_DEFAULTS = {
+  dca: DCA_ACCOUNT_DEFAULTS,
+  grid: GRID_ACCOUNT_DEFAULTS
+};
 
 /**
  * Create strategy instance for an account
@@ -27,6 +35,12 @@ export function createStrategy(account) {
     case 'order_blocks':
       return new IndicatorStrategy(account);
 
+    case 'dca':
+      return new DcaStrategy(account);
+
+    case 'grid':
+      return new GridStrategy(account);
+
     default:
       throw new Error(`Unknown strategy: ${account.strategy}`);
   }
@@ -90,10 +104,29 @@ export function getAvailableStrategies() {
       label: 'Order Blocks',
       description: 'Institutional activity zones',
       suggestedBalance: 1500
+    },
+    {
+      value: 'dca',
+      label: 'DCA',
+      description: 'Scheduled buys weighted by investment score',
+      suggestedBalance: 1000
+    },
+    {
+      value: 'grid',
+      label: 'Grid',
+      description: 'Buy and sell orders on a ladder of price levels',
+      suggestedBalance: 1000
     }
   ];
 }
 
+/**
+ * Get account fields a strategy starts with unless the request sets them
+ */
+export function getStrategyAccountDefaults(strategy) {
+  return STRATEGY_ACCOUNT_DEFAULTS[strategy] || {};
+}
+
 /**
  * Get list of available timeframes
  */
@@ -1,5 +1,6 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { getScoreInterpretation } from './scoring.js';
+import { DEFAULT_SYMBOL, parseSymbol } from './binance.js';
 
 let bot;
 
@@ -366,11 +367,13 @@ export async function sendPaperTradingBuy(trade, account, indicators, accountNam
   }
 
   try {
-    const btcAmount = parseFloat(trade.btc_amount);
+    const { baseAsset } = parseSymbol(trade.symbol || account.symbol || DEFAULT_SYMBOL);
+    const baseAmount = parseFloat(trade.base_amount);
     const usdAmount = parseFloat(trade.usd_amount);
-    const btcPrice = parseFloat(trade.btc_price);
+    const price = parseFloat(trade.price);
     const balanceUsd = parseFloat(trade.balance_usd);
-    const balanceBtc = parseFloat(trade.balance_btc);
+    const balanceBase = parseFloat(trade.balance_base);
+    const feeUsd = parseFloat(trade.fee_usd) || 0;
     const positionSizePercent = account.position_size_percent || 0.95;
 
     const accountLabel = accountName || account.account_name || 'Default Account';
@@ -382,9 +385,10 @@ export async function sendPaperTradingBuy(trade, account, indicators, accountNam
 📈 Estrategia: ${strategyLabel}
 
 💵 Invertido: $${usdAmount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${(positionSizePercent * 100).toFixed(0)}% del balance)
-₿ BTC comprado: ${btcAmount.toFixed(8)} a $${btcPrice.toLocaleString()}
+🪙 ${baseAsset} comprado: ${baseAmount.toFixed(8)} a $${price.toLocaleString()}
+🧾 Comisión: $${feeUsd.toFixed(2)}
 
-💰 Balance: $${balanceUsd.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD + ${balanceBtc.toFixed(8)} BTC
+💰 Balance: $${balanceUsd.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD + ${balanceBase.toFixed(8)} ${baseAsset}
 
 📝 Razón: ${trade.reason}`;
 
@@ -409,10 +413,12 @@ export async function sendPaperTradingSell(trade, profitLossUsd, profitLossPerce
   }
 
   try {
-    const btcAmount = parseFloat(trade.btc_amount);
+    const { baseAsset } = parseSymbol(trade.symbol || DEFAULT_SYMBOL);
+    const baseAmount = parseFloat(trade.base_amount);
     const usdAmount = parseFloat(trade.usd_amount);
-    const btcPrice = parseFloat(trade.btc_price);
+    const price = parseFloat(trade.price);
     const balanceUsd = parseFloat(trade.balance_usd);
+    const feeUsd = parseFloat(trade.fee_usd) || 0;
 
     const profitEmoji = profitLossUsd > 0 ? '🟢' : '🔴';
     const profitSign = profitLossUsd > 0 ? '+' : '';
@@ -423,8 +429,9 @@ export async function sendPaperTradingSell(trade, profitLossUsd, profitLossPerce
 
 🏦 Cuenta: *${accountLabel}*
 
-₿ BTC vendido: ${btcAmount.toFixed(8)} a $${btcPrice.toLocaleString()}
+🪙 ${baseAsset} vendido: ${baseAmount.toFixed(8)} a $${price.toLocaleString()}
 💵 Recibido: $${usdAmount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+🧾 Comisión: $${feeUsd.toFixed(2)}
 
 💰 Balance: $${balanceUsd.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD
 
@@ -441,10 +448,104 @@ ${profitEmoji} P&L: ${profitSign}${profitLossPercentage.toFixed(2)}% (${profitSi
   }
 }
 
+/**
+ * Send paper trading SHORT notification
+ */
+export async function sendPaperTradingShort(trade, account, accountName = null) {
+  const chatId = process.env.TELEGRAM_CHAT_ID;
+
+  if (!bot || !chatId) {
+    console.log('Paper Trading SHORT alert (not sent - bot not configured)');
+    return false;
+  }
+
+  try {
+    const { baseAsset } = parseSymbol(trade.symbol || account.symbol || DEFAULT_SYMBOL);
+    const baseAmount = parseFloat(trade.base_amount);
+    const price = parseFloat(trade.price);
+    const marginUsd = parseFloat(trade.margin_usd);
+    const leverage = parseFloat(trade.leverage);
+    const liquidationPrice = parseFloat(trade.liquidation_price);
+    const feeUsd = parseFloat(trade.fee_usd) || 0;
+
+    const accountLabel = accountName || account.account_name || 'Default Account';
+    const strategyLabel = account.strategy || 'Unknown';
+
+    const message = `📊 *PAPER TRADING - VENTA EN CORTO*
+
+🏦 Cuenta: *${accountLabel}*
+📉 Estrategia: ${strategyLabel}
+
+🪙 ${baseAsset} prestado y vendido: ${baseAmount.toFixed(8)} a $${price.toLocaleString()}
+💵 Margen: $${marginUsd.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${leverage}x)
+⚠️ Liquidación: $${liquidationPrice.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+🧾 Comisión: $${feeUsd.toFixed(2)}
+
+📝 Razón: ${trade.reason}`;
+
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    console.log(`✅ Paper Trading SHORT alert sent to Telegram for ${accountLabel}`);
+    return true;
+  } catch (error) {
+    console.error('Error sending Paper Trading SHORT alert:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Send paper trading COVER notification (short closed)
+ */
+export async function sendPaperTradingCover(trade, profitLossUsd, profitLossPercentage, accountName = null) {
+  const chatId = process.env.TELEGRAM_CHAT_ID;
+
+  if (!bot || !chatId) {
+    console.log('Paper Trading COVER alert (not sent - bot not configured)');
+    return false;
+  }
+
+  try {
+    const { baseAsset } = parseSymbol(trade.symbol || DEFAULT_SYMBOL);
+    const baseAmount = parseFloat(trade.base_amount);
+    const usdAmount = parseFloat(trade.usd_amount);
+    const price = parseFloat(trade.price);
+    const balanceUsd = parseFloat(trade.balance_usd);
+    const feeUsd = parseFloat(trade.fee_usd) || 0;
+    const interestUsd = parseFloat(trade.interest_usd) || 0;
+
+    const profitEmoji = profitLossUsd > 0 ? '🟢' : '🔴';
+    const profitSign = profitLossUsd > 0 ? '+' : '';
+
+    const accountLabel = accountName || 'Default Account';
+
+    const message = `📊 *PAPER TRADING - CIERRE DE CORTO*
+
+🏦 Cuenta: *${accountLabel}*
+
+🪙 ${baseAsset} recomprado: ${baseAmount.toFixed(8)} a $${price.toLocaleString()}
+💵 Pagado: $${usdAmount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+🧾 Comisión: $${feeUsd.toFixed(2)} + intereses $${interestUsd.toFixed(2)}
+
+💰 Balance: $${balanceUsd.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD
+
+${profitEmoji} P&L: ${profitSign}${profitLossPercentage.toFixed(2)}% del margen (${profitSign}$${Math.abs(profitLossUsd).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })})
+
+📝 Razón: ${trade.reason}`;
+
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    console.log(`✅ Paper Trading COVER alert sent to Telegram for ${accountLabel}`);
+    return true;
+  } catch (error) {
+    console.error('Error sending Paper Trading COVER alert:', error.message);
+    return false;
+  }
+}
+
 export default {
   initTelegramBot,
   sendAlert,
   sendTestMessage,
   sendPaperTradingBuy,
-  sendPaperTradingSell
+  sendPaperTradingSell,
+  sendPaperTradingShort,
+  sendPaperTradingCover
 };
@@ -0,0 +1,409 @@
+/**
+ * Trade Execution
+ * Order calculations shared by live paper trading and backtests
+ */
+
+import { getFeeRate, getSlippagePercent, applySlippage } from './execution-model.js';
+import {
+  isShortPosition,
+  getLeverage,
+  getLiquidationPrice,
+  calculateBorrowInterest
+} from './margin.js';
+import { getMaxEntries } from './position.js';
+import { calculatePositionSize } from './position-sizing.js';
+
+// Trend Shield places its stop 1.5 ATR below entry
+const TREND_SHIELD_ATR_MULTIPLIER = 1.5;
+
+// Human-readable sell reason for each exit_reason
+const EXIT_DESCRIPTIONS = {
+  stop_loss: 'Stop loss hit',
+  take_profit: 'Take profit hit',
+  time_stop: 'Max holding time reached',
+  liquidation: 'Liquidated'
+};
+
+/**
+ * Calculate a BUY order for an account
+ * The position size is the total cash spent, fee included, set by the
+ * account's sizing mode (see position-sizing.js)
+ * @param {Object} account - Trading account (DB row or simulated)
+ * @param {number} price - Reference (market) price
+ * @param {Object} signals - Signals from strategy.calculateSignals()
+ * @param {Array} candles - Recent candles for ATR/volume slippage models and sizing
+ * @param {Object} activePosition - Open position being added to, if any
+ * @param {Object} options
+ * @param {Object} options.tradeStats - Closed position stats for Kelly sizing
+ * @param {string} options.liquidity - 'maker' for resting limit orders (maker
+ *   fee, no slippage), 'taker' by default
+ * @returns {Object|null} Trade fields and resulting balances, or null when
+ *   the position size is too small to trade
+ */
+export function calculateBuyOrder(account, price, signals = {}, candles = [], activePosition = null, options = {}) {
+  const balanceUsd = parseFloat(account.balance_usd);
+  const balanceBase = parseFloat(account.balance_base) || 0;
+  const sizing = calculatePositionSize(account, {
+    price,
+    freeCash: getFreeCash(account, activePosition),
+    candles,
+    tradeStats: options.tradeStats,
+    sizeAdjustment: signals?.sizeAdjustment
+  });
+  if (!sizing.sizeUsd) return null;
+  const posSize = sizing.sizeUsd;
+  const { liquidity = 'taker' } = options;
+
+  const feeRate = getFeeRate(account, liquidity);
+  const notional = posSize / (1 + feeRate);
+  const feeUsd = posSize - notional;
+
+  const slippage = liquidity === 'maker' ? 0 : getSlippagePercent(account, { price, notional, candles });
+  const fillPrice = applySlippage('buy', price, slippage);
+  const baseAmount = notional / fillPrice;
+
+  // Calculate stop loss (accounts without stop_loss_percent hold without one)
+  const stopLossPercent = parseFloat(account.stop_loss_percent);
+  let stopLossPrice = stopLossPercent > 0 ? fillPrice * (1 - stopLossPercent) : null;
+
+  // For Trend Shield, use ATR-based stop loss if available
+  if (account.strategy === 'trend_shield' && signals?.atr14) {
+    stopLossPrice = fillPrice - (signals.atr14 * TREND_SHIELD_ATR_MULTIPLIER);
+  }
+
+  // Risk sizing only risks its share of equity at its own stop
+  if (sizing.stopDistance) {
+    stopLossPrice = fillPrice - sizing.stopDistance;
+  }
+
+  const takeProfitPercent = parseFloat(account.take_profit_percent);
+  const takeProfitPrice = takeProfitPercent > 0
+    ? fillPrice * (1 + takeProfitPercent)
+    : null;
+
+  return {
+    trade_type: 'buy',
+    price: fillPrice,
+    base_amount: baseAmount,
+    usd_amount: posSize,
+    balance_usd: balanceUsd - posSize,
+    balance_base: balanceBase + baseAmount,
+    stop_loss_price: stopLossPrice,
+    initial_stop_price: stopLossPrice,
+    take_profit_price: takeProfitPrice,
+    highest_price: fillPrice,
+    fee_usd: feeUsd,
+    slippage_usd: baseAmount * (fillPrice - price),
+    sizing_mode: sizing.mode,
+    sizing_inputs: sizing.inputs,
+    reason: `${account.strategy} BUY signal`
+  };
+}
+
+/**
+ * Calculate a SELL order that closes the active position, or part of it
+ * P&L is net of the fees paid on both sides, against the average cost
+ * of the quantity sold
+ * @param {Object} account - Trading account
+ * @param {number} price - Reference (market) price
+ * @param {Object} activePosition - Open (aggregated) long position
+ * @param {Array} candles - Recent candles for ATR/volume slippage models
+ * @param {string} exitReason - One of EXIT_REASONS (see BaseStrategy)
+ * @param {Object} options
+ * @param {number} options.fraction - Fraction of the open quantity to sell
+ * @param {string} options.liquidity - 'maker' for resting limit orders (maker
+ *   fee, no slippage), 'taker' by default
+ * @param {boolean} options.lot - The position is one of several open lots,
+ *   so the base balance of the others stays
+ * @returns {Object} Trade fields, resulting balances and P&L
+ */
+export function calculateSellOrder(account, price, activePosition, candles = [], exitReason = 'signal', options = {}) {
+  const { fraction = 1, liquidity = 'taker', lot = false } = options;
+  const baseAmount = parseFloat(activePosition.base_amount) * fraction;
+  const entryUsd = parseFloat(activePosition.usd_amount) * fraction;
+
+  const slippage = liquidity === 'maker'
+    ? 0
+    : getSlippagePercent(account, { price, notional: baseAmount * price, candles });
+  const fillPrice = applySlippage('sell', price, slippage);
+  const grossUsd = baseAmount * fillPrice;
+  const feeUsd = grossUsd * getFeeRate(account, liquidity);
+  const usdAmount = grossUsd - feeUsd;
+
+  const profitLossUsd = usdAmount - entryUsd;
+  const profitLossPercent = (profitLossUsd / entryUsd) * 100;
+
+  return {
+    trade_type: 'sell',
+    price: fillPrice,
+    base_amount: baseAmount,
+    usd_amount: usdAmount,
+    balance_usd: parseFloat(account.balance_usd) + usdAmount,
+    balance_base: fraction < 1 || lot ? (parseFloat(account.balance_base) || 0) - baseAmount : 0,
+    profit_loss_usd: profitLossUsd,
+    profit_loss_percentage: profitLossPercent,
+    fee_usd: feeUsd,
+    slippage_usd: baseAmount * (price - fillPrice),
+    exit_reason: exitReason,
+    reason: getExitDescription(account, exitReason, 'SELL', fraction)
+  };
+}
+
+/**
+ * Calculate a short sale opening a position on margin
+ * The position size (see position-sizing.js) is committed as margin plus
+ * the fee; margin × leverage worth of borrowed coins is sold and the
+ * proceeds are credited to the cash balance
+ * @param {Object} account - Trading account (leverage, maintenance_margin_rate)
+ * @param {number} price - Reference (market) price
+ * @param {Object} signals - Signals from strategy.calculateSignals()
+ * @param {Array} candles - Recent candles for ATR/volume slippage models and sizing
+ * @param {Object} activePosition - Open short being added to, if any
+ * @param {Object} options
+ * @param {Object} options.tradeStats - Closed position stats for Kelly sizing
+ * @returns {Object|null} Trade fields and resulting balances, or null when
+ *   the position size is too small to trade
+ */
+export function calculateShortOrder(account, price, signals = {}, candles = [], activePosition = null, options = {}) {
+  const balanceUsd = parseFloat(account.balance_usd);
+  const balanceBase = parseFloat(account.balance_base) || 0;
+  const leverage = getLeverage(account);
+  const sizing = calculatePositionSize(account, {
+    price,
+    freeCash: getFreeCash(account, activePosition),
+    leverage,
+    candles,
+    tradeStats: options.tradeStats,
+    sizeAdjustment: signals?.sizeAdjustment
+  });
+  if (!sizing.sizeUsd) return null;
+  const posSize = sizing.sizeUsd;
+
+  const feeRate = getFeeRate(account, 'taker');
+  const notional = posSize / (1 / leverage + feeRate);
+  const feeUsd = notional * feeRate;
+
+  const slippage = getSlippagePercent(account, { price, notional, candles });
+  const fillPrice = applySlippage('sell', price, slippage);
+  const baseAmount = notional / fillPrice;
+
+  // Stops and targets mirror the long side
+  const stopLossPercent = parseFloat(account.stop_loss_percent);
+  let stopLossPrice = stopLossPercent > 0 ? fillPrice * (1 + stopLossPercent) : null;
+
+  if (account.strategy === 'trend_shield' && signals?.atr14) {
+    stopLossPrice = fillPrice + (signals.atr14 * TREND_SHIELD_ATR_MULTIPLIER);
+  }
+
+  if (sizing.stopDistance) {
+    stopLossPrice = fillPrice + sizing.stopDistance;
+  }
+
+  const takeProfitPercent = parseFloat(account.take_profit_percent);
+  const takeProfitPrice = takeProfitPercent > 0
+    ? fillPrice * (1 - takeProfitPercent)
+    : null;
+
+  return {
+    trade_type: 'sell',
+    side: 'short',
+    price: fillPrice,
+    base_amount: baseAmount,
+    usd_amount: notional - feeUsd,
+    balance_usd: balanceUsd + notional - feeUsd,
+    balance_base: balanceBase - baseAmount,
+    stop_loss_price: stopLossPrice,
+    initial_stop_price: stopLossPrice,
+    take_profit_price: takeProfitPrice,
+    highest_price: fillPrice,
+    leverage,
+    margin_usd: notional / leverage,
+    liquidation_price: getLiquidationPrice(account, fillPrice),
+    fee_usd: feeUsd,
+    slippage_usd: baseAmount * (price - fillPrice),
+    sizing_mode: sizing.mode,
+    sizing_inputs: sizing.inputs,
+    reason: `${account.strategy} SELL signal (short)`
+  };
+}
+
+/**
+ * Calculate a BUY order that covers the active short position, or part of it
+ * Liquidations fill at the liquidation price. P&L is net of the fees
+ * paid on both sides and the borrow interest, as a return on margin
+ * @param {Object} account - Trading account
+ * @param {number} price - Reference (market) price
+ * @param {Object} activePosition - Open (aggregated) short position
+ * @param {Array} candles - Recent candles for ATR/volume slippage models
+ * @param {string} exitReason - One of EXIT_REASONS (see BaseStrategy)
+ * @param {Object} options
+ * @param {number} options.now - Time of the fill, for interest
+ * @param {number} options.fraction - Fraction of the open quantity to buy back
+ * @returns {Object} Trade fields, resulting balances and P&L
+ */
+export function calculateCoverOrder(account, price, activePosition, candles = [], exitReason = 'signal', options = {}) {
+  const { now = Date.now(), fraction = 1 } = options;
+  const baseAmount = parseFloat(activePosition.base_amount) * fraction;
+  const entryUsd = parseFloat(activePosition.usd_amount) * fraction;
+  const referencePrice = exitReason === 'liquidation'
+    ? parseFloat(activePosition.liquidation_price)
+    : price;
+
+  const slippage = getSlippagePercent(account, { price: referencePrice, notional: baseAmount * referencePrice, candles });
+  const fillPrice = applySlippage('buy', referencePrice, slippage);
+  const grossUsd = baseAmount * fillPrice;
+  const feeUsd = grossUsd * getFeeRate(account, 'taker');
+  const interestUsd = calculateBorrowInterest(account, activePosition, fillPrice, now) * fraction;
+  const usdAmount = grossUsd + feeUsd + interestUsd;
+
+  const profitLossUsd = entryUsd - usdAmount;
+  const marginUsd = (parseFloat(activePosition.margin_usd) || parseFloat(activePosition.usd_amount)) * fraction;
+  const profitLossPercent = (profitLossUsd / marginUsd) * 100;
+
+  return {
+    trade_type: 'buy',
+    side: 'short',
+    price: fillPrice,
+    base_amount: baseAmount,
+    usd_amount: usdAmount,
+    balance_usd: parseFloat(account.balance_usd) - usdAmount,
+    balance_base: fraction < 1 ? (parseFloat(account.balance_base) || 0) + baseAmount : 0,
+    profit_loss_usd: profitLossUsd,
+    profit_loss_percentage: profitLossPercent,
+    fee_usd: feeUsd,
+    interest_usd: interestUsd,
+    slippage_usd: baseAmount * (fillPrice - referencePrice),
+    exit_reason: exitReason,
+    reason: getExitDescription(account, exitReason, 'BUY', fraction)
+  };
+}
+
+/**
+ * Calculate the order that closes the active position on either side
+ * @param {Object} options - { fraction } plus { liquidity, lot } for longs
+ *   and { now } for shorts
+ */
+export function calculateCloseOrder(account, price, activePosition, candles = [], exitReason = 'signal', options = {}) {
+  return isShortPosition(activePosition)
+    ? calculateCoverOrder(account, price, activePosition, candles, exitReason, options)
+    : calculateSellOrder(account, price, activePosition, candles, exitReason, options);
+}
+
+/**
+ * Calculate another entry into the active position (pyramiding)
+ * Sized like a first entry on the cash still free; the position keeps
+ * the stop, target and best price of its first entry
+ * @param {Object} account - Trading account
+ * @param {number} price - Reference (market) price
+ * @param {Object} activePosition - Open (aggregated) position
+ * @param {Object} signals - Signals from strategy.calculateSignals()
+ * @param {Array} candles - Recent candles for ATR/volume slippage models and sizing
+ * @param {Object} options - { tradeStats } for Kelly sizing
+ * @returns {Object|null} Trade fields and resulting balances, or null when
+ *   the position size is too small to trade
+ */
+export function calculateScaleInOrder(account, price, activePosition, signals = {}, candles = [], options = {}) {
+  const order = isShortPosition(activePosition)
+    ? calculateShortOrder(account, price, signals, candles, activePosition, options)
+    : calculateBuyOrder(account, price, signals, candles, activePosition, options);
+  if (!order) return null;
+
+  return {
+    ...order,
+    stop_loss_price: null,
+    initial_stop_price: null,
+    take_profit_price: null,
+    highest_price: null,
+    liquidation_price: null,
+    reason: `${order.reason} (${formatEntryNumber(account, (activePosition.entry_count || 1) + 1)})`
+  };
+}
+
+/**
+ * Calculate the buy that opens a grid lot at a level
+ * A resting limit order (maker fee, no slippage) sized like any entry;
+ * the lot's take profit is the level above
+ * @param {Object} account - Trading account
+ * @param {Object} fill - { level, levelPrice, price, target } from GridStrategy.findLotFills()
+ * @param {Array} candles - Recent candles for sizing
+ * @param {Object} options - { tradeStats } for Kelly sizing
+ * @returns {Object|null} Trade fields and resulting balances, or null when
+ *   the lot size is too small to trade
+ */
+export function calculateGridBuyOrder(account, fill, candles = [], options = {}) {
+  const order = calculateBuyOrder(account, fill.price, {}, candles, null, { ...options, liquidity: 'maker' });
+  if (!order) return null;
+
+  return {
+    ...order,
+    take_profit_price: fill.target,
+    grid_level: fill.level,
+    grid_price: fill.levelPrice,
+    reason: `Grid buy at level ${fill.level + 1} ($${fill.levelPrice.toFixed(2)})`
+  };
+}
+
+/**
+ * Label an entry with its number, against max_entries when the strategy keeps to it
+ */
+function formatEntryNumber(account, entryNumber) {
+  const maxEntries = getMaxEntries(account);
+  return entryNumber <= maxEntries ? `entry ${entryNumber}/${maxEntries}` : `entry ${entryNumber}`;
+}
+
+/**
+ * Cash an account can commit to a new entry
+ * Short sale proceeds and the margin locked by an open short are not free
+ */
+function getFreeCash(account, activePosition) {
+  const balanceUsd = parseFloat(account.balance_usd);
+  if (!isShortPosition(activePosition)) return balanceUsd;
+
+  return balanceUsd - parseFloat(activePosition.usd_amount) - (parseFloat(activePosition.margin_usd) || 0);
+}
+
+/**
+ * Describe why a position was closed
+ */
+function getExitDescription(account, exitReason, signal = 'SELL', fraction = 1) {
+  const description = exitReason === 'stop_loss' && account.trailing_stop
+    ? 'Trailing stop hit'
+    : EXIT_DESCRIPTIONS[exitReason] || `${account.strategy} ${signal} signal`;
+
+  return fraction < 1 ? `${description} (${(fraction * 100).toFixed(0)}% closed)` : description;
+}
+
+/**
+ * Calculate account performance metrics after a closing trade
+ * Partial exits add their P&L; the trade is counted, as a win or a
+ * loss on the P&L of the whole position, when the position closes
+ * @param {Object} account - Trading account
+ * @param {number} profitLossUsd - P&L of the closing trade
+ * @param {Object} options
+ * @param {boolean} options.closesPosition - False for partial exits
+ * @param {number} options.positionProfitLossUsd - P&L of the whole position
+ *   including this trade (defaults to this trade's)
+ * @returns {Object} Fields accepted by updateAccountMetrics()
+ */
+export function calculateMetricsAfterSell(account, profitLossUsd, options = {}) {
+  const { closesPosition = true, positionProfitLossUsd = profitLossUsd } = options;
+  const counted = closesPosition ? 1 : 0;
+
+  return {
+    total_trades: (account.total_trades || 0) + counted,
+    winning_trades: (account.winning_trades || 0) + (counted && positionProfitLossUsd > 0 ? 1 : 0),
+    losing_trades: (account.losing_trades || 0) + (counted && positionProfitLossUsd <= 0 ? 1 : 0),
+    total_profit_loss: (parseFloat(account.total_profit_loss) || 0) + profitLossUsd
+  };
+}
+
+export default {
+  calculateBuyOrder,
+  calculateSellOrder,
+  calculateShortOrder,
+  calculateCoverOrder,
+  calculateCloseOrder,
+  calculateScaleInOrder,
+  calculateGridBuyOrder,
+  calculateMetricsAfterSell
+};
@@ -0,0 +1,71 @@
+/**
+ * Trailing Stop
+ * Ratchets an open position's stop loss upward as price makes new highs,
+ * or downward as a short makes new lows
+ *
+ * Distance from the best price since entry is either
+ * trailing_stop_atr_multiplier × ATR(14) when set, or trailing_stop_percent.
+ * The best price is kept in highest_price on both sides. The exit itself
+ * is taken by BaseStrategy.getExitReason() as a stop_loss
+ */
+
+import { calculateATR } from './indicators/utils.js';
+import { isShortPosition } from './margin.js';
+
+const ATR_PERIOD = 14;
+
+/**
+ * Get the latest ATR value from candles
+ */
+function getLatestATR(candles) {
+  if (!candles || candles.length <= ATR_PERIOD) return null;
+  const atr = calculateATR(candles, ATR_PERIOD);
+  return atr[atr.length - 1];
+}
+
+/**
+ * Calculate the trailing stop for an open position
+ *
+ * @param {Object} account - Trading account
+ * @param {Object} position - Open trade (price, side, stop_loss_price, highest_price)
+ * @param {number} price - Best price seen since the last update (the high
+ *   for longs, the low for shorts)
+ * @param {Array} candles - Recent candles (for ATR-based trailing)
+ * @returns {Object|null} { stopLossPrice, highestPrice, changed } or null if trailing is off
+ */
+export function calculateTrailingStop(account, position, price, candles = []) {
+  if (!account.trailing_stop) return null;
+
+  const atrMultiplier = parseFloat(account.trailing_stop_atr_multiplier);
+  const percent = parseFloat(account.trailing_stop_percent);
+
+  const short = isShortPosition(position);
+  const previousHighest = parseFloat(position.highest_price) || parseFloat(position.price);
+  const highestPrice = short ? Math.min(previousHighest, price) : Math.max(previousHighest, price);
+
+  let distance = null;
+  if (atrMultiplier > 0) {
+    const atr = getLatestATR(candles);
+    if (atr) distance = atr * atrMultiplier;
+  }
+  if (distance === null && percent > 0) {
+    distance = highestPrice * percent;
+  }
+  if (distance === null) return null;
+
+  // Stops only ever move in the position's favour
+  const currentStop = parseFloat(position.stop_loss_price) || (short ? Infinity : 0);
+  const stopLossPrice = short
+    ? Math.min(currentStop, highestPrice + distance)
+    : Math.max(currentStop, highestPrice - distance);
+
+  return {
+    stopLossPrice,
+    highestPrice,
+    changed: stopLossPrice !== currentStop || highestPrice !== previousHighest
+  };
+}
+
+export default {
+  calculateTrailingStop
+};
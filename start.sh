@@ -17,5 +17,65 @@ echo "Running multi-account migrations..."
 npm run migrate:accounts
 echo "✓ Multi-account migrations completed"
 
+echo "Running backtest migrations..."
+npm run migrate:backtests
+echo "✓ Backtest migrations completed"
+
+echo "Running execution costs migrations..."
+npm run migrate:costs
+echo "✓ Execution costs migrations completed"
+
+echo "Running trailing stop migrations..."
+npm run migrate:trailing
+echo "✓ Trailing stop migrations completed"
+
+echo "Running exit management migrations..."
+npm run migrate:exits
+echo "✓ Exit management migrations completed"
+
+echo "Running fill simulation migrations..."
+npm run migrate:fills
+echo "✓ Fill simulation migrations completed"
+
+echo "Running multi-symbol migrations..."
+npm run migrate:symbols
+echo "✓ Multi-symbol migrations completed"
+
+echo "Running portfolio migrations..."
+npm run migrate:portfolios
+echo "✓ Portfolio migrations completed"
+
+echo "Running kline store migrations..."
+npm run migrate:klines
+echo "✓ Kline store migrations completed"
+
+echo "Running exchange migrations..."
+npm run migrate:exchanges
+echo "✓ Exchange migrations completed"
+
+echo "Running signal candle migrations..."
+npm run migrate:signals
+echo "✓ Signal candle migrations completed"
+
+echo "Running margin migrations..."
+npm run migrate:margin
+echo "✓ Margin migrations completed"
+
+echo "Running position management migrations..."
+npm run migrate:positions
+echo "✓ Position management migrations completed"
+
+echo "Running position sizing migrations..."
+npm run migrate:sizing
+echo "✓ Position sizing migrations completed"
+
+echo "Running DCA migrations..."
+npm run migrate:dca
+echo "✓ DCA migrations completed"
+
+echo "Running grid migrations..."
+npm run migrate:grid
+echo "✓ Grid migrations completed"
+
 echo "Starting worker..."
 npm start
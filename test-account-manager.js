@@ -85,7 +85,7 @@ async function testAccountManager() {
     console.log('\n7. Updating account balance...');
     await updateAccountBalance(account1.id, 950, 0.001);
     const balanceUpdated = await getAccountById(account1.id);
-    console.log(`✓ New balance: $${balanceUpdated.balance_usd} USD + ${balanceUpdated.balance_btc} BTC`);
+    console.log(`✓ New balance: $${balanceUpdated.balance_usd} USD + ${balanceUpdated.balance_base} BTC`);
 
     // 8. Save snapshot
     console.log('\n8. Saving account snapshot...');
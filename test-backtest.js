@@ -0,0 +1,914 @@
+/**
+ * Test Backtest Engine
+ * Runs strategies over synthetic candles (no network or database needed)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runBacktest, createBacktestAccount } from './src/backtest/backtest-engine.js';
+import { calculateMaxDrawdown } from './src/backtest/metrics.js';
+import { generateGrid, generateRandomSamples, optimizeIndicator } from './src/backtest/optimizer.js';
+import { createRandom } from './src/backtest/random.js';
+import { createWalkForwardWindows, runWalkForward } from './src/backtest/walk-forward.js';
+import { getTradeReturns, runMonteCarlo } from './src/backtest/monte-carlo.js';
+import {
+  calculateBuyOrder,
+  calculateSellOrder,
+  calculateShortOrder,
+  calculateCloseOrder,
+  calculateScaleInOrder,
+  calculateGridBuyOrder,
+  calculateMetricsAfterSell
+} from './src/trade-execution.js';
+import { calculateTrailingStop } from './src/trailing-stop.js';
+import { IndicatorStrategy } from './src/strategies/indicator-strategy.js';
+import { findCandleFill, simulateRestingExits } from './src/fill-simulator.js';
+import { parseSymbol } from './src/binance.js';
+import {
+  normalizePortfolioAssets,
+  calculateAccountValue,
+  getRebalanceReason,
+  calculateRebalanceOrders,
+  fillRebalanceOrder
+} from './src/portfolio.js';
+import { parseKlineEvent, mergeCandle, getReconnectDelay } from './src/market-stream.js';
+import { planKlineSync } from './src/kline-store.js';
+import { getExchange, getMarketData } from './src/exchanges/index.js';
+import { getCandleStart, aggregateCandles } from './src/exchanges/candles.js';
+import fileExchange, { parseCandleCsv, parseCandleJson } from './src/exchanges/file.js';
+import {
+  createCircuitBreaker,
+  CircuitOpenError,
+  isRetryableError,
+  getRetryAfterMs,
+  getRetryDelay,
+  getWeightDelay
+} from './src/binance-client.js';
+import { getClosedCandles, isSignalDue } from './src/signal-candles.js';
+import { getNextTimeframeRun, getNextCronRun, startTimeframeScheduler, scheduleAnalysis, runAnalysisTask, getUpcomingRuns } from './src/scheduler.js';
+import { createOrderBook, applyDepthUpdate, getBookLevels, parseDepthEvent } from './src/market-depth.js';
+import { calculateAllSignals } from './src/indicators/index.js';
+import { findWalls, calculateTakerVolume, analyzeOrderFlow, isWhaleConfirmedByOrderFlow } from './src/indicators/order-flow.js';
+import { validateMarginSettings, allowsLong, allowsShort, isClosingTrade } from './src/margin.js';
+import { aggregatePosition, parseTakeProfitTargets, getExitFraction, validatePositionSettings } from './src/position.js';
+import { calculateTradeStats, calculateRealizedVolatility, validateSizingSettings } from './src/position-sizing.js';
+import { createStrategy, getAvailableStrategies } from './src/strategy-factory.js';
+import { DcaStrategy, getScoreMultiplier, validateDcaSettings } from './src/strategies/dca-strategy.js';
+import { GridStrategy, calculateGridLevels, validateGridSettings } from './src/strategies/grid-strategy.js';
+import { compareWithDca } from './src/ranking-system.js';
+
+/**
+ * Generate deterministic trending/ranging candles
+ */
+function generateCandles(count = 600, startPrice = 30000) {
+  const candles = [];
+  let price = startPrice;
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    const drift = Math.sin(i / 40) * 0.012;
+    price = price * (1 + drift + (random() - 0.5) * 0.02);
+    candles.push({
+      timestamp: Date.UTC(2022, 0, 1) + i * 24 * 60 * 60 * 1000,
+      open,
+      high: Math.max(open, price) * (1 + random() * 0.01),
+      low: Math.min(open, price) * (1 - random() * 0.01),
+      close: price,
+      volume: 1000 + random() * 1000 + (i % 37 === 0 ? 5000 : 0)
+    });
+  }
+
+  return candles;
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function assertRejects(fn, message) {
+  let rejected = false;
+  try {
+    fn();
+  } catch {
+    rejected = true;
+  }
+  assert(rejected, message);
+}
+
+async function testBacktest() {
+  console.log('\n=== TESTING BACKTEST ENGINE ===\n');
+
+  try {
+    const candles = generateCandles();
+
+    for (const strategy of ['trend_shield', 'koncorde', 'heikin_ashi']) {
+      console.log(`Running ${strategy}...`);
+      const result = await runBacktest({
+        strategy,
+        initial_balance: 1000,
+        stop_loss_percent: 0.02
+      }, candles);
+
+      const { metrics, trades, equityCurve } = result;
+
+      assert(equityCurve.length === candles.length - 220, 'Equity curve should have one point per evaluated candle');
+      assert(result.openPosition === null, 'Open position should be closed at the end');
+
+      // Trades must alternate buy/sell, starting with a buy
+      trades.forEach((trade, i) => {
+        assert(trade.trade_type === (i % 2 === 0 ? 'buy' : 'sell'), `Trade ${i} out of order`);
+      });
+
+      // Final balance must equal initial balance plus realized P&L
+      const realized = trades
+        .filter(t => t.trade_type === 'sell')
+        .reduce((sum, t) => sum + t.profit_loss_usd, 0);
+      assert(Math.abs(result.account.balance_usd - (1000 + realized)) < 1e-6, 'Balance does not match realized P&L');
+
+      console.log(`✓ ${strategy}: ${metrics.totalTrades} trades, ROI ${metrics.roiPercent.toFixed(2)}%, max DD ${metrics.maxDrawdownPercent.toFixed(2)}%`);
+    }
+
+    console.log('\nChecking fees and slippage...');
+    const costAccount = {
+      strategy: 'koncorde',
+      balance_usd: '1000.00000000',
+      balance_base: '0.00000000',
+      position_size_percent: '1.00',
+      stop_loss_percent: '0.0200',
+      taker_fee_rate: '0.00100',
+      slippage_model: 'fixed',
+      slippage_bps: '10.00'
+    };
+    const buy = calculateBuyOrder(costAccount, 100, {});
+    assert(Math.abs(buy.price - 100.1) < 1e-9, `Buy should fill 10 bps above market, got ${buy.price}`);
+    assert(Math.abs(buy.fee_usd + buy.base_amount * buy.price - 1000) < 1e-9, 'Buy cost should include the fee');
+    const sell = calculateSellOrder({ ...costAccount, balance_usd: buy.balance_usd }, 100, buy);
+    const expectedLoss = buy.fee_usd + sell.fee_usd + buy.slippage_usd + sell.slippage_usd;
+    assert(Math.abs(sell.profit_loss_usd + expectedLoss) < 1e-9, 'Round trip at the same price should lose exactly fees + slippage');
+    console.log(`✓ Round trip cost $${expectedLoss.toFixed(2)} on $1000`);
+
+    console.log('\nChecking drawdown calculation...');
+    const { maxDrawdownPercent } = calculateMaxDrawdown([
+      { equity: 100 }, { equity: 120 }, { equity: 90 }, { equity: 130 }, { equity: 117 }
+    ]);
+    assert(Math.abs(maxDrawdownPercent - 25) < 1e-9, `Expected 25% drawdown, got ${maxDrawdownPercent}`);
+    console.log('✓ Max drawdown is 25%');
+
+    console.log('\nChecking optimizer search spaces...');
+    const grid = generateGrid({ a: [1, 2, 3], b: [10, 20] });
+    assert(grid.length === 6, `Expected 6 grid combinations, got ${grid.length}`);
+    const samples = generateRandomSamples({ a: [1, 2, 3], b: [10, 20] }, 4, createRandom(7));
+    assert(samples.length === 4, 'Expected 4 random samples');
+    assert(new Set(samples.map(s => JSON.stringify(s))).size === 4, 'Random samples should be unique');
+    console.log('✓ Grid and random search spaces');
+
+    console.log('\nOptimizing lupown...');
+    const report = await optimizeIndicator('lupown', candles, {
+      ranges: { wtOverbought: [45, 60], wtOversold: [-60, -45] },
+      metric: 'roi',
+      minTrades: 0
+    });
+    assert(report.evaluated === 4, 'Expected 4 evaluated combinations');
+    for (let i = 1; i < report.results.length; i++) {
+      assert(report.results[i - 1].score >= report.results[i].score, 'Results should be sorted by score');
+    }
+    console.log(`✓ Best lupown config: ${JSON.stringify(report.results[0].params)} (${report.results[0].metrics.roiPercent.toFixed(2)}% ROI)`);
+
+    console.log('\nChecking walk-forward windows...');
+    const windows = createWalkForwardWindows(600, { warmup: 220, inSampleSize: 200, outOfSampleSize: 60 });
+    assert(windows.length === 3, `Expected 3 windows, got ${windows.length}`);
+    assert(windows[0].outOfSampleStart === 420 && windows[2].outOfSampleEnd === 600, 'Unexpected window boundaries');
+    const anchoredWindows = createWalkForwardWindows(600, { warmup: 220, inSampleSize: 200, outOfSampleSize: 60, anchored: true });
+    assert(anchoredWindows.every(w => w.inSampleStart === 220), 'Anchored windows should share the in-sample start');
+    console.log('✓ Rolling and anchored windows');
+
+    console.log('\nRunning lupown walk-forward...');
+    const walkForward = await runWalkForward('lupown', candles, {
+      inSampleSize: 200,
+      outOfSampleSize: 60,
+      optimizer: { ranges: { wtOverbought: [45, 60] }, minTrades: 0 }
+    });
+    assert(walkForward.equityCurve.length === 180, 'Stitched equity should cover every out-of-sample candle');
+    const lastWindow = walkForward.windows[walkForward.windows.length - 1];
+    assert(Math.abs(walkForward.metrics.finalEquity - lastWindow.outOfSampleMetrics.finalEquity) < 1e-6, 'Capital should carry across windows');
+    console.log(`✓ Stitched out-of-sample ROI ${walkForward.metrics.roiPercent.toFixed(2)}% over ${walkForward.windows.length} windows`);
+
+    console.log('\nRunning Monte Carlo analysis...');
+    const returns = getTradeReturns([
+      { trade_type: 'buy', balance_usd: 50 },
+      { trade_type: 'sell', profit_loss_usd: 100, balance_usd: 1100, timestamp: 1 },
+      { trade_type: 'sell', profit_loss_usd: -110, balance_usd: 990, timestamp: 2 }
+    ]);
+    assert(Math.abs(returns[0] - 0.1) < 1e-9 && Math.abs(returns[1] + 0.1) < 1e-9, `Unexpected trade returns: ${returns}`);
+
+    const shuffled = runMonteCarlo([0.1, -0.05, 0.2, -0.1, 0.05], { method: 'shuffle', iterations: 500, seed: 1 });
+    assert(Math.abs(shuffled.finalEquity.min - shuffled.finalEquity.max) < 1e-6, 'Shuffling should not change final equity');
+    const bootstrap = runMonteCarlo([0.1, -0.05, 0.2, -0.1, 0.05], { iterations: 500, seed: 1 });
+    const again = runMonteCarlo([0.1, -0.05, 0.2, -0.1, 0.05], { iterations: 500, seed: 1 });
+    assert(bootstrap.finalEquity.median === again.finalEquity.median, 'Same seed should give the same result');
+    assert(bootstrap.probabilityOfRuin >= 0 && bootstrap.probabilityOfRuin <= 1, 'Probability of ruin out of range');
+    console.log(`✓ Median final equity $${bootstrap.finalEquity.median.toFixed(2)}, P(ruin) ${(bootstrap.probabilityOfRuin * 100).toFixed(1)}%, P(luck) ${(bootstrap.luckProbability * 100).toFixed(1)}%`);
+
+    console.log('\nChecking trailing stop...');
+    const trailingAccount = { trailing_stop: true, trailing_stop_percent: 0.05 };
+    const position = { price: 100, stop_loss_price: 90 };
+    const raised = calculateTrailingStop(trailingAccount, position, 120);
+    assert(raised.changed && Math.abs(raised.stopLossPrice - 114) < 1e-9, `Stop should trail 5% below the high, got ${raised.stopLossPrice}`);
+    Object.assign(position, { stop_loss_price: raised.stopLossPrice, highest_price: raised.highestPrice });
+    const held = calculateTrailingStop(trailingAccount, position, 110);
+    assert(!held.changed && held.stopLossPrice === 114, 'Stop should never move down');
+    assert(calculateTrailingStop({ trailing_stop: false }, position, 130) === null, 'Disabled trailing stop should do nothing');
+    console.log('✓ Stop ratchets up and never moves down');
+
+    console.log('\nChecking shared exit layer...');
+    const exitStrategy = new IndicatorStrategy({ strategy: 'lupown', max_holding_hours: 48 });
+    const openPosition = { price: 100, stop_loss_price: 95, take_profit_price: 110, created_at: new Date(0) };
+    const hold = { signal: null };
+    const exitAt = (price, signals = hold, timestamp = 0) =>
+      exitStrategy.getExitReason({ currentPrice: price, timestamp }, signals, openPosition);
+    assert(await exitAt(94) === 'stop_loss', 'Price below stop should exit as stop_loss');
+    assert(await exitAt(111) === 'take_profit', 'Price above target should exit as take_profit');
+    assert(await exitAt(100, { signal: 'SELL' }) === 'signal', 'Opposite signal should exit as signal');
+    assert(await exitAt(100, hold, 48 * 3600 * 1000) === 'time_stop', 'Holding past max_holding_hours should exit as time_stop');
+    assert(await exitAt(100) === null, 'Position inside its range should be held');
+    assert(exitStrategy.getRiskExitReason({ currentPrice: 94 }, openPosition) === 'stop_loss', 'Risk exits should not need signals');
+    const targetOrder = calculateBuyOrder({ ...costAccount, take_profit_percent: 0.1 }, 100);
+    assert(Math.abs(targetOrder.take_profit_price - targetOrder.price * 1.1) < 1e-9, 'Buy should set take profit from take_profit_percent');
+    console.log('✓ stop_loss, take_profit, signal and time_stop exits');
+
+    console.log('\nChecking intra-candle fills...');
+    const both = findCandleFill({ open: 100, high: 112, low: 94 }, 95, 110);
+    assert(both.exitReason === 'stop_loss' && both.price === 95, 'Candle crossing both levels should fill the stop first');
+    const gap = findCandleFill({ open: 90, high: 92, low: 88 }, 95, 110);
+    assert(gap.price === 90, 'Gap below the stop should fill at the open');
+    assert(findCandleFill({ open: 100, high: 111, low: 99 }, 95, 110).exitReason === 'take_profit', 'High through target should fill take profit');
+
+    const hour = 3600 * 1000;
+    const hourly = [
+      { timestamp: 0, open: 100, high: 101, low: 90, close: 100 },
+      { timestamp: hour, open: 100, high: 103, low: 99, close: 102 },
+      { timestamp: 2 * hour, open: 102, high: 104, low: 94, close: 103 },
+      { timestamp: 3 * hour, open: 103, high: 104, low: 80, close: 81 }
+    ];
+    const resting = { price: 100, stop_loss_price: 95, created_at: new Date(hour) };
+    const first = simulateRestingExits({ timeframe: '1h' }, resting, hourly, { now: 2.5 * hour });
+    assert(first.exit === null && first.checkedAt === 2 * hour, 'Candle before entry and forming candle should be skipped');
+    const second = simulateRestingExits({ timeframe: '1h' }, { ...resting, exits_checked_at: new Date(first.checkedAt) }, hourly, { now: 4 * hour });
+    assert(second.exit.exitReason === 'stop_loss' && second.exit.timestamp === 3 * hour, 'Stop pierced and recovered between runs should fill');
+    assert(second.exit.price === 95, 'Stop should fill at its level');
+    console.log('✓ Stops and targets fill at the crossed level');
+
+    console.log('\nChecking symbol parsing...');
+    const eth = parseSymbol('ethusdt');
+    assert(eth.symbol === 'ETHUSDT' && eth.baseAsset === 'ETH' && eth.quoteAsset === 'USDT', 'ETHUSDT should split into ETH/USDT');
+    assert(parseSymbol('SOLFDUSD').baseAsset === 'SOL', 'Longest quote suffix should win');
+    let rejected = false;
+    try {
+      parseSymbol('ETHBTC');
+    } catch {
+      rejected = true;
+    }
+    assert(rejected, 'Non-stablecoin quotes should be rejected');
+    console.log('✓ Base and quote assets');
+
+    console.log('\nChecking portfolio rebalancing...');
+    const basket = normalizePortfolioAssets([
+      { symbol: 'btcusdt', target_weight: 0.6 },
+      { symbol: 'ETHUSDT', target_weight: 0.4 }
+    ]);
+    assert(basket[0].symbol === 'BTCUSDT' && basket[1].base_asset === 'ETH', 'Portfolio assets should be normalized');
+    let overweight = false;
+    try {
+      normalizePortfolioAssets([{ symbol: 'BTCUSDT', target_weight: 0.7 }, { symbol: 'ETHUSDT', target_weight: 0.5 }]);
+    } catch {
+      overweight = true;
+    }
+    assert(overweight, 'Weights above 100% should be rejected');
+
+    const portfolio = { account_type: 'portfolio', balance_usd: 1000, taker_fee_rate: 0, slippage_model: 'none' };
+    const holdings = basket.map(a => ({ ...a, balance_base: 0, cost_basis_usd: 0, exposure: 1 }));
+    const prices = { BTCUSDT: 100, ETHUSDT: 10 };
+    assert(calculateAccountValue(portfolio, prices, holdings) === 1000, 'Cash-only portfolio should be valued at its cash');
+
+    const orders = calculateRebalanceOrders(portfolio, holdings, prices);
+    assert(orders.length === 2 && orders.every(o => o.side === 'buy'), 'Initial rebalance should buy every asset');
+    assert(Math.abs(orders[0].notional - 600) < 1e-9, 'BTC should get 60% of the value');
+
+    const btcFill = fillRebalanceOrder(portfolio, holdings[0], orders[0], prices.BTCUSDT);
+    assert(Math.abs(btcFill.asset.balance_base - 6) < 1e-9 && Math.abs(btcFill.balanceUsd - 400) < 1e-9, 'Buy should move cash into the asset');
+
+    // BTC doubles: 1200 BTC + 400 ETH + 0 cash, target 60/40 of 1600
+    const drifted = [
+      { ...holdings[0], balance_base: 6, cost_basis_usd: 600 },
+      { ...holdings[1], balance_base: 40, cost_basis_usd: 400 }
+    ];
+    const driftedPrices = { BTCUSDT: 200, ETHUSDT: 10 };
+    const invested = { ...portfolio, balance_usd: 0, last_rebalanced_at: new Date() };
+    assert(getRebalanceReason(invested, drifted, driftedPrices) === 'drift', 'Weight drift should trigger a rebalance');
+    const [trimOrder, topUpOrder] = calculateRebalanceOrders(invested, drifted, driftedPrices);
+    assert(trimOrder.side === 'sell' && trimOrder.symbol === 'BTCUSDT' && Math.abs(trimOrder.notional - 240) < 1e-9, 'Overweight asset should be sold first');
+    assert(topUpOrder.side === 'buy' && topUpOrder.symbol === 'ETHUSDT', 'Underweight asset should be bought');
+    const sellFill = fillRebalanceOrder(invested, drifted[0], trimOrder, driftedPrices.BTCUSDT);
+    assert(Math.abs(sellFill.trade.profit_loss_usd - 120) < 1e-9, 'Sell P&L should use the average cost');
+
+    drifted[0].exposure = 0;
+    const exit = calculateRebalanceOrders(invested, drifted, driftedPrices);
+    assert(exit.some(o => o.symbol === 'BTCUSDT' && o.side === 'sell' && Math.abs(o.notional - 1200) < 1e-9), 'Zero exposure should sell the whole asset');
+    console.log('✓ Portfolio weights, drift and rebalance fills');
+
+    console.log('\nChecking market stream buffers...');
+    const event = parseKlineEvent({
+      e: 'kline',
+      s: 'BTCUSDT',
+      k: { t: 2 * hour, i: '1h', o: '100', h: '105', l: '99', c: '104', v: '12.5', x: false }
+    });
+    assert(event.symbol === 'BTCUSDT' && event.interval === '1h' && event.candle.close === 104, 'Kline events should parse into candles');
+
+    const buffer = [
+      { timestamp: 0, close: 1 },
+      { timestamp: hour, close: 2 },
+      { timestamp: 2 * hour, close: 3 }
+    ];
+    assert(!mergeCandle(buffer, event.candle, hour, 3) && buffer.length === 3 && buffer[2].close === 104, 'Forming candle should update in place');
+    assert(!mergeCandle(buffer, { timestamp: 3 * hour, close: 5 }, hour, 3) && buffer[0].timestamp === hour, 'New candle should append and trim the oldest');
+    assert(mergeCandle(buffer, { timestamp: 6 * hour, close: 8 }, hour, 10), 'Skipped candles should be reported as a gap');
+    mergeCandle(buffer, { timestamp: 4 * hour, close: 6 }, hour, 10);
+    assert(buffer.map(c => c.timestamp / hour).join() === '1,2,3,4,6', 'Backfilled candles should be inserted in order');
+    assert(getReconnectDelay(0) === 1000 && getReconnectDelay(3) === 8000 && getReconnectDelay(20) === 60000, 'Reconnect delay should back off up to a cap');
+    console.log('✓ Stream candles merge, trim and detect gaps');
+
+    console.log('\nChecking kline store sync planning...');
+    const day = 24 * hour;
+    assert(planKlineSync(null, 0, 10 * day, day).length === 1, 'Empty store should fetch the whole range');
+    const ranges = planKlineSync({ first: 5 * day, last: 20 * day }, 0, 30 * day, day, [{ after: 8 * day, before: 12 * day }]);
+    assert(ranges.length === 3, 'Sync should backfill, repair and extend');
+    assert(ranges[0].start === 0 && ranges[0].end === 5 * day - 1, 'Older history should end before the first stored candle');
+    assert(ranges[1].start === 9 * day && ranges[1].end === 12 * day - 1, 'Gap should fetch only the missing candles');
+    assert(ranges[2].start === 21 * day && ranges[2].end === 30 * day, 'Incremental sync should start after the last stored candle');
+    assert(planKlineSync({ first: 0, last: 20 * day }, 0, 20.5 * day, day).length === 0, 'Up-to-date store should fetch nothing');
+    console.log('✓ Backfill, gap repair and incremental ranges');
+
+    console.log('\nChecking exchange adapters...');
+    for (const name of ['binance', 'coinbase', 'kraken', 'bybit', 'file']) {
+      const exchange = name === 'file' ? fileExchange : getExchange(name);
+      for (const fn of ['getCurrentPrice', 'get24hVolume', 'getKlines', 'getHistoricalKlines', 'getSymbolInfo']) {
+        assert(typeof exchange[fn] === 'function', `${name} adapter should implement ${fn}`);
+      }
+    }
+    let unknownExchange = false;
+    try {
+      getExchange('mtgox');
+    } catch {
+      unknownExchange = true;
+    }
+    assert(unknownExchange, 'Unknown exchanges should be rejected');
+    assert(parseSymbol('BTCUSD').quoteAsset === 'USD', 'Fiat USD quotes should be accepted');
+
+    const monday = Date.UTC(2024, 0, 1);
+    assert(getCandleStart(Date.UTC(2024, 0, 3, 15), '1w') === monday, 'Weekly candles should open on Monday');
+    assert(getCandleStart(Date.UTC(2024, 0, 3, 15), '4h') === Date.UTC(2024, 0, 3, 12), '4h candles should align to UTC');
+    const hourlyBars = [0, 1, 2, 3, 4].map(h => ({
+      timestamp: monday + h * hour, open: 10 + h, high: 20 + h, low: 5 - h, close: 11 + h, volume: 1
+    }));
+    const fourHour = aggregateCandles(hourlyBars, '4h');
+    assert(fourHour.length === 2, 'Five hourly candles should build two 4h candles');
+    assert(fourHour[0].open === 10 && fourHour[0].high === 23 && fourHour[0].low === 2 && fourHour[0].close === 14 && fourHour[0].volume === 4, 'Aggregated candle should combine OHLCV');
+    console.log('✓ Adapters share one interface and candle shape');
+
+    console.log('\nChecking recorded market data...');
+    const csvCandles = parseCandleCsv('date,open,high,low,close,volume\n2024-01-02,2,3,1,2.5,20\n2024-01-01,1,2,0.5,1.5,10\n');
+    assert(csvCandles.length === 2 && csvCandles[0].timestamp === monday && csvCandles[1].close === 2.5, 'CSV with header should parse oldest first');
+    const rawCsv = parseCandleCsv(`${monday / 1000},1,2,0.5,1.5,10,0,0\n`);
+    assert(rawCsv[0].timestamp === monday && rawCsv[0].volume === 10, 'Headerless CSV should parse as Binance rows with second timestamps');
+    const jsonCandles = parseCandleJson(JSON.stringify([[monday, '1', '2', '0.5', '1.5', '10'], { timestamp: monday + day, open: 2, high: 3, low: 1, close: 2.5, volume: 20 }]));
+    assert(jsonCandles.length === 2 && jsonCandles[1].open === 2, 'JSON should accept kline arrays and candle objects');
+
+    const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-data-'));
+    const recorded = generateCandles(400).map((c, i) => ({ ...c, timestamp: monday + i * day }));
+    fs.writeFileSync(path.join(fixtureDir, 'BTCUSDT-1d.json'), JSON.stringify(recorded));
+    process.env.MARKET_DATA_SOURCE = 'file';
+    process.env.MARKET_DATA_DIR = fixtureDir;
+    try {
+      const replayed = await getMarketData('BTCUSDT', 'coinbase');
+      const replayedAgain = await getMarketData('BTCUSDT');
+      assert(replayed.currentPrice === recorded[recorded.length - 1].close, 'Current price should be the last recorded close');
+      assert(replayed.dailyKlines.length === 400 && replayed.weeklyKlines.length === 52, 'Daily candles should replay and weekly ones be built from them');
+      assert(replayed.weeklyKlines[0].timestamp % (7 * day) === monday % (7 * day), 'Built weekly candles should open on Monday');
+      assert(JSON.stringify(replayed) === JSON.stringify(replayedAgain), 'Replays should be deterministic');
+    } finally {
+      delete process.env.MARKET_DATA_SOURCE;
+      delete process.env.MARKET_DATA_DIR;
+      fs.rmSync(fixtureDir, { recursive: true, force: true });
+    }
+    console.log('✓ CSV and JSON fixtures replay as market data');
+
+    console.log('\nChecking Binance client resilience...');
+    const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+    assert(isRetryableError(httpError(429)) && isRetryableError(httpError(503)), 'Rate limits and server errors should be retried');
+    assert(isRetryableError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })), 'Timeouts should be retried');
+    assert(!isRetryableError(httpError(400)) && !isRetryableError(httpError(418)), 'Bad requests and IP bans should not be retried');
+    assert(getRetryAfterMs(httpError(429, { 'retry-after': '7' })) === 7000, 'Retry-After should be read in seconds');
+    assert(getRetryDelay(2, 0, () => 1) === 2000 && getRetryDelay(2, 0, () => 0) === 0, 'Backoff should be jittered up to 2^attempt');
+    assert(getRetryDelay(20, 0, () => 1) === 30000, 'Backoff should be capped');
+    assert(getRetryDelay(0, 5000, () => 0.5) === 5000, 'Backoff should respect Retry-After');
+    assert(getWeightDelay(100, 2, 0, 6000) === 0, 'Requests under the weight limit should not wait');
+    assert(getWeightDelay(5399, 2, 45000, 6000) === 15000, 'Requests near the weight limit should wait for the next minute');
+
+    let clock = 0;
+    const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 1000, now: () => clock });
+    breaker.recordFailure();
+    breaker.beforeRequest();
+    breaker.recordFailure();
+    let failedFast = false;
+    try {
+      breaker.beforeRequest();
+    } catch (error) {
+      failedFast = error instanceof CircuitOpenError;
+    }
+    assert(failedFast && breaker.state === 'open', 'Circuit should open after repeated failures');
+    clock = 1000;
+    breaker.beforeRequest();
+    assert(breaker.state === 'half-open', 'Circuit should allow a trial request after the cooldown');
+    let trialBlocked = false;
+    try {
+      breaker.beforeRequest();
+    } catch (error) {
+      trialBlocked = error instanceof CircuitOpenError;
+    }
+    assert(trialBlocked, 'Only one trial request should pass while half-open');
+    breaker.recordFailure();
+    assert(breaker.state === 'open', 'A failed trial request should reopen the circuit');
+    clock = 2000;
+    breaker.beforeRequest();
+    breaker.recordSuccess();
+    assert(breaker.state === 'closed', 'A successful trial request should close the circuit');
+    breaker.recordFailure(5000);
+    assert(breaker.state === 'open', 'An IP ban should open the circuit at once');
+    console.log('✓ Retries, weight pacing and circuit breaker');
+
+    console.log('\nChecking closed-candle signal evaluation...');
+    const liveBars = [0, 1, 2].map(i => ({ timestamp: monday + i * day, open: 1, high: 1, low: 1, close: 1, volume: 1 }));
+    const midDay = monday + 2 * day + 10 * hour;
+    assert(getClosedCandles(liveBars, '1d', midDay).length === 2, 'The forming candle should be dropped');
+    assert(getClosedCandles(liveBars, '1d', monday + 3 * day).length === 3, 'A candle should count as closed at its close time');
+    assert(getClosedCandles(liveBars, '4h', midDay).length === 3 && getClosedCandles(liveBars, '4h', monday + 2 * day + 2 * hour).length === 2, 'Closing should follow the timeframe');
+    const closedAccount = { signal_candles: 'closed', timeframe: '1d', last_signal_candle_at: null };
+    assert(isSignalDue(closedAccount, monday + day), 'A first closed candle should be evaluated');
+    closedAccount.last_signal_candle_at = new Date(monday + day);
+    assert(!isSignalDue(closedAccount, monday + day), 'A closed candle should be evaluated only once');
+    assert(isSignalDue(closedAccount, monday + 2 * day), 'The next closed candle should be evaluated');
+    assert(isSignalDue({ last_signal_candle_at: new Date(monday + day) }, monday + day), 'Forming-candle accounts should evaluate every run');
+    console.log('✓ Signals wait for candles to close');
+
+    console.log('\nChecking per-timeframe schedule...');
+    const delay = 30 * 1000;
+    const wednesday = monday + 2 * day + 10 * hour + 7 * 60 * 1000;
+    assert(getNextTimeframeRun('15m', wednesday, delay) === monday + 2 * day + 10 * hour + 15 * 60 * 1000 + delay, '15m runs should follow each quarter hour');
+    assert(getNextTimeframeRun('4h', wednesday, delay) === monday + 2 * day + 12 * hour + delay, '4h runs should follow UTC 4h closes');
+    assert(getNextTimeframeRun('1d', wednesday, delay) === monday + 3 * day + delay, 'Daily runs should follow midnight UTC');
+    assert(getNextTimeframeRun('1w', wednesday, delay) === monday + 7 * day + delay, 'Weekly runs should follow the Monday open');
+    assert(getNextTimeframeRun('1h', monday + hour + 10 * 1000, delay) === monday + hour + delay, 'A close within the delay should still be upcoming');
+    const stopScheduler = startTimeframeScheduler(['1w', '15m'], async () => {});
+    const upcoming = getUpcomingRuns(3);
+    stopScheduler();
+    assert(upcoming.timeframes.map(t => t.timeframe).join() === '15m,1w', 'Upcoming runs should be listed by timeframe');
+    const quarterRuns = upcoming.timeframes[0].upcoming.map(run => new Date(run).getTime());
+    assert(quarterRuns.length === 3 && quarterRuns[1] - quarterRuns[0] === 15 * 60 * 1000, 'Upcoming runs should be one candle apart');
+    const localWednesday = new Date(2024, 0, 3, 10, 7, 5).getTime();
+    assert(getNextCronRun('0 */4 * * *', localWednesday) === new Date(2024, 0, 3, 12, 0).getTime(), 'The analysis cron should run at the next 4-hour mark');
+    assert(getNextCronRun('30 9 * * 1', localWednesday) === new Date(2024, 0, 8, 9, 30).getTime(), 'Weekday crons should wait for the weekday');
+    assert(getNextCronRun('*/20 * * * * *', localWednesday) === new Date(2024, 0, 3, 10, 7, 20).getTime(), 'Six-field crons should run on their seconds');
+    assert(getNextCronRun('0 9 * jan-mar/2 sun,SAT', localWednesday) === new Date(2024, 0, 6, 9, 0).getTime(), 'Cron names, ranges and steps should be parsed');
+    assert(getNextCronRun('0 0 30 2 *', localWednesday) === null, 'Crons on dates that never occur should have no next run');
+    assertRejects(() => scheduleAnalysis('0 0 30 2 *', async () => {}), 'Crons that never run should be rejected');
+    const stopAnalysis = scheduleAnalysis('0 */4 * * *', async () => {});
+    let analysisRuns = 0;
+    let finishAnalysis;
+    const slowAnalysis = runAnalysisTask(() => new Promise(resolve => { analysisRuns++; finishAnalysis = resolve; }));
+    await runAnalysisTask(async () => { analysisRuns++; });
+    assert(analysisRuns === 1 && getUpcomingRuns().analysis.running, 'An analysis run should be skipped while the previous one runs');
+    finishAnalysis();
+    await slowAnalysis;
+    const analysisSchedule = getUpcomingRuns().analysis;
+    stopAnalysis();
+    assert(!analysisSchedule.running && new Date(analysisSchedule.next_run_at).getTime() > Date.now(), 'The next analysis run should be listed');
+    console.log('✓ Each timeframe runs after its candle closes');
+
+    console.log('\nChecking order book and order flow...');
+    const book = createOrderBook({ lastUpdateId: 100, bids: [[99, 1], [98, 2]], asks: [[101, 1], [102, 2]] });
+    const depthUpdate = (U, u, b = [], a = []) => parseDepthEvent({ e: 'depthUpdate', s: 'BTCUSDT', U, u, b, a });
+    assert(applyDepthUpdate(book, depthUpdate(90, 100)) === 'stale', 'Updates already in the snapshot should be ignored');
+    assert(applyDepthUpdate(book, depthUpdate(95, 105, [['99', '0'], ['100', '3']], [['101', '4']])) === 'applied', 'The update spanning the snapshot should apply');
+    assert(applyDepthUpdate(book, depthUpdate(107, 110)) === 'gap', 'Skipped update ids should be detected');
+    const levels = getBookLevels(book, 2);
+    assert(levels.bids[0][0] === 100 && levels.bids[0][1] === 3 && levels.bids.length === 2 && !book.bids.has(99), 'Zero quantities should remove levels and best bids come first');
+    assert(levels.asks[0][0] === 101 && levels.asks[0][1] === 4, 'Asks should be updated in place');
+
+    const walls = findWalls([[100, 1], [99, 1.2], [98, 10], [97, 0.8]], 5);
+    assert(walls.length === 1 && walls[0].price === 98, 'Walls should stand out from the typical level');
+    const taker = calculateTakerVolume([{ quantity: 3, isBuyerMaker: false }, { quantity: 1, isBuyerMaker: true }]);
+    assert(taker.buyVolume === 3 && taker.sellVolume === 1 && taker.buyRatio === 0.75, 'Buyer-maker trades should count as taker sells');
+
+    const buyingTrades = Array.from({ length: 30 }, (_, i) => ({ quantity: 1, isBuyerMaker: i % 4 === 0, timestamp: i }));
+    const bidHeavyDepth = { orderBook: { bids: [[100, 5], [99.5, 5]], asks: [[100.5, 1], [101, 1]], timestamp: 1 }, trades: buyingTrades };
+    const flow = analyzeOrderFlow(bidHeavyDepth);
+    assert(flow.signal === 'BUY' && flow.imbalance > 0.2 && flow.takerBuyRatio > 0.55, 'Bid-heavy books with taker buying should signal BUY');
+    assert(analyzeOrderFlow({ ...bidHeavyDepth, trades: buyingTrades.slice(0, 5) }).signal === null, 'Too few trades should not signal');
+    assert(isWhaleConfirmedByOrderFlow({ whaleType: 'ACCUMULATION' }, flow) === true, 'Accumulation should be confirmed by taker buying');
+    assert(isWhaleConfirmedByOrderFlow({ whaleType: 'DISTRIBUTION' }, flow) === false, 'Distribution should not be confirmed by taker buying');
+
+    const flowSignals = await calculateAllSignals(generateCandles(100), { useHeikinAshi: false, marketDepth: bidHeavyDepth });
+    assert(flowSignals.orderFlow?.signal === 'BUY', 'calculateAllSignals should expose order flow when depth is given');
+    assert((await calculateAllSignals(generateCandles(100), { useHeikinAshi: false })).orderFlow === null, 'Order flow should be absent without depth');
+    console.log('✓ Local book, walls, taker flow and whale confirmation');
+
+    console.log('\nChecking short positions on margin...');
+    const marginAccount = {
+      strategy: 'koncorde',
+      symbol: 'BTCUSDT',
+      balance_usd: '1000',
+      balance_base: '0',
+      position_size_percent: '0.5',
+      stop_loss_percent: '0.02',
+      take_profit_percent: '0.1',
+      taker_fee_rate: '0.001',
+      slippage_model: 'none',
+      position_mode: 'long_short',
+      leverage: '2',
+      borrow_rate_daily: '0.0024',
+      maintenance_margin_rate: '0.005'
+    };
+    assert(allowsLong(marginAccount) && allowsShort(marginAccount), 'long_short accounts should trade both sides');
+    assert(allowsLong({}) && !allowsShort({}), 'Accounts should default to long only');
+    assert(!allowsLong({ position_mode: 'short' }), 'Short-only accounts should not buy');
+
+    const shortOrder = calculateShortOrder(marginAccount, 100);
+    assert(shortOrder.side === 'short' && shortOrder.trade_type === 'sell', 'Shorts should open with a sell');
+    assert(Math.abs(shortOrder.margin_usd + shortOrder.fee_usd - 500) < 1e-9, 'Margin plus fee should be the position size');
+    assert(Math.abs(shortOrder.base_amount * shortOrder.price - shortOrder.margin_usd * 2) < 1e-9, 'Notional should be margin × leverage');
+    assert(shortOrder.balance_base < 0, 'Borrowed coins should show as a negative balance');
+    assert(Math.abs(shortOrder.liquidation_price - 100 * 1.5 / 1.005) < 1e-9, `Unexpected liquidation price ${shortOrder.liquidation_price}`);
+    assert(Math.abs(shortOrder.stop_loss_price - 102) < 1e-9 && Math.abs(shortOrder.take_profit_price - 90) < 1e-9, 'Short stop should sit above entry and target below');
+    const shortEquity = calculateAccountValue({ ...marginAccount, ...shortOrder }, { BTCUSDT: 100 });
+    assert(Math.abs(shortEquity - (1000 - shortOrder.fee_usd)) < 1e-9, `Equity after opening should only lose the fee, got ${shortEquity}`);
+
+    const shortPosition = { ...shortOrder, created_at: new Date(0) };
+    const shortAccount = { ...marginAccount, balance_usd: shortOrder.balance_usd, balance_base: shortOrder.balance_base };
+    const cover = calculateCloseOrder(shortAccount, 90, shortPosition, [], 'signal', { now: 10 * hour });
+    assert(cover.side === 'short' && cover.trade_type === 'buy' && isClosingTrade(cover), 'Covers should close with a buy');
+    assert(Math.abs(cover.interest_usd - cover.base_amount * 90 * 0.0001 * 10) < 1e-9, `Interest should accrue per hour, got ${cover.interest_usd}`);
+    assert(cover.profit_loss_usd > 0 && Math.abs(cover.balance_usd - 1000 - cover.profit_loss_usd) < 1e-9, 'Cash after covering should be the starting balance plus P&L');
+    assert(Math.abs(cover.balance_base) < 1e-9, 'Covering should repay the borrowed coins');
+    assert(Math.abs(cover.profit_loss_percentage - cover.profit_loss_usd / shortOrder.margin_usd * 100) < 1e-9, 'Short P&L % should be on margin');
+    assert(getTradeReturns([{ ...cover, created_at: new Date(1) }]).length === 1, 'Covers should count as closed trades');
+
+    const liquidated = calculateCloseOrder(shortAccount, 160, shortPosition, [], 'liquidation', { now: hour });
+    assert(liquidated.price === shortOrder.liquidation_price, 'Liquidations should fill at the liquidation price');
+    assert(liquidated.profit_loss_usd < 0 && -liquidated.profit_loss_usd < 500, 'Liquidation should lose about the margin, not more');
+
+    const shortStrategy = new IndicatorStrategy({ strategy: 'koncorde' });
+    assert(await shortStrategy.shouldShort({}, { signal: 'SELL' }, null), 'SELL signals should open shorts when flat');
+    assert(await shortStrategy.getExitReason({ currentPrice: 100 }, { signal: 'BUY' }, shortPosition) === 'signal', 'BUY signals should cover shorts');
+    assert(await shortStrategy.getExitReason({ currentPrice: 100 }, { signal: 'SELL' }, shortPosition) === null, 'SELL signals should hold shorts');
+    assert(shortStrategy.getRiskExitReason({ currentPrice: 103 }, shortPosition) === 'stop_loss', 'Price above a short stop should stop out');
+    assert(shortStrategy.getRiskExitReason({ currentPrice: 89 }, shortPosition) === 'take_profit', 'Price below a short target should take profit');
+    assert(shortStrategy.getRiskExitReason({ currentPrice: 150 }, shortPosition) === 'liquidation', 'Price past liquidation should liquidate');
+
+    const shortTrail = calculateTrailingStop(trailingAccount, { side: 'short', price: 100, stop_loss_price: 110 }, 80);
+    assert(Math.abs(shortTrail.stopLossPrice - 84) < 1e-9 && shortTrail.highestPrice === 80, 'Short stops should trail above the low');
+    const shortHeld = calculateTrailingStop(trailingAccount, { side: 'short', price: 100, stop_loss_price: 84, highest_price: 80 }, 90);
+    assert(!shortHeld.changed, 'Short stops should never move up');
+
+    const shortFill = findCandleFill({ open: 100, high: 151, low: 99 }, 102, 90, { side: 'short', liquidationPrice: 149 });
+    assert(shortFill.exitReason === 'stop_loss' && shortFill.price === 102, 'A short stop below liquidation should fill first');
+    const gapFill = findCandleFill({ open: 155, high: 160, low: 150 }, 102, 90, { side: 'short', liquidationPrice: 149 });
+    assert(gapFill.exitReason === 'liquidation' && gapFill.price === 149, 'Gapping past liquidation should liquidate');
+    assert(findCandleFill({ open: 95, high: 96, low: 89 }, 102, 90, { side: 'short' }).exitReason === 'take_profit', 'Low through a short target should take profit');
+
+    for (const invalid of [{ position_mode: 'hedge' }, { leverage: 20 }, { leverage: 0.5 }, { leverage: 2, maintenance_margin_rate: 0.6 }]) {
+      assertRejects(() => validateMarginSettings(invalid), `Invalid margin settings should be rejected: ${JSON.stringify(invalid)}`);
+    }
+
+    const shortResult = await runBacktest({
+      strategy: 'heikin_ashi',
+      initial_balance: 1000,
+      stop_loss_percent: 0.02,
+      position_mode: 'short',
+      leverage: 2
+    }, candles);
+    const shortTrades = shortResult.trades;
+    const shortRealized = shortTrades.filter(isClosingTrade).reduce((sum, t) => sum + t.profit_loss_usd, 0);
+    const shortPositions = new Set(shortTrades.map(t => t.position_id));
+    assert(shortTrades.length > 0 && shortTrades.every(t => t.side === 'short'), 'Short-only backtests should only trade shorts');
+    assert(shortTrades.every((t, i) => t.trade_type === (i % 2 === 0 ? 'sell' : 'buy')), 'Backtest shorts should open with a sell and cover with a buy');
+    assert(Math.abs(shortResult.account.balance_usd - (1000 + shortRealized)) < 1e-6 && Math.abs(shortResult.account.balance_base) < 1e-9, 'Backtest covers should repay the coins and leave the realized P&L');
+    assert(shortResult.metrics.totalTrades === shortPositions.size, 'Backtest metrics should count covered shorts');
+    assert(shortTrades.some(t => t.interest_usd > 0), 'Backtest covers should pay borrow interest');
+    assert(Math.abs(shortResult.equityCurve[shortResult.equityCurve.length - 1].equity - shortResult.account.balance_usd) < 1e-6, 'Short equity should end at the cash balance');
+    const longOnlyResult = await runBacktest({ strategy: 'heikin_ashi', initial_balance: 1000, stop_loss_percent: 0.02 }, candles);
+    assert(longOnlyResult.trades.every(t => t.side !== 'short'), 'Backtests should stay long by default');
+    console.log(`✓ Short P&L $${cover.profit_loss_usd.toFixed(2)} after $${cover.interest_usd.toFixed(2)} interest, liquidation at $${shortOrder.liquidation_price.toFixed(2)}`);
+    console.log(`✓ Short backtest: ${shortResult.metrics.totalTrades} shorts, ROI ${shortResult.metrics.roiPercent.toFixed(2)}%`);
+
+    console.log('\nChecking scale-in and partial exits...');
+    const pyramidAccount = {
+      strategy: 'koncorde',
+      balance_usd: '1000',
+      balance_base: '0',
+      position_size_percent: '0.5',
+      stop_loss_percent: '0.1',
+      take_profit_percent: '0.5',
+      taker_fee_rate: '0',
+      slippage_model: 'none',
+      max_entries: 2,
+      take_profit_targets: '[{"r": 2, "fraction": 1}, {"r": 1, "fraction": 0.5}]'
+    };
+    assert(parseTakeProfitTargets(pyramidAccount.take_profit_targets)[0].r === 1, 'Targets should be sorted by R');
+
+    const firstEntry = { ...calculateBuyOrder(pyramidAccount, 100), id: 7, position_id: 7, created_at: new Date(0) };
+    let pyramid = aggregatePosition([firstEntry], pyramidAccount);
+    assert(pyramid.entry_count === 1 && Math.abs(pyramid.take_profit_price - 110) < 1e-9, `First target should be 1R above entry, got ${pyramid.take_profit_price}`);
+
+    const pyramidAccountAfter = { ...pyramidAccount, balance_usd: firstEntry.balance_usd, balance_base: firstEntry.balance_base };
+    const addOrder = calculateScaleInOrder(pyramidAccountAfter, 120, pyramid);
+    assert(addOrder.stop_loss_price === null && /entry 2\/2/.test(addOrder.reason), 'Added entries should keep the position stop');
+    const secondEntry = { ...addOrder, position_id: 7, created_at: new Date(hour) };
+    pyramid = aggregatePosition([firstEntry, secondEntry], pyramidAccount);
+    const averageEntry = (500 + 250) / (5 + 250 / 120);
+    assert(Math.abs(pyramid.price - averageEntry) < 1e-9, `Average entry should weigh entries by size, got ${pyramid.price}`);
+    assert(Math.abs(pyramid.base_amount - (5 + 250 / 120)) < 1e-9 && pyramid.entry_count === 2, 'Position should hold both entries');
+    assert(pyramid.stop_loss_price === firstEntry.stop_loss_price, 'Position should keep its first stop');
+    assert(Math.abs(pyramid.take_profit_price - (averageEntry + 10)) < 1e-9, 'Targets should be priced off the average entry');
+
+    const partialFraction = getExitFraction(pyramid, 'take_profit');
+    assert(partialFraction === 0.5 && getExitFraction(pyramid, 'stop_loss') === 1, 'Only intermediate targets should close part of the position');
+    const pyramidAccountAdded = { ...pyramidAccount, balance_usd: addOrder.balance_usd, balance_base: addOrder.balance_base };
+    const partial = calculateSellOrder(pyramidAccountAdded, pyramid.take_profit_price, pyramid, [], 'take_profit', { fraction: partialFraction });
+    assert(Math.abs(partial.base_amount - pyramid.base_amount / 2) < 1e-9, 'Partial exit should sell its fraction');
+    assert(Math.abs(partial.balance_base - pyramid.base_amount / 2) < 1e-9, 'Partial exit should keep the rest');
+    assert(Math.abs(partial.profit_loss_usd - pyramid.base_amount / 2 * 10) < 1e-9, 'Partial P&L should be against the average entry');
+    assert(/50% closed/.test(partial.reason), 'Partial exits should say how much they closed');
+    const partialMetrics = calculateMetricsAfterSell({ total_trades: 0 }, partial.profit_loss_usd, { closesPosition: false });
+    assert(partialMetrics.total_trades === 0 && partialMetrics.total_profit_loss === partial.profit_loss_usd, 'Partial exits should add P&L without counting a trade');
+
+    const afterPartial = aggregatePosition([firstEntry, secondEntry, { ...partial, position_id: 7 }], pyramidAccount);
+    assert(Math.abs(afterPartial.price - averageEntry) < 1e-9, 'Partial exits should keep the average entry');
+    assert(afterPartial.take_profits_taken === 1 && Math.abs(afterPartial.take_profit_price - (averageEntry + 20)) < 1e-9, 'Next target should be 2R');
+    const rest = calculateSellOrder({ ...pyramidAccount, ...partial }, 90, afterPartial, [], 'stop_loss');
+    assert(Math.abs(rest.balance_base) < 1e-9, 'Closing the rest should leave the account flat');
+    assert(aggregatePosition([firstEntry, secondEntry, { ...partial, position_id: 7 }, { ...rest, position_id: 7 }], pyramidAccount) === null, 'Closed positions should aggregate to null');
+    const positionReturns = getTradeReturns([
+      { ...partial, position_id: 7, created_at: new Date(2 * hour) },
+      { ...rest, position_id: 7, created_at: new Date(3 * hour) }
+    ]);
+    assert(positionReturns.length === 1 && Math.abs(positionReturns[0] - (partial.profit_loss_usd + rest.profit_loss_usd) / 1000) < 1e-9, 'Partial exits should count with their position in Monte Carlo');
+
+    for (const invalid of [{ max_entries: 0 }, { max_entries: 1.5 }, { take_profit_targets: [{ r: 0, fraction: 0.5 }] }, { take_profit_targets: '[{"r": 1, "fraction": 2}]' }]) {
+      assertRejects(() => validatePositionSettings(invalid), `Invalid position settings should be rejected: ${JSON.stringify(invalid)}`);
+    }
+
+    const pyramidResult = await runBacktest({
+      strategy: 'koncorde',
+      initial_balance: 1000,
+      stop_loss_percent: 0.02,
+      position_size_percent: 0.3,
+      max_entries: 3,
+      take_profit_targets: [{ r: 1, fraction: 0.5 }]
+    }, candles);
+    const pyramidSells = pyramidResult.trades.filter(t => t.trade_type === 'sell');
+    const pyramidRealized = pyramidSells.reduce((sum, t) => sum + t.profit_loss_usd, 0);
+    const pyramidPositions = new Set(pyramidResult.trades.map(t => t.position_id));
+    assert(Math.abs(pyramidResult.account.balance_usd - (1000 + pyramidRealized)) < 1e-6, 'Balance does not match realized P&L with pyramiding');
+    assert(pyramidResult.metrics.totalTrades === pyramidPositions.size, 'Backtest metrics should count positions, not exits');
+    assert(pyramidResult.account.total_trades === pyramidPositions.size, 'Account metrics should count positions, not exits');
+    const maxStacked = Math.max(...[...pyramidPositions].map(id => pyramidResult.trades.filter(t => t.position_id === id && t.trade_type === 'buy').length));
+    assert(maxStacked <= 3, 'Positions should not exceed max_entries');
+    console.log(`✓ Average entry $${averageEntry.toFixed(2)}, ${pyramidPositions.size} backtest positions with up to ${maxStacked} entries and ${pyramidSells.length} exits`);
+
+    console.log('\nChecking position sizing modes...');
+    const sizingAccount = {
+      strategy: 'koncorde',
+      timeframe: '1d',
+      balance_usd: '1000',
+      balance_base: '0',
+      position_size_percent: '0.5',
+      stop_loss_percent: '0.02',
+      taker_fee_rate: '0',
+      slippage_model: 'none'
+    };
+    const flatCandles = Array.from({ length: 30 }, (_, i) => ({ timestamp: i, open: 100, high: 101, low: 99, close: 100, volume: 1 }));
+
+    const percentOrder = calculateBuyOrder(sizingAccount, 100, {}, flatCandles);
+    assert(percentOrder.usd_amount === 500 && percentOrder.sizing_mode === 'percent', 'Percent sizing should keep position_size_percent of cash');
+
+    const riskOrder = calculateBuyOrder({ ...sizingAccount, sizing_mode: 'risk', risk_per_trade_percent: '0.01', sizing_atr_multiplier: '2' }, 100, {}, flatCandles);
+    assert(Math.abs(riskOrder.sizing_inputs.stop_distance - 4) < 1e-9, `Risk stop should be 2 ATR away, got ${riskOrder.sizing_inputs.stop_distance}`);
+    assert(Math.abs(riskOrder.stop_loss_price - 96) < 1e-9, 'Risk sizing should place the stop it sized for');
+    assert(Math.abs(riskOrder.base_amount * (riskOrder.price - riskOrder.stop_loss_price) - 10) < 1e-9, 'Stopping out should lose 1% of equity');
+
+    const riskShort = calculateShortOrder({ ...sizingAccount, sizing_mode: 'risk', position_mode: 'short', leverage: '2' }, 100, {}, flatCandles);
+    assert(Math.abs(riskShort.base_amount * (riskShort.stop_loss_price - riskShort.price) - 10) < 1e-9, 'Short risk sizing should lose 1% of equity at its stop');
+    assert(Math.abs(riskShort.margin_usd - 125) < 1e-9, 'Short margin should be the exposure over leverage');
+
+    const swingCandles = flatCandles.map((c, i) => ({ ...c, close: i % 2 === 0 ? 100 : 102 }));
+    const realizedVolatility = calculateRealizedVolatility(swingCandles, '1d');
+    const volatilityOrder = calculateBuyOrder({ ...sizingAccount, sizing_mode: 'volatility', target_volatility: '0.2' }, 100, {}, swingCandles);
+    assert(realizedVolatility > 0.2 && Math.abs(volatilityOrder.usd_amount - 1000 * 0.2 / realizedVolatility) < 1e-9, 'Volatility sizing should scale exposure to the target');
+    const calmOrder = calculateBuyOrder({ ...sizingAccount, sizing_mode: 'volatility', target_volatility: '0.2' }, 100, {}, flatCandles);
+    assert(calmOrder.sizing_inputs.fallback === 'percent', 'Volatility sizing without price moves should fall back to percent');
+
+    const closedPositions = [20, -10, 20, -10, 20, -10, 20, -10, 20, 20].map((pl, i) => ({ trade_type: 'sell', profit_loss_usd: pl, position_id: i }));
+    const tradeStats = calculateTradeStats(closedPositions);
+    assert(tradeStats.trades === 10 && tradeStats.winRate === 0.6 && tradeStats.averageWin === 20 && tradeStats.averageLoss === 10, 'Trade stats should read win rate and payoff');
+    const kellyAccount = { ...sizingAccount, sizing_mode: 'kelly', kelly_fraction: '0.5' };
+    const kellyOrder = calculateBuyOrder(kellyAccount, 100, {}, [], null, { tradeStats });
+    assert(Math.abs(kellyOrder.sizing_inputs.kelly - 0.4) < 1e-9 && Math.abs(kellyOrder.usd_amount - 200) < 1e-9, `Half Kelly of 40% should size 20% of equity, got ${kellyOrder.usd_amount}`);
+    assert(calculateBuyOrder(kellyAccount, 100, {}, [], null, { tradeStats: calculateTradeStats(closedPositions.slice(0, 4)) }).sizing_inputs.fallback === 'percent', 'Kelly should wait for enough closed positions');
+    const losingStats = calculateTradeStats([10, 10, -10, -10, -10, -10, -10, -10, -10, -10].map((pl, i) => ({ trade_type: 'sell', profit_loss_usd: pl, position_id: i })));
+    assert(calculateBuyOrder(kellyAccount, 100, {}, [], null, { tradeStats: losingStats }) === null, 'No edge should mean no entry');
+
+    const fixedOrder = calculateBuyOrder({ ...sizingAccount, sizing_mode: 'fixed_usd', fixed_position_usd: '150' }, 100);
+    assert(fixedOrder.usd_amount === 150, 'Fixed sizing should spend its amount');
+    const cappedOrder = calculateBuyOrder({ ...sizingAccount, sizing_mode: 'fixed_usd', fixed_position_usd: '5000' }, 100);
+    assert(cappedOrder.usd_amount === 1000 && cappedOrder.sizing_inputs.capped_from_usd === 5000, 'Sizes should be capped at the free cash');
+
+    for (const invalid of [{ sizing_mode: 'martingale' }, { sizing_mode: 'fixed_usd' }, { risk_per_trade_percent: 0 }, { kelly_fraction: 1.5 }, { target_volatility: -1 }]) {
+      assertRejects(() => validateSizingSettings(invalid), `Invalid sizing settings should be rejected: ${JSON.stringify(invalid)}`);
+    }
+
+    const riskResult = await runBacktest({
+      strategy: 'koncorde',
+      initial_balance: 1000,
+      stop_loss_percent: 0.02,
+      sizing_mode: 'risk',
+      risk_per_trade_percent: 0.02
+    }, candles);
+    const riskBuys = riskResult.trades.filter(t => t.trade_type === 'buy');
+    const riskRealized = riskResult.trades.filter(t => t.trade_type === 'sell').reduce((sum, t) => sum + t.profit_loss_usd, 0);
+    assert(riskBuys.length > 0 && riskBuys.every(t => t.sizing_mode === 'risk' && t.sizing_inputs.equity > 0), 'Backtest entries should record their sizing');
+    assert(Math.abs(riskResult.account.balance_usd - (1000 + riskRealized)) < 1e-6, 'Balance does not match realized P&L with risk sizing');
+    console.log(`✓ Risk, volatility, Kelly and fixed sizing; risk-sized backtest ROI ${riskResult.metrics.roiPercent.toFixed(2)}% over ${riskBuys.length} entries`);
+
+    console.log('\nChecking DCA strategy...');
+    const dcaAccount = createBacktestAccount({ strategy: 'dca', fixed_position_usd: 100, dca_interval: 'weekly', dca_score_weight: 0.5 });
+    assert(createStrategy(dcaAccount) instanceof DcaStrategy, 'createStrategy should build DCA accounts');
+    assert(getAvailableStrategies().some(s => s.value === 'dca'), 'DCA should be listed with the strategies');
+    assert(dcaAccount.sizing_mode === 'fixed_usd' && dcaAccount.stop_loss_percent === null, 'DCA accounts should buy fixed amounts without a stop');
+    assert(createBacktestAccount({ strategy: 'dca', stop_loss_percent: 0.2 }).stop_loss_percent === 0.2, 'DCA accounts may still set a stop');
+
+    const dcaStrategy = createStrategy(dcaAccount);
+    const dcaPosition = { price: 100, entries: [{ base_amount: 1, created_at: new Date(0) }, { base_amount: 1, created_at: new Date(7 * day) }] };
+    assert(await dcaStrategy.shouldBuy({}, {}, null), 'DCA should start buying when flat');
+    assert(!(await dcaStrategy.shouldScaleIn({ timestamp: 13 * day }, {}, dcaPosition)), 'Weekly DCA should wait a week after the last buy');
+    assert(await dcaStrategy.shouldScaleIn({ timestamp: 14 * day }, {}, dcaPosition), 'Weekly DCA should buy a week after the last buy');
+    assert(await dcaStrategy.getExitReason({ currentPrice: 1 }, { signal: 'BUY' }, dcaPosition) === null, 'DCA should never sell without configured exits');
+
+    assert(getScoreMultiplier(100, 0.5) === 1.5 && getScoreMultiplier(0, 0.5) === 0.5 && getScoreMultiplier(80, 0) === 1, 'Score weighting should scale buys around a score of 50');
+    const weightedBuy = calculateBuyOrder(dcaAccount, 100, { sizeAdjustment: { multiplier: 1.5, score: 100 } });
+    assert(weightedBuy.usd_amount === 150 && weightedBuy.sizing_inputs.score === 100, 'Score weighting should scale the fixed amount and be recorded');
+    assert(weightedBuy.stop_loss_price === null, 'DCA buys should not place a stop');
+    const scoredSignals = await dcaStrategy.calculateSignals({ currentPrice: candles[599].close, dailyKlines: candles }, {});
+    assert(scoredSignals.score >= 0 && scoredSignals.score <= 100 && scoredSignals.sizeAdjustment.multiplier === getScoreMultiplier(scoredSignals.score, 0.5), 'DCA should weight buys by the investment score');
+
+    for (const invalid of [{ dca_interval: 'hourly' }, { dca_score_weight: 2 }, { position_mode: 'long_short' }, { dca_score_weight: 0.5, timeframe: '4h' }, { account_type: 'portfolio' }]) {
+      assertRejects(() => validateDcaSettings(invalid), `Invalid DCA settings should be rejected: ${JSON.stringify(invalid)}`);
+    }
+
+    validateDcaSettings({ dca_interval: 'daily', dca_score_weight: 0, timeframe: '1h' });
+    assert(createStrategy({ ...dcaAccount, timeframe: '4h' }).calculateMarketScore({ dailyKlines: candles }) === null, 'Only 1d accounts should be scored');
+
+    const dcaResult = await runBacktest({
+      strategy: 'dca',
+      initial_balance: 1000,
+      fixed_position_usd: 15,
+      dca_interval: 'weekly',
+      dca_score_weight: 0.5
+    }, candles, { closeAtEnd: false });
+    const dcaBuys = dcaResult.trades.filter(t => t.trade_type === 'buy');
+    assert(dcaBuys.length === Math.ceil((candles.length - 220) / 7), `Weekly DCA should buy every 7th candle, got ${dcaBuys.length}`);
+    assert(dcaBuys.every(t => t.position_id === 1), 'DCA buys should accumulate one position');
+    assert(dcaResult.trades.every(t => t.trade_type === 'buy') && dcaResult.openPosition.entry_count === dcaBuys.length, 'DCA should never sell');
+    assert(new Set(dcaBuys.map(t => t.usd_amount.toFixed(6))).size > 1, 'Score weighting should vary the amounts bought');
+
+    const dcaRankings = compareWithDca([
+      { strategy: 'dca', market: 'binance:BTCUSDT', roi_percent: 10 },
+      { strategy: 'dca', market: 'binance:BTCUSDT', roi_percent: 20 },
+      { strategy: 'koncorde', market: 'binance:BTCUSDT', roi_percent: 25 },
+      { strategy: 'koncorde', market: 'binance:ETHUSDT', roi_percent: 5 }
+    ]);
+    assert(dcaRankings[2].vs_dca_roi_percent === 10, 'Rankings should compare accounts with DCA on their market');
+    assert(dcaRankings[0].vs_dca_roi_percent === null && dcaRankings[3].vs_dca_roi_percent === null, 'DCA accounts and markets without DCA have no comparison');
+    console.log(`✓ Weekly DCA bought ${dcaBuys.length} times for $${dcaBuys.reduce((sum, t) => sum + t.usd_amount, 0).toFixed(2)}, equity $${dcaResult.metrics.finalEquity.toFixed(2)}`);
+
+    console.log('\nChecking grid strategy...');
+    assert(calculateGridLevels(90, 110, 5).join() === '90,95,100,105,110', 'Grid levels should be evenly spaced');
+    for (const invalid of [
+      { grid_lower_price: 90 },
+      { grid_lower_price: 110, grid_upper_price: 90 },
+      { grid_levels: 1 },
+      { grid_atr_multiplier: 0 },
+      { position_mode: 'long_short' },
+      { account_type: 'portfolio' }
+    ]) {
+      assertRejects(() => validateGridSettings(invalid), `Invalid grid settings should be rejected: ${JSON.stringify(invalid)}`);
+    }
+
+    const gridAccount = createBacktestAccount({
+      strategy: 'grid',
+      fixed_position_usd: 100,
+      grid_lower_price: 90,
+      grid_upper_price: 110,
+      grid_levels: 5
+    });
+    const gridStrategy = createStrategy(gridAccount);
+    assert(gridStrategy instanceof GridStrategy && gridStrategy.tradesLots(), 'Grid accounts should trade lots');
+    assert(!createStrategy(dcaAccount).tradesLots(), 'Other strategies should hold one position');
+    assert(gridAccount.sizing_mode === 'fixed_usd' && gridAccount.stop_loss_percent === null, 'Grid lots should be a fixed amount without a stop');
+
+    const gridCandles = [
+      { timestamp: 0, open: 103, high: 104, low: 101, close: 102 },
+      { timestamp: day, open: 101, high: 103, low: 94, close: 96 }
+    ];
+    const dropFills = gridStrategy.findLotFills(gridCandles, []);
+    assert(dropFills.buys.map(b => `${b.level}@${b.price}>${b.target}`).join() === '2@100>105,1@95>100', 'A drop should fill the buys it crosses, top level first');
+    const heldLevel = { grid_level: 1, grid_price: 95, take_profit_price: 100, stop_loss_price: null };
+    assert(gridStrategy.findLotFills(gridCandles, [heldLevel]).buys.length === 1, 'Levels holding a lot should not buy again');
+    const gapFills = gridStrategy.findLotFills([gridCandles[0], { timestamp: day, open: 92, high: 93, low: 91, close: 92 }], []);
+    assert(gapFills.buys.every(b => b.price === 92), 'Buys gapped through should fill at the open');
+    const riseFills = gridStrategy.findLotFills([gridCandles[1], { timestamp: 2 * day, open: 97, high: 101, low: 96, close: 100 }], [heldLevel]);
+    assert(riseFills.exits.length === 1 && riseFills.exits[0].price === 100 && riseFills.exits[0].liquidity === 'maker', 'Lots should sell at the level above');
+    assert(riseFills.buys.length === 0, 'Levels below the previous close should not buy');
+
+    const atrGrid = createStrategy(createBacktestAccount({ strategy: 'grid', fixed_position_usd: 100, grid_levels: 5 }));
+    const anchoredGrid = atrGrid.getGrid([], [{ grid_level: 2, grid_price: 100, take_profit_price: 105 }]);
+    assert(anchoredGrid.lower === 90 && anchoredGrid.upper === 110, 'An ATR grid should stay where its open lots were bought');
+    assert(atrGrid.getGrid(candles.slice(0, 10), []) === null, 'An ATR grid needs ATR history');
+    const laidOut = atrGrid.getGrid(candles.slice(0, 100), []);
+    assert(Math.abs((laidOut.lower + laidOut.upper) / 2 - candles[99].close) < 1e-6, 'An ATR grid should centre on the last close');
+
+    const lotOrder = calculateGridBuyOrder(gridAccount, dropFills.buys[1], []);
+    assert(lotOrder.price === 95 && lotOrder.take_profit_price === 100 && lotOrder.grid_level === 1, 'Grid buys should fill at their level with the next level as target');
+    assert(Math.abs(lotOrder.fee_usd - (100 - 100 / 1.001)) < 1e-9 && lotOrder.slippage_usd === 0, 'Grid buys should pay maker fees without slippage');
+    const lotSell = calculateSellOrder({ ...gridAccount, balance_base: 2 * lotOrder.base_amount }, 100, lotOrder, [], 'take_profit', { lot: true, liquidity: 'maker' });
+    assert(Math.abs(lotSell.balance_base - lotOrder.base_amount) < 1e-12, 'Selling one lot should keep the others');
+
+    // Price swinging between 88 and 112 crosses every level
+    const rangingCandles = Array.from({ length: 300 }, (_, i) => {
+      const open = 100 + 12 * Math.sin((i - 1) / 4);
+      const close = 100 + 12 * Math.sin(i / 4);
+      return { timestamp: i * day, open, high: Math.max(open, close) + 0.5, low: Math.min(open, close) - 0.5, close, volume: 1000 };
+    });
+    const gridResult = await runBacktest({
+      strategy: 'grid',
+      initial_balance: 1000,
+      fixed_position_usd: 100,
+      grid_lower_price: 90,
+      grid_upper_price: 110,
+      grid_levels: 5
+    }, rangingCandles, { warmup: 20, closeAtEnd: false });
+    const gridBuys = gridResult.trades.filter(t => t.trade_type === 'buy');
+    const gridSells = gridResult.trades.filter(t => t.trade_type === 'sell');
+    const lotsReport = gridResult.metrics.lots;
+    assert(gridSells.length > 10 && gridSells.every(t => t.exit_reason === 'take_profit' && t.profit_loss_usd > 0), 'Every grid round trip should sell at a profit');
+    assert(new Set(gridBuys.map(t => t.position_id)).size === gridBuys.length, 'Each grid buy should open its own lot');
+    assert(gridSells.every(t => gridBuys.find(b => b.position_id === t.position_id).take_profit_price <= t.price), 'Lots should sell at or above their target');
+    assert(lotsReport.round_trips === gridSells.length && Math.abs(lotsReport.realized_profit_usd - gridResult.account.total_profit_loss) < 1e-9, 'The grid report should sum its round trips');
+    assert(lotsReport.open_lots === gridResult.openLots.length && lotsReport.levels.filter(l => l.base_amount > 0).length === gridResult.openLots.length, 'The grid report should show inventory per level');
+    assert(Math.abs(gridResult.account.balance_base - lotsReport.inventory_base) < 1e-9, 'The base balance should be the open lots');
+    assert(gridResult.equityCurve.some(p => p.inPosition), 'Open lots should count as in position');
+
+    // 9 of 10 $100 lots still held: a $5 round trip is 0.5% of equity, not of the cash
+    const [lotReturn] = getTradeReturns([
+      { trade_type: 'sell', side: 'long', price: 105, profit_loss_usd: 5, balance_usd: 105, balance_base: 9, timestamp: 1 }
+    ]);
+    assert(Math.abs(lotReturn - 5 / 1045) < 1e-9, `Returns should count the lots still open, got ${lotReturn}`);
+    assert(getTradeReturns(gridResult.trades).every(r => r > 0 && r < 0.01), 'Grid round trips should be small returns on equity');
+
+    const closedGrid = await runBacktest({
+      strategy: 'grid',
+      initial_balance: 1000,
+      fixed_position_usd: 100,
+      grid_levels: 6
+    }, rangingCandles, { warmup: 20 });
+    assert(closedGrid.trades.some(t => t.grid_level !== undefined), 'An ATR grid should trade');
+    assert(closedGrid.openLots.length === 0 && Math.abs(closedGrid.account.balance_base) < 1e-9, 'Lots should all be closed at the end');
+    console.log(`✓ Grid made ${lotsReport.round_trips} round trips for $${lotsReport.realized_profit_usd.toFixed(2)}, holding ${lotsReport.open_lots} lots; ATR grid ${closedGrid.metrics.totalTrades} trades`);
+
+    console.log('\n=== ALL TESTS PASSED ===\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n✗ TEST FAILED:', error);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+testBacktest();
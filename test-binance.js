@@ -1,4 +1,4 @@
-import { getMarketData } from './src/binance.js';
+import { getMarketData } from './src/exchanges/index.js';
 import { calculateAllIndicators } from './src/indicators.js';
 import { calculateScore } from './src/scoring.js';
 
@@ -3,32 +3,17 @@
  * Tests the Heikin Ashi buy/sell signals on historical data
  */
 
-import axios from 'axios';
+import { getExchange } from './src/exchanges/index.js';
 import { calculateHeikinAshiSignals } from './src/heikin-ashi-strategy.js';
 
 /**
- * Fetch historical candles from Binance
+ * Fetch historical candles from Binance (or recorded files with MARKET_DATA_SOURCE=file)
  */
 async function fetchCandles(symbol = 'BTCUSDT', interval = '1h', limit = 500) {
   console.log(`Fetching ${limit} ${interval} candles for ${symbol}...`);
 
   try {
-    const response = await axios.get('https://api.binance.com/api/v3/klines', {
-      params: {
-        symbol,
-        interval,
-        limit
-      }
-    });
-
-    const candles = response.data.map(k => ({
-      timestamp: k[0],
-      open: parseFloat(k[1]),
-      high: parseFloat(k[2]),
-      low: parseFloat(k[3]),
-      close: parseFloat(k[4]),
-      volume: parseFloat(k[5])
-    }));
+    const candles = await getExchange().getKlines(interval, limit, symbol);
 
     console.log(`✓ Fetched ${candles.length} candles\n`);
     return candles;
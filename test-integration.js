@@ -4,7 +4,7 @@
  */
 
 import dotenv from 'dotenv';
-import { getMarketData } from './src/binance.js';
+import { getMarketData } from './src/exchanges/index.js';
 import { calculateAllSignals } from './src/indicators/index.js';
 import { savePaperSignal } from './src/paper-trading-db.js';
 import { initDatabase } from './src/database.js';